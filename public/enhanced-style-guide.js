@@ -255,6 +255,11 @@ function displayStyleGuide(styleGuide) {
       headingEl.style.fontWeight = styles.fontWeight;
       headingEl.style.lineHeight = styles.lineHeight;
       headingEl.style.marginBottom = styles.marginBottom;
+      if (styles.fontFamily) headingEl.style.fontFamily = styles.fontFamily;
+      if (styles.letterSpacing) headingEl.style.letterSpacing = styles.letterSpacing;
+      if (styles.textTransform) headingEl.style.textTransform = styles.textTransform;
+      if (styles.color) headingEl.style.color = styles.color;
+      if (styles.marginTop) headingEl.style.marginTop = styles.marginTop;
       
       headingsPreview.appendChild(headingEl);
     }
@@ -414,6 +419,28 @@ function displayStyleGuide(styleGuide) {
           </div>
           <div class="card-body">
             <p>Found ${data.count} instances</p>
+            ${data.variants && data.variants.length > 0 ? `
+              <p><strong>Variants:</strong></p>
+              <div class="row mb-3">
+                ${data.variants.map(variant => `
+                  <div class="col-sm-6 mb-2">
+                    <div class="border rounded p-2 h-100">
+                      <p class="mb-1"><strong>${variant.name}</strong> <small class="text-muted">${variant.count} uses</small></p>
+                      ${variant.preview && variant.preview.screenshot ? `
+                        <img src="${variant.preview.screenshot}" alt="${variant.name} ${type}" class="img-fluid mb-1"
+                          title="${variant.preview.boundingBox.width}×${variant.preview.boundingBox.height} at ${variant.preview.boundingBox.x}, ${variant.preview.boundingBox.y}">
+                      ` : ''}
+                      ${variant.preview && variant.preview.html ? `
+                        <details>
+                          <summary><small>HTML</small></summary>
+                          <pre class="mb-0"><code>${escapeHtml(variant.preview.html)}</code></pre>
+                        </details>
+                      ` : ''}
+                    </div>
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
             ${data.examples && data.examples.length > 0 ? `
               <p><strong>Examples:</strong></p>
               <ul class="list-group">
@@ -481,3 +508,12 @@ function displayStyleGuide(styleGuide) {
   // Show results section
   resultsSection.classList.remove('d-none');
 }
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,3 +1,5 @@
+// Legacy analysis route of the root server, kept for the CMS integration. The supported
+// analysis API is src/routes/analyze.js, served by src/server.js.
 const router = require('express').Router();
 const { analyzeSite } = require('../services/analyzer');
 const { buildStyleGuide } = require('../services/styleGuide');
@@ -1,4 +1,6 @@
 const puppeteer = require('puppeteer');
+const { sampleStates } = require('../src/services/renderer');
+const { describeStates } = require('../src/services/interactionStates');
 
 async function analyzeSite(url) {
 
@@ -35,7 +37,8 @@ async function analyzeSite(url) {
       const inputs = [];
       const cards = [];
       
-      elements.forEach(el => {
+      // Components keep their position among 'body, body *' to force their states afterwards
+      elements.forEach((el, index) => {
         const style = window.getComputedStyle(el);
         
         // Colors
@@ -55,23 +58,35 @@ async function analyzeSite(url) {
         // Components
         if (el.tagName === 'BUTTON' || (el.tagName === 'A' && style.display.includes('inline-block'))) {
           buttons.push({
+            index: index + 1,
             text: el.innerText,
             backgroundColor: style.backgroundColor,
             color: style.color,
             padding: style.padding,
             borderRadius: style.borderRadius,
-            fontSize: style.fontSize
+            borderColor: style.borderColor,
+            borderWidth: style.borderWidth,
+            borderStyle: style.borderStyle,
+            boxShadow: style.boxShadow,
+            textDecoration: style.textDecorationLine,
+            fontSize: style.fontSize,
+            fontWeight: style.fontWeight
           });
         }
         
         if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') {
           inputs.push({
+            index: index + 1,
             type: el.type || 'text',
             placeholder: el.placeholder,
             backgroundColor: style.backgroundColor,
+            color: style.color,
             borderColor: style.borderColor,
+            borderWidth: style.borderWidth,
+            borderStyle: style.borderStyle,
             padding: style.padding,
-            borderRadius: style.borderRadius
+            borderRadius: style.borderRadius,
+            fontSize: style.fontSize
           });
         }
         
@@ -79,9 +94,14 @@ async function analyzeSite(url) {
         if (style.boxShadow && style.boxShadow !== 'none' && el.children.length > 0) {
           cards.push({
             backgroundColor: style.backgroundColor,
+            color: style.color,
+            borderColor: style.borderColor,
+            borderWidth: style.borderWidth,
+            borderStyle: style.borderStyle,
             borderRadius: style.borderRadius,
             boxShadow: style.boxShadow,
-            padding: style.padding
+            padding: style.padding,
+            fontSize: style.fontSize
           });
         }
       });
@@ -99,14 +119,23 @@ async function analyzeSite(url) {
           margins: [...margins],
           paddings: [...paddings]
         },
+        // All sampled instances are kept so the style guide can count the variants
         components: {
-          buttons: buttons.slice(0, 5), // Limit to 5 examples
-          inputs: inputs.slice(0, 5),
-          cards: cards.slice(0, 3)
+          buttons,
+          inputs,
+          cards
         }
       };
     });
     
+    // Force hover, focus, active and disabled on buttons and inputs to record how they change
+    const interactive = [...designData.components.buttons, ...designData.components.inputs];
+    const samples = await sampleStates(page, interactive.map(item => item.index));
+    const states = new Map(samples.map(sample => [sample.index, describeStates(sample)]));
+    interactive.forEach(item => {
+      Object.assign(item, states.get(item.index) || { states: null, focusIndicator: null });
+    });
+    
     // Get page title and meta description
     const title = await page.title();
     const description = await page.$eval('meta[name="description"]', el => el.content).catch(() => '');
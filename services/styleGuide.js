@@ -1,3 +1,6 @@
+const { describeComponent, clusterVariants } = require('../src/services/componentVariants');
+const { generateStateRules } = require('../src/services/interactionStates');
+
 function buildStyleGuide(results) {
   // Aggregate all design elements from the analyzed sites
   const allColors = new Set();
@@ -45,9 +48,9 @@ function buildStyleGuide(results) {
   
   // Generate component styles
   const componentStyles = {
-    buttons: selectRepresentativeStyles(allButtons),
-    inputs: selectRepresentativeStyles(allInputs),
-    cards: selectRepresentativeStyles(allCards)
+    buttons: selectRepresentativeStyles(allButtons, 'buttons'),
+    inputs: selectRepresentativeStyles(allInputs, 'inputs'),
+    cards: selectRepresentativeStyles(allCards, 'cards')
   };
   
   // Generate CSS variables
@@ -90,20 +93,60 @@ function generateColorPalette(colors) {
   return palette;
 }
 
-function selectRepresentativeStyles(items) {
-  // Simple implementation - select unique styles based on visual properties
-  const uniqueStyles = [];
-  const seenStyles = new Set();
+function selectRepresentativeStyles(items, type) {
+  // Cluster the instances into named variants (primary, outline, ...) by their visual properties
+  const instances = items.map(item => ({
+    ...describeComponent(toLonghands(item)),
+    examples: item.text ? [{ text: item.text.trim().substring(0, 50) }] : [],
+    states: item.states,
+    focusIndicator: item.focusIndicator
+  }));
+  
+  return clusterVariants(type, instances).map(variant => {
+    const size = variant.sizes.md || {};
+    return {
+      name: variant.name,
+      count: variant.count,
+      backgroundColor: variant.styles.backgroundColor || 'transparent',
+      color: variant.styles.color,
+      borderColor: variant.styles.borderColor,
+      border: variant.styles.borderColor ? `${variant.styles.borderWidth} ${variant.styles.borderStyle} ${variant.styles.borderColor}` : 'none',
+      borderRadius: variant.styles.borderRadius,
+      boxShadow: variant.styles.boxShadow || 'none',
+      fontWeight: variant.styles.fontWeight,
+      padding: size.padding,
+      fontSize: size.fontSize,
+      sizes: variant.sizes,
+      states: variant.states,
+      focusIndicator: variant.focusIndicator
+    };
+  });
+}
+
+function toLonghands(item) {
+  // Computed styles report shorthands with one to four values
+  const sides = value => {
+    const [top, right = top, bottom = top, left = right] = (value || '').trim().split(/\s+(?![^(]*\))/);
+    return [top, right, bottom, left];
+  };
+  const longhands = {
+    'background-color': item.backgroundColor,
+    color: item.color,
+    'font-size': item.fontSize,
+    'font-weight': item.fontWeight,
+    'box-shadow': item.boxShadow,
+    'text-decoration-line': item.textDecoration,
+    'border-top-left-radius': sides(item.borderRadius)[0]
+  };
   
-  items.forEach(item => {
-    const key = JSON.stringify(item);
-    if (!seenStyles.has(key)) {
-      seenStyles.add(key);
-      uniqueStyles.push(item);
-    }
+  ['top', 'right', 'bottom', 'left'].forEach((side, index) => {
+    longhands[`padding-${side}`] = sides(item.padding)[index];
+    longhands[`border-${side}-width`] = item.borderWidth ? sides(item.borderWidth)[index] : null;
+    longhands[`border-${side}-style`] = item.borderStyle ? sides(item.borderStyle)[index] : null;
+    longhands[`border-${side}-color`] = item.borderColor ? sides(item.borderColor)[index] : null;
   });
   
-  return uniqueStyles.slice(0, 3); // Return top 3 unique styles
+  return Object.fromEntries(Object.entries(longhands).filter(([, value]) => value));
 }
 
 function generateCSSVariables(colorPalette, typographySystem) {
@@ -149,34 +192,39 @@ function generateSCSSMixins(componentStyles) {
   let mixins = `// Button Mixins\n`;
   
   // Button mixins
-  componentStyles.buttons.forEach((button, index) => {
-    mixins += `@mixin button-style-${index + 1} {\n`;
+  componentStyles.buttons.forEach(button => {
+    mixins += `@mixin button-${button.name} {\n`;
     mixins += `  background-color: ${button.backgroundColor || 'var(--color-primary)'};\n`;
     mixins += `  color: ${button.color || 'white'};\n`;
+    mixins += `  border: ${button.border};\n`;
     mixins += `  padding: ${button.padding || '0.5rem 1rem'};\n`;
     mixins += `  border-radius: ${button.borderRadius || '4px'};\n`;
     mixins += `  font-size: ${button.fontSize || 'var(--font-size-2)'};\n`;
+    mixins += `  font-weight: ${button.fontWeight};\n`;
+    mixins += generateStateRules(button.states);
     mixins += `}\n\n`;
   });
   
   // Input mixins
   mixins += `// Input Mixins\n`;
-  componentStyles.inputs.forEach((input, index) => {
-    mixins += `@mixin input-style-${index + 1} {\n`;
+  componentStyles.inputs.forEach(input => {
+    mixins += `@mixin input-${input.name} {\n`;
     mixins += `  background-color: ${input.backgroundColor || 'white'};\n`;
-    mixins += `  border: 1px solid ${input.borderColor || 'var(--color-secondary)'};\n`;
+    mixins += `  border: ${input.border};\n`;
     mixins += `  padding: ${input.padding || '0.5rem'};\n`;
     mixins += `  border-radius: ${input.borderRadius || '4px'};\n`;
+    mixins += generateStateRules(input.states);
     mixins += `}\n\n`;
   });
   
   // Card mixins
   mixins += `// Card Mixins\n`;
-  componentStyles.cards.forEach((card, index) => {
-    mixins += `@mixin card-style-${index + 1} {\n`;
+  componentStyles.cards.forEach(card => {
+    mixins += `@mixin card-${card.name} {\n`;
     mixins += `  background-color: ${card.backgroundColor || 'white'};\n`;
+    mixins += `  border: ${card.border};\n`;
     mixins += `  border-radius: ${card.borderRadius || '4px'};\n`;
-    mixins += `  box-shadow: ${card.boxShadow || '0 2px 4px rgba(0,0,0,0.1)'};\n`;
+    mixins += `  box-shadow: ${card.boxShadow};\n`;
     mixins += `  padding: ${card.padding || '1rem'};\n`;
     mixins += `}\n\n`;
   });
@@ -253,31 +301,35 @@ ${typographySystem.fontWeights.map(weight => `- ${weight}`).join('\n')}
 ## Components
 
 ### Buttons
-${componentStyles.buttons.map((button, i) => 
-  `#### Button Style ${i + 1}\n` +
+${componentStyles.buttons.map(button => 
+  `#### Button: ${button.name} (${button.count} ${button.count === 1 ? 'use' : 'uses'})\n` +
   `- Background: ${button.backgroundColor}\n` +
   `- Color: ${button.color}\n` +
-  `- Padding: ${button.padding}\n` +
+  `- Border: ${button.border}\n` +
   `- Border Radius: ${button.borderRadius}\n` +
-  `- Font Size: ${button.fontSize}`
+  `- Font Weight: ${button.fontWeight}\n` +
+  formatFocusIndicator(button.focusIndicator) +
+  formatSizes(button.sizes)
 ).join('\n\n')}
 
 ### Inputs
-${componentStyles.inputs.map((input, i) => 
-  `#### Input Style ${i + 1}\n` +
+${componentStyles.inputs.map(input => 
+  `#### Input: ${input.name} (${input.count} ${input.count === 1 ? 'use' : 'uses'})\n` +
   `- Background: ${input.backgroundColor}\n` +
-  `- Border: ${input.borderColor}\n` +
-  `- Padding: ${input.padding}\n` +
-  `- Border Radius: ${input.borderRadius}`
+  `- Border: ${input.border}\n` +
+  `- Border Radius: ${input.borderRadius}\n` +
+  formatFocusIndicator(input.focusIndicator) +
+  formatSizes(input.sizes)
 ).join('\n\n')}
 
 ### Cards
-${componentStyles.cards.map((card, i) => 
-  `#### Card Style ${i + 1}\n` +
+${componentStyles.cards.map(card => 
+  `#### Card: ${card.name} (${card.count} ${card.count === 1 ? 'use' : 'uses'})\n` +
   `- Background: ${card.backgroundColor}\n` +
+  `- Border: ${card.border}\n` +
   `- Border Radius: ${card.borderRadius}\n` +
   `- Box Shadow: ${card.boxShadow}\n` +
-  `- Padding: ${card.padding}`
+  formatSizes(card.sizes)
 ).join('\n\n')}
 
 ## CSS Variables
@@ -323,4 +375,18 @@ ${angularComponents.card}
 `;
 }
 
+function formatSizes(sizes) {
+  return Object.entries(sizes)
+    .map(([name, size]) => `- Size ${name}: font size ${size.fontSize}, padding ${size.padding} (${size.count})`)
+    .join('\n');
+}
+
+function formatFocusIndicator(indicator) {
+  if (!indicator) return '';
+  if (indicator.issue === 'missing') return `- Focus Indicator: missing, add a visible focus style\n`;
+  
+  const flag = indicator.issue ? ` (${indicator.issue}, needs 3:1)` : '';
+  return `- Focus Indicator: ${indicator.style} ${indicator.color}, ${indicator.contrast}:1${flag}\n`;
+}
+
 module.exports = { buildStyleGuide };
@@ -2,10 +2,115 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
-const { analyzeWebsite, generateStyleGuide } = require('../services/analyzer');
+const { ENGINES, VIEWPORTS, analyzeWebsite, generateStyleGuide } = require('../services/analyzer');
+const { parseCrawlOptions, crawlWebsite } = require('../services/crawler');
+const { buildStoredSprite } = require('../services/icons');
 const { authMiddleware } = require('../services/auth');
 const logger = require('../services/logger');
 
+/**
+ * Validate and normalize the analysis options of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - `{ options }`, or `{ error }` if an option is invalid
+ */
+function parseAnalysisOptions(body) {
+  const { engine, viewports, crawl } = body;
+  
+  if (engine !== undefined && !ENGINES.includes(engine)) {
+    return { error: `Invalid engine "${engine}". Expected one of: ${ENGINES.join(', ')}` };
+  }
+  
+  if (viewports !== undefined &&
+    (!Array.isArray(viewports) || viewports.length === 0 || viewports.some(name => !VIEWPORTS.includes(name)))) {
+    return { error: `Invalid viewports. Expected a non-empty array of: ${VIEWPORTS.join(', ')}` };
+  }
+  
+  try {
+    return { options: { engine, viewports, crawl: parseCrawlOptions(crawl) } };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Analyze a single page, or crawl its site when crawl mode is requested
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Analysis options from parseAnalysisOptions
+ * @returns {Promise<Object>} - Page or site-level analysis
+ */
+function analyzeTarget(url, options) {
+  if (options.crawl) {
+    return crawlWebsite(url, { ...options.crawl, engine: options.engine, viewports: options.viewports });
+  }
+  return analyzeWebsite(url, { engine: options.engine, viewports: options.viewports });
+}
+
+/**
+ * Analyze websites, one after another when a headless browser or a crawl
+ * is involved so that the work for a single request stays bounded
+ * @param {Array} urls - URLs to analyze
+ * @param {Object} options - Analysis options from parseAnalysisOptions
+ * @returns {Promise<Array>} - Website analyses
+ */
+async function analyzeWebsites(urls, options) {
+  if (!options.crawl && (!options.engine || options.engine === 'static')) {
+    return Promise.all(urls.map(url => analyzeTarget(url, options)));
+  }
+  
+  const analyses = [];
+  for (const url of urls) {
+    analyses.push(await analyzeTarget(url, options));
+  }
+  return analyses;
+}
+
+/**
+ * @route POST /api/analyze
+ * @desc Analyze one or more websites with the selected engine and generate a style guide
+ * @access Public (or Private if auth is enabled)
+ */
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { url } = req.body;
+    const urls = req.body.urls || (url ? [url] : []);
+    
+    if (!Array.isArray(urls) || urls.length === 0) {
+      logger.warn('Analyze request missing URL');
+      return res.status(400).json({ message: 'URL or URLs array is required' });
+    }
+    
+    if (urls.length > 5) {
+      logger.warn(`Analyze request with too many URLs: ${urls.length}`);
+      return res.status(400).json({ message: 'Maximum 5 URLs allowed' });
+    }
+    
+    const { options, error: optionsError } = parseAnalysisOptions(req.body);
+    if (optionsError) {
+      logger.warn(`Invalid analysis options: ${optionsError}`);
+      return res.status(400).json({ message: optionsError });
+    }
+    
+    logger.info(`Received request to analyze ${urls.join(', ')} with the ${options.engine || 'static'} engine${options.crawl ? ' in crawl mode' : ''}`);
+    
+    const analyses = await analyzeWebsites(urls, options);
+    const styleGuide = generateStyleGuide(analyses);
+    
+    return res.json({
+      success: true,
+      data: {
+        analyses,
+        styleGuide
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in /api/analyze: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route POST /api/analyze/single
  * @desc Analyze a single website
@@ -23,9 +128,15 @@ router.post('/single', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'URL is required' });
     }
     
+    const { options, error: optionsError } = parseAnalysisOptions(req.body);
+    if (optionsError) {
+      logger.warn(`Invalid analysis options: ${optionsError}`);
+      return res.status(400).json({ message: optionsError });
+    }
+    
     logger.info(`Received request to analyze website: ${url}`);
     
-    const analysis = await analyzeWebsite(url);
+    const analysis = await analyzeTarget(url, options);
     
     logger.info(`Successfully analyzed website: ${url}`);
     
@@ -62,11 +173,16 @@ router.post('/multiple', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Maximum 5 URLs allowed' });
     }
     
+    const { options, error: optionsError } = parseAnalysisOptions(req.body);
+    if (optionsError) {
+      logger.warn(`Invalid analysis options: ${optionsError}`);
+      return res.status(400).json({ message: optionsError });
+    }
+    
     logger.info(`Received request to analyze multiple websites: ${urls.join(', ')}`);
     
     // Analyze each website
-    const analysisPromises = urls.map(url => analyzeWebsite(url));
-    const analyses = await Promise.all(analysisPromises);
+    const analyses = await analyzeWebsites(urls, options);
     
     // Generate style guide
     const styleGuide = generateStyleGuide(analyses);
@@ -104,14 +220,14 @@ router.get('/status', (req, res) => {
 });
 
 /**
- * @route GET /api/analyze/download-docs/:filename
- * @desc Download the generated documentation
- * @access Public (or Private if auth is enabled)
+ * Send a file generated into the temp directory as a download
+ * @param {Object} res - Express response
+ * @param {string} filename - Requested file name
+ * @param {string} contentType - Content type of the file
+ * @param {string} label - Name of the file kind for logs and messages
  */
-router.get('/download-docs/:filename', authMiddleware, (req, res) => {
+function sendTempFile(res, filename, contentType, label) {
   try {
-    const { filename } = req.params;
-    
     // Security check to prevent directory traversal
     if (filename.includes('..') || filename.includes('/')) {
       logger.warn(`Suspicious filename requested: ${filename}`);
@@ -125,29 +241,57 @@ router.get('/download-docs/:filename', authMiddleware, (req, res) => {
     
     // Check if file exists
     if (!fs.existsSync(filePath)) {
-      logger.warn(`Documentation file not found: ${filePath}`);
+      logger.warn(`${label} file not found: ${filePath}`);
       return res.status(404).json({ 
         success: false, 
-        message: 'Documentation file not found' 
+        message: `${label} file not found` 
       });
     }
     
-    logger.info(`Sending documentation file: ${filePath}`);
+    logger.info(`Sending ${label.toLowerCase()} file: ${filePath}`);
     
     // Set headers for file download
-    res.setHeader('Content-Type', 'text/markdown');
+    res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
     
     // Stream the file to the response
     const fileStream = fs.createReadStream(filePath);
     fileStream.pipe(res);
   } catch (error) {
-    logger.error(`Error downloading documentation: ${error.message}`);
+    logger.error(`Error downloading ${label.toLowerCase()}: ${error.message}`);
     return res.status(500).json({
       success: false,
       message: error.message
     });
   }
+}
+
+/**
+ * @route GET /api/analyze/download-docs/:filename
+ * @desc Download the generated documentation
+ * @access Public (or Private if auth is enabled)
+ */
+router.get('/download-docs/:filename', authMiddleware, (req, res) => {
+  return sendTempFile(res, req.params.filename, 'text/markdown', 'Documentation');
+});
+
+/**
+ * @route GET /api/analyze/download-sprite/:id
+ * @desc Download the SVG icon sprite of a generated style guide by its `icons.spriteId`.
+ *   The sprite is rebuilt from the style guide's icon sheet when it is downloaded.
+ * @access Public (or Private if auth is enabled)
+ */
+router.get('/download-sprite/:id', authMiddleware, (req, res) => {
+  const sprite = buildStoredSprite(req.params.id);
+  if (!sprite) {
+    logger.warn(`Icon sprite not found: ${req.params.id}`);
+    return res.status(404).json({ success: false, message: 'Icon sprite not found' });
+  }
+  
+  logger.info(`Sending icon sprite ${req.params.id}`);
+  res.setHeader('Content-Type', 'image/svg+xml');
+  res.setHeader('Content-Disposition', 'attachment; filename=icon-sprite.svg');
+  return res.send(sprite);
 });
 
 module.exports = router;
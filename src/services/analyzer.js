@@ -3,40 +3,177 @@ const cheerio = require('cheerio');
 const chroma = require('chroma-js');
 const logger = require('./logger');
 const { generateDocs } = require('./docsGenerator');
+const { loadStylesheets, parseStylesheets, collectDeclarations, splitSelectorList, toStaticSelector } = require('./stylesheets');
+const { VIEWPORT_PRESETS, renderPage, computedDeclarations } = require('./renderer');
+const { extractCustomProperties, resolveDeclarations } = require('./customProperties');
+const { computeStaticStyles, resolveFontSize, parseFontShorthand } = require('./cascade');
+const { extractSpacing, inferSpacingScale } = require('./spacing');
+const { extractShapes, combineShapes, buildShapeScales } = require('./shapes');
+const { extractMotion, combineMotion, buildMotionScales } = require('./motion');
+const { describeSelector, describeElement, getColorContext, assignColorRoles, mergeColorUsage } = require('./colorRoles');
+const { measureColorAreas, clusterColors } = require('./colorClusters');
+const { buildShadeRamps, listShades } = require('./shadeRamps');
+const { matchStatus, buildStatusColors } = require('./statusColors');
+const { generateDarkTheme } = require('./darkTheme');
+const { resolveBackdrop, isLargeText, mergeColorPairs, auditContrast } = require('./contrast');
+const { detectColorSchemes, matchesColorScheme, applyThemeToggle, resolveSchemeValues, diffSchemeTokens } = require('./colorSchemes');
+const { extractBreakpoints, clusterBreakpoints, nameBreakpoints, findBreakpoint } = require('./breakpoints');
+const { ICON_SELECTOR, extractIcons, mergeIcons, buildIconSheet, storeIconSheet } = require('./icons');
+const { detectFrameworks, mergeFrameworks } = require('./frameworks');
+const { decodeUtilityClasses, mergeUtilityTokens } = require('./utilityClasses');
+const { VARIANT_PROPERTIES, isComponentInstance, describeComponent, clusterVariants, mergeComponentVariants } = require('./componentVariants');
+const { sanitizeSnippet } = require('./componentSnippets');
+const { describeStates, buildStateTokens, listFocusIssues } = require('./interactionStates');
+const { extractWebFonts, mergeWebFonts, toLoadedStack, generateFontFaceCss } = require('./fonts');
+const { inferTypeScale } = require('./typeScale');
+
+// Engines that can load a page for analysis
+const ENGINES = ['static', 'rendered', 'hybrid'];
+
+// Viewport presets a rendered page can be analyzed at, the ones it is analyzed at by default,
+// and the one its main analysis uses when it is among them
+const VIEWPORTS = Object.keys(VIEWPORT_PRESETS);
+const DEFAULT_VIEWPORTS = ['mobile', 'desktop'];
+const PRIMARY_VIEWPORT = 'desktop';
+
+// Typographic properties measured for every heading level, by style guide key
+const HEADING_PROPERTIES = {
+  fontFamily: 'font-family',
+  fontSize: 'font-size',
+  fontWeight: 'font-weight',
+  lineHeight: 'line-height',
+  letterSpacing: 'letter-spacing',
+  textTransform: 'text-transform',
+  color: 'color',
+  marginTop: 'margin-top',
+  marginBottom: 'margin-bottom'
+};
+
+// Values the renderer leaves out of computed samples because they are the default
+const COMPUTED_DEFAULTS = {
+  'line-height': 'normal',
+  'letter-spacing': 'normal',
+  'text-transform': 'none',
+  'margin-top': '0px',
+  'margin-bottom': '0px'
+};
+
+const MAX_HEADING_SAMPLES = 20;
+
+// Elements sampled to measure inherited text colors on static pages
+const MAX_TEXT_SAMPLES = 500;
+
+// Evidence needed before derived breakpoints replace the default scale
+const MIN_BREAKPOINT_RULES = 2;
+const MIN_BREAKPOINTS = 2;
+
+// Distinct non-zero steps needed before the inferred spacing scale replaces the default one
+const MIN_SPACING_STEPS = 4;
+
+// LCH chroma below which a color reads as a gray and is not a primary palette color
+const NEUTRAL_CHROMA = 10;
+
+// Components whose instances are clustered into variants, and how many instances are sampled per page
+const VARIANT_COMPONENTS = ['buttons', 'inputs', 'cards', 'links'];
+const MAX_COMPONENT_SAMPLES = 200;
+
+// Components that take keyboard focus, whose variants need a visible focus indicator
+const INTERACTIVE_COMPONENTS = ['buttons', 'inputs', 'links'];
 
 /**
  * Analyze a website and extract design elements
  * @param {string} url - The URL of the website to analyze
+ * @param {Object} options - Analysis options
+ * @param {string} options.engine - How the page is loaded: 'static' (HTML and
+ *   stylesheets over HTTP), 'rendered' (computed styles from a headless browser)
+ *   or 'hybrid' (rendered DOM plus stylesheet rules)
+ * @param {Array} options.viewports - Viewport presets (mobile, tablet, desktop, wide) the
+ *   rendered and hybrid engines sample the page at, see analyzeViewports
  * @returns {Object} - The extracted design elements
  */
-async function analyzeWebsite(url) {
+async function analyzeWebsite(url, options = {}) {
+  const engine = options.engine || 'static';
+  const viewports = options.viewports || DEFAULT_VIEWPORTS;
+  
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown analysis engine: ${engine}`);
+  }
+  if (!Array.isArray(viewports) || viewports.length === 0) {
+    throw new Error('Viewports must be a non-empty array of viewport presets');
+  }
+  const unknownViewport = viewports.find(name => !VIEWPORTS.includes(name));
+  if (unknownViewport) {
+    throw new Error(`Unknown viewport: ${unknownViewport}`);
+  }
+  
   try {
-    logger.info(`Starting analysis of website: ${url}`);
+    logger.info(`Starting ${engine} analysis of website: ${url}`);
     
-    // Fetch the website HTML
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
+    const page = engine === 'static' ? await loadStaticPage(url) : await loadRenderedPage(url, viewports);
+    const { $, stylesheets } = page;
+    
+    // Custom properties are read from the stylesheet rules for every engine,
+    // since computed styles only contain their already substituted values
+    const ruleDeclarations = collectDeclarations($, stylesheets);
+    const customProperties = extractCustomProperties(ruleDeclarations);
+    const resolvedRuleDeclarations = resolveDeclarations(ruleDeclarations, customProperties);
     
-    const html = response.data;
-    const $ = cheerio.load(html);
+    // Utility classes of Tailwind and Bootstrap encode the design decisions in their names
+    const frameworks = detectFrameworks($, stylesheets, url);
+    const { declarations: utilityDeclarations, ...utilities } = decodeUtilityClasses($, stylesheets, frameworks.css, customProperties.values);
+    
+    // Static analysis weights stylesheet rules by the elements they match,
+    // rendered analysis reads the browser's computed styles, hybrid uses both.
+    // Pages are analyzed in the light scheme; dark scheme rules are analyzed as a variant below.
+    // Utility classes without a rule in the loaded stylesheets are added from their decoded values.
+    const declarations = [
+      ...(engine !== 'rendered' ? resolvedRuleDeclarations.filter(declaration => matchesColorScheme(declaration.conditions, 'light')) : []),
+      ...(engine === 'static' ? utilityDeclarations : []),
+      ...(engine !== 'static' ? computedDeclarations(page.computed) : [])
+    ];
     
     // Extract design elements
-    const colors = extractColors($);
-    const typography = extractTypography($);
-    const components = extractComponents($);
-    const layout = analyzeLayout($);
+    const colors = extractColors($, declarations, page.computed);
+    const colorSchemes = analyzeColorSchemes(page, engine, customProperties, colors);
+    const webFonts = extractWebFonts($, stylesheets, url);
+    const typography = extractTypography($, declarations, webFonts);
+    const components = extractComponents($, declarations, page.components, page.states);
+    const icons = extractIcons($, stylesheets, url);
+    const layout = analyzeLayout($, declarations, extractBreakpoints(stylesheets, resolvedRuleDeclarations), frameworks.css);
+    const spacing = extractSpacing(declarations);
+    const shapes = extractShapes(declarations);
+    // Motion is read from the stylesheet rules for every engine as well, so that
+    // keyframes and prefers-reduced-motion overrides are seen too
+    const motion = extractMotion(resolvedRuleDeclarations, stylesheets?.keyframes);
     
     logger.info(`Completed analysis of website: ${url}`);
     
     return {
       url,
+      finalUrl: page.url,
+      engine,
+      title: $('title').first().text().trim(),
       colors,
+      colorSchemes,
       typography,
       components,
+      icons,
       layout,
+      runtimes: frameworks.runtimes,
+      utilities,
+      spacing,
+      shapes,
+      motion,
+      accessibility: {
+        contrast: auditContrast({ pairs: colors.pairs }),
+        focusIndicators: auditFocusIndicators(components)
+      },
+      tokens: customProperties.tokens,
+      stylesheets: stylesheets.sheets,
+      screenshot: page.screenshot || null,
+      screenshots: collectScreenshots(page),
+      viewports: analyzeViewports(page, $, webFonts),
+      links: extractInternalLinks($, page.url),
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -45,36 +182,257 @@ async function analyzeWebsite(url) {
   }
 }
 
+/**
+ * Load a page over HTTP together with its stylesheets
+ * @param {string} url - The URL of the page
+ * @returns {Object} - Cheerio instance, stylesheet model and the URL the page was
+ *   served from after redirects
+ */
+async function loadStaticPage(url) {
+  // Fetch the website HTML
+  const response = await axios.get(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    }
+  });
+  
+  const $ = cheerio.load(response.data);
+  
+  // Relative URLs resolve against the page the redirects ended at
+  const finalUrl = response.request?.res?.responseUrl || url;
+  
+  // Fetch linked, embedded and imported stylesheets
+  const stylesheets = await loadStylesheets($, finalUrl);
+  
+  return { $, stylesheets, url: finalUrl };
+}
+
+/**
+ * Load a page in a headless browser
+ * @param {string} url - The URL of the page
+ * @param {Array} viewports - Viewport presets to sample the page at
+ * @returns {Object} - Cheerio instance of the rendered DOM, the URL it ended at after
+ *   redirects, stylesheet model,
+ *   computed style samples, layout, captured component elements and their interactive
+ *   states, screenshot, the samples of each color scheme and the main and further
+ *   viewports with their samples
+ */
+async function loadRenderedPage(url, viewports = DEFAULT_VIEWPORTS) {
+  let stylesheets = null;
+  let schemes = null;
+  
+  // The page is analyzed at the primary viewport, and sampled again at the others
+  const primary = viewports.includes(PRIMARY_VIEWPORT) ? PRIMARY_VIEWPORT : viewports[0];
+  
+  // The color schemes are detected while the page is still open, so the browser can sample them
+  const rendered = await renderPage(url, {
+    viewport: VIEWPORT_PRESETS[primary],
+    viewports: [...new Set(viewports)]
+      .filter(name => name !== primary)
+      .map(name => ({ name, ...VIEWPORT_PRESETS[name] })),
+    colorSchemes: sheets => {
+      stylesheets = parseStylesheets(sheets);
+      schemes = detectColorSchemes(stylesheets);
+      return schemes.variants;
+    },
+    components: selectComponentCaptures
+  });
+  
+  return {
+    $: cheerio.load(rendered.html),
+    url: rendered.url || url,
+    stylesheets,
+    schemes,
+    schemeSamples: rendered.colorSchemes,
+    computed: rendered.computed,
+    layout: rendered.layout,
+    components: rendered.components,
+    states: rendered.states,
+    screenshot: rendered.screenshot,
+    viewport: { name: primary, ...VIEWPORT_PRESETS[primary] },
+    viewportSamples: rendered.viewports
+  };
+}
+
+/**
+ * Collect the screenshots of a rendered page by viewport name
+ * @param {Object} page - Loaded page from loadStaticPage or loadRenderedPage
+ * @returns {Object} - Screenshot data URLs by viewport name, empty for static pages
+ */
+function collectScreenshots(page) {
+  if (!page.viewport) return {};
+  
+  return Object.fromEntries([
+    [page.viewport.name, page.screenshot],
+    ...(page.viewportSamples || []).map(viewport => [viewport.name, viewport.screenshot])
+  ]);
+}
+
+/**
+ * Extract the typography and layout of a rendered page at every viewport it was
+ * sampled at, from the computed styles only so that the viewports compare equally
+ * @param {Object} page - Loaded page from loadStaticPage or loadRenderedPage
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} webFonts - Web fonts of the page from extractWebFonts
+ * @returns {Object} - Viewports from narrowest to widest with their size, typography
+ *   and layout, and the changes between them, see compareViewports
+ */
+function analyzeViewports(page, $, webFonts) {
+  if (!page.viewport) {
+    return { analyzed: [], changes: [] };
+  }
+  
+  const sampled = [
+    { ...page.viewport, computed: page.computed, layout: page.layout },
+    ...(page.viewportSamples || [])
+  ].sort((a, b) => a.width - b.width);
+  
+  const analyzed = sampled.map(viewport => {
+    const declarations = computedDeclarations(viewport.computed);
+    const typography = extractTypography($, declarations, webFonts);
+    
+    return {
+      name: viewport.name,
+      width: viewport.width,
+      height: viewport.height,
+      typography: {
+        fontSizes: typography.fontSizes.slice(0, 8),
+        lineHeights: typography.lineHeights.slice(0, 5),
+        headings: typography.headings
+      },
+      layout: {
+        ...viewport.layout,
+        cssUsage: analyzeLayoutDeclarations(declarations)
+      }
+    };
+  });
+  
+  return { analyzed, changes: compareViewports(analyzed) };
+}
+
+/**
+ * List the typography, navigation and grid measures that differ between viewports
+ * @param {Array} viewports - Viewports from analyzeViewports
+ * @returns {Array} - Changes with aspect (typography, navigation or grid), subject
+ *   and the value at every viewport by name
+ */
+function compareViewports(viewports) {
+  if (viewports.length < 2) return [];
+  
+  const changes = [];
+  const compare = (aspect, subject, measure) => {
+    const values = Object.fromEntries(viewports.map(viewport => [viewport.name, measure(viewport) ?? null]));
+    if (new Set(Object.values(values)).size > 1) {
+      changes.push({ aspect, subject, values });
+    }
+  };
+  
+  compare('typography', 'most used font size', viewport => viewport.typography.fontSizes[0]?.value);
+  ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(level => {
+    compare('typography', `${level} font size`, viewport => viewport.typography.headings[level]?.fontSize);
+    compare('typography', `${level} line height`, viewport => viewport.typography.headings[level]?.lineHeight);
+  });
+  compare('navigation', 'menu', viewport => viewport.layout.navigation.state);
+  compare('navigation', 'visible links', viewport => viewport.layout.navigation.links);
+  compare('grid', 'columns', viewport => viewport.layout.columns);
+  compare('grid', 'most columns', viewport => viewport.layout.maxColumns);
+  
+  return changes;
+}
+
+/**
+ * Detect the color schemes a page supports and extract the colors of each
+ * scheme other than the one the page loads in
+ * @param {Object} page - Loaded page from loadStaticPage or loadRenderedPage
+ * @param {string} engine - Analysis engine
+ * @param {Object} customProperties - Result of extractCustomProperties
+ * @param {Object} colors - Colors of the default scheme
+ * @returns {Object} - Default scheme, declared schemes and the variants with their colors and tokens
+ */
+function analyzeColorSchemes(page, engine, customProperties, colors) {
+  const { $, stylesheets } = page;
+  const schemes = page.schemes || detectColorSchemes(stylesheets);
+  
+  // Sites that are dark by default detect a light variant instead
+  const background = colors.roles.surface?.default?.value;
+  const base = background && chroma(background).luminance() < 0.2 ? 'dark' : 'light';
+  
+  const variants = schemes.variants
+    .filter(variant => variant.name !== base)
+    .map(variant => {
+      const environment = { colorScheme: variant.media ? variant.name : 'light' };
+      const $variant = applyThemeToggle($, variant.toggle);
+      
+      // Rules are matched against the toggled document, so rules scoped to the toggle apply
+      const ruleDeclarations = collectDeclarations($variant, stylesheets)
+        .filter(declaration => matchesColorScheme(declaration.conditions, environment.colorScheme));
+      const values = resolveSchemeValues(ruleDeclarations, customProperties.values, variant);
+      const samples = (page.schemeSamples || []).find(sample => sample.name === variant.name)?.computed || [];
+      
+      const declarations = [
+        ...(engine !== 'rendered' ? resolveDeclarations(ruleDeclarations, { values }) : []),
+        ...(engine !== 'static' ? computedDeclarations(samples) : [])
+      ];
+      
+      return {
+        name: variant.name,
+        mechanisms: variant.mechanisms,
+        colors: extractColors($variant, declarations, samples, environment),
+        tokens: diffSchemeTokens(customProperties.tokens.colors, values)
+      };
+    });
+  
+  return {
+    base,
+    declared: schemes.declared,
+    variants
+  };
+}
+
+/**
+ * Collect links to other pages of the same site
+ * @param {Object} $ - Cheerio instance
+ * @param {string} url - The URL of the page
+ * @returns {Array} - Unique same-origin page URLs without fragments
+ */
+function extractInternalLinks($, url) {
+  const origin = new URL(url).origin;
+  const links = new Set();
+  
+  $('a[href]').each((i, el) => {
+    try {
+      const link = new URL($(el).attr('href'), url);
+      if (link.origin !== origin) return;
+      
+      link.hash = '';
+      links.add(link.href);
+    } catch (e) {
+      // Skip malformed hrefs
+    }
+  });
+  
+  return [...links];
+}
+
 /**
  * Extract color palette from a website
  * @param {Object} $ - Cheerio instance
+ * @param {Array} declarations - Weighted style declarations
+ * @param {Array} samples - Computed style samples of a rendered page
+ * @param {Object} environment - Color scheme the static cascade is evaluated in
  * @returns {Object} - Extracted color information
  */
-function extractColors($) {
+function extractColors($, declarations = [], samples = [], environment = {}) {
   logger.debug('Extracting colors');
   
   const colorMap = new Map();
-  const colorProperties = [
-    'color', 'background-color', 'border-color', 
-    'background', 'border', 'box-shadow', 'fill', 'stroke'
-  ];
   
-  // Extract inline styles
-  $('[style]').each((i, el) => {
-    const style = $(el).attr('style');
-    colorProperties.forEach(prop => {
-      const regex = new RegExp(`${prop}:\\s*([^;]+)`, 'i');
-      const match = style?.match(regex);
-      if (match && match[1]) {
-        try {
-          const color = match[1].trim();
-          if (isValidColor(color)) {
-            colorMap.set(color, (colorMap.get(color) || 0) + 1);
-          }
-        } catch (e) {
-          // Skip invalid colors
-        }
-      }
+  // Extract colors from stylesheet and inline declarations
+  declarations.forEach(({ property, value, weight }) => {
+    if (!isColorProperty(property)) return;
+    
+    extractColorValues(value).forEach(color => {
+      colorMap.set(color, (colorMap.get(color) || 0) + weight);
     });
   });
   
@@ -86,7 +444,8 @@ function extractColors($) {
     if (fill && fill !== 'none' && fill !== 'transparent') {
       try {
         if (isValidColor(fill)) {
-          colorMap.set(fill, (colorMap.get(fill) || 0) + 1);
+          const color = normalizeColor(fill);
+          colorMap.set(color, (colorMap.get(color) || 0) + 1);
         }
       } catch (e) {
         // Skip invalid colors
@@ -96,7 +455,8 @@ function extractColors($) {
     if (stroke && stroke !== 'none' && stroke !== 'transparent') {
       try {
         if (isValidColor(stroke)) {
-          colorMap.set(stroke, (colorMap.get(stroke) || 0) + 1);
+          const color = normalizeColor(stroke);
+          colorMap.set(color, (colorMap.get(color) || 0) + 1);
         }
       } catch (e) {
         // Skip invalid colors
@@ -104,93 +464,271 @@ function extractColors($) {
     }
   });
   
-  // Extract colors from CSS classes that might contain color information
-  const colorClasses = [
-    'bg-', 'text-', 'border-', 'btn-', 'alert-', 'badge-', 
-    'table-', 'navbar-', 'list-group-item-'
-  ];
+  const usage = collectColorUsage($, declarations, environment);
   
-  $('[class]').each((i, el) => {
-    const classes = $(el).attr('class').split(/\s+/);
+  return {
+    ...categorizeColors(colorMap, measureColorAreas(samples)),
+    roles: assignColorRoles(usage),
+    usage,
+    status: collectStatusColors(declarations),
+    pairs: collectColorPairs($, declarations, samples, environment)
+  };
+}
+
+/**
+ * Collect the colors of status styles: alerts, badges, validation errors and classes
+ * like .text-danger, found by the status words in selectors, class names and custom
+ * property names
+ * @param {Array} declarations - Weighted style declarations
+ * @returns {Object} - Colors with counts by status (success, info, warning, danger),
+ *   for the statuses found
+ */
+function collectStatusColors(declarations) {
+  const found = {};
+  
+  declarations.forEach(({ property, value, weight, selector, element }) => {
+    const custom = property.startsWith('--');
+    if (!custom && !isColorProperty(property)) return;
     
-    classes.forEach(className => {
-      colorClasses.forEach(prefix => {
-        if (className.startsWith(prefix)) {
-          const colorName = className.substring(prefix.length);
-          // Add common color names
-          if (['primary', 'secondary', 'success', 'danger', 'warning', 
-               'info', 'light', 'dark', 'white', 'black', 'transparent',
-               'blue', 'indigo', 'purple', 'pink', 'red', 'orange',
-               'yellow', 'green', 'teal', 'cyan', 'gray', 'grey'].includes(colorName)) {
-            // We can't determine the exact color value from class names,
-            // but we can note that these colors are used
-            colorMap.set(`var(--${colorName})`, (colorMap.get(`var(--${colorName})`) || 0) + 1);
-          }
-        }
-      });
+    // Interaction states of status styles, like .btn-danger:hover, are not the status color
+    let names = [];
+    if (custom) {
+      names = [property];
+    } else if (selector) {
+      names = splitSelectorList(selector).filter(part => !describeSelector(part).state);
+    } else if (element) {
+      names = [element.classes.join(' ')];
+    }
+    
+    const status = names.map(matchStatus).find(Boolean);
+    if (!status) return;
+    
+    found[status] = found[status] || new Map();
+    extractColorValues(value).forEach(color => {
+      found[status].set(color, (found[status].get(color) || 0) + weight);
     });
   });
   
-  // Process the collected colors
-  const processedColors = processColors(colorMap);
+  return Object.fromEntries(
+    Object.entries(found).map(([status, colors]) => [status, sortMapByFrequency(colors)])
+  );
+}
+
+/**
+ * Track the contexts (text, surface, action, link, border, icon) every color is used in
+ * @param {Object} $ - Cheerio instance
+ * @param {Array} declarations - Weighted style declarations
+ * @param {Object} environment - Color scheme the static cascade is evaluated in
+ * @returns {Array} - Colors with their usage count per context
+ */
+function collectColorUsage($, declarations, environment = {}) {
+  const usage = [];
+  const addUsage = (value, context, count) => {
+    if (!context || !isValidColor(value)) return;
+    usage.push({ value: normalizeColor(value), contexts: { [context]: count } });
+  };
   
-  // Categorize colors
-  const luminanceMap = new Map();
-  processedColors.forEach(color => {
-    try {
-      const lum = chroma(color).luminance();
-      luminanceMap.set(color, lum);
-    } catch (e) {
-      // Skip colors that can't be processed by chroma
+  // Computed styles know the element of every value; stylesheets only know the selector
+  const computed = declarations.filter(declaration => declaration.origin === 'computed');
+  const isStatic = computed.length === 0;
+  const surfaceSelectors = new Set();
+  
+  (isStatic ? declarations : computed).forEach(declaration => {
+    const { property, value, weight, selector, element } = declaration;
+    if (!isColorProperty(property)) return;
+    
+    // Static text colors are mostly inherited, so they are measured with the cascade below
+    if (isStatic && property === 'color') return;
+    
+    let targets = [{ kind: 'element', state: null, share: 1 }];
+    if (element) {
+      targets = [{ kind: describeElement(element.tag, element.classes, element.attributes), state: null, share: 1 }];
+    } else if (selector) {
+      const parts = splitSelectorList(selector);
+      targets = parts.map(part => ({ ...describeSelector(part), part, share: 1 / parts.length }));
+    }
+    
+    // Static page and surface backgrounds are also measured with the cascade below, so a
+    // rule overridden in the current color scheme does not count. Gradients keep their colors.
+    const cascaded = isStatic && /^background(?:-color)?$/.test(property) && !/gradient\(/i.test(value);
+    if (cascaded) {
+      targets = targets.filter(({ kind, state, part }) => {
+        const context = getColorContext(property, kind, state);
+        if (!part || (context !== 'page' && context !== 'surface')) return true;
+        
+        surfaceSelectors.add(part);
+        return false;
+      });
     }
+    
+    extractColorValues(value).forEach(color => {
+      targets.forEach(({ kind, state, share }) => {
+        addUsage(color, getColorContext(property, kind, state), weight * share);
+      });
+    });
   });
   
-  // Sort by frequency and then categorize
-  const sortedColors = [...colorMap.entries()]
-    .sort((a, b) => b[1] - a[1])
-    .map(([color]) => color)
-    .filter(color => {
+  if (isStatic) {
+    const surfaces = new Set();
+    surfaceSelectors.forEach(part => {
+      const staticSelector = toStaticSelector(part);
       try {
-        chroma(color);
-        return true;
+        if (staticSelector) $(staticSelector).each((i, el) => surfaces.add(el));
       } catch (e) {
-        return false;
+        // Selector not supported by cheerio
+      }
+    });
+    
+    const surfaceElements = [...surfaces];
+    computeStaticStyles($, surfaceElements, declarations, ['background-color'], environment).forEach((style, index) => {
+      const el = $(surfaceElements[index]);
+      const context = getColorContext('background-color', describeElement(
+        surfaceElements[index].tagName,
+        (el.attr('class') || '').split(/\s+/).filter(Boolean),
+        { type: el.attr('type'), role: el.attr('role') }
+      ));
+      if (context === 'page' || context === 'surface') {
+        addUsage(style['background-color'], context, 1);
       }
     });
+    
+    const textElements = findTextElements($);
+    
+    computeStaticStyles($, textElements, declarations, ['color'], environment).forEach((style, index) => {
+      const el = $(textElements[index]);
+      const kind = describeElement(
+        textElements[index].tagName,
+        (el.attr('class') || '').split(/\s+/).filter(Boolean),
+        { type: el.attr('type'), role: el.attr('role') }
+      );
+      // Without any color rule, browsers draw text in black
+      addUsage(style.color || '#000000', getColorContext('color', kind), 1);
+    });
+  }
+  
+  return mergeColorUsage(usage);
+}
+
+/**
+ * Collect the text color and background color pairs text is drawn with
+ * @param {Object} $ - Cheerio instance
+ * @param {Array} declarations - Weighted style declarations
+ * @param {Array} samples - Computed style samples of a rendered page
+ * @param {Object} environment - Color scheme the static cascade is evaluated in
+ * @returns {Array} - Pairs with foreground, background, large text flag and count
+ */
+function collectColorPairs($, declarations, samples = [], environment = {}) {
+  const pairs = [];
+  const addPair = (color, backgrounds, fontSizePx, fontWeight) => {
+    if (!backgrounds || !isValidColor(color) || chroma(color).alpha() === 0) return;
+    
+    const background = resolveBackdrop(backgrounds);
+    if (!background) return;
+    
+    pairs.push({
+      foreground: normalizeColor(color),
+      background,
+      large: isLargeText(fontSizePx, fontWeight),
+      count: 1
+    });
+  };
+  
+  // The browser measured every text element of a rendered page
+  const textSamples = (samples || []).filter(sample => sample.text);
+  if (textSamples.length > 0) {
+    textSamples.forEach(({ text }) => addPair(text.color, text.backgrounds, text.fontSize, text.fontWeight));
+    return mergeColorPairs(pairs);
+  }
+  
+  // Static pages cascade the text elements and every ancestor their background can come from
+  const textElements = findTextElements($);
+  const elements = new Set();
+  textElements.forEach(el => {
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+      elements.add(node);
+    }
+  });
+  const list = [...elements];
+  const styles = new Map(
+    computeStaticStyles($, list, declarations, ['color', 'background-color', 'background-image', 'font-size', 'font-weight'], environment)
+      .map((style, index) => [list[index], style])
+  );
+  
+  const fontSizes = new Map();
+  const fontSizeOf = el => {
+    if (!fontSizes.has(el)) {
+      const parentSize = el.parent && el.parent.type === 'tag' ? fontSizeOf(el.parent) : undefined;
+      fontSizes.set(el, resolveFontSize(styles.get(el)['font-size'], parentSize));
+    }
+    return fontSizes.get(el);
+  };
+  
+  textElements.forEach(el => {
+    // Stack backgrounds up to the first opaque one; text over images has no measurable backdrop
+    let backgrounds = [];
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+      const style = styles.get(node);
+      if (style['background-image'] && style['background-image'] !== 'none') {
+        backgrounds = null;
+        break;
+      }
+      backgrounds.push(style['background-color']);
+      if (isValidColor(style['background-color'] || '') && chroma(style['background-color']).alpha() >= 1) break;
+    }
+    
+    const style = styles.get(el);
+    // Without any color rule, browsers draw text in black
+    addPair(style.color || '#000000', backgrounds, fontSizeOf(el), style['font-weight']);
+  });
+  
+  return mergeColorPairs(pairs);
+}
+
+/**
+ * Find the elements that directly contain text
+ * @param {Object} $ - Cheerio instance
+ * @returns {Array} - Text elements in document order, at most MAX_TEXT_SAMPLES
+ */
+function findTextElements($) {
+  return $('body, body *')
+    .filter((i, el) => !['script', 'style', 'noscript', 'template'].includes(el.tagName) &&
+      $(el).contents().toArray().some(node => node.type === 'text' && node.data.trim()))
+    .toArray()
+    .slice(0, MAX_TEXT_SAMPLES);
+}
+
+/**
+ * Categorize collected colors into palette groups from their perceptual clusters
+ * @param {Map} colorMap - Map of colors and their frequencies
+ * @param {Map} areaMap - Map of colors and their rendered area, empty for static pages
+ * @returns {Object} - Categorized cluster colors, the clusters and the color frequencies
+ */
+function categorizeColors(colorMap, areaMap = new Map()) {
+  const clusters = clusterColors(colorMap, areaMap);
+  const representatives = clusters.map(cluster => cluster.value);
   
-  // Find the most frequent colors for each category
-  const primary = sortedColors.slice(0, 3);
+  // Translucent colors are overlays and shadows whose look depends on what is behind them
+  const opaque = representatives.filter(color => chroma(color).alpha() === 1);
   
-  // Find secondary colors (different from primary)
-  const secondary = sortedColors
-    .filter(color => !primary.includes(color))
+  // The heaviest chromatic clusters are the primary colors, the next clusters the secondary colors
+  const primary = opaque
+    .filter(color => chroma(color).get('lch.c') >= NEUTRAL_CHROMA)
     .slice(0, 3);
+  const rest = opaque.filter(color => !primary.includes(color));
+  const secondary = rest.slice(0, 3);
   
   // Find accent colors (vibrant colors not in primary or secondary)
-  const accent = sortedColors
-    .filter(color => {
-      try {
-        const c = chroma(color);
-        const s = c.saturate().hex();
-        return !primary.includes(color) && 
-               !secondary.includes(color) && 
-               c.chroma() > 50; // Only vibrant colors
-      } catch (e) {
-        return false;
-      }
-    })
+  const accent = rest
+    .slice(3)
+    .filter(color => chroma(color).get('lch.c') > 50)
     .slice(0, 3);
   
   // Find neutral colors (low saturation, high or low luminance)
-  const neutral = sortedColors
+  const neutral = opaque
     .filter(color => {
-      try {
-        const c = chroma(color);
-        return c.chroma() < 30 && 
-              (c.luminance() > 0.7 || c.luminance() < 0.3);
-      } catch (e) {
-        return false;
-      }
+      const c = chroma(color);
+      return c.get('lch.c') < 30 && 
+            (c.luminance() > 0.7 || c.luminance() < 0.3);
     })
     .slice(0, 4);
   
@@ -199,7 +737,9 @@ function extractColors($) {
     secondary,
     accent,
     neutral,
-    all: processedColors
+    all: representatives,
+    clusters,
+    frequencies: sortMapByFrequency(colorMap)
   };
 }
 
@@ -224,46 +764,65 @@ function isValidColor(color) {
 }
 
 /**
- * Process and deduplicate colors
- * @param {Map} colorMap - Map of colors and their frequencies
- * @returns {Array} - Processed color array
+ * Check if a CSS property can carry a color value
+ * @param {string} property - CSS property name
+ * @returns {boolean} - Whether the property is color-bearing
+ */
+function isColorProperty(property) {
+  return property === 'color' ||
+    /-color$/.test(property) ||
+    /^(?:background|background-image|border(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?|outline|box-shadow|text-shadow|fill|stroke|text-decoration)$/.test(property);
+}
+
+/**
+ * Find all color values in a CSS value, including shorthands like
+ * `border: 1px solid #ccc` or `box-shadow: 0 1px 2px rgba(0,0,0,.2)`
+ * @param {string} value - CSS value
+ * @returns {Array} - Normalized colors
  */
-function processColors(colorMap) {
-  // Convert to array and sort by frequency
-  const colorEntries = [...colorMap.entries()];
-  colorEntries.sort((a, b) => b[1] - a[1]);
+function extractColorValues(value) {
+  if (!value) return [];
   
-  // Deduplicate similar colors
-  const uniqueColors = [];
-  const threshold = 0.15; // Similarity threshold
+  // url() and var() arguments can contain words that look like color names
+  const cleaned = value
+    .replace(/url\([^)]*\)/gi, ' ')
+    .replace(/var\([^)]*\)/gi, ' ');
   
-  for (const [color] of colorEntries) {
-    // Check if this color is too similar to any already included color
-    const isSimilar = uniqueColors.some(existingColor => {
-      try {
-        const delta = chroma.deltaE(color, existingColor);
-        return delta < threshold * 100;
-      } catch (e) {
-        return false;
-      }
-    });
-    
-    if (!isSimilar) {
-      uniqueColors.push(color);
-    }
-  }
+  const candidates = cleaned.match(
+    /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\([^)]*\)|\b[a-z]+\b/gi
+  ) || [];
   
-  return uniqueColors;
+  return candidates
+    .filter(candidate => isValidColor(candidate))
+    .map(candidate => normalizeColor(candidate));
+}
+
+/**
+ * Normalize a color to its hex notation so equal colors share one key
+ * @param {string} color - CSS color
+ * @returns {string} - Hex color (with alpha channel when translucent)
+ */
+function normalizeColor(color) {
+  try {
+    return chroma(color).hex();
+  } catch (e) {
+    return color.trim().toLowerCase();
+  }
 }
 
 /**
  * Extract typography information from a website
  * @param {Object} $ - Cheerio instance
+ * @param {Array} declarations - Weighted style declarations
+ * @param {Object} webFonts - Web font inventory from extractWebFonts
  * @returns {Object} - Extracted typography information
  */
-function extractTypography($) {
+function extractTypography($, declarations = [], webFonts = { families: [], services: [] }) {
   logger.debug('Extracting typography');
   
+  // Families the page loads, with the weight of the declarations using them
+  const loadedFamilies = new Map(webFonts.families.map(family => [family.family.toLowerCase(), 0]));
+  
   const fontFamilies = new Map();
   const fontSizes = new Map();
   const fontWeights = new Map();
@@ -322,6 +881,11 @@ function extractTypography($) {
     // Remove quotes and extra spaces
     let normalized = fontFamily.replace(/['"]/g, '').trim();
     
+    // Stacks led by a loaded web font are kept as declared
+    if (loadedFamilies.has(normalized.split(',')[0].trim().toLowerCase())) {
+      return normalized.split(',').map(name => name.trim()).join(', ');
+    }
+    
     // Check for common patterns
     for (const { pattern, normalized: norm } of fontFamilyPatterns) {
       if (pattern.test(normalized)) {
@@ -333,57 +897,41 @@ function extractTypography($) {
     return normalized;
   }
   
-  // Extract inline styles
-  $('[style]').each((i, el) => {
-    const style = $(el).attr('style');
-    
-    // Font family
-    const fontFamilyMatch = style?.match(/font-family:\s*([^;]+)/i);
-    if (fontFamilyMatch && fontFamilyMatch[1]) {
-      const fontFamily = normalizeFontFamily(fontFamilyMatch[1]);
-      fontFamilies.set(fontFamily, (fontFamilies.get(fontFamily) || 0) + 1);
-    }
-    
-    // Font size
-    const fontSizeMatch = style?.match(/font-size:\s*([^;]+)/i);
-    if (fontSizeMatch && fontSizeMatch[1]) {
-      const fontSize = fontSizeMatch[1].trim();
-      fontSizes.set(fontSize, (fontSizes.get(fontSize) || 0) + 1);
-    }
-    
-    // Font weight
-    const fontWeightMatch = style?.match(/font-weight:\s*([^;]+)/i);
-    if (fontWeightMatch && fontWeightMatch[1]) {
-      const fontWeight = fontWeightMatch[1].trim();
-      fontWeights.set(fontWeight, (fontWeights.get(fontWeight) || 0) + 1);
-    }
-    
-    // Line height
-    const lineHeightMatch = style?.match(/line-height:\s*([^;]+)/i);
-    if (lineHeightMatch && lineHeightMatch[1]) {
-      const lineHeight = lineHeightMatch[1].trim();
-      lineHeights.set(lineHeight, (lineHeights.get(lineHeight) || 0) + 1);
-    }
+  // Map typography properties to the frequency maps they feed
+  const propertyMaps = {
+    'font-family': fontFamilies,
+    'font-size': fontSizes,
+    'font-weight': fontWeights,
+    'line-height': lineHeights,
+    'letter-spacing': letterSpacings,
+    'text-transform': textTransforms,
+    'text-decoration': textDecorations,
+    'text-decoration-line': textDecorations
+  };
+  
+  const addValue = (property, value, weight) => {
+    if (!value || isGlobalKeyword(value)) return;
     
-    // Letter spacing
-    const letterSpacingMatch = style?.match(/letter-spacing:\s*([^;]+)/i);
-    if (letterSpacingMatch && letterSpacingMatch[1]) {
-      const letterSpacing = letterSpacingMatch[1].trim();
-      letterSpacings.set(letterSpacing, (letterSpacings.get(letterSpacing) || 0) + 1);
-    }
+    const normalized = property === 'font-family' ? normalizeFontFamily(value) : value;
+    const map = propertyMaps[property];
+    map.set(normalized, (map.get(normalized) || 0) + weight);
     
-    // Text transform
-    const textTransformMatch = style?.match(/text-transform:\s*([^;]+)/i);
-    if (textTransformMatch && textTransformMatch[1]) {
-      const textTransform = textTransformMatch[1].trim();
-      textTransforms.set(textTransform, (textTransforms.get(textTransform) || 0) + 1);
+    if (property === 'font-family') {
+      value.split(',').map(name => name.replace(/['"]/g, '').trim().toLowerCase())
+        .filter(name => loadedFamilies.has(name))
+        .forEach(name => loadedFamilies.set(name, loadedFamilies.get(name) + weight));
     }
-    
-    // Text decoration
-    const textDecorationMatch = style?.match(/text-decoration:\s*([^;]+)/i);
-    if (textDecorationMatch && textDecorationMatch[1]) {
-      const textDecoration = textDecorationMatch[1].trim();
-      textDecorations.set(textDecoration, (textDecorations.get(textDecoration) || 0) + 1);
+  };
+  
+  // Extract stylesheet and inline declarations
+  declarations.forEach(({ property, value, weight }) => {
+    if (property === 'font') {
+      const longhands = parseFontShorthand(value);
+      Object.entries(longhands).forEach(([longhand, longhandValue]) => {
+        addValue(longhand, longhandValue, weight);
+      });
+    } else if (propertyMaps[property]) {
+      addValue(property, value, weight);
     }
   });
   
@@ -442,18 +990,10 @@ function extractTypography($) {
     }
   });
   
-  // Extract font information from link tags (Google Fonts, etc.)
-  $('link[rel="stylesheet"]').each((i, el) => {
-    const href = $(el).attr('href');
-    if (href && href.includes('fonts.googleapis.com')) {
-      // Extract font family from Google Fonts URL
-      const fontMatch = href.match(/family=([^&:]+)/);
-      if (fontMatch && fontMatch[1]) {
-        const fontFamily = fontMatch[1].replace(/\+/g, ' ');
-        const normalizedFontFamily = normalizeFontFamily(fontFamily);
-        fontFamilies.set(normalizedFontFamily, (fontFamilies.get(normalizedFontFamily) || 0) + 10); // Give higher weight to linked fonts
-      }
-    }
+  // Families requested from font services count even before a rule uses them
+  webFonts.services.flatMap(service => service.families).forEach(({ family }) => {
+    const normalizedFontFamily = normalizeFontFamily(family);
+    fontFamilies.set(normalizedFontFamily, (fontFamilies.get(normalizedFontFamily) || 0) + 10); // Give higher weight to linked fonts
   });
   
   // Process the collected typography data
@@ -465,31 +1005,101 @@ function extractTypography($) {
     letterSpacings: sortMapByFrequency(letterSpacings),
     textTransforms: sortMapByFrequency(textTransforms),
     textDecorations: sortMapByFrequency(textDecorations),
+    webFonts: {
+      families: webFonts.families.map(family => ({ ...family, usage: loadedFamilies.get(family.family.toLowerCase()) || 0 })),
+      services: webFonts.services
+    },
     headings: {
-      h1: extractHeadingStyle($, 'h1'),
-      h2: extractHeadingStyle($, 'h2'),
-      h3: extractHeadingStyle($, 'h3'),
-      h4: extractHeadingStyle($, 'h4'),
-      h5: extractHeadingStyle($, 'h5'),
-      h6: extractHeadingStyle($, 'h6')
+      h1: extractHeadingStyle($, 'h1', declarations),
+      h2: extractHeadingStyle($, 'h2', declarations),
+      h3: extractHeadingStyle($, 'h3', declarations),
+      h4: extractHeadingStyle($, 'h4', declarations),
+      h5: extractHeadingStyle($, 'h5', declarations),
+      h6: extractHeadingStyle($, 'h6', declarations)
     }
   };
 }
 
+/**
+ * Check if a value is a CSS-wide keyword that carries no design information
+ * @param {string} value - CSS value
+ * @returns {boolean} - Whether the value is a global keyword
+ */
+function isGlobalKeyword(value) {
+  return /^(?:inherit|initial|unset|revert|revert-layer)$/i.test(value.trim());
+}
+
 /**
  * Extract heading style information
  * @param {Object} $ - Cheerio instance
  * @param {string} selector - Heading selector (h1, h2, etc.)
- * @returns {Object} - Heading style information
+ * @param {Array} declarations - Weighted style declarations
+ * @returns {Object} - Heading count and its most common typographic styles
  */
-function extractHeadingStyle($, selector) {
+function extractHeadingStyle($, selector, declarations = []) {
   const elements = $(selector);
   if (elements.length === 0) return null;
   
-  // Just return the count for now
-  return {
-    count: elements.length
-  };
+  const properties = Object.values(HEADING_PROPERTIES);
+  const values = Object.fromEntries(properties.map(property => [property, new Map()]));
+  
+  // Rendered pages report the browser's computed styles per element
+  const computed = declarations.filter(declaration =>
+    declaration.origin === 'computed' && declaration.element?.tag === selector
+  );
+  
+  if (computed.length > 0) {
+    const sampled = computed.filter(declaration => values[declaration.property]);
+    sampled.forEach(({ property, value, weight }) => {
+      values[property].set(value, (values[property].get(value) || 0) + weight);
+    });
+    
+    // Computed samples leave out properties that are at their default value
+    const sampleCount = new Set(computed.map(declaration => declaration.element)).size;
+    properties.forEach(property => {
+      const missing = sampleCount - [...values[property].values()].reduce((sum, count) => sum + count, 0);
+      if (missing > 0 && COMPUTED_DEFAULTS[property]) {
+        values[property].set(COMPUTED_DEFAULTS[property], (values[property].get(COMPUTED_DEFAULTS[property]) || 0) + missing);
+      }
+    });
+  } else {
+    // Static pages are cascaded from the stylesheets, sampling a limited number of elements
+    const styles = computeStaticStyles(
+      $,
+      elements.toArray().slice(0, MAX_HEADING_SAMPLES),
+      declarations,
+      properties
+    );
+    styles.forEach(style => {
+      properties.forEach(property => {
+        if (style[property]) {
+          values[property].set(style[property], (values[property].get(style[property]) || 0) + 1);
+        }
+      });
+    });
+  }
+  
+  const headingStyle = { count: elements.length };
+  Object.entries(HEADING_PROPERTIES).forEach(([key, property]) => {
+    const [mostCommon] = sortMapByFrequency(values[property]);
+    if (mostCommon) {
+      headingStyle[key] = normalizeHeadingValue(property, mostCommon.value);
+    }
+  });
+  
+  return headingStyle;
+}
+
+/**
+ * Normalize a measured heading style value
+ * @param {string} property - CSS property
+ * @param {string} value - Measured value
+ * @returns {string} - Value in the form used by the style guide
+ */
+function normalizeHeadingValue(property, value) {
+  if (property === 'color') return normalizeColor(value) || value;
+  if (property === 'font-weight') return { normal: '400', bold: '700' }[value.toLowerCase()] || value;
+  return value;
 }
 
 /**
@@ -506,9 +1116,12 @@ function sortMapByFrequency(map) {
 /**
  * Extract components from a website
  * @param {Object} $ - Cheerio instance
+ * @param {Array} declarations - Weighted style declarations
+ * @param {Array} captures - Elements captured by the renderer, see captureElements
+ * @param {Array} stateSamples - Interactive states of the captured elements, see sampleStates
  * @returns {Object} - Extracted component information
  */
-function extractComponents($) {
+function extractComponents($, declarations = [], captures = [], stateSamples = []) {
   logger.debug('Extracting components');
   
   // Common component selectors
@@ -521,8 +1134,9 @@ function extractComponents($) {
     modals: '[class*="modal"], [class*="dialog"]',
     tables: 'table',
     lists: 'ul, ol',
+    links: 'a[href]',
     images: 'img',
-    icons: 'i, [class*="icon"]',
+    icons: ICON_SELECTOR,
     headers: 'header, [class*="header"]',
     footers: 'footer, [class*="footer"]',
     sidebars: 'aside, [class*="sidebar"], [class*="side-bar"]'
@@ -539,9 +1153,112 @@ function extractComponents($) {
     };
   }
   
+  // Buttons, inputs, cards and links are clustered into variants by their appearance,
+  // each previewed by a screenshot and the markup of one of its instances, whose
+  // interactive states the variant takes on
+  const previews = new Map(captures.map(capture => [capture.index, {
+    screenshot: capture.screenshot,
+    boundingBox: capture.boundingBox,
+    html: sanitizeSnippet(capture.html)
+  }]));
+  const states = new Map(stateSamples.map(sample => [sample.index, describeStates(sample)]));
+  VARIANT_COMPONENTS.forEach(type => {
+    const sampled = element => ({
+      preview: previews.get(element.index) || null,
+      states: states.get(element.index)?.states || null,
+      focusIndicator: INTERACTIVE_COMPONENTS.includes(type) ? states.get(element.index)?.focusIndicator || null : null
+    });
+    components[type].variants = extractComponentVariants($, type, componentSelectors[type], declarations, sampled);
+  });
+  
   return components;
 }
 
+/**
+ * Cluster the instances of a component into variants with a size scale
+ * @param {Object} $ - Cheerio instance
+ * @param {string} type - Component type (buttons, inputs, cards or links)
+ * @param {string} selector - Selector of the component's candidate elements
+ * @param {Array} declarations - Weighted style declarations
+ * @param {Function} sampled - Returns the preview, states and focus indicator of a sampled element
+ * @returns {Array} - Variants from clusterVariants
+ */
+function extractComponentVariants($, type, selector, declarations, sampled) {
+  // Rendered pages report the browser's computed styles per element
+  if (declarations.some(declaration => declaration.origin === 'computed')) {
+    return clusterComputedVariants(type, declarations, sampled);
+  }
+  
+  // Static pages are cascaded from the stylesheets, and can only preview their markup
+  // without interactive states. The cascade leaves out :hover, :focus and :active rules,
+  // so outline and ghost buttons keep their transparent resting background.
+  const elements = $(selector).toArray()
+    .filter(el => isComponentInstance(type, {
+      tag: el.tagName.toLowerCase(),
+      classes: ($(el).attr('class') || '').split(/\s+/).filter(Boolean),
+      attributes: { type: $(el).attr('type'), role: $(el).attr('role') }
+    }))
+    .slice(0, MAX_COMPONENT_SAMPLES);
+  const styles = computeStaticStyles($, elements, declarations, VARIANT_PROPERTIES);
+  
+  return clusterVariants(type, elements.map((el, index) => ({
+    ...describeComponent(styles[index]),
+    examples: [describeComponentExample($(el))],
+    preview: { screenshot: null, boundingBox: null, html: sanitizeSnippet($.html(el)) }
+  })));
+}
+
+/**
+ * Cluster the rendered instances of a component into variants
+ * @param {string} type - Component type (buttons, inputs, cards or links)
+ * @param {Array} declarations - Weighted style declarations with computed declarations
+ * @param {Function} sampled - Returns the preview, states and focus indicator of a sampled element
+ * @returns {Array} - Variants from clusterVariants
+ */
+function clusterComputedVariants(type, declarations, sampled) {
+  const samples = new Map();
+  declarations.forEach(declaration => {
+    if (declaration.origin !== 'computed' || !isComponentInstance(type, declaration.element)) return;
+    
+    if (!samples.has(declaration.element)) {
+      samples.set(declaration.element, {});
+    }
+    samples.get(declaration.element)[declaration.property] = declaration.value;
+  });
+  
+  return clusterVariants(type, [...samples.entries()].slice(0, MAX_COMPONENT_SAMPLES).map(([element, styles]) => ({
+    ...describeComponent(styles),
+    examples: [{ tag: element.tag, classes: element.classes }],
+    ...sampled(element)
+  })));
+}
+
+/**
+ * Select the elements a rendered page captures and samples the states of: one instance of
+ * every component variant, the one whose preview clusterComputedVariants takes for the variant
+ * @param {Array} samples - Computed style samples of the page
+ * @returns {Array} - Element indices of the samples
+ */
+function selectComponentCaptures(samples) {
+  const declarations = computedDeclarations(samples);
+  
+  return VARIANT_COMPONENTS.flatMap(type =>
+    clusterComputedVariants(type, declarations, element => ({ preview: { index: element.index } }))
+      .map(variant => variant.preview.index)
+  );
+}
+
+/**
+ * Audit the focus indicators of the interactive component variants
+ * @param {Object} components - Extracted components with variants
+ * @returns {Array} - Variants whose focus indicator is missing, invisible or low in contrast
+ */
+function auditFocusIndicators(components) {
+  return listFocusIssues(Object.fromEntries(
+    INTERACTIVE_COMPONENTS.map(type => [type, components[type]?.variants || []])
+  ));
+}
+
 /**
  * Extract component examples
  * @param {Object} $ - Cheerio instance
@@ -553,27 +1270,38 @@ function extractComponentExamples($, elements) {
   
   // Take up to 3 examples
   elements.slice(0, 3).each((i, el) => {
-    const element = $(el);
-    const classes = element.attr('class') || '';
-    const id = element.attr('id') || '';
-    
-    examples.push({
-      tag: element.prop('tagName').toLowerCase(),
-      classes: classes.split(/\s+/).filter(Boolean),
-      id: id,
-      text: element.text().trim().substring(0, 50) + (element.text().length > 50 ? '...' : '')
-    });
+    examples.push(describeComponentExample($(el)));
   });
   
   return examples;
 }
 
+/**
+ * Describe a component element by its tag, classes, id and text
+ * @param {Object} element - Cheerio element
+ * @returns {Object} - Component example
+ */
+function describeComponentExample(element) {
+  const classes = element.attr('class') || '';
+  const id = element.attr('id') || '';
+  
+  return {
+    tag: element.prop('tagName').toLowerCase(),
+    classes: classes.split(/\s+/).filter(Boolean),
+    id: id,
+    text: element.text().trim().substring(0, 50) + (element.text().length > 50 ? '...' : '')
+  };
+}
+
 /**
  * Analyze layout of a website
  * @param {Object} $ - Cheerio instance
+ * @param {Array} declarations - Weighted style declarations
+ * @param {Object} breakpoints - Breakpoints extracted from media and container queries
+ * @param {Object} frameworks - CSS framework fingerprints from detectFrameworks
  * @returns {Object} - Layout analysis
  */
-function analyzeLayout($) {
+function analyzeLayout($, declarations = [], breakpoints = null, frameworks = {}) {
   logger.debug('Analyzing layout');
   
   // Layout patterns to detect
@@ -649,81 +1377,6 @@ function analyzeLayout($) {
     }
   };
   
-  // Detect CSS frameworks
-  const cssFrameworks = {
-    bootstrap: {
-      selectors: [
-        '.container',
-        '.row',
-        '.col',
-        '.navbar',
-        '.card',
-        '.btn',
-        '.alert',
-        '.badge'
-      ],
-      detected: false,
-      version: null,
-      confidence: 0
-    },
-    tailwind: {
-      selectors: [
-        '[class*="flex"]',
-        '[class*="grid"]',
-        '[class*="text-"]',
-        '[class*="bg-"]',
-        '[class*="p-"]',
-        '[class*="m-"]',
-        '[class*="w-"]',
-        '[class*="h-"]'
-      ],
-      detected: false,
-      version: null,
-      confidence: 0
-    },
-    foundation: {
-      selectors: [
-        '.grid-container',
-        '.grid-x',
-        '.cell',
-        '.button',
-        '.callout',
-        '.top-bar'
-      ],
-      detected: false,
-      version: null,
-      confidence: 0
-    },
-    bulma: {
-      selectors: [
-        '.container',
-        '.columns',
-        '.column',
-        '.navbar',
-        '.button',
-        '.notification',
-        '.box'
-      ],
-      detected: false,
-      version: null,
-      confidence: 0
-    },
-    materialize: {
-      selectors: [
-        '.container',
-        '.row',
-        '.col',
-        '.card',
-        '.btn',
-        '.navbar',
-        '.sidenav'
-      ],
-      detected: false,
-      version: null,
-      confidence: 0
-    }
-  };
-  
   // Process layout patterns
   for (const [patternName, pattern] of Object.entries(layoutPatterns)) {
     let elements = $();
@@ -763,53 +1416,12 @@ function analyzeLayout($) {
     }
   }
   
-  // Detect CSS frameworks
-  for (const [frameworkName, framework] of Object.entries(cssFrameworks)) {
-    let matchCount = 0;
-    const totalSelectors = framework.selectors.length;
-    
-    framework.selectors.forEach(selector => {
-      if ($(selector).length > 0) {
-        matchCount++;
-      }
-    });
-    
-    // Calculate confidence score (0-100)
-    const confidence = Math.round((matchCount / totalSelectors) * 100);
-    
-    framework.confidence = confidence;
-    framework.detected = confidence > 30; // Consider detected if confidence > 30%
-    
-    // Try to detect version from meta tags or comments
-    const versionComment = $('*:contains("v")').filter(function() {
-      return this.nodeType === 8 && 
-             this.nodeValue.toLowerCase().includes(frameworkName) && 
-             this.nodeValue.match(/v\d+\.\d+/);
-    });
-    
-    if (versionComment.length > 0) {
-      const versionMatch = versionComment.text().match(/v(\d+\.\d+(\.\d+)?)/);
-      if (versionMatch) {
-        framework.version = versionMatch[1];
-      }
-    }
-    
-    // Check for CSS framework links
-    $('link[rel="stylesheet"]').each((i, el) => {
-      const href = $(el).attr('href') || '';
-      if (href.toLowerCase().includes(frameworkName)) {
-        const versionMatch = href.match(/(\d+\.\d+(\.\d+)?)/);
-        if (versionMatch) {
-          framework.version = versionMatch[1];
-        }
-      }
-    });
-  }
-  
   // Analyze responsive design
   const mediaQueries = {
-    detected: false,
-    breakpoints: []
+    detected: Boolean(breakpoints && breakpoints.breakpoints.length > 0),
+    breakpoints: breakpoints ? breakpoints.breakpoints : [],
+    containerQueries: breakpoints ? breakpoints.containerQueries : [],
+    containerWidths: breakpoints ? breakpoints.containerWidths : []
   };
   
   // Check for responsive meta tag
@@ -831,10 +1443,382 @@ function analyzeLayout($) {
   
   return {
     patterns: layoutPatterns,
-    frameworks: cssFrameworks,
+    frameworks,
     responsive: mediaQueries,
-    pageStructure: pageStructure
+    pageStructure: pageStructure,
+    cssUsage: analyzeLayoutDeclarations(declarations)
+  };
+}
+
+/**
+ * Summarize layout-related declarations from stylesheets and inline styles
+ * @param {Array} declarations - Weighted style declarations
+ * @returns {Object} - Layout property usage sorted by frequency
+ */
+function analyzeLayoutDeclarations(declarations) {
+  const usage = {
+    display: new Map(),
+    position: new Map(),
+    maxWidths: new Map(),
+    gaps: new Map(),
+    zIndex: new Map(),
+    gridTemplateColumns: new Map()
   };
+  
+  const propertyUsage = {
+    'display': usage.display,
+    'position': usage.position,
+    'max-width': usage.maxWidths,
+    'gap': usage.gaps,
+    'column-gap': usage.gaps,
+    'row-gap': usage.gaps,
+    'grid-gap': usage.gaps,
+    'z-index': usage.zIndex,
+    'grid-template-columns': usage.gridTemplateColumns
+  };
+  
+  declarations.forEach(({ property, value, weight }) => {
+    const map = propertyUsage[property];
+    if (!map || isGlobalKeyword(value) || value === 'none') return;
+    
+    map.set(value, (map.get(value) || 0) + weight);
+  });
+  
+  return Object.fromEntries(
+    Object.entries(usage).map(([name, map]) => [name, sortMapByFrequency(map).slice(0, 10)])
+  );
+}
+
+/**
+ * Aggregate the analyses of several pages of one site into a single
+ * site-level analysis, recording the pages each value was found on
+ * @param {string} url - The URL the crawl started from
+ * @param {Array} analyses - Page analyses
+ * @returns {Object} - Site-level analysis with the same shape as a page analysis
+ */
+function aggregateAnalyses(url, analyses) {
+  logger.info(`Aggregating ${analyses.length} page analyses for ${url}`);
+  
+  const colors = mergeColors(analyses, analysis => analysis.colors);
+  
+  // Merge typography frequencies
+  const typographyKeys = [
+    'fontFamilies', 'fontSizes', 'fontWeights', 'lineHeights',
+    'letterSpacings', 'textTransforms', 'textDecorations'
+  ];
+  const typography = Object.fromEntries(typographyKeys.map(key => [
+    key,
+    mergeFrequencies(analyses, analysis => analysis.typography[key])
+  ]));
+  typography.webFonts = mergeWebFonts(analyses.map(analysis => analysis.typography.webFonts));
+  
+  typography.headings = {};
+  ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(level => {
+    const found = analyses.filter(analysis => analysis.typography.headings?.[level]);
+    typography.headings[level] = found.length === 0 ? null : {
+      count: found.reduce((sum, analysis) => sum + analysis.typography.headings[level].count, 0),
+      ...mergeHeadingStyles(found.map(analysis => analysis.typography.headings[level])),
+      pages: found.map(analysis => analysis.url)
+    };
+  });
+  
+  // Merge components, keeping track of the page every example came from
+  const components = {};
+  analyses.forEach(analysis => {
+    Object.entries(analysis.components).forEach(([type, component]) => {
+      if (!components[type]) {
+        components[type] = { count: 0, examples: [], pages: [] };
+      }
+      
+      components[type].count += component.count;
+      if (component.count > 0) {
+        components[type].pages.push({ url: analysis.url, count: component.count });
+      }
+      component.examples.forEach(example => {
+        components[type].examples.push({ ...example, page: analysis.url });
+      });
+    });
+  });
+  VARIANT_COMPONENTS.forEach(type => {
+    if (components[type]) {
+      components[type].variants = mergeComponentVariants(type, analyses.map(analysis => analysis.components[type]?.variants));
+    }
+  });
+  
+  return {
+    url,
+    engine: analyses[0].engine,
+    title: analyses[0].title,
+    colors,
+    colorSchemes: mergeColorSchemes(analyses),
+    typography,
+    components,
+    icons: mergeIcons(analyses.map(analysis => analysis.icons)),
+    layout: aggregateLayouts(analyses),
+    runtimes: mergeFrameworks(analyses, analysis => analysis.runtimes),
+    utilities: mergeUtilityTokens(analyses.map(analysis => analysis.utilities)),
+    spacing: inferSpacingScale(analyses.flatMap(analysis => analysis.spacing?.values || [])),
+    shapes: combineShapes(analyses.map(analysis => analysis.shapes)),
+    motion: combineMotion(analyses.map(analysis => analysis.motion)),
+    accessibility: {
+      contrast: auditContrast({ pairs: colors.pairs }),
+      focusIndicators: auditFocusIndicators(components)
+    },
+    tokens: mergeTokens(analyses),
+    stylesheets: [...new Map(
+      analyses.flatMap(analysis => analysis.stylesheets || [])
+        .map(sheet => [sheet.href || `${sheet.origin}:${sheet.rules}`, sheet])
+    ).values()],
+    screenshot: analyses[0].screenshot,
+    screenshots: analyses[0].screenshots,
+    viewports: analyses[0].viewports,
+    pages: analyses.map(analysis => ({ url: analysis.url, title: analysis.title })),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Merge the colors of several pages, re-clustering them from their summed frequencies
+ * and rendered areas
+ * @param {Array} analyses - Page analyses
+ * @param {Function} getColors - Returns the colors of an analysis, or null
+ * @returns {Object} - Merged colors
+ */
+function mergeColors(analyses, getColors) {
+  const found = analyses.filter(analysis => getColors(analysis));
+  
+  const colorMap = new Map();
+  const areaMap = new Map();
+  found.forEach(analysis => {
+    (getColors(analysis).frequencies || []).forEach(({ value, count }) => {
+      colorMap.set(value, (colorMap.get(value) || 0) + count);
+    });
+    (getColors(analysis).clusters || []).flatMap(cluster => cluster.members).forEach(({ value, area }) => {
+      if (area) areaMap.set(value, (areaMap.get(value) || 0) + area);
+    });
+  });
+  
+  const colors = categorizeColors(colorMap, areaMap);
+  colors.frequencies = mergeFrequencies(found, analysis => getColors(analysis).frequencies);
+  colors.usage = mergeColorUsage(found.flatMap(analysis => getColors(analysis).usage || []));
+  colors.roles = assignColorRoles(colors.usage);
+  colors.pairs = mergeColorPairs(found.flatMap(analysis => getColors(analysis).pairs || []));
+  colors.status = mergeStatusColors(found.map(analysis => getColors(analysis).status));
+  return colors;
+}
+
+/**
+ * Merge the status colors of several pages
+ * @param {Array} statusList - Colors with counts by status, per page
+ * @returns {Object} - Colors with summed counts by status
+ */
+function mergeStatusColors(statusList) {
+  const merged = {};
+  statusList.forEach(status => {
+    Object.entries(status || {}).forEach(([name, colors]) => {
+      merged[name] = merged[name] || new Map();
+      colors.forEach(({ value, count }) => {
+        merged[name].set(value, (merged[name].get(value) || 0) + count);
+      });
+    });
+  });
+  
+  return Object.fromEntries(
+    Object.entries(merged).map(([name, colors]) => [name, sortMapByFrequency(colors)])
+  );
+}
+
+/**
+ * Merge the color schemes of several pages
+ * @param {Array} analyses - Page analyses
+ * @returns {Object} - Most common default scheme, declared schemes and merged variants
+ */
+function mergeColorSchemes(analyses) {
+  const schemes = analyses.map(analysis => analysis.colorSchemes).filter(Boolean);
+  const bases = selectMostCommon(schemes.map(scheme => scheme.base), 1);
+  const names = [...new Set(schemes.flatMap(scheme => scheme.variants.map(variant => variant.name)))];
+  const variantOf = (analysis, name) => (analysis.colorSchemes?.variants || []).find(variant => variant.name === name);
+  
+  return {
+    base: bases[0] || 'light',
+    declared: [...new Set(schemes.flatMap(scheme => scheme.declared))],
+    variants: names.map(name => {
+      const variants = analyses.map(analysis => variantOf(analysis, name)).filter(Boolean);
+      
+      const mechanisms = new Map();
+      variants.flatMap(variant => variant.mechanisms).forEach(mechanism => {
+        const key = `${mechanism.type}:${mechanism.selector || mechanism.query}`;
+        if (!mechanisms.has(key)) {
+          mechanisms.set(key, { ...mechanism, count: 0 });
+        }
+        mechanisms.get(key).count += mechanism.count;
+      });
+      
+      return {
+        name,
+        mechanisms: [...mechanisms.values()].sort((a, b) => b.count - a.count),
+        colors: mergeColors(analyses, analysis => variantOf(analysis, name)?.colors),
+        tokens: [...new Map(variants.flatMap(variant => variant.tokens).map(token => [token.name, token])).values()],
+        pages: analyses.filter(analysis => variantOf(analysis, name)).map(analysis => analysis.url)
+      };
+    })
+  };
+}
+
+/**
+ * Merge the layout analyses of several pages
+ * @param {Array} analyses - Page analyses
+ * @returns {Object} - Merged layout analysis
+ */
+function aggregateLayouts(analyses) {
+  const layouts = analyses.map(analysis => analysis.layout);
+  
+  const patterns = {};
+  layouts.forEach(layout => {
+    Object.entries(layout.patterns).forEach(([name, pattern]) => {
+      if (!patterns[name]) {
+        patterns[name] = { ...pattern, count: 0, examples: [] };
+      }
+      patterns[name].count += pattern.count;
+      patterns[name].examples.push(...pattern.examples.slice(0, 3 - patterns[name].examples.length));
+    });
+  });
+  
+  // A framework counts as detected if any page shows it, with the strongest evidence kept
+  const frameworks = mergeFrameworks(analyses, analysis => analysis.layout.frameworks);
+  
+  const pageStructure = {
+    hasHeader: layouts.some(layout => layout.pageStructure.hasHeader),
+    hasFooter: layouts.some(layout => layout.pageStructure.hasFooter),
+    hasNavigation: layouts.some(layout => layout.pageStructure.hasNavigation),
+    hasSidebar: layouts.some(layout => layout.pageStructure.hasSidebar),
+    hasMain: layouts.some(layout => layout.pageStructure.hasMain),
+    sections: layouts.reduce((sum, layout) => sum + layout.pageStructure.sections, 0)
+  };
+  
+  const cssUsage = {};
+  Object.keys(layouts[0].cssUsage || {}).forEach(key => {
+    cssUsage[key] = mergeFrequencies(analyses, analysis => analysis.layout.cssUsage?.[key]).slice(0, 10);
+  });
+  
+  return {
+    patterns,
+    frameworks,
+    responsive: {
+      ...layouts[0].responsive,
+      detected: layouts.some(layout => layout.responsive.detected),
+      breakpoints: clusterBreakpoints(layouts.flatMap(layout => layout.responsive.breakpoints || [])),
+      containerQueries: clusterBreakpoints(layouts.flatMap(layout => layout.responsive.containerQueries || [])),
+      containerWidths: mergeContainerWidths(layouts.flatMap(layout => layout.responsive.containerWidths || []))
+    },
+    pageStructure,
+    cssUsage
+  };
+}
+
+/**
+ * Merge the measured styles of one heading level found in several analyses
+ * @param {Array} headings - Heading styles with their count
+ * @returns {Object} - Most common value per style, weighted by heading count
+ */
+function mergeHeadingStyles(headings) {
+  const merged = {};
+  
+  Object.keys(HEADING_PROPERTIES).forEach(key => {
+    const values = new Map();
+    headings.forEach(heading => {
+      if (heading[key]) {
+        values.set(heading[key], (values.get(heading[key]) || 0) + heading.count);
+      }
+    });
+    
+    const [mostCommon] = sortMapByFrequency(values);
+    if (mostCommon) {
+      merged[key] = mostCommon.value;
+    }
+  });
+  
+  return merged;
+}
+
+/**
+ * Merge container widths found on several pages
+ * @param {Array} containerWidths - Container widths with breakpoint, value and count
+ * @returns {Array} - Container widths with summed counts
+ */
+function mergeContainerWidths(containerWidths) {
+  const merged = new Map();
+  
+  containerWidths.forEach(({ breakpoint, value, count }) => {
+    const key = `${breakpoint}:${value}`;
+    const entry = merged.get(key) || { breakpoint, value, count: 0 };
+    entry.count += count;
+    merged.set(key, entry);
+  });
+  
+  return [...merged.values()].sort((a, b) => (a.breakpoint || 0) - (b.breakpoint || 0) || b.count - a.count);
+}
+
+/**
+ * Merge the custom property tokens of several analyses by name, keeping the
+ * first declared value and summing usage
+ * @param {Array} analyses - Website or page analyses
+ * @returns {Object} - Tokens by category with the URLs that declare them
+ */
+function mergeTokens(analyses) {
+  const merged = {};
+  
+  analyses.forEach(analysis => {
+    Object.entries(analysis.tokens || {}).forEach(([category, tokens]) => {
+      if (!merged[category]) {
+        merged[category] = new Map();
+      }
+      
+      tokens.forEach(token => {
+        const existing = merged[category].get(token.name);
+        if (existing) {
+          existing.usage += token.usage;
+          if (!existing.sources.includes(analysis.url)) {
+            existing.sources.push(analysis.url);
+          }
+        } else {
+          merged[category].set(token.name, { ...token, sources: [analysis.url] });
+        }
+      });
+    });
+  });
+  
+  return Object.fromEntries(
+    Object.entries(merged).map(([category, tokens]) => [
+      category,
+      [...tokens.values()].sort((a, b) => b.usage - a.usage || a.name.localeCompare(b.name))
+    ])
+  );
+}
+
+/**
+ * Merge `{ value, count }` frequency lists from several pages
+ * @param {Array} analyses - Page analyses
+ * @param {Function} getList - Returns the frequency list of an analysis
+ * @returns {Array} - Summed frequencies with the pages each value was found on
+ */
+function mergeFrequencies(analyses, getList) {
+  const merged = new Map();
+  
+  analyses.forEach(analysis => {
+    (getList(analysis) || []).forEach(({ value, count }) => {
+      if (!merged.has(value)) {
+        merged.set(value, { value, count: 0, pages: [] });
+      }
+      const entry = merged.get(value);
+      entry.count += count;
+      if (!entry.pages.includes(analysis.url)) {
+        entry.pages.push(analysis.url);
+      }
+    });
+  });
+  
+  return [...merged.values()].sort((a, b) => b.count - a.count);
 }
 
 /**
@@ -845,12 +1829,8 @@ function analyzeLayout($) {
 function generateStyleGuide(analyses) {
   logger.info(`Generating style guide from ${analyses.length} website analyses`);
   
-  // Combine colors from all analyses
-  const allColors = analyses.flatMap(analysis => analysis.colors.all || []);
-  const allPrimaryColors = analyses.flatMap(analysis => analysis.colors.primary || []);
-  const allSecondaryColors = analyses.flatMap(analysis => analysis.colors.secondary || []);
-  const allAccentColors = analyses.flatMap(analysis => analysis.colors.accent || []);
-  const allNeutralColors = analyses.flatMap(analysis => analysis.colors.neutral || []);
+  // Combine colors from all analyses, clustering them again across the sites
+  const mergedColors = mergeColors(analyses, analysis => analysis.colors);
   
   // Combine typography from all analyses
   const allFontFamilies = analyses.flatMap(analysis => analysis.typography.fontFamilies || []);
@@ -869,7 +1849,7 @@ function generateStyleGuide(analyses) {
     let detectedFramework = null;
     
     for (const [name, framework] of Object.entries(analysis.layout.frameworks)) {
-      if (framework.confidence > highestConfidence) {
+      if (framework.detected && framework.confidence > highestConfidence) {
         highestConfidence = framework.confidence;
         detectedFramework = { name, ...framework };
       }
@@ -895,98 +1875,194 @@ function generateStyleGuide(analyses) {
   }
   
   // Generate color palette
-  const colorPalette = {
-    primary: selectMostCommon(allPrimaryColors.length > 0 ? allPrimaryColors : allColors, 3),
-    secondary: selectMostCommon(allSecondaryColors.length > 0 ? allSecondaryColors : allColors.slice(3), 3),
-    accent: selectMostCommon(allAccentColors.length > 0 ? allAccentColors : allColors.slice(6), 2),
-    neutral: selectMostCommon(
-      allNeutralColors.length > 0 ? allNeutralColors : 
-      allColors.filter(c => {
-        try {
-          const color = chroma(c);
-          return color.luminance() > 0.8 || color.luminance() < 0.2;
-        } catch (e) {
-          return false;
-        }
-      }), 
-      4
-    )
+  const inferredPalette = {
+    primary: mergedColors.primary,
+    secondary: mergedColors.secondary,
+    accent: mergedColors.accent,
+    neutral: mergedColors.neutral
   };
   
-  // Generate shades for primary and secondary colors
-  const colorShades = {};
+  // Declared custom property tokens, then the theme colors named by utility classes,
+  // take precedence over colors assigned from their usage, which in turn take
+  // precedence over the heaviest color clusters
+  const tokens = mergeTokens(analyses);
+  const utilities = mergeUtilityTokens(analyses.map(analysis => analysis.utilities));
+  const tokenPalette = selectTokenPalette([...(tokens.colors || []), ...utilities.tokens.colors]);
+  const colorRoles = mergedColors.roles;
+  const rolePalette = selectRolePalette(colorRoles);
+  const colorPalette = Object.fromEntries(
+    Object.entries(inferredPalette).map(([role, colors]) => [
+      role,
+      [tokenPalette[role], rolePalette[role]].find(candidates => candidates.length > 0) || colors
+    ])
+  );
+  
+  const tokenFontFamilies = (tokens.fonts || [])
+    .map(token => ({ value: token.value, count: token.usage }));
+  const declaredFontFamilies = tokenFontFamilies.length > 0 ?
+    tokenFontFamilies :
+    selectMostCommonFromObjects(allFontFamilies, 'value', allFontFamilies.length);
+  
+  // Only stacks of fonts the sites load, or every system has, are recommended
+  const webFonts = mergeWebFonts(analyses.map(analysis => analysis.typography.webFonts));
+  const loadedFontFamilies = [...declaredFontFamilies
+    .map(font => ({ value: toLoadedStack(font.value, webFonts.families), count: font.count }))
+    .filter(font => font.value)
+    .reduce((stacks, font) => stacks.set(font.value, (stacks.get(font.value) || 0) + font.count), new Map())
+    .entries()]
+    .map(([value, count]) => ({ value, count }));
+  const fontFamilies = loadedFontFamilies.length > 0 ?
+    loadedFontFamilies.slice(0, 3) :
+    [{ value: 'system-ui, sans-serif', count: 0 }];
+  const recommendedWebFonts = selectWebFonts(webFonts, fontFamilies);
+  
+  // Breakpoints and container widths come from the sites' media queries when there is enough evidence
+  const responsiveLayout = deriveResponsiveLayout(analyses);
+  const breakpoints = responsiveLayout.breakpoints || {
+    xs: '0px',
+    sm: '576px',
+    md: '768px',
+    lg: '992px',
+    xl: '1200px',
+    xxl: '1400px'
+  };
   
-  // Generate shades for primary color
-  if (colorPalette.primary.length > 0) {
-    try {
-      const primaryBase = chroma(colorPalette.primary[0]);
-      colorShades.primary = {
-        50: primaryBase.luminance(0.95).hex(),
-        100: primaryBase.luminance(0.9).hex(),
-        200: primaryBase.luminance(0.8).hex(),
-        300: primaryBase.luminance(0.7).hex(),
-        400: primaryBase.luminance(0.6).hex(),
-        500: primaryBase.hex(), // Base color
-        600: primaryBase.luminance(0.4).hex(),
-        700: primaryBase.luminance(0.3).hex(),
-        800: primaryBase.luminance(0.2).hex(),
-        900: primaryBase.luminance(0.1).hex()
-      };
-    } catch (e) {
-      // Fallback if color manipulation fails
-      colorShades.primary = {};
-    }
-  }
+  // The font size scale snaps to the modular ratio the sites' font sizes fit best, and its
+  // fluid version spans the mobile and desktop viewports pages are analyzed at
+  const typeScale = inferTypeScale(allFontSizes, {
+    mobile: VIEWPORT_PRESETS.mobile.width,
+    desktop: VIEWPORT_PRESETS.desktop.width
+  });
+  const fontSizeScale = generateFontSizeScale(typeScale);
+  
+  // The spacing scale is built on the grid unit the sites' margins, paddings and gaps follow
+  const spacingSystem = deriveSpacingSystem(analyses);
+  const spacingScale = spacingSystem ?
+    Object.fromEntries(spacingSystem.scale.map(step => [step.name, step.rem])) :
+    generateSpacingScale();
+  
+  // Shadows, radii and border widths ranked by how often the sites use them
+  const shapeScales = buildShapeScales(combineShapes(analyses.map(analysis => analysis.shapes)));
+  const motionScales = buildMotionScales(combineMotion(analyses.map(analysis => analysis.motion)));
+  const shadows = shapeScales.shadows || {
+    sm: '0 1px 2px rgba(0, 0, 0, 0.05)',
+    md: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    lg: '0 10px 15px rgba(0, 0, 0, 0.1)',
+    xl: '0 20px 25px rgba(0, 0, 0, 0.1)',
+    inner: 'inset 0 2px 4px rgba(0, 0, 0, 0.05)'
+  };
+  const borders = {
+    radius: shapeScales.radius || {
+      sm: '0.25rem',
+      md: '0.375rem',
+      lg: '0.5rem',
+      xl: '1rem',
+      pill: '50rem'
+    },
+    width: shapeScales.width || {
+      thin: '1px',
+      medium: '2px',
+      thick: '4px'
+    },
+    style: shapeScales.style || 'solid'
+  };
   
-  // Generate shades for secondary color
-  if (colorPalette.secondary.length > 0) {
-    try {
-      const secondaryBase = chroma(colorPalette.secondary[0]);
-      colorShades.secondary = {
-        50: secondaryBase.luminance(0.95).hex(),
-        100: secondaryBase.luminance(0.9).hex(),
-        200: secondaryBase.luminance(0.8).hex(),
-        300: secondaryBase.luminance(0.7).hex(),
-        400: secondaryBase.luminance(0.6).hex(),
-        500: secondaryBase.hex(), // Base color
-        600: secondaryBase.luminance(0.4).hex(),
-        700: secondaryBase.luminance(0.3).hex(),
-        800: secondaryBase.luminance(0.2).hex(),
-        900: secondaryBase.luminance(0.1).hex()
-      };
-    } catch (e) {
-      // Fallback if color manipulation fails
-      colorShades.secondary = {};
-    }
-  }
+  // The icon sheet holds the unique SVG icons of the sites, also combined into a sprite.
+  // The sheet is kept so that the sprite can be downloaded by its id.
+  const icons = buildIconSheet(mergeIcons(analyses.map(analysis => analysis.icons)));
+  icons.spriteId = storeIconSheet(icons.sheet);
+  
+  const components = generateComponentSpecs(analyses);
+  
+  // The interactive states of the component variants become state tokens,
+  // e.g. --button-primary-hover-background-color
+  const interactive = Object.fromEntries(
+    INTERACTIVE_COMPONENTS.map(type => [type, components[type]?.variants || []])
+  );
+  const stateTokens = buildStateTokens(interactive);
+  
+  // Status colors come from the sites' alerts, badges and validation styles, otherwise
+  // they are generated to match the brand color
+  const statusColors = buildStatusColors(
+    mergedColors.status,
+    colorPalette.primary[0],
+    colorRoles.surface?.default?.value
+  );
+  const semanticColors = Object.fromEntries(
+    Object.entries(statusColors).map(([status, { value }]) => [status, value])
+  );
+  
+  // Sites without a dark scheme get one generated from the default scheme's roles
+  const colorSchemes = addGeneratedDarkScheme(deriveColorSchemes(analyses, colorRoles, tokens), {
+    brand: colorPalette.primary[0],
+    found: mergedColors.status,
+    statusColors
+  });
+  
+  // Shade ramps for the leading color of every palette role and the semantic colors
+  const shadeRamps = buildShadeRamps({
+    ...Object.fromEntries(Object.entries(colorPalette).map(([role, colors]) => [role, colors[0]])),
+    ...semanticColors
+  });
+  const colorShades = listShades(shadeRamps);
+  
+  // Audit the text colors seen on the sites and the combinations the style guide proposes
+  const contrast = auditContrast({
+    pairs: mergedColors.pairs,
+    combinations: buildContrastCombinations(colorPalette, colorRoles, statusColors)
+  });
+  
+  // Durations and easings fall back to a default scale when the sites declare no motion
+  const animations = {
+    durations: motionScales.durations || {
+      fast: '150ms',
+      normal: '300ms',
+      slow: '500ms'
+    },
+    easings: motionScales.easings || {
+      default: 'ease',
+      in: 'ease-in',
+      out: 'ease-out',
+      inOut: 'ease-in-out'
+    },
+    keyframes: motionScales.keyframes,
+    components: motionScales.components,
+    reducedMotion: motionScales.reducedMotion
+  };
   
   // Generate the style guide
   const styleGuide = {
     colors: {
       palette: colorPalette,
+      clusters: mergedColors.clusters,
+      roles: colorRoles,
       shades: colorShades,
-      semantic: {
-        success: '#28a745',
-        info: '#17a2b8',
-        warning: '#ffc107',
-        danger: '#dc3545'
-      }
+      ramps: shadeRamps,
+      semantic: semanticColors,
+      status: statusColors,
+      schemes: colorSchemes
+    },
+    accessibility: {
+      contrast,
+      focusIndicators: listFocusIssues(interactive)
     },
     typography: {
-      fontFamilies: selectMostCommonFromObjects(allFontFamilies, 'value', 3),
-      fontSizes: generateFontSizeScale(selectMostCommonFromObjects(allFontSizes, 'value')),
+      fontFamilies,
+      fontSizes: fontSizeScale,
+      typeScale,
       fontWeights: selectMostCommonFromObjects(allFontWeights, 'value', 3),
       lineHeights: generateLineHeightScale(selectMostCommonFromObjects(allLineHeights, 'value')),
       letterSpacings: selectMostCommonFromObjects(allLetterSpacings, 'value', 3),
       textTransforms: selectMostCommonFromObjects(allTextTransforms, 'value', 3),
-      headings: {
+      webFonts: recommendedWebFonts,
+      headings: selectHeadingStyles(analyses, {
         h1: { fontSize: '2.5rem', fontWeight: '700', lineHeight: '1.2', marginBottom: '0.5em' },
         h2: { fontSize: '2rem', fontWeight: '700', lineHeight: '1.2', marginBottom: '0.5em' },
         h3: { fontSize: '1.75rem', fontWeight: '700', lineHeight: '1.2', marginBottom: '0.5em' },
         h4: { fontSize: '1.5rem', fontWeight: '700', lineHeight: '1.2', marginBottom: '0.5em' },
         h5: { fontSize: '1.25rem', fontWeight: '700', lineHeight: '1.2', marginBottom: '0.5em' },
         h6: { fontSize: '1rem', fontWeight: '700', lineHeight: '1.2', marginBottom: '0.5em' }
-      },
+      }),
       paragraphs: {
         fontSize: '1rem',
         fontWeight: '400',
@@ -994,75 +2070,66 @@ function generateStyleGuide(analyses) {
         marginBottom: '1em'
       }
     },
-    components: generateComponentSpecs(analyses),
+    components,
+    states: {
+      tokens: stateTokens
+    },
+    icons,
     layout: {
       grid: {
         columns: 12,
         gutter: '1rem'
       },
-      containers: {
+      containers: responsiveLayout.containers || {
         sm: '540px',
         md: '720px',
         lg: '960px',
         xl: '1140px',
         xxl: '1320px'
       },
-      recommendedFramework: recommendedFramework
-    },
-    spacing: generateSpacingScale(),
-    breakpoints: {
-      xs: '0px',
-      sm: '576px',
-      md: '768px',
-      lg: '992px',
-      xl: '1200px',
-      xxl: '1400px'
-    },
-    shadows: {
-      sm: '0 1px 2px rgba(0, 0, 0, 0.05)',
-      md: '0 4px 6px rgba(0, 0, 0, 0.1)',
-      lg: '0 10px 15px rgba(0, 0, 0, 0.1)',
-      xl: '0 20px 25px rgba(0, 0, 0, 0.1)',
-      inner: 'inset 0 2px 4px rgba(0, 0, 0, 0.05)'
-    },
-    borders: {
-      radius: {
-        sm: '0.25rem',
-        md: '0.375rem',
-        lg: '0.5rem',
-        xl: '1rem',
-        pill: '50rem'
-      },
-      width: {
-        thin: '1px',
-        medium: '2px',
-        thick: '4px'
-      }
-    },
-    animations: {
-      durations: {
-        fast: '150ms',
-        normal: '300ms',
-        slow: '500ms'
-      },
-      easings: {
-        default: 'ease',
-        in: 'ease-in',
-        out: 'ease-out',
-        inOut: 'ease-in-out'
-      }
+      recommendedFramework: recommendedFramework,
+      frameworks: listDetectedFrameworks(mergeFrameworks(analyses, analysis => analysis.layout?.frameworks)),
+      // How the analyzed sites respond to the viewport size
+      viewports: analyses
+        .filter(analysis => analysis.viewports?.analyzed.length > 1)
+        .map(analysis => ({
+          url: analysis.url,
+          viewports: analysis.viewports.analyzed.map(({ name, width, height }) => ({ name, width, height })),
+          changes: analysis.viewports.changes
+        }))
     },
+    runtimes: listDetectedFrameworks(mergeFrameworks(analyses, analysis => analysis.runtimes)),
+    spacing: spacingScale,
+    spacingSystem,
+    breakpoints,
+    shadows,
+    borders,
+    animations,
+    tokens,
+    utilities,
     cssVariables: generateCSSVariables({
       colors: colorPalette,
       colorShades: colorShades,
-      spacing: generateSpacingScale()
+      colorRoles,
+      colorSchemes,
+      statusColors,
+      fontSizes: fontSizeScale,
+      spacing: spacingScale,
+      shadows,
+      borders,
+      animations,
+      states: stateTokens,
+      tokens
     }),
     htmlPreview: generateHTMLPreview({
       colors: colorPalette,
       typography: {
-        fontFamilies: selectMostCommonFromObjects(allFontFamilies, 'value', 2),
-        fontSizes: generateFontSizeScale(selectMostCommonFromObjects(allFontSizes, 'value'))
-      }
+        fontFamilies: fontFamilies.slice(0, 2),
+        fontSizes: fontSizeScale
+      },
+      icons: icons.sheet,
+      components,
+      colorSchemes
     })
   };
   
@@ -1074,6 +2141,270 @@ function generateStyleGuide(analyses) {
   return styleGuide;
 }
 
+/**
+ * List the foreground and background combinations a style guide proposes:
+ * text roles on the surfaces they sit on, button labels on action colors,
+ * brand colors used as text on the page background and the status color pairs
+ * @param {Object} palette - Color palette by group
+ * @param {Object} roles - Color roles from assignColorRoles
+ * @param {Object} status - Status colors from buildStatusColors
+ * @returns {Array} - Combinations with name, foreground and background
+ */
+function buildContrastCombinations(palette, roles, status) {
+  const role = name => {
+    const [group, key] = name.split('.');
+    return roles[group]?.[key]?.value || null;
+  };
+  const page = role('surface.default') || '#ffffff';
+  
+  const combinations = [];
+  const add = (name, foreground, background) => {
+    if (foreground && background) {
+      combinations.push({ name, foreground, background });
+    }
+  };
+  
+  ['text.primary', 'text.secondary', 'text.link', 'text.linkHover'].forEach(text => {
+    ['surface.default', 'surface.subtle', 'surface.input'].forEach(surface => {
+      add(`${text} on ${surface}`, role(text), role(surface));
+    });
+  });
+  ['action.primary', 'action.secondary', 'action.hover'].forEach(action => {
+    add(`text.onAction on ${action}`, role('text.onAction'), role(action));
+  });
+  add('surface.default on surface.inverse', page, role('surface.inverse'));
+  
+  // Neutral colors are mostly surfaces and borders, so only brand colors are checked as text
+  ['primary', 'secondary', 'accent'].forEach(group => {
+    (palette[group] || []).forEach((color, index) => {
+      add(`${group}-${index + 1} on surface.default`, color, page);
+    });
+  });
+  Object.entries(status).forEach(([name, { pairs }]) => {
+    Object.entries(pairs).forEach(([kind, pair]) => {
+      add(`${name} ${kind}`, pair.foreground, pair.background);
+    });
+  });
+  
+  return combinations;
+}
+
+/**
+ * Build a color token set per color scheme: the default scheme's role and
+ * declared color variables, and for every other scheme the same variables
+ * with the values the sites use in that scheme
+ * @param {Array} analyses - Website analyses
+ * @param {Object} colorRoles - Color roles of the default scheme
+ * @param {Object} tokens - Merged design tokens
+ * @returns {Object} - Default scheme, variables and roles per scheme, and how each other scheme is switched on
+ */
+function deriveColorSchemes(analyses, colorRoles, tokens) {
+  const { base, variants } = mergeColorSchemes(analyses);
+  
+  const defaultVariables = {
+    ...colorRoleVariables(colorRoles),
+    ...Object.fromEntries((tokens.colors || []).map(token => [token.name, token.value]))
+  };
+  
+  const schemes = { [base]: { roles: colorRoles, variables: defaultVariables } };
+  const switches = {};
+  
+  variants.forEach(variant => {
+    // Roles only get a value in the variant when the variant itself shows it
+    const roles = Object.fromEntries(
+      Object.entries(variant.colors.roles).map(([group, groupRoles]) => [
+        group,
+        Object.fromEntries(Object.entries(groupRoles).filter(([, role]) => !role.inferred))
+      ])
+    );
+    
+    schemes[variant.name] = {
+      roles,
+      variables: {
+        ...defaultVariables,
+        ...colorRoleVariables(roles),
+        ...Object.fromEntries(variant.tokens.map(token => [token.name, token.value]))
+      }
+    };
+    
+    const toggle = variant.mechanisms.find(mechanism => mechanism.type !== 'media');
+    switches[variant.name] = {
+      media: variant.mechanisms.some(mechanism => mechanism.type === 'media'),
+      selector: toggle ? toggle.selector : null
+    };
+  });
+  
+  return { default: base, schemes, switches };
+}
+
+/**
+ * Add a dark scheme generated from the default scheme's roles, with status color pairs
+ * for the dark page, to color schemes that have none
+ * @param {Object} colorSchemes - Color schemes from deriveColorSchemes
+ * @param {Object} options - Generation options
+ * @param {string|null} options.brand - Brand color the dark neutrals are tinted with
+ * @param {Object} options.found - Status colors found on the sites
+ * @param {Object} options.statusColors - Status colors of the default scheme
+ * @returns {Object} - Color schemes, with a generated dark scheme that lists the
+ *   contrast of its pairs when the sites have no dark scheme
+ */
+function addGeneratedDarkScheme(colorSchemes, { brand = null, found = {}, statusColors = {} }) {
+  if (colorSchemes.default === 'dark' || colorSchemes.schemes.dark) return colorSchemes;
+  
+  const theme = generateDarkTheme(colorSchemes.schemes[colorSchemes.default].roles, brand);
+  const status = buildStatusColors(found, brand, theme.roles.surface?.default?.value);
+  
+  // Status variables are only overridden where the dark page changes them
+  const lightStatus = statusColorVariables(statusColors);
+  const darkStatus = Object.fromEntries(
+    Object.entries(statusColorVariables(status)).filter(([variable, value]) => lightStatus[variable] !== value)
+  );
+  const statusPairs = Object.entries(status).flatMap(([name, { pairs }]) =>
+    Object.entries(pairs).map(([kind, pair]) => ({
+      name: `${name} ${kind}`,
+      ...pair,
+      required: 4.5,
+      passes: pair.ratio >= 4.5
+    }))
+  );
+  
+  return {
+    ...colorSchemes,
+    schemes: {
+      ...colorSchemes.schemes,
+      dark: {
+        roles: theme.roles,
+        variables: {
+          ...colorSchemes.schemes[colorSchemes.default].variables,
+          ...colorRoleVariables(theme.roles),
+          ...darkStatus
+        },
+        status,
+        contrast: [...theme.contrast, ...statusPairs],
+        generated: true
+      }
+    },
+    switches: {
+      ...colorSchemes.switches,
+      dark: { media: true, selector: '[data-theme="dark"]' }
+    }
+  };
+}
+
+/**
+ * Select heading styles measured on the analyzed sites, falling back to
+ * defaults for heading levels the sites do not use
+ * @param {Array} analyses - Website analyses
+ * @param {Object} defaults - Default styles per heading level
+ * @returns {Object} - Styles per heading level
+ */
+function selectHeadingStyles(analyses, defaults) {
+  return Object.fromEntries(
+    Object.entries(defaults).map(([level, fallback]) => {
+      const found = analyses
+        .map(analysis => analysis.typography?.headings?.[level])
+        .filter(Boolean);
+      return [level, found.length > 0 ? mergeHeadingStyles(found) : fallback];
+    })
+  );
+}
+
+/**
+ * Infer the spacing system shared by the analyzed sites
+ * @param {Array} analyses - Website analyses
+ * @returns {Object|null} - Base unit, scale with usage counts and grid deviation, or null without enough evidence
+ */
+function deriveSpacingSystem(analyses) {
+  const spacing = inferSpacingScale(analyses.flatMap(analysis => analysis.spacing?.values || []));
+  const steps = spacing.scale.filter(step => step.px > 0);
+  
+  if (!spacing.baseUnit || steps.length < MIN_SPACING_STEPS) {
+    return null;
+  }
+  
+  return {
+    baseUnit: spacing.baseUnit,
+    scale: spacing.scale,
+    deviation: spacing.deviation
+  };
+}
+
+/**
+ * Derive the breakpoint scale and container widths from the analyzed media queries
+ * @param {Array} analyses - Website analyses
+ * @returns {Object} - Named breakpoints and containers, or null where the evidence is too thin
+ */
+function deriveResponsiveLayout(analyses) {
+  const layouts = analyses.map(analysis => analysis.layout?.responsive || {});
+  
+  // A width used by a single rule is more likely a one-off fix than a breakpoint
+  const breakpoints = nameBreakpoints(
+    clusterBreakpoints(layouts.flatMap(responsive => responsive.breakpoints || []))
+      .filter(breakpoint => breakpoint.count >= MIN_BREAKPOINT_RULES)
+  );
+  if (breakpoints.length < MIN_BREAKPOINTS) {
+    return { breakpoints: null, containers: null };
+  }
+  
+  // Keep the most used container width per breakpoint
+  const containers = {};
+  mergeContainerWidths(layouts.flatMap(responsive => responsive.containerWidths || []))
+    .forEach(({ breakpoint, value }) => {
+      const name = breakpoint === null ? 'base' : findBreakpoint(breakpoints, breakpoint)?.name;
+      if (name && !containers[name]) {
+        containers[name] = value;
+      }
+    });
+  
+  return {
+    breakpoints: {
+      xs: '0px',
+      ...Object.fromEntries(breakpoints.map(breakpoint => [breakpoint.name, breakpoint.value]))
+    },
+    containers: Object.keys(containers).length > 0 ? containers : null
+  };
+}
+
+/**
+ * Build palette groups from the functional color roles
+ * @param {Object} roles - Roles from assignColorRoles
+ * @returns {Object} - Colors per palette group
+ */
+function selectRolePalette(roles) {
+  const values = (...selected) => [...new Set(selected.filter(role => role && !role.inferred).map(role => role.value))];
+  
+  return {
+    primary: values(roles.action?.primary, roles.text?.link),
+    secondary: values(roles.action?.secondary),
+    accent: [],
+    neutral: values(roles.surface?.default, roles.surface?.subtle, roles.text?.primary, roles.text?.secondary).slice(0, 4)
+  };
+}
+
+/**
+ * Assign declared color tokens to palette roles based on their names. Tokens that
+ * only carry a framework's default theme value were not found on the site and are left out.
+ * @param {Array} colorTokens - Color tokens sorted by usage
+ * @returns {Object} - Colors per palette role
+ */
+function selectTokenPalette(colorTokens) {
+  const roles = {
+    primary: { pattern: /primary|brand|main/i, count: 3 },
+    secondary: { pattern: /secondary/i, count: 3 },
+    accent: { pattern: /accent|highlight|tertiary/i, count: 2 },
+    neutral: { pattern: /gr[ae]y|neutral|slate|zinc|stone|black|white|text|body|background|bg|surface|muted/i, count: 4 }
+  };
+  
+  return Object.fromEntries(
+    Object.entries(roles).map(([role, { pattern, count }]) => {
+      const values = colorTokens
+        .filter(token => token.source !== 'default' && pattern.test(token.name))
+        .map(token => token.value);
+      return [role, [...new Set(values)].slice(0, count)];
+    })
+  );
+}
+
 /**
  * Generate a line height scale
  * @param {Array} lineHeights - Array of line heights
@@ -1105,7 +2436,7 @@ function generateLineHeightScale(lineHeights) {
  * @param {Object} styleGuide - Style guide object
  * @returns {String} - CSS variables
  */
-function generateCSSVariables({ colors, colorShades, spacing }) {
+function generateCSSVariables({ colors, colorShades, colorRoles = {}, colorSchemes = null, statusColors = {}, fontSizes = {}, spacing, shadows = {}, borders = {}, animations = null, states = [], tokens = {} }) {
   let cssVars = ':root {\n';
   
   // Add color variables
@@ -1126,21 +2457,154 @@ function generateCSSVariables({ colors, colorShades, spacing }) {
     }
   }
   
+  // Add color role variables, e.g. --color-text-primary
+  for (const [name, value] of Object.entries(colorRoleVariables(colorRoles))) {
+    cssVars += `  ${name}: ${value};\n`;
+  }
+  
+  // Add status colors and their contrasting pairs, e.g. --color-danger-on-solid
+  for (const [name, value] of Object.entries(statusColorVariables(statusColors))) {
+    cssVars += `  ${name}: ${value};\n`;
+  }
+  
+  // Add font size variables
+  for (const [key, value] of Object.entries(fontSizes)) {
+    cssVars += `  --font-size-${key}: ${value};\n`;
+  }
+  
   // Add spacing variables
   for (const [key, value] of Object.entries(spacing)) {
     cssVars += `  --spacing-${key}: ${value};\n`;
   }
   
+  // Add shadow and border variables
+  for (const [key, value] of Object.entries(shadows)) {
+    cssVars += `  --shadow-${key}: ${value};\n`;
+  }
+  for (const [key, value] of Object.entries(borders.radius || {})) {
+    cssVars += `  --radius-${key}: ${value};\n`;
+  }
+  for (const [key, value] of Object.entries(borders.width || {})) {
+    cssVars += `  --border-width-${key}: ${value};\n`;
+  }
+  
+  // Add duration and easing variables, e.g. --easing-in-out
+  for (const [key, value] of Object.entries(animations?.durations || {})) {
+    cssVars += `  --duration-${key}: ${value};\n`;
+  }
+  for (const [key, value] of Object.entries(animations?.easings || {})) {
+    cssVars += `  --easing-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${value};\n`;
+  }
+  
+  // Add the state tokens of the component variants
+  if (states.length > 0) {
+    cssVars += '\n  /* State tokens */\n';
+    states.forEach(token => {
+      cssVars += `  ${token.name}: ${token.value};\n`;
+    });
+  }
+  
+  // Add the custom properties declared by the analyzed sites under their original names
+  // Names the generated scales already define are left out so every variable is declared once
+  const declaredTokens = ['colors', 'lengths', 'fonts', 'shadows']
+    .flatMap(category => tokens[category] || [])
+    .filter(token => !cssVars.includes(`  ${token.name}:`));
+  if (declaredTokens.length > 0) {
+    cssVars += '\n  /* Declared tokens */\n';
+    declaredTokens.forEach(token => {
+      cssVars += `  ${token.name}: ${token.value};\n`;
+    });
+  }
+  
   cssVars += '}\n';
+  
+  // Override the variables that change in the other color schemes, the way the sites switch them
+  Object.entries(colorSchemes?.schemes || {})
+    .filter(([name]) => name !== colorSchemes.default)
+    .forEach(([name, scheme]) => {
+      const defaults = colorSchemes.schemes[colorSchemes.default].variables;
+      const overrides = Object.entries(scheme.variables).filter(([variable, value]) => defaults[variable] !== value);
+      if (overrides.length === 0) return;
+      
+      const declarations = indent => [`color-scheme: ${name};`, ...overrides.map(([variable, value]) => `${variable}: ${value};`)]
+        .map(line => `${indent}${line}\n`)
+        .join('');
+      const { media, selector } = colorSchemes.switches[name];
+      
+      if (media) {
+        cssVars += `\n@media (prefers-color-scheme: ${name}) {\n  :root {\n${declarations('    ')}  }\n}\n`;
+      }
+      if (selector) {
+        cssVars += `\n${selector} {\n${declarations('  ')}}\n`;
+      }
+    });
+  
+  // Shorten the durations for users who ask for reduced motion, the way the sites do
+  const reducedMotion = animations?.reducedMotion;
+  if (reducedMotion?.supported && Object.keys(animations.durations).length > 0) {
+    cssVars += '\n@media (prefers-reduced-motion: reduce) {\n  :root {\n';
+    Object.keys(animations.durations).forEach(key => {
+      cssVars += `    --duration-${key}: ${reducedMotion.duration};\n`;
+    });
+    cssVars += '  }\n}\n';
+  }
+  
   return cssVars;
 }
 
+/**
+ * Name the CSS variables of color roles, e.g. --color-text-primary
+ * @param {Object} roles - Color roles from assignColorRoles
+ * @returns {Object} - Colors by variable name
+ */
+function colorRoleVariables(roles) {
+  const variables = {};
+  for (const [group, groupRoles] of Object.entries(roles)) {
+    for (const [role, { value }] of Object.entries(groupRoles)) {
+      variables[`--color-${group}-${role.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`] = value;
+    }
+  }
+  return variables;
+}
+
+/**
+ * Name the CSS variables of status colors and their pairs, e.g. --color-danger-on-solid
+ * @param {Object} statusColors - Status colors from buildStatusColors
+ * @returns {Object} - Colors by variable name
+ */
+function statusColorVariables(statusColors) {
+  const variables = {};
+  for (const [status, { value, pairs }] of Object.entries(statusColors)) {
+    variables[`--color-${status}`] = value;
+    variables[`--color-${status}-solid`] = pairs.solid.background;
+    variables[`--color-${status}-on-solid`] = pairs.solid.foreground;
+    variables[`--color-${status}-subtle`] = pairs.subtle.background;
+    variables[`--color-${status}-on-subtle`] = pairs.subtle.foreground;
+    variables[`--color-${status}-text`] = pairs.text.foreground;
+  }
+  return variables;
+}
+
 /**
  * Generate HTML preview of the style guide
  * @param {Object} styleGuide - Style guide object
  * @returns {String} - HTML preview
  */
-function generateHTMLPreview({ colors, typography }) {
+function generateHTMLPreview({ colors, typography, icons = [], components = {}, colorSchemes = null }) {
+  // The gallery shows every variant as captured on the analyzed sites
+  const gallery = Object.entries(components)
+    .filter(([, component]) => component.variants && component.variants.length > 0)
+    .map(([type, component]) => ({ title: type.charAt(0).toUpperCase() + type.slice(1), variants: component.variants }));
+  
+  // Every color scheme is previewed in a panel that sets its variables
+  const themes = Object.entries(colorSchemes?.schemes || {}).map(([name, scheme]) => ({
+    name,
+    generated: Boolean(scheme.generated),
+    style: Object.entries(scheme.variables).map(([variable, value]) => `${variable}: ${value};`).join(' '),
+    failing: (scheme.contrast || []).filter(pair => !pair.passes).length,
+    checked: (scheme.contrast || []).length
+  }));
+  
   let html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1252,6 +2716,96 @@ function generateHTMLPreview({ colors, typography }) {
       background-color: ${colors.accent[0] || '#fd7e14'};
       border-color: ${colors.accent[0] || '#fd7e14'};
     }
+    
+    .icon-sheet {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(96px, 1fr));
+      gap: 1rem;
+    }
+    
+    .icon-tile {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 1rem 0.5rem;
+      border: 1px solid #dee2e6;
+      border-radius: 8px;
+      font-size: 0.75rem;
+      text-align: center;
+      word-break: break-word;
+    }
+    
+    .icon-tile svg {
+      width: 24px;
+      height: 24px;
+    }
+    
+    .component-gallery {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+      gap: 1rem;
+      margin-bottom: 2rem;
+    }
+    
+    .component-variant {
+      padding: 1rem;
+      border: 1px solid #dee2e6;
+      border-radius: 8px;
+      overflow: hidden;
+    }
+    
+    .component-variant img {
+      display: block;
+      max-width: 100%;
+      margin: 0.5rem 0;
+    }
+    
+    .component-variant pre {
+      max-height: 200px;
+      overflow: auto;
+      padding: 0.5rem;
+      background-color: #f8f9fa;
+      font-size: 0.75rem;
+      white-space: pre-wrap;
+      word-break: break-all;
+    }
+    
+    .theme-gallery {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+      gap: 1rem;
+    }
+    
+    .theme-panel {
+      padding: 1.5rem;
+      border: 1px solid #dee2e6;
+      border-radius: 8px;
+      background-color: var(--color-surface-default, #ffffff);
+      color: var(--color-text-primary, #212529);
+    }
+    
+    .theme-panel a {
+      color: var(--color-text-link, inherit);
+    }
+    
+    .theme-panel .theme-muted {
+      color: var(--color-text-secondary, inherit);
+    }
+    
+    .theme-panel .theme-card {
+      margin: 1rem 0;
+      padding: 1rem;
+      border: 1px solid var(--color-border-default, currentColor);
+      border-radius: 8px;
+      background-color: var(--color-surface-subtle, var(--color-surface-default, #ffffff));
+    }
+    
+    .theme-panel .button-theme {
+      color: var(--color-text-on-action, #ffffff);
+      background-color: var(--color-action-primary, ${colors.primary[0] || '#007bff'});
+      border-color: var(--color-action-primary, ${colors.primary[0] || '#007bff'});
+    }
   </style>
 </head>
 <body>
@@ -1308,8 +2862,8 @@ function generateHTMLPreview({ colors, typography }) {
       <div class="typography-sample">
         <h3>Font Families</h3>
         ${typography.fontFamilies.map(font => `
-          <div class="font-sample" style="font-family: ${font.value};">
-            <p><strong>Font Family:</strong> ${font.value}</p>
+          <div class="font-sample" style="font-family: ${escapeHtml(font.value)};">
+            <p><strong>Font Family:</strong> ${escapeHtml(font.value)}</p>
             <p>The quick brown fox jumps over the lazy dog.</p>
             <p>ABCDEFGHIJKLMNOPQRSTUVWXYZ</p>
             <p>abcdefghijklmnopqrstuvwxyz</p>
@@ -1344,13 +2898,75 @@ function generateHTMLPreview({ colors, typography }) {
         <button class="button button-accent">Accent Button</button>
       </div>
     </section>
-  </div>
+    ${themes.length > 1 ? `
+    <section>
+      <h2>Color Schemes</h2>
+      
+      <div class="theme-gallery">
+        ${themes.map(theme => `
+          <div class="theme-panel" style="color-scheme: ${theme.name}; ${theme.style}">
+            <h3>${theme.name.charAt(0).toUpperCase() + theme.name.slice(1)}${theme.generated ? ' (generated)' : ''}</h3>
+            <p>Body text on the page background with <a href="#">a link</a>.</p>
+            <div class="theme-card">
+              <p class="theme-muted">Secondary text on a subtle surface.</p>
+            </div>
+            <button class="button button-theme">Primary Action</button>
+            ${theme.checked > 0 ? `<p class="theme-muted">${theme.checked - theme.failing} of ${theme.checked} color pairs pass contrast.</p>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    </section>
+    ` : ''}
+    ${gallery.length > 0 ? `
+    <section>
+      <h2>Component Gallery</h2>
+      ${gallery.map(({ title, variants }) => `
+      <h3>${title}</h3>
+      <div class="component-gallery">
+        ${variants.map(variant => `
+          <figure class="component-variant">
+            <figcaption><strong>${variant.name}</strong> (${variant.count} ${variant.count === 1 ? 'use' : 'uses'})</figcaption>
+            ${variant.preview?.screenshot ? `<img src="${variant.preview.screenshot}" alt="${variant.name} ${title.toLowerCase()}" width="${variant.preview.boundingBox.width}">` : ''}
+            ${variant.preview?.html ? `<pre><code>${escapeHtml(variant.preview.html)}</code></pre>` : ''}
+          </figure>
+        `).join('')}
+      </div>
+      `).join('')}
+    </section>
+    ` : ''}
+    ${icons.length > 0 ? `
+    <section>
+      <h2>Icons</h2>
+      
+      <div class="icon-sheet">
+        ${icons.map(icon => `
+          <div class="icon-tile">
+            ${icon.svg}
+            <span>${escapeHtml(icon.name)}</span>
+          </div>
+        `).join('')}
+      </div>
+    </section>
+    ` : ''}  </div>
 </body>
 </html>`;
 
   return html;
 }
 
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Select the most common items from an array
  * @param {Array} items - Array of items
@@ -1395,13 +3011,62 @@ function selectMostCommonFromObjects(items, key, count = 5) {
     .map(([value, count]) => ({ value, count }));
 }
 
+/**
+ * List the detected frameworks of merged fingerprints, most certain first
+ * @param {Object} frameworks - Fingerprints by id from mergeFrameworks
+ * @returns {Array} - Detected frameworks with id, name, version, confidence and evidence
+ */
+function listDetectedFrameworks(frameworks) {
+  return Object.entries(frameworks)
+    .filter(([, framework]) => framework.detected)
+    .map(([id, { name, version, confidence, evidence }]) => ({ id, name, version, confidence, evidence }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Select the web fonts a style guide recommends, with the CSS that loads them
+ * @param {Object} webFonts - Merged web font inventory
+ * @param {Array} fontFamilies - Recommended font stacks
+ * @returns {Array} - Web fonts with their faces summarized and @font-face or @import snippets
+ */
+function selectWebFonts(webFonts, fontFamilies) {
+  const stackNames = new Set(fontFamilies.flatMap(font =>
+    font.value.split(',').map(name => name.replace(/['"]/g, '').trim().toLowerCase())
+  ));
+  
+  return webFonts.families
+    .filter(family => stackNames.has(family.family.toLowerCase()))
+    .sort((a, b) => b.usage - a.usage)
+    .map(family => {
+      // Fonts served by a font service are best loaded through its own stylesheet
+      const service = webFonts.services.find(candidate =>
+        candidate.source === family.source &&
+        (candidate.source === 'adobe' || candidate.families.some(served => served.family.toLowerCase() === family.family.toLowerCase()))
+      );
+      
+      return {
+        family: family.family,
+        source: family.source,
+        weights: family.weights,
+        styles: family.styles,
+        formats: family.formats,
+        display: family.display,
+        variable: family.variable,
+        axes: family.axes,
+        usage: family.usage,
+        fontFace: generateFontFaceCss(family),
+        import: service ? `@import url("${service.href}");` : null
+      };
+    });
+}
+
 /**
  * Generate a font size scale
- * @param {Array} fontSizes - Array of font sizes
+ * @param {Object|null} typeScale - Type scale fitted by inferTypeScale
  * @returns {Object} - Font size scale
  */
-function generateFontSizeScale(fontSizes) {
-  // Default scale if we can't extract enough information
+function generateFontSizeScale(typeScale) {
+  // Default scale if we can't extract enough information, with the step names of a fitted scale
   const defaultScale = {
     xs: '0.75rem',
     sm: '0.875rem',
@@ -1411,18 +3076,15 @@ function generateFontSizeScale(fontSizes) {
     '2xl': '1.5rem',
     '3xl': '1.875rem',
     '4xl': '2.25rem',
-    '5xl': '3rem',
-    '6xl': '3.75rem'
+    '5xl': '3rem'
   };
   
   // If we don't have enough font sizes, return the default scale
-  if (fontSizes.length < 5) {
+  if (!typeScale) {
     return defaultScale;
   }
   
-  // Try to extract a scale from the font sizes
-  // This is a simplified approach
-  return defaultScale;
+  return typeScale.scale;
 }
 
 /**
@@ -1434,7 +3096,7 @@ function generateComponentSpecs(analyses) {
   // Combine component information from all analyses
   const componentTypes = [
     'buttons', 'forms', 'inputs', 'navigation', 
-    'cards', 'modals', 'tables', 'lists'
+    'cards', 'modals', 'tables', 'lists', 'links'
   ];
   
   const componentSpecs = {};
@@ -1445,11 +3107,17 @@ function generateComponentSpecs(analyses) {
       analysis.components[type]?.examples || []
     );
     
-    // Generate specs based on examples
+    // Variants are clustered again across the sites
+    const variants = VARIANT_COMPONENTS.includes(type) ?
+      mergeComponentVariants(type, analyses.map(analysis => analysis.components[type]?.variants)) :
+      [];
+    
+    // Generate specs based on examples and variants
     componentSpecs[type] = {
       count: analyses.reduce((sum, analysis) => sum + (analysis.components[type]?.count || 0), 0),
       examples: allExamples.slice(0, 3),
-      angularComponent: generateAngularComponentSpec(type, allExamples)
+      variants,
+      angularComponent: generateAngularComponentSpec(type, variants)
     };
   });
   
@@ -1459,21 +3127,37 @@ function generateComponentSpecs(analyses) {
 /**
  * Generate Angular component specification
  * @param {string} type - Component type
- * @param {Array} examples - Component examples
+ * @param {Array} variants - Variants found on the analyzed sites, most used first
  * @returns {Object} - Angular component specification
  */
-function generateAngularComponentSpec(type, examples) {
-  // This is a simplified approach
-  // In a real implementation, we would analyze the examples more thoroughly
-  
+function generateAngularComponentSpec(type, variants = []) {
   const componentName = type.charAt(0).toUpperCase() + type.slice(1, -1);
   
+  // Components with clustered variants take exactly the variants and sizes the sites use
+  const sizes = ['sm', 'md', 'lg'].filter(size => variants.some(variant => variant.sizes[size]));
+  const variantInput = variants.length > 0 ?
+    {
+      name: 'variant',
+      type: variants.map(variant => `'${variant.name}'`).join(' | '),
+      default: variants[0].name,
+      description: `Component variant, as found on the analyzed sites: ${variants.map(variant => `${variant.name} (${variant.count} ${variant.count === 1 ? 'use' : 'uses'})`).join(', ')}`
+    } :
+    { name: 'variant', type: 'string', description: 'Component variant (primary, secondary, etc.)' };
+  const sizeInput = sizes.length > 0 ?
+    {
+      name: 'size',
+      type: sizes.map(size => `'${size}'`).join(' | '),
+      default: sizes.includes('md') ? 'md' : sizes[0],
+      description: 'Component size, as found on the analyzed sites'
+    } :
+    { name: 'size', type: 'string', description: 'Component size (sm, md, lg, etc.)' };
+  
   return {
     selector: `app-${type.slice(0, -1)}`,
     componentName: `${componentName}Component`,
     inputs: [
-      { name: 'variant', type: 'string', description: 'Component variant (primary, secondary, etc.)' },
-      { name: 'size', type: 'string', description: 'Component size (sm, md, lg, etc.)' },
+      variantInput,
+      sizeInput,
       { name: 'disabled', type: 'boolean', description: 'Whether the component is disabled' }
     ],
     outputs: [
@@ -1483,7 +3167,7 @@ function generateAngularComponentSpec(type, examples) {
 }
 
 /**
- * Generate a spacing scale
+ * Generate the default spacing scale, used when the analyzed sites do not follow a clear grid
  * @returns {Object} - Spacing scale
  */
 function generateSpacingScale() {
@@ -1510,6 +3194,9 @@ function generateSpacingScale() {
 }
 
 module.exports = {
+  ENGINES,
+  VIEWPORTS,
   analyzeWebsite,
+  aggregateAnalyses,
   generateStyleGuide
 };
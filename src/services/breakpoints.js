@@ -0,0 +1,240 @@
+// Values within this distance (in px, or relative to the value) belong to the same breakpoint
+const CLUSTER_TOLERANCE_PX = 8;
+const CLUSTER_TOLERANCE_RATIO = 0.02;
+
+// Viewport widths outside this range are hacks or device targeting, not layout breakpoints
+const MIN_VIEWPORT_WIDTH = 200;
+const MAX_VIEWPORT_WIDTH = 4000;
+
+// Conventional breakpoint names and the widths they usually stand for
+const BREAKPOINT_NAMES = [
+  { name: 'sm', width: 576 },
+  { name: 'md', width: 768 },
+  { name: 'lg', width: 992 },
+  { name: 'xl', width: 1200 },
+  { name: 'xxl', width: 1400 }
+];
+
+// Selectors of elements that constrain the page content width
+const CONTAINER_SELECTOR = /\.(?:[\w-]*container[\w-]*|[\w-]*wrapper|wrap|page-width|site-width)(?![\w-])/i;
+
+/**
+ * Extract breakpoints from the @media and @container queries of a page's
+ * stylesheets, and the content container widths used at each breakpoint
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @param {Array} declarations - Weighted style declarations
+ * @returns {Object} - Media breakpoints, container query sizes and container widths
+ */
+function extractBreakpoints(stylesheets, declarations = []) {
+  const mediaWidths = [];
+  const containerSizes = [];
+
+  (stylesheets?.rules || []).forEach(rule => {
+    // Every rule counts once per width, however many queries mention it
+    const ruleMedia = new Set();
+    const ruleContainers = new Set();
+
+    rule.conditions.forEach(condition => {
+      if (condition.name === 'media') {
+        parseWidthQuery(condition.params)
+          .filter(({ px }) => px >= MIN_VIEWPORT_WIDTH && px <= MAX_VIEWPORT_WIDTH)
+          .forEach(({ px }) => ruleMedia.add(px));
+      } else if (condition.name === 'container') {
+        parseWidthQuery(condition.params).forEach(({ px }) => ruleContainers.add(px));
+      }
+    });
+
+    ruleMedia.forEach(px => mediaWidths.push({ px, count: 1 }));
+    ruleContainers.forEach(px => containerSizes.push({ px, count: 1 }));
+  });
+
+  return {
+    breakpoints: clusterBreakpoints(mediaWidths),
+    containerQueries: clusterBreakpoints(containerSizes),
+    containerWidths: extractContainerWidths(declarations)
+  };
+}
+
+/**
+ * Parse the width conditions of a media or container query
+ * @param {string} params - Query parameters, e.g. "screen and (min-width: 768px)"
+ * @returns {Array} - Bounds as { bound: 'min'|'max', px }, where a max bound is
+ * the breakpoint width the range ends before
+ */
+function parseWidthQuery(params) {
+  const bounds = [];
+
+  for (const match of params.matchAll(/\(([^()]*)\)/g)) {
+    const feature = match[1].trim().toLowerCase();
+
+    // Legacy syntax: (min-width: 768px), (max-width: 767.98px)
+    const legacy = feature.match(/^(min|max)-(?:device-)?(?:width|inline-size)\s*:\s*([\d.]+)(px|em|rem)$/);
+    if (legacy) {
+      const px = toPx(legacy[2], legacy[3]);
+      bounds.push(legacy[1] === 'min' ? { bound: 'min', px } : { bound: 'max', px: inclusiveMaxToBreakpoint(px) });
+      continue;
+    }
+
+    // Range syntax: (width >= 768px), (768px <= width < 1024px)
+    const range = feature.match(/^(?:([\d.]+)(px|em|rem)\s*([<>]=?)\s*)?(?:device-)?(?:width|inline-size)(?:\s*([<>]=?)\s*([\d.]+)(px|em|rem))?$/);
+    if (!range) continue;
+
+    if (range[1]) {
+      const px = toPx(range[1], range[2]);
+      // "768px <= width" is a lower bound, "1024px >= width" an upper bound
+      if (range[3].startsWith('<')) {
+        bounds.push({ bound: 'min', px });
+      } else {
+        bounds.push({ bound: 'max', px: range[3] === '>' ? px : inclusiveMaxToBreakpoint(px) });
+      }
+    }
+    if (range[5]) {
+      const px = toPx(range[5], range[6]);
+      // "width >= 768px" is a lower bound, "width < 768px" ends right at the breakpoint
+      if (range[4].startsWith('>')) {
+        bounds.push({ bound: 'min', px });
+      } else {
+        bounds.push({ bound: 'max', px: range[4] === '<' ? px : inclusiveMaxToBreakpoint(px) });
+      }
+    }
+  }
+
+  return bounds.filter(({ px }) => px > 0);
+}
+
+/**
+ * Convert a length to px, assuming the default 16px root font size
+ * @param {string} number - Numeric part
+ * @param {string} unit - px, em or rem
+ * @returns {number} - Width in px
+ */
+function toPx(number, unit) {
+  const value = parseFloat(number) * (unit === 'px' ? 1 : 16);
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Map an inclusive upper bound to the breakpoint it ends at. Sites write
+ * max-width: 767px or 767.98px for the range below a 768px breakpoint.
+ * @param {number} px - Inclusive max width
+ * @returns {number} - Breakpoint width
+ */
+function inclusiveMaxToBreakpoint(px) {
+  return Number.isInteger(px) && px % 2 === 0 ? px : Math.floor(px) + 1;
+}
+
+/**
+ * Cluster nearby widths into breakpoints
+ * @param {Array} widths - Widths with px and count
+ * @returns {Array} - Breakpoints sorted by width, each with value, px and count
+ */
+function clusterBreakpoints(widths) {
+  const totals = new Map();
+  widths.forEach(({ px, count }) => {
+    const rounded = Math.round(px);
+    totals.set(rounded, (totals.get(rounded) || 0) + count);
+  });
+
+  const clusters = [];
+  [...totals.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([px, count]) => {
+      const current = clusters[clusters.length - 1];
+      const tolerance = Math.max(CLUSTER_TOLERANCE_PX, px * CLUSTER_TOLERANCE_RATIO);
+
+      if (current && px - current.max <= tolerance) {
+        current.max = px;
+        current.count += count;
+        // The most used width represents the cluster
+        if (count > current.bestCount) {
+          current.px = px;
+          current.bestCount = count;
+        }
+      } else {
+        clusters.push({ px, max: px, count, bestCount: count });
+      }
+    });
+
+  return clusters.map(({ px, count }) => ({ value: `${px}px`, px, count }));
+}
+
+/**
+ * Find the max-width of content containers, per media breakpoint
+ * @param {Array} declarations - Weighted style declarations
+ * @returns {Array} - Container widths with the min-width breakpoint they apply from
+ */
+function extractContainerWidths(declarations) {
+  const widths = new Map();
+
+  declarations.forEach(declaration => {
+    const { property, value, selector, weight } = declaration;
+    if (property !== 'max-width' || !selector || !CONTAINER_SELECTOR.test(selector)) return;
+
+    const length = value.match(/^([\d.]+)(px|rem|em)$/i);
+    if (!length) return;
+
+    // The container width applies from the innermost min-width breakpoint
+    const minWidths = (declaration.conditions || [])
+      .filter(condition => condition.name === 'media')
+      .flatMap(condition => parseWidthQuery(condition.params))
+      .filter(({ bound }) => bound === 'min')
+      .map(({ px }) => px);
+    const breakpoint = minWidths.length > 0 ? Math.round(Math.max(...minWidths)) : null;
+
+    const px = Math.round(toPx(length[1], length[2].toLowerCase()));
+    const key = `${breakpoint}:${px}`;
+    const entry = widths.get(key) || { breakpoint, value: `${px}px`, count: 0 };
+    entry.count += weight;
+    widths.set(key, entry);
+  });
+
+  return [...widths.values()].sort((a, b) => (a.breakpoint || 0) - (b.breakpoint || 0) || b.count - a.count);
+}
+
+/**
+ * Assign conventional names (sm, md, lg, xl, xxl) to breakpoints, choosing
+ * for each the name whose usual width is closest while keeping their order
+ * @param {Array} breakpoints - Breakpoints sorted by width
+ * @returns {Array} - Breakpoints with a name
+ */
+function nameBreakpoints(breakpoints) {
+  // Keep the most used breakpoints when there are more than names
+  const selected = [...breakpoints]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, BREAKPOINT_NAMES.length)
+    .sort((a, b) => a.px - b.px);
+
+  let next = 0;
+  return selected.map((breakpoint, index) => {
+    // Leave enough names for the breakpoints still to come
+    const last = BREAKPOINT_NAMES.length - (selected.length - index);
+    let best = next;
+    for (let i = next; i <= last; i++) {
+      if (Math.abs(BREAKPOINT_NAMES[i].width - breakpoint.px) < Math.abs(BREAKPOINT_NAMES[best].width - breakpoint.px)) {
+        best = i;
+      }
+    }
+    next = best + 1;
+
+    return { ...breakpoint, name: BREAKPOINT_NAMES[best].name };
+  });
+}
+
+/**
+ * Find the breakpoint a width belongs to
+ * @param {Array} breakpoints - Breakpoints with px
+ * @param {number} px - Width in px
+ * @returns {Object|null} - Matching breakpoint
+ */
+function findBreakpoint(breakpoints, px) {
+  const tolerance = Math.max(CLUSTER_TOLERANCE_PX, px * CLUSTER_TOLERANCE_RATIO);
+  return breakpoints.find(breakpoint => Math.abs(breakpoint.px - px) <= tolerance) || null;
+}
+
+module.exports = {
+  extractBreakpoints,
+  parseWidthQuery,
+  clusterBreakpoints,
+  nameBreakpoints,
+  findBreakpoint
+};
@@ -0,0 +1,465 @@
+const { splitSelectorList, toStaticSelector } = require('./stylesheets');
+const { parseWidthQuery } = require('./breakpoints');
+
+// The environment static documents are evaluated in, matching the renderer's default viewport
+const DEFAULT_ENVIRONMENT = { width: 1440, height: 900, colorScheme: 'light' };
+
+// Pseudo-classes that only match after user interaction or in a particular state. Rules
+// using them do not style the element at rest; the state sampling covers them.
+const STATE_PSEUDO_CLASSES = /:(?:hover|focus|focus-visible|focus-within|active|visited|target|checked)(?![\w-])/i;
+
+// Properties whose value is taken from the parent element when no rule sets them
+const INHERITED_PROPERTIES = new Set([
+  'color', 'font-family', 'font-size', 'font-style', 'font-weight',
+  'line-height', 'letter-spacing', 'text-transform'
+]);
+
+// Box sides and corners in the order shorthands list them
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+const BORDER_STYLES = /^(?:none|hidden|dotted|dashed|solid|double|groove|ridge|inset|outset)$/i;
+
+// Initial values, used when neither the element nor its ancestors set a property
+const INITIAL_VALUES = {
+  'font-size': '16px',
+  'font-style': 'normal',
+  'font-weight': '400',
+  'line-height': 'normal',
+  'letter-spacing': 'normal',
+  'text-transform': 'none',
+  'margin-top': '0px',
+  'margin-bottom': '0px',
+  'background-color': 'transparent',
+  'background-image': 'none',
+  'box-shadow': 'none',
+  'text-decoration-line': 'none',
+  ...Object.fromEntries(SIDES.flatMap(side => [
+    [`padding-${side}`, '0px'],
+    [`border-${side}-style`, 'none'],
+    [`border-${side}-width`, 'medium']
+  ])),
+  ...Object.fromEntries(CORNERS.map(corner => [`border-${corner}-radius`, '0px']))
+};
+
+// Keywords of the background shorthand that are not colors
+const BACKGROUND_KEYWORDS = /^(?:none|repeat|repeat-x|repeat-y|no-repeat|space|round|scroll|fixed|local|top|bottom|left|right|center|cover|contain|auto|border-box|padding-box|content-box|text|inherit|initial|unset|revert|revert-layer)$/i;
+
+// Absolute font size keywords in px
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  'x-large': 24,
+  'xx-large': 32,
+  'xxx-large': 48
+};
+const ROOT_FONT_SIZE = 16;
+const RESOLVABLE_FONT_SIZE = /^(?:\d*\.?\d+(?:px|em|rem|%|pt)|xx-small|x-small|small|medium|large|x-large|xx-large|xxx-large|larger|smaller)$/i;
+
+// The parts of the browser's default stylesheet that matter for typography
+const HEADING_DEFAULTS = {
+  h1: { size: '2em', margin: '0.67em' },
+  h2: { size: '1.5em', margin: '0.83em' },
+  h3: { size: '1.17em', margin: '1em' },
+  h4: { size: '1em', margin: '1.33em' },
+  h5: { size: '0.83em', margin: '1.67em' },
+  h6: { size: '0.67em', margin: '2.33em' }
+};
+const USER_AGENT_STYLES = {
+  ...Object.fromEntries(Object.entries(HEADING_DEFAULTS).map(([tag, { size, margin }]) => [tag, {
+    'font-size': size,
+    'font-weight': '700',
+    'margin-top': margin,
+    'margin-bottom': margin
+  }])),
+  p: { 'margin-top': '1em', 'margin-bottom': '1em' },
+  strong: { 'font-weight': '700' },
+  b: { 'font-weight': '700' },
+  a: { 'text-decoration-line': 'underline' }
+};
+
+/**
+ * Compute the styles that apply to elements of a static document by
+ * cascading the browser defaults, stylesheet rules and inline styles.
+ * Font sizes are resolved to px against the parent, as the browser computes them.
+ * @param {Object} $ - Cheerio instance
+ * @param {Array} elements - Elements to compute styles for
+ * @param {Array} declarations - Stylesheet and inline declarations from collectDeclarations,
+ *   with custom properties already resolved
+ * @param {Array} properties - Longhand properties to compute
+ * @param {Object} environment - Viewport width and color scheme to evaluate media queries against
+ * @returns {Array} - Styles per element, as objects keyed by property
+ */
+function computeStaticStyles($, elements, declarations, properties, environment = {}) {
+  const env = { ...DEFAULT_ENVIRONMENT, ...environment };
+  const wanted = new Set(properties);
+
+  // Index the applicable declarations by the elements they match
+  const byElement = new Map();
+  const selectorCache = new Map();
+
+  const addCandidates = (el, candidates) => {
+    if (!byElement.has(el)) {
+      byElement.set(el, []);
+    }
+    byElement.get(el).push(...candidates);
+  };
+
+  declarations.forEach((declaration, order) => {
+    const isInline = declaration.origin === 'inline' && declaration.node;
+    if (!isInline && (declaration.origin !== 'stylesheet' || !declaration.selector)) return;
+    if (!conditionsApply(declaration.conditions || [], env)) return;
+
+    const longhands = expandShorthand(declaration.property, declaration.value)
+      .filter(longhand => wanted.has(longhand.property));
+    if (longhands.length === 0) return;
+
+    // Inline styles beat every selector
+    if (isInline) {
+      addCandidates(declaration.node, longhands.map(longhand => ({
+        ...longhand,
+        important: declaration.important,
+        specificity: Infinity,
+        order
+      })));
+      return;
+    }
+
+    splitSelectorList(declaration.selector).forEach(part => {
+      matchSelector($, part, selectorCache).forEach(el => {
+        addCandidates(el, longhands.map(longhand => ({
+          ...longhand,
+          important: declaration.important,
+          specificity: getSpecificity(part),
+          order
+        })));
+      });
+    });
+  });
+
+  const computed = new Map();
+
+  const computeElement = el => {
+    if (computed.has(el)) return computed.get(el);
+
+    const cascaded = {};
+    const candidates = byElement.get(el) || [];
+
+    candidates.forEach(candidate => {
+      const current = cascaded[candidate.property];
+      if (!current || compareCascade(candidate, current) >= 0) {
+        cascaded[candidate.property] = candidate;
+      }
+    });
+
+    const userAgent = USER_AGENT_STYLES[el.tagName?.toLowerCase()] || {};
+    const parent = el.parent && el.parent.type === 'tag' ? computeElement(el.parent) : null;
+
+    const style = {};
+    properties.forEach(property => {
+      let value = cascaded[property] ? cascaded[property].value : null;
+
+      if (value && /^inherit$/i.test(value)) {
+        value = parent ? parent[property] : INITIAL_VALUES[property] || null;
+      } else if (value && /^(?:initial|unset|revert|revert-layer)$/i.test(value)) {
+        value = INHERITED_PROPERTIES.has(property) && parent ? parent[property] : INITIAL_VALUES[property] || null;
+      }
+
+      if (!value) value = userAgent[property] || null;
+      if (!value && INHERITED_PROPERTIES.has(property) && parent) value = parent[property];
+      if (!value) value = INITIAL_VALUES[property] || null;
+
+      // Relative and keyword sizes compute to px; var() or clamp() values are kept as written
+      if (property === 'font-size' && value && RESOLVABLE_FONT_SIZE.test(value.trim())) {
+        const parentSize = parent && /px$/.test(parent['font-size'] || '') ? parseFloat(parent['font-size']) : ROOT_FONT_SIZE;
+        value = `${Math.round(resolveFontSize(value, parentSize) * 100) / 100}px`;
+      }
+
+      style[property] = value;
+    });
+
+    computed.set(el, style);
+    return style;
+  };
+
+  return elements.map(el => computeElement(el));
+}
+
+/**
+ * Order two cascaded declarations
+ * @param {Object} a - Declaration with important, specificity and order
+ * @param {Object} b - Declaration with important, specificity and order
+ * @returns {number} - Positive if a wins, negative if b wins
+ */
+function compareCascade(a, b) {
+  if (a.important !== b.important) return a.important ? 1 : -1;
+  if (a.specificity !== b.specificity) return a.specificity > b.specificity ? 1 : -1;
+  return a.order - b.order;
+}
+
+/**
+ * Find the elements matched by a single selector
+ * @param {Object} $ - Cheerio instance
+ * @param {string} selector - Single selector
+ * @param {Map} cache - Already matched selectors
+ * @returns {Array} - Matched elements
+ */
+function matchSelector($, selector, cache) {
+  if (cache.has(selector)) return cache.get(selector);
+
+  // Pseudo-element rules style generated content, not the element itself, and state rules
+  // style it only while it is hovered, focused, checked, ...
+  let elements = [];
+  if (!/::|:(?:before|after|first-line|first-letter)\b/i.test(selector) && !STATE_PSEUDO_CLASSES.test(selector)) {
+    const staticSelector = toStaticSelector(selector);
+    try {
+      elements = staticSelector ? $(staticSelector).toArray() : [];
+    } catch (e) {
+      // Selector not supported by cheerio
+    }
+  }
+
+  cache.set(selector, elements);
+  return elements;
+}
+
+/**
+ * Approximate the specificity of a selector as a single comparable number
+ * @param {string} selector - Single selector
+ * @returns {number} - Specificity
+ */
+function getSpecificity(selector) {
+  // :where() contributes nothing, the arguments of other functional pseudo-classes are counted as written
+  const stripped = selector.replace(/:where\([^)]*\)/gi, '');
+
+  const ids = (stripped.match(/#[\w-]+/g) || []).length;
+  const classes = (stripped.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)(?!(?:not|is|has)\()[\w-]+/g) || []).length;
+  const types = (stripped.replace(/\[[^\]]*\]/g, '').match(/(?:^|[\s>+~(])[a-z][\w-]*|::[\w-]+/gi) || []).length;
+
+  return ids * 10000 + classes * 100 + types;
+}
+
+/**
+ * Check if the at-rule conditions of a declaration hold in an environment
+ * @param {Array} conditions - Conditions from outermost to innermost
+ * @param {Object} env - Viewport width and color scheme
+ * @returns {boolean} - Whether the declaration applies
+ */
+function conditionsApply(conditions, env) {
+  return conditions.every(({ name, params }) => {
+    if (name === 'media') return mediaApplies(params, env);
+    // Container sizes depend on layout, which a static document does not have
+    if (name === 'container') return false;
+    return true;
+  });
+}
+
+/**
+ * Evaluate a media query list
+ * @param {string} params - Media query list
+ * @param {Object} env - Viewport width, height and color scheme
+ * @returns {boolean} - Whether any query in the list matches
+ */
+function mediaApplies(params, env) {
+  return params.split(',').some(query => {
+    const normalized = query.trim().toLowerCase();
+    const negated = /^not\s/.test(normalized);
+
+    const features = [
+      !/\bprint\b/.test(normalized) || /\b(?:screen|all)\b/.test(normalized),
+      !/prefers-color-scheme\s*:\s*dark/.test(normalized) || env.colorScheme === 'dark',
+      !/prefers-color-scheme\s*:\s*light/.test(normalized) || env.colorScheme !== 'dark',
+      !/prefers-reduced-motion\s*:\s*reduce|prefers-contrast\s*:\s*(?:more|less)|forced-colors\s*:\s*active/.test(normalized),
+      !/\(\s*(?:any-)?hover\s*:\s*none|\(\s*(?:any-)?pointer\s*:\s*coarse/.test(normalized),
+      !/orientation\s*:\s*portrait/.test(normalized) || env.height > env.width,
+      ...parseWidthQuery(normalized).map(({ bound, px }) => bound === 'min' ? env.width >= px : env.width < px)
+    ];
+
+    const matches = features.every(Boolean);
+    return negated ? !matches : matches;
+  });
+}
+
+/**
+ * Expand the shorthands the cascade understands into longhands
+ * @param {string} property - Property name
+ * @param {string} value - Property value
+ * @returns {Array} - Longhand declarations
+ */
+function expandShorthand(property, value) {
+  if (property === 'font') {
+    return Object.entries(parseFontShorthand(value)).map(([longhand, longhandValue]) => ({
+      property: longhand,
+      value: longhandValue
+    }));
+  }
+
+  if (property === 'margin' || property === 'margin-block') {
+    const parts = value.trim().split(/\s+(?![^(]*\))/);
+    const top = parts[0];
+    const bottom = property === 'margin' ? parts[2] || parts[0] : parts[1] || parts[0];
+    return [
+      { property: 'margin-top', value: top },
+      { property: 'margin-bottom', value: bottom }
+    ];
+  }
+
+  if (property === 'background' && /^(?:inherit|initial|unset|revert|revert-layer)$/i.test(value.trim())) {
+    return [
+      { property: 'background-color', value: value.trim() },
+      { property: 'background-image', value: value.trim() }
+    ];
+  }
+
+  if (property === 'background') {
+    // The color can only be given in the last layer; the shorthand resets what it leaves out
+    const layers = value.split(/,(?![^(]*\))/);
+    const parts = layers[layers.length - 1].trim().split(/\s+(?![^(]*\))/);
+    const color = parts.find(part => /^(?:#|rgba?\(|hsla?\(|hwb\(|(?:ok)?lab\(|(?:ok)?lch\(|color\()/i.test(part) ||
+      /^(?:transparent|currentcolor|[a-z]+)$/i.test(part) && !BACKGROUND_KEYWORDS.test(part));
+    const hasImage = /(?:url|gradient)\(/i.test(value);
+    return [
+      { property: 'background-color', value: color || 'transparent' },
+      { property: 'background-image', value: hasImage ? value : 'none' }
+    ];
+  }
+
+  if (property === 'margin-block-start') return [{ property: 'margin-top', value }];
+  if (property === 'margin-block-end') return [{ property: 'margin-bottom', value }];
+
+  if (property === 'text-decoration') {
+    const lines = value.match(/\b(?:none|underline|overline|line-through)\b/gi);
+    return lines ? [{ property: 'text-decoration-line', value: lines.join(' ').toLowerCase() }] : [];
+  }
+
+  if (property === 'padding') {
+    return expandSides(value).map((sideValue, index) => ({ property: `padding-${SIDES[index]}`, value: sideValue }));
+  }
+  if (property === 'padding-block' || property === 'padding-inline') {
+    const [start, end = start] = value.trim().split(/\s+(?![^(]*\))/);
+    const [first, second] = property === 'padding-block' ? ['top', 'bottom'] : ['left', 'right'];
+    return [
+      { property: `padding-${first}`, value: start },
+      { property: `padding-${second}`, value: end }
+    ];
+  }
+
+  if (property === 'border-radius') {
+    // Elliptical radii (after the slash) are reduced to their horizontal radius
+    return expandSides(value.split('/')[0]).map((cornerValue, index) => ({
+      property: `border-${CORNERS[index]}-radius`,
+      value: cornerValue
+    }));
+  }
+
+  const borderPart = property.match(/^border-(width|style|color)$/);
+  if (borderPart) {
+    return expandSides(value).map((sideValue, index) => ({ property: `border-${SIDES[index]}-${borderPart[1]}`, value: sideValue }));
+  }
+
+  const border = property.match(/^border(?:-(top|right|bottom|left))?$/);
+  if (border) {
+    const parts = parseBorder(value);
+    return (border[1] ? [border[1]] : SIDES).flatMap(side => [
+      { property: `border-${side}-width`, value: parts.width },
+      { property: `border-${side}-style`, value: parts.style },
+      { property: `border-${side}-color`, value: parts.color }
+    ]);
+  }
+
+  return [{ property, value }];
+}
+
+/**
+ * Expand a one to four value box shorthand to its top, right, bottom and left values
+ * @param {string} value - Shorthand value
+ * @returns {Array} - Values in top, right, bottom, left order (or the corners, clockwise from top left)
+ */
+function expandSides(value) {
+  const [top, right = top, bottom = top, left = right] = value.trim().split(/\s+(?![^(]*\))/);
+  return [top, right, bottom, left];
+}
+
+/**
+ * Split a border shorthand into its width, style and color, with the initial value for what it leaves out
+ * @param {string} value - Border shorthand value, e.g. `1px solid #ddd`
+ * @returns {Object} - Width, style and color
+ */
+function parseBorder(value) {
+  const parts = { width: 'medium', style: 'none', color: 'currentcolor' };
+  if (/^(?:none|0)$/i.test(value.trim())) return { ...parts, width: '0px' };
+
+  value.trim().split(/\s+(?![^(]*\))/).forEach(part => {
+    if (BORDER_STYLES.test(part)) {
+      parts.style = part.toLowerCase();
+    } else if (/^(?:-?\d*\.?\d+[a-z]*|thin|medium|thick)$/i.test(part)) {
+      parts.width = part;
+    } else {
+      parts.color = part;
+    }
+  });
+
+  return parts;
+}
+
+/**
+ * Resolve a computed font-size value to px
+ * @param {string|null} value - Font size from computeStaticStyles
+ * @param {number} parentPx - Font size of the parent element in px
+ * @returns {number} - Font size in px
+ */
+function resolveFontSize(value, parentPx = ROOT_FONT_SIZE) {
+  if (!value) return parentPx;
+
+  const normalized = value.trim().toLowerCase();
+  if (FONT_SIZE_KEYWORDS[normalized]) return FONT_SIZE_KEYWORDS[normalized];
+  if (normalized === 'larger') return parentPx * 1.2;
+  if (normalized === 'smaller') return parentPx / 1.2;
+
+  const match = normalized.match(/^(\d*\.?\d+)(px|em|rem|%|pt)$/);
+  if (!match) return parentPx;
+
+  const number = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'px': return number;
+    case 'em': return number * parentPx;
+    case 'rem': return number * ROOT_FONT_SIZE;
+    case '%': return number / 100 * parentPx;
+    default: return number * 4 / 3;
+  }
+}
+
+/**
+ * Split a `font` shorthand into its longhand properties
+ * @param {string} value - Shorthand value, e.g. `italic 700 16px/1.5 Inter, sans-serif`
+ * @returns {Object} - Longhand properties found in the shorthand
+ */
+function parseFontShorthand(value) {
+  const match = value.match(
+    /^\s*((?:(?:normal|italic|oblique|small-caps|bold|bolder|lighter|\d{3}|[a-z-]+)\s+)*?)((?:\d*\.?\d+)(?:px|rem|em|%|pt|vw|vh)|xx-small|x-small|small|medium|large|x-large|xx-large|smaller|larger)(?:\s*\/\s*([^\s]+))?\s+(.+)$/i
+  );
+
+  // System fonts (caption, menu, ...) and var() values cannot be split
+  if (!match) return {};
+
+  const longhands = {
+    'font-size': match[2],
+    'font-family': match[4].trim()
+  };
+
+  const weight = match[1].split(/\s+/).find(token => /^(?:bold|bolder|lighter|\d{3})$/i.test(token));
+  if (weight) longhands['font-weight'] = weight;
+  if (match[3]) longhands['line-height'] = match[3];
+
+  return longhands;
+}
+
+module.exports = {
+  computeStaticStyles,
+  mediaApplies,
+  expandShorthand,
+  resolveFontSize,
+  parseFontShorthand
+};
@@ -0,0 +1,184 @@
+const chroma = require('chroma-js');
+
+// Colors closer than this in OKLab (lightness, a, b and alpha) belong to the same cluster.
+// 0.02 is about the smallest difference that can be seen side by side; slightly more also
+// merges near-identical grays and off-whites such as #212529 and #222222, while tints and
+// hover shades, which are 0.04 and more apart, stay separate.
+const CLUSTER_DISTANCE = 0.03;
+
+// Pairwise clustering grows with the cube of the colors; colors beyond the heaviest
+// ones join the nearest cluster instead
+const MAX_CLUSTERED_COLORS = 200;
+
+// Share of an element's box that its text is assumed to cover
+const TEXT_COVERAGE = 0.15;
+
+/**
+ * Measure the rendered area every background and text color covers
+ * @param {Array} samples - Computed style samples of a rendered page, with their area
+ * @returns {Map} - Hex colors and the area they cover in px². Nested backgrounds are
+ *   counted in full, so the area of a surface includes what is drawn over it.
+ */
+function measureColorAreas(samples = []) {
+  const areas = new Map();
+
+  const add = (color, area) => {
+    if (!color || !area || !chroma.valid(color)) return;
+
+    const parsed = chroma(color);
+    if (parsed.alpha() === 0) return;
+    const hex = parsed.hex();
+    areas.set(hex, (areas.get(hex) || 0) + area);
+  };
+
+  (samples || []).forEach(sample => {
+    if (!sample.area) return;
+
+    add(sample.styles?.['background-color'], sample.area);
+    if (sample.text) {
+      add(sample.text.color, sample.area * TEXT_COVERAGE);
+    }
+  });
+
+  return areas;
+}
+
+/**
+ * Cluster colors in OKLab, weighting each color by the mean of its share of the
+ * declarations that use it and its share of the rendered area
+ * @param {Map} colorMap - Hex colors and their usage frequency
+ * @param {Map} areaMap - Hex colors and their rendered area, empty for static pages
+ * @returns {Array} - Clusters from the heaviest, with the representative color (the
+ *   heaviest member), weight, count, area and members from the heaviest
+ */
+function clusterColors(colorMap, areaMap = new Map()) {
+  const totalCount = sum(colorMap.values());
+  const totalArea = sum(areaMap.values());
+
+  // Usage and area count equally, so the weights of all clusters add up to 1
+  const measures = (totalCount ? 1 : 0) + (totalArea ? 1 : 0);
+
+  const colors = [...new Set([...colorMap.keys(), ...areaMap.keys()])]
+    .filter(value => chroma.valid(value))
+    .map(value => {
+      const count = colorMap.get(value) || 0;
+      const area = areaMap.get(value) || 0;
+      return {
+        value,
+        count,
+        area,
+        weight: ((totalCount ? count / totalCount : 0) + (totalArea ? area / totalArea : 0)) / measures,
+        point: toPoint(value)
+      };
+    })
+    .filter(color => color.weight > 0)
+    // Ties are broken by value so the order colors were found in does not matter
+    .sort((a, b) => b.weight - a.weight || a.value.localeCompare(b.value));
+
+  const clusters = colors.slice(0, MAX_CLUSTERED_COLORS).map(color => ({
+    members: [color],
+    weight: color.weight,
+    point: color.point
+  }));
+
+  // Merge the two closest clusters until none are within the cluster distance
+  while (clusters.length > 1) {
+    let closest = null;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const d = distance(clusters[i].point, clusters[j].point);
+        if (d < CLUSTER_DISTANCE && (!closest || d < closest.distance)) {
+          closest = { i, j, distance: d };
+        }
+      }
+    }
+    if (!closest) break;
+
+    clusters[closest.i] = mergeClusters(clusters[closest.i], clusters[closest.j]);
+    clusters.splice(closest.j, 1);
+  }
+
+  colors.slice(MAX_CLUSTERED_COLORS).forEach(color => {
+    const nearest = clusters
+      .map((cluster, index) => ({ index, distance: distance(cluster.point, color.point) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    const single = { members: [color], weight: color.weight, point: color.point };
+    if (nearest && nearest.distance < CLUSTER_DISTANCE) {
+      clusters[nearest.index] = mergeClusters(clusters[nearest.index], single);
+    } else {
+      clusters.push(single);
+    }
+  });
+
+  return clusters
+    .map(cluster => {
+      const members = [...cluster.members].sort((a, b) => b.weight - a.weight || a.value.localeCompare(b.value));
+      return {
+        value: members[0].value,
+        weight: round(cluster.weight),
+        count: sum(members.map(member => member.count)),
+        area: Math.round(sum(members.map(member => member.area))),
+        members: members.map(({ value, count, area }) => ({ value, count, area: Math.round(area) }))
+      };
+    })
+    .sort((a, b) => b.weight - a.weight || a.value.localeCompare(b.value));
+}
+
+/**
+ * Merge two clusters, moving the centroid to the weighted mean of both
+ * @param {Object} a - Cluster
+ * @param {Object} b - Cluster
+ * @returns {Object} - Merged cluster
+ */
+function mergeClusters(a, b) {
+  const weight = a.weight + b.weight;
+  return {
+    members: [...a.members, ...b.members],
+    weight,
+    point: a.point.map((value, index) => (value * a.weight + b.point[index] * b.weight) / weight)
+  };
+}
+
+/**
+ * Convert a color to its OKLab coordinates and alpha
+ * @param {string} color - CSS color
+ * @returns {Array} - Lightness, a, b and alpha
+ */
+function toPoint(color) {
+  const parsed = chroma(color);
+  return [...parsed.oklab(), parsed.alpha()];
+}
+
+/**
+ * Euclidean distance between two points
+ * @param {Array} a - Point
+ * @param {Array} b - Point
+ * @returns {number} - Distance
+ */
+function distance(a, b) {
+  return Math.sqrt(a.reduce((total, value, index) => total + (value - b[index]) ** 2, 0));
+}
+
+/**
+ * Sum a list of numbers
+ * @param {Iterable} values - Numbers
+ * @returns {number} - Total
+ */
+function sum(values) {
+  return [...values].reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Round a weight to four decimals
+ * @param {number} value - Weight
+ * @returns {number} - Rounded weight
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  measureColorAreas,
+  clusterColors
+};
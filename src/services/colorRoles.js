@@ -0,0 +1,252 @@
+const chroma = require('chroma-js');
+
+// Minimum perceptual distance between two colors assigned to sibling roles
+const DISTINCT_DELTA_E = 5;
+
+// Contrast against the default surface that makes a surface count as inverse
+const INVERSE_SURFACE_CONTRAST = 4.5;
+
+// Pseudo-classes that mark a declaration as an interaction state
+const STATE_PSEUDO_CLASSES = /:(hover|focus-visible|focus-within|focus|active)(?![\w-])/i;
+
+/**
+ * Describe the element a selector styles, from its rightmost compound selector
+ * @param {string} selector - Single selector
+ * @returns {Object} - Element kind and interaction state
+ */
+function describeSelector(selector) {
+  const compounds = selector
+    .replace(/\([^)]*\)/g, '()')
+    .split(/\s*[>+~]\s*|\s+/)
+    .filter(Boolean);
+  const subject = compounds[compounds.length - 1] || '';
+
+  const state = subject.match(STATE_PSEUDO_CLASSES);
+  const attributes = {};
+  const type = subject.match(/\[type=["']?(\w+)/i);
+  const role = subject.match(/\[role=["']?(\w+)/i);
+  if (type) attributes.type = type[1];
+  if (role) attributes.role = role[1];
+
+  // A selector for the whole document, like :root or html, only has a page context
+  const tag = (subject.match(/^[a-z][\w-]*/i) || [null])[0];
+  const classes = (subject.match(/\.[\w-]+/g) || []).map(className => className.slice(1));
+
+  return {
+    kind: /^:root\b/i.test(subject) ? 'page' : describeElement(tag, classes, attributes),
+    state: state ? state[1].toLowerCase() : null
+  };
+}
+
+/**
+ * Classify an element by the part it plays in the interface
+ * @param {string|null} tag - Tag name
+ * @param {Array} classes - Class names
+ * @param {Object} attributes - type and role attributes
+ * @returns {string} - action, link, input, icon, heading, page or element
+ */
+function describeElement(tag, classes = [], attributes = {}) {
+  const name = (tag || '').toLowerCase();
+  const classList = classes.join(' ').toLowerCase();
+
+  if (name === 'button' || attributes.role === 'button' ||
+      (name === 'input' && /^(?:submit|button|reset)$/i.test(attributes.type || '')) ||
+      /(?:^|\s|-)(?:btn|button)(?:$|\s|-)/.test(classList)) {
+    return 'action';
+  }
+  if (name === 'a') return 'link';
+  if (['input', 'select', 'textarea'].includes(name) || /(?:^|\s|-)(?:form-control|input|field)(?:$|\s|-)/.test(classList)) {
+    return 'input';
+  }
+  if (['svg', 'path', 'use', 'circle', 'rect', 'polygon'].includes(name) ||
+      /(?:^|\s)(?:icon|fa|fas|far|fab|bi|material-icons|material-symbols-\w+)(?:$|\s|-)|(?:^|\s)(?:fa|bi|icon)-/.test(classList)) {
+    return 'icon';
+  }
+  if (/^h[1-6]$/.test(name)) return 'heading';
+  if (name === 'html' || name === 'body') return 'page';
+  return 'element';
+}
+
+/**
+ * Name the context a color is used in
+ * @param {string} property - CSS property the color was found in
+ * @param {string} kind - Element kind from describeElement
+ * @param {string|null} state - Interaction state
+ * @returns {string|null} - Usage context, or null if the color plays no role
+ */
+function getColorContext(property, kind, state = null) {
+  if (property === 'fill' || property === 'stroke') return 'icon';
+  if (/shadow$/.test(property)) return 'shadow';
+
+  if (/^(?:border|outline)/.test(property)) {
+    return state && state.startsWith('focus') ? 'focus' : 'border';
+  }
+
+  if (/^background/.test(property)) {
+    if (kind === 'action') return state ? 'actionHover' : 'action';
+    if (state) return null;
+    if (kind === 'page') return 'page';
+    if (kind === 'input') return 'input';
+    if (kind === 'icon') return 'icon';
+    return 'surface';
+  }
+
+  if (property === 'color') {
+    if (kind === 'link') return state ? 'linkHover' : 'link';
+    if (state) return null;
+    if (kind === 'action') return 'actionText';
+    if (kind === 'icon') return 'icon';
+    return 'text';
+  }
+
+  return null;
+}
+
+/**
+ * Assign functional roles to colors from the contexts they are used in
+ * @param {Array} usage - Colors with their usage count per context
+ * @returns {Object} - Roles grouped by text, surface, action, border and icon
+ */
+function assignColorRoles(usage) {
+  const ranked = context => usage
+    .filter(entry => (entry.contexts[context] || 0) > 0)
+    .sort((a, b) => b.contexts[context] - a.contexts[context])
+    .map(entry => ({ value: entry.value, count: entry.contexts[context] }));
+
+  const distinctFrom = (candidates, ...colors) => candidates.find(candidate =>
+    colors.filter(Boolean).every(color => deltaE(candidate.value, color.value) >= DISTINCT_DELTA_E)
+  ) || null;
+
+  // Browsers paint the page white unless the site sets a background
+  const surfaces = ranked('surface');
+  const pageSurface = ranked('page')[0] || { value: '#ffffff', count: 0, inferred: true };
+
+  const text = ranked('text');
+  const textPrimary = text[0] || null;
+  const textSecondary = distinctFrom(text.slice(1), textPrimary);
+
+  const actions = ranked('action');
+  const actionPrimary = actions.find(action => isChromatic(action.value)) || actions[0] || null;
+  const actionSecondary = distinctFrom(actions.filter(action => action !== actionPrimary), actionPrimary);
+
+  const borders = ranked('border');
+  const byContrast = [...borders].sort((a, b) =>
+    contrast(a.value, pageSurface.value) - contrast(b.value, pageSurface.value)
+  );
+  const borderDefault = borders[0] || null;
+  const borderSubtle = byContrast[0] || null;
+  const borderStrong = distinctFrom([...byContrast].reverse(), borderSubtle);
+
+  const roles = {
+    text: {
+      primary: textPrimary,
+      secondary: textSecondary,
+      link: ranked('link')[0] || null,
+      linkHover: ranked('linkHover')[0] || null,
+      onAction: ranked('actionText')[0] || null
+    },
+    surface: {
+      default: pageSurface,
+      // A subtle surface sits close to the page background, like cards and table stripes
+      subtle: surfaces.find(surface =>
+        deltaE(surface.value, pageSurface.value) >= 1 &&
+        contrast(surface.value, pageSurface.value) < 1.5
+      ) || null,
+      inverse: surfaces.find(surface => contrast(surface.value, pageSurface.value) >= INVERSE_SURFACE_CONTRAST) || null,
+      input: ranked('input')[0] || null
+    },
+    action: {
+      primary: actionPrimary,
+      secondary: actionSecondary,
+      hover: ranked('actionHover')[0] || null
+    },
+    border: {
+      default: borderDefault,
+      subtle: borderSubtle,
+      strong: borderStrong,
+      focus: ranked('focus')[0] || null
+    },
+    icon: {
+      default: ranked('icon')[0] || null
+    }
+  };
+
+  // Leave out roles the sites give no evidence for
+  return Object.fromEntries(
+    Object.entries(roles).map(([group, groupRoles]) => [
+      group,
+      Object.fromEntries(Object.entries(groupRoles).filter(([, role]) => role))
+    ])
+  );
+}
+
+/**
+ * Merge color usage entries by color, summing the counts per context
+ * @param {Array} usage - Colors with their usage count per context
+ * @returns {Array} - Merged usage sorted by total count
+ */
+function mergeColorUsage(usage) {
+  const merged = new Map();
+
+  usage.forEach(({ value, contexts }) => {
+    if (!merged.has(value)) {
+      merged.set(value, { value, contexts: {} });
+    }
+    const entry = merged.get(value);
+    Object.entries(contexts).forEach(([context, count]) => {
+      entry.contexts[context] = (entry.contexts[context] || 0) + count;
+    });
+  });
+
+  const total = entry => Object.values(entry.contexts).reduce((sum, count) => sum + count, 0);
+  return [...merged.values()].sort((a, b) => total(b) - total(a));
+}
+
+/**
+ * Check if a color has a noticeable hue
+ * @param {string} color - Color value
+ * @returns {boolean} - Whether the color is chromatic
+ */
+function isChromatic(color) {
+  try {
+    return chroma(color).get('lch.c') > 20;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Perceptual distance between two colors
+ * @param {string} a - First color
+ * @param {string} b - Second color
+ * @returns {number} - CIEDE2000 distance, 0 for invalid colors
+ */
+function deltaE(a, b) {
+  try {
+    return chroma.deltaE(a, b);
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} a - First color
+ * @param {string} b - Second color
+ * @returns {number} - Contrast ratio, 1 for invalid colors
+ */
+function contrast(a, b) {
+  try {
+    return chroma.contrast(a, b);
+  } catch (e) {
+    return 1;
+  }
+}
+
+module.exports = {
+  describeSelector,
+  describeElement,
+  getColorContext,
+  assignColorRoles,
+  mergeColorUsage
+};
@@ -0,0 +1,245 @@
+const cheerio = require('cheerio');
+const { splitSelectorList } = require('./stylesheets');
+const { resolveVariables } = require('./customProperties');
+
+const SCHEMES = ['light', 'dark'];
+
+// Media feature a color scheme query tests
+const SCHEME_QUERY = /prefers-color-scheme\s*:\s*(light|dark)/gi;
+const SCHEME_FEATURE = /prefers-color-scheme/i;
+
+// A compound selector that switches the theme of the whole document, e.g. `.dark`,
+// `html.theme-dark`, `:root[data-theme="dark"]` or `[data-bs-theme=dark]`
+const THEME_CLASS = /^(?:html|body|:root)?\.((?:theme-|is-)?(light|dark)(?:-(?:mode|theme|scheme))?)$/i;
+const THEME_ATTRIBUTE = /^(?:html|body|:root)?\[((?:data-)?[\w-]*(?:theme|scheme|mode))\s*=\s*["']?(light|dark)["']?(?:\s+[is])?\s*\]$/i;
+
+/**
+ * Detect the color schemes a page's stylesheets can switch to, through
+ * prefers-color-scheme media queries or theme classes and attributes
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @returns {Object} - Schemes declared with the color-scheme property, and the
+ *   variants with the mechanisms that enable them
+ */
+function detectColorSchemes(stylesheets) {
+  const declared = new Set();
+  const variants = new Map();
+
+  const addMechanism = (scheme, mechanism) => {
+    if (!variants.has(scheme)) {
+      variants.set(scheme, new Map());
+    }
+    const mechanisms = variants.get(scheme);
+    const key = `${mechanism.type}:${mechanism.selector || mechanism.query}`;
+    if (!mechanisms.has(key)) {
+      mechanisms.set(key, { ...mechanism, count: 0 });
+    }
+    mechanisms.get(key).count += 1;
+  };
+
+  (stylesheets?.rules || []).forEach(rule => {
+    rule.declarations
+      .filter(declaration => declaration.property === 'color-scheme')
+      .forEach(declaration => {
+        declaration.value.split(/\s+/)
+          .filter(scheme => SCHEMES.includes(scheme.toLowerCase()))
+          .forEach(scheme => declared.add(scheme.toLowerCase()));
+      });
+
+    rule.conditions
+      .filter(condition => condition.name === 'media')
+      .forEach(condition => {
+        for (const match of condition.params.matchAll(SCHEME_QUERY)) {
+          addMechanism(match[1].toLowerCase(), { type: 'media', query: `(prefers-color-scheme: ${match[1].toLowerCase()})` });
+        }
+      });
+
+    const definesTheme = rule.declarations.some(declaration =>
+      declaration.property.startsWith('--') || declaration.property === 'color-scheme'
+    );
+    findThemeToggles(rule.selector, definesTheme).forEach(toggle => {
+      addMechanism(toggle.scheme, {
+        type: toggle.type,
+        selector: toggle.selector,
+        toggle: { target: toggle.target, type: toggle.type, name: toggle.name, value: toggle.value }
+      });
+    });
+  });
+
+  return {
+    declared: [...declared],
+    variants: [...variants.entries()].map(([name, mechanisms]) => {
+      const list = [...mechanisms.values()].sort((a, b) => b.count - a.count);
+      const toggle = list.find(mechanism => mechanism.toggle);
+
+      return {
+        name,
+        // A variant is sampled with the scheme preference and the most used toggle applied
+        media: list.some(mechanism => mechanism.type === 'media'),
+        toggle: toggle ? toggle.toggle : null,
+        mechanisms: list.map(({ type, selector, query, count }) => (
+          type === 'media' ? { type, query, count } : { type, selector, count }
+        ))
+      };
+    })
+  };
+}
+
+/**
+ * Find the theme toggles in a selector list
+ * @param {string} selector - Selector list
+ * @param {boolean} definesTheme - Whether the rule sets custom properties or color-scheme
+ * @returns {Array} - Toggles with scheme, type, target element, name, value and normalized selector
+ */
+function findThemeToggles(selector, definesTheme) {
+  const toggles = [];
+
+  splitSelectorList(selector || '').forEach(part => {
+    // Toggles scope a whole subtree, so they are matched as compound selectors
+    // of their own: `.dark .card` and `:is(.dark *)` qualify, `.card.dark` does not
+    const compounds = part.split(/\s*[>+~,()]\s*|\s+/).filter(Boolean);
+    compounds.forEach((compound, index) => {
+      const target = /^body/i.test(compound) ? 'body' : 'html';
+
+      // A rule for `.dark` alone is as likely a component modifier, unless it defines theme variables
+      const scoped = index < compounds.length - 1 || /^(?:html|body|:root)/i.test(compound) || definesTheme;
+      if (!scoped) return;
+
+      const themeClass = compound.match(THEME_CLASS);
+      if (themeClass) {
+        toggles.push({
+          scheme: themeClass[2].toLowerCase(),
+          type: 'class',
+          target,
+          name: themeClass[1],
+          value: null,
+          selector: `.${themeClass[1]}`
+        });
+      }
+
+      const themeAttribute = compound.match(THEME_ATTRIBUTE);
+      if (themeAttribute) {
+        toggles.push({
+          scheme: themeAttribute[2].toLowerCase(),
+          type: 'attribute',
+          target,
+          name: themeAttribute[1].toLowerCase(),
+          value: themeAttribute[2].toLowerCase(),
+          selector: `[${themeAttribute[1].toLowerCase()}="${themeAttribute[2].toLowerCase()}"]`
+        });
+      }
+    });
+  });
+
+  return toggles;
+}
+
+/**
+ * Check if at-rule conditions can apply under a color scheme preference
+ * @param {Array} conditions - Conditions from outermost to innermost
+ * @param {string} scheme - light or dark
+ * @returns {boolean} - False if a media query requires the other scheme
+ */
+function matchesColorScheme(conditions, scheme) {
+  return (conditions || []).every(condition => {
+    if (condition.name !== 'media') return true;
+
+    // Any query of the list may match; one without a scheme feature matches regardless
+    return condition.params.split(',').some(query => {
+      const schemes = [...query.matchAll(SCHEME_QUERY)].map(match => match[1].toLowerCase());
+      const negated = /^\s*not\s/i.test(query);
+      return schemes.every(required => (required === scheme) !== negated);
+    });
+  });
+}
+
+/**
+ * Copy a document with a theme toggle applied to its root or body element
+ * @param {Object} $ - Cheerio instance
+ * @param {Object|null} toggle - Toggle from detectColorSchemes
+ * @returns {Object} - Cheerio instance of the toggled document
+ */
+function applyThemeToggle($, toggle) {
+  const $toggled = cheerio.load($.html());
+  if (!toggle) return $toggled;
+
+  const target = $toggled(toggle.target).first();
+  if (toggle.type === 'class') {
+    target.addClass(toggle.name);
+  } else {
+    target.attr(toggle.name, toggle.value);
+  }
+
+  return $toggled;
+}
+
+/**
+ * Resolve custom property values for a color scheme variant, applying the
+ * document-wide overrides its media query or theme toggle enables
+ * @param {Array} declarations - Weighted style declarations, including custom properties
+ * @param {Map} values - Base custom property values from extractCustomProperties
+ * @param {Object} variant - Variant from detectColorSchemes
+ * @returns {Map} - Custom property values of the variant
+ */
+function resolveSchemeValues(declarations, values, variant) {
+  const schemeValues = new Map(values);
+  const toggleSelector = variant.toggle ? findToggleSelector(variant.toggle) : null;
+
+  declarations.forEach(({ property, value, selector, conditions = [] }) => {
+    if (!property.startsWith('--') || !selector) return;
+
+    // Overrides scoped to a component, like `.dark .card { --bg: ... }`, are not document-wide
+    const parts = splitSelectorList(selector);
+    const byMedia = variant.media &&
+      conditions.length > 0 &&
+      conditions.every(condition => condition.name === 'media' && matchesColorScheme([condition], variant.name)) &&
+      conditions.some(condition => SCHEME_FEATURE.test(condition.params)) &&
+      parts.some(part => /^(?:html|body|:root|:host)$/i.test(part));
+    const byToggle = toggleSelector &&
+      matchesColorScheme(conditions, variant.name) &&
+      conditions.every(condition => condition.name === 'media') &&
+      parts.some(part => toggleSelector.test(part));
+
+    if (byMedia || byToggle) {
+      schemeValues.set(property, value);
+    }
+  });
+
+  return schemeValues;
+}
+
+/**
+ * Build a pattern for the document-wide selectors of a theme toggle
+ * @param {Object} toggle - Toggle from detectColorSchemes
+ * @returns {RegExp} - Pattern matching e.g. `.dark`, `html.dark` and `:root.dark`
+ */
+function findToggleSelector(toggle) {
+  const escaped = toggle.name.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+  const part = toggle.type === 'class' ?
+    `\\.${escaped}` :
+    `\\[${escaped}\\s*=\\s*["']?${toggle.value}["']?(?:\\s+[is])?\\s*\\]`;
+  return new RegExp(`^(?:html|body|:root)?${part}$`, 'i');
+}
+
+/**
+ * List the color custom properties whose value changes in a color scheme variant
+ * @param {Array} colorTokens - Color tokens from extractCustomProperties
+ * @param {Map} schemeValues - Custom property values of the variant
+ * @returns {Array} - Tokens with name, value in the variant and base value
+ */
+function diffSchemeTokens(colorTokens, schemeValues) {
+  return colorTokens
+    .map(token => ({
+      name: token.name,
+      value: resolveVariables(schemeValues.get(token.name), schemeValues),
+      base: token.value
+    }))
+    .filter(token => token.value && token.value !== token.base);
+}
+
+module.exports = {
+  detectColorSchemes,
+  matchesColorScheme,
+  applyThemeToggle,
+  resolveSchemeValues,
+  diffSchemeTokens
+};
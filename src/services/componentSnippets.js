@@ -0,0 +1,85 @@
+const cheerio = require('cheerio');
+
+// Elements that are not part of how a component looks, or that could run code
+// or leak secrets wherever the snippet is shown
+const DROPPED_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+  'link', 'meta', 'base', 'input[type="hidden"]'
+].join(', ');
+
+// Attributes that front-end frameworks add for their own bookkeeping
+const FRAMEWORK_ATTRIBUTE = /^(?:_ngcontent-|_nghost-|ng-reflect-|data-v-|data-reactid$|data-reactroot$|data-svelte-h$)/i;
+
+// Attributes that hold URLs
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'xlink:href']);
+
+// Limits that keep snippets of large components readable
+const MAX_CHILDREN = 8;
+const MAX_TEXT_LENGTH = 120;
+const MAX_DATA_URL_LENGTH = 200;
+
+/**
+ * Sanitize the outerHTML of a component for display: scripts, styles, embedded
+ * documents, hidden inputs, comments, event handlers, javascript: URLs, password
+ * values and framework bookkeeping attributes are removed, long text and data URLs
+ * are shortened and elements keep at most MAX_CHILDREN children
+ * @param {string} html - outerHTML of the component
+ * @returns {string} - Sanitized HTML
+ */
+function sanitizeSnippet(html) {
+  const $ = cheerio.load(html || '', null, false);
+
+  $(DROPPED_ELEMENTS).remove();
+  tidyNodes($, $.root()[0]);
+
+  $('*').each((index, el) => {
+    const element = $(el);
+
+    Object.entries(el.attribs).forEach(([name, value]) => {
+      const attribute = name.toLowerCase();
+      if (/^on/.test(attribute) || ['srcdoc', 'nonce'].includes(attribute) || FRAMEWORK_ATTRIBUTE.test(attribute)) {
+        element.removeAttr(name);
+      } else if (URL_ATTRIBUTES.has(attribute)) {
+        if (/^\s*(?:javascript|vbscript):/i.test(value)) {
+          element.attr(name, '#');
+        } else if (/^\s*data:/i.test(value) && value.length > MAX_DATA_URL_LENGTH) {
+          element.attr(name, `${value.slice(0, value.indexOf(',') + 1)}…`);
+        }
+      }
+    });
+
+    if (el.tagName === 'input' && (element.attr('type') || '').toLowerCase() === 'password') {
+      element.removeAttr('value');
+    }
+
+    const children = element.children();
+    if (children.length > MAX_CHILDREN) {
+      children.slice(MAX_CHILDREN).remove();
+      element.append(`<!-- ${children.length - MAX_CHILDREN} more elements -->`);
+    }
+  });
+
+  return $.html().trim();
+}
+
+/**
+ * Remove comments and collapse and shorten the text below a node
+ * @param {Object} $ - Cheerio instance of the snippet
+ * @param {Object} node - DOM node
+ */
+function tidyNodes($, node) {
+  [...(node.children || [])].forEach(child => {
+    if (child.type === 'comment') {
+      $(child).remove();
+    } else if (child.type === 'text') {
+      const text = child.data.replace(/\s+/g, ' ');
+      child.data = text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH).trimEnd()}…` : text;
+    } else {
+      tidyNodes($, child);
+    }
+  });
+}
+
+module.exports = {
+  sanitizeSnippet
+};
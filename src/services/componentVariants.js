@@ -0,0 +1,404 @@
+const chroma = require('chroma-js');
+
+// Longhand properties that tell the variants and sizes of a component apart
+const VARIANT_PROPERTIES = [
+  'background-color', 'color', 'font-family', 'font-size', 'font-weight', 'text-decoration-line', 'box-shadow',
+  'padding-top', 'padding-right', 'padding-bottom', 'padding-left', 'border-top-left-radius',
+  'border-top-width', 'border-top-style', 'border-top-color',
+  'border-right-width', 'border-right-style', 'border-right-color',
+  'border-bottom-width', 'border-bottom-style', 'border-bottom-color',
+  'border-left-width', 'border-left-style', 'border-left-color'
+];
+
+// Input types that are not drawn as text fields
+const NON_TEXT_INPUTS = new Set(['checkbox', 'radio', 'hidden', 'submit', 'button', 'reset', 'image', 'range', 'color', 'file']);
+
+// Which elements count as an instance of a clustered component
+const COMPONENT_MATCHERS = {
+  buttons: ({ tag, classes, attributes }) =>
+    tag === 'button' ||
+    (tag === 'input' && ['button', 'submit', 'reset'].includes(attributes.type)) ||
+    attributes.role === 'button' ||
+    classes.some(name => /^(?:btn|button)$|^(?:btn|button)-(?!group|toolbar|wrapper|container|row|list)/i.test(name)),
+  inputs: ({ tag, attributes }) =>
+    ['input', 'textarea', 'select'].includes(tag) && !NON_TEXT_INPUTS.has((attributes.type || 'text').toLowerCase()),
+  cards: ({ classes }) => classes.some(name => /(?:^|[-_])card$/i.test(name)),
+  links: element => element.tag === 'a' && !COMPONENT_MATCHERS.buttons(element)
+};
+
+// Largest color difference (CIEDE2000) between instances of the same variant
+const COLOR_TOLERANCE = 6;
+
+const MAX_VARIANT_EXAMPLES = 3;
+const ROOT_FONT_SIZE = 16;
+
+// Font sizes and paddings within this distance belong to the same size
+const SIZE_TOLERANCE_PX = 1;
+
+/**
+ * Check if an element is an instance of a clustered component
+ * @param {string} type - Component type (buttons, inputs, cards or links)
+ * @param {Object} element - Element with tag, classes and type and role attributes
+ * @returns {boolean} - Whether the element is an instance of the component
+ */
+function isComponentInstance(type, element) {
+  const matcher = COMPONENT_MATCHERS[type];
+  return Boolean(matcher) && matcher({
+    tag: element.tag,
+    classes: element.classes || [],
+    attributes: element.attributes || {}
+  });
+}
+
+/**
+ * Describe the appearance and size of a component instance from its styles
+ * @param {Object} styles - Longhand properties of VARIANT_PROPERTIES, keyed by property;
+ *   properties left out are at their initial value
+ * @returns {Object} - Appearance (colors, border, radius, shadow, font) and size (font size and padding)
+ */
+function describeComponent(styles) {
+  const fontSize = toPx(styles['font-size'], ROOT_FONT_SIZE) || ROOT_FONT_SIZE;
+  const color = normalizeColor(styles.color) || '#000000';
+
+  const sides = ['top', 'right', 'bottom', 'left'].map(side => {
+    const style = (styles[`border-${side}-style`] || 'none').toLowerCase();
+    const width = toPx(styles[`border-${side}-width`] || 'medium', fontSize);
+    const borderColor = normalizeColor(styles[`border-${side}-color`] || 'currentcolor', color);
+    // Transparent borders only reserve space, so they do not count as drawn
+    const drawn = !['none', 'hidden'].includes(style) && width > 0 && Boolean(borderColor);
+    return {
+      drawn,
+      width,
+      style,
+      color: drawn ? borderColor : null
+    };
+  });
+  const drawn = sides.filter(side => side.drawn);
+  const border = drawn.find(side => side === sides[0]) || drawn[0];
+
+  const shadow = (styles['box-shadow'] || 'none').trim();
+  const weight = (styles['font-weight'] || '400').toLowerCase();
+
+  return {
+    appearance: {
+      backgroundColor: normalizeColor(styles['background-color']),
+      color,
+      borderColor: border ? border.color : null,
+      borderWidth: border ? `${border.width}px` : '0px',
+      borderStyle: border ? border.style : 'none',
+      borderSides: drawn.length === 4 ? 'all' :
+        drawn.length === 0 ? 'none' :
+        drawn.length === 1 && sides[2].drawn ? 'bottom' : 'partial',
+      borderRadius: `${toPx(styles['border-top-left-radius'] || '0px', fontSize) || 0}px`,
+      boxShadow: shadow === 'none' ? null : shadow,
+      textDecoration: /underline/i.test(styles['text-decoration-line'] || '') ? 'underline' : null,
+      fontWeight: { normal: '400', bold: '700' }[weight] || weight,
+      fontFamily: styles['font-family'] || null
+    },
+    size: {
+      fontSize: `${round(fontSize)}px`,
+      paddingY: `${round(toPx(styles['padding-top'] || '0px', fontSize) || 0)}px`,
+      paddingX: `${round(toPx(styles['padding-left'] || '0px', fontSize) || 0)}px`
+    }
+  };
+}
+
+/**
+ * Cluster component instances into named variants by their appearance, each with a size scale
+ * @param {string} type - Component type (buttons, inputs, cards or links)
+ * @param {Array} instances - Instances with appearance, size, count, examples and optionally
+ *   a preview, interactive states and a focus indicator
+ * @returns {Array} - Variants with name, kind, count, styles, sizes (sm, md, lg), examples,
+ *   the preview of their first instance that has one and the states and focus indicator of
+ *   their first instance that has states, most used first
+ */
+function clusterVariants(type, instances) {
+  const clusters = [];
+
+  [...instances]
+    .sort((a, b) => (b.count || 1) - (a.count || 1))
+    .forEach(instance => {
+      let cluster = clusters.find(candidate => sameAppearance(candidate.appearance, instance.appearance));
+      if (!cluster) {
+        cluster = { appearance: instance.appearance, count: 0, sizes: [], examples: [], preview: null, states: null, focusIndicator: null };
+        clusters.push(cluster);
+      }
+      cluster.preview = cluster.preview || instance.preview || null;
+      if (!cluster.states && instance.states) {
+        cluster.states = instance.states;
+        cluster.focusIndicator = instance.focusIndicator || null;
+      }
+
+      const count = instance.count || 1;
+      cluster.count += count;
+      (instance.examples || []).forEach(example => {
+        if (!cluster.examples.some(existing => JSON.stringify(existing) === JSON.stringify(example))) {
+          cluster.examples.push(example);
+        }
+      });
+
+      const size = cluster.sizes.find(candidate => sameSize(candidate, instance.size));
+      if (size) {
+        size.count += count;
+      } else {
+        cluster.sizes.push({ ...instance.size, count });
+      }
+    });
+
+  clusters.sort((a, b) => b.count - a.count);
+
+  const names = nameVariants(type, clusters);
+  return clusters.map((cluster, index) => ({
+    name: names[index],
+    kind: variantKind(type, cluster.appearance),
+    count: cluster.count,
+    styles: cluster.appearance,
+    sizes: buildSizeScale(cluster.sizes),
+    examples: cluster.examples.slice(0, MAX_VARIANT_EXAMPLES),
+    preview: cluster.preview,
+    states: cluster.states,
+    focusIndicator: cluster.focusIndicator
+  }));
+}
+
+/**
+ * Merge the variants of several analyses by clustering them again
+ * @param {string} type - Component type
+ * @param {Array} variantLists - Variants of every analysis
+ * @returns {Array} - Merged variants
+ */
+function mergeComponentVariants(type, variantLists) {
+  const instances = variantLists.filter(Boolean).flat().flatMap(variant => {
+    const sizes = Object.entries(variant.sizes || {});
+
+    // Sizes beyond the sm, md and lg scale are counted toward md
+    const unsized = variant.count - sizes.reduce((sum, [, size]) => sum + size.count, 0);
+
+    return sizes.map(([name, size]) => ({
+      appearance: variant.styles,
+      size: { fontSize: size.fontSize, paddingY: size.paddingY, paddingX: size.paddingX },
+      count: size.count + (name === 'md' ? unsized : 0),
+      examples: variant.examples,
+      preview: variant.preview,
+      states: variant.states,
+      focusIndicator: variant.focusIndicator
+    }));
+  });
+
+  return clusterVariants(type, instances);
+}
+
+/**
+ * Classify the appearance of a component instance
+ * @param {string} type - Component type
+ * @param {Object} appearance - Appearance from describeComponent
+ * @returns {string} - Kind of variant: filled, outline, ghost or link for buttons;
+ *   outlined, underlined, filled or ghost for inputs; elevated, outlined, filled or plain for cards;
+ *   underlined or plain for links
+ */
+function variantKind(type, appearance) {
+  const filled = Boolean(appearance.backgroundColor);
+  const bordered = appearance.borderSides !== 'none';
+
+  if (type === 'inputs') {
+    if (appearance.borderSides === 'bottom') return 'underlined';
+    if (bordered) return 'outlined';
+    return filled ? 'filled' : 'ghost';
+  }
+  if (type === 'links') {
+    return appearance.textDecoration ? 'underlined' : 'plain';
+  }
+  if (type === 'cards') {
+    if (appearance.boxShadow) return 'elevated';
+    if (bordered) return 'outlined';
+    return filled ? 'filled' : 'plain';
+  }
+
+  if (filled) return 'filled';
+  if (bordered) return 'outline';
+  return appearance.textDecoration ? 'link' : 'ghost';
+}
+
+/**
+ * Name the variants of a component. Filled buttons are named primary (the most used
+ * saturated fill), after the status their hue suggests, then secondary and
+ * tertiary; the most used link is named default; other kinds are named after their kind.
+ * Repeated names get a numeric suffix.
+ * @param {string} type - Component type
+ * @param {Array} clusters - Clusters sorted by usage
+ * @returns {Array} - Name per cluster
+ */
+function nameVariants(type, clusters) {
+  const kinds = clusters.map(cluster => variantKind(type, cluster.appearance));
+  const names = kinds.map(kind => (type === 'inputs' && kind === 'outlined' ? 'default' : kind));
+  if (type === 'links' && names.length > 0) {
+    names[0] = 'default';
+  }
+
+  if (type === 'buttons') {
+    const filled = clusters.map((cluster, index) => ({ cluster, index })).filter(({ index }) => kinds[index] === 'filled');
+    const primary = filled.find(({ cluster }) => isSaturated(cluster.appearance.backgroundColor)) || filled[0];
+
+    filled.forEach(entry => {
+      const status = statusName(entry.cluster.appearance.backgroundColor);
+      if (entry === primary) {
+        names[entry.index] = 'primary';
+      } else if (status && status !== statusName(primary.cluster.appearance.backgroundColor)) {
+        names[entry.index] = status;
+      } else if (!names.includes('secondary')) {
+        names[entry.index] = 'secondary';
+      } else {
+        names[entry.index] = 'tertiary';
+      }
+    });
+  }
+
+  const seen = new Map();
+  return names.map(name => {
+    seen.set(name, (seen.get(name) || 0) + 1);
+    return seen.get(name) === 1 ? name : `${name}-${seen.get(name)}`;
+  });
+}
+
+/**
+ * Build the sm, md and lg sizes of a variant: md is the most used size,
+ * sm and lg the most used smaller and larger ones
+ * @param {Array} sizes - Distinct sizes with font size, padding and count
+ * @returns {Object} - Sizes by name
+ */
+function buildSizeScale(sizes) {
+  const scale = size => parseFloat(size.fontSize) * 100 + parseFloat(size.paddingY);
+  const mostUsed = list => list.reduce((best, size) => (!best || size.count > best.count ? size : best), null);
+  const format = size => size && {
+    fontSize: size.fontSize,
+    padding: `${size.paddingY} ${size.paddingX}`,
+    paddingY: size.paddingY,
+    paddingX: size.paddingX,
+    count: size.count
+  };
+
+  const md = mostUsed(sizes);
+  if (!md) return {};
+
+  const sm = mostUsed(sizes.filter(size => scale(size) < scale(md)));
+  const lg = mostUsed(sizes.filter(size => scale(size) > scale(md)));
+
+  return Object.fromEntries(
+    Object.entries({ sm: format(sm), md: format(md), lg: format(lg) }).filter(([, size]) => size)
+  );
+}
+
+/**
+ * Check if two appearances belong to the same variant
+ * @param {Object} a - Appearance
+ * @param {Object} b - Appearance
+ * @returns {boolean} - Whether the appearances match
+ */
+function sameAppearance(a, b) {
+  return closeColors(a.backgroundColor, b.backgroundColor) &&
+    closeColors(a.color, b.color) &&
+    a.borderSides === b.borderSides &&
+    closeColors(a.borderColor, b.borderColor) &&
+    Boolean(a.boxShadow) === Boolean(b.boxShadow) &&
+    Boolean(a.textDecoration) === Boolean(b.textDecoration);
+}
+
+/**
+ * Check if two sizes are the same within the size tolerance
+ * @param {Object} a - Size with font size and padding in px
+ * @param {Object} b - Size with font size and padding in px
+ * @returns {boolean} - Whether the sizes match
+ */
+function sameSize(a, b) {
+  return ['fontSize', 'paddingY', 'paddingX'].every(key =>
+    Math.abs(parseFloat(a[key]) - parseFloat(b[key])) <= SIZE_TOLERANCE_PX
+  );
+}
+
+/**
+ * Compare two optional colors
+ * @param {string|null} a - Hex color
+ * @param {string|null} b - Hex color
+ * @returns {boolean} - Whether both are missing or both are perceptually close
+ */
+function closeColors(a, b) {
+  if (!a || !b) return !a && !b;
+  return chroma.deltaE(a, b) <= COLOR_TOLERANCE;
+}
+
+/**
+ * Check if a color is saturated enough to be a brand color
+ * @param {string} color - Hex color
+ * @returns {boolean} - Whether the color is saturated
+ */
+function isSaturated(color) {
+  const [lightness, chromaValue] = chroma(color).lch();
+  return chromaValue > 30 && lightness > 15 && lightness < 90;
+}
+
+/**
+ * Name the status a saturated color suggests by its hue
+ * @param {string} color - Hex color
+ * @returns {string|null} - danger, warning, success or info, or null for neutral colors
+ */
+function statusName(color) {
+  if (!isSaturated(color)) return null;
+
+  const hue = chroma(color).get('hsl.h');
+  if (hue < 20 || hue >= 340) return 'danger';
+  if (hue < 65) return 'warning';
+  if (hue < 165) return 'success';
+  if (hue < 250) return 'info';
+  return null;
+}
+
+/**
+ * Normalize a color, treating transparent colors as missing
+ * @param {string} value - CSS color
+ * @param {string} currentColor - Value of currentcolor
+ * @returns {string|null} - Hex color, or null for transparent or invalid colors
+ */
+function normalizeColor(value, currentColor = null) {
+  if (!value) return null;
+  if (/^currentcolor$/i.test(value.trim())) return currentColor;
+  if (!chroma.valid(value)) return null;
+
+  const color = chroma(value);
+  return color.alpha() < 0.05 ? null : color.hex();
+}
+
+/**
+ * Convert a length to px
+ * @param {string} value - CSS length or border width keyword
+ * @param {number} fontSize - Font size of the element in px, for em lengths
+ * @returns {number|null} - Length in px, or null for values that are not lengths
+ */
+function toPx(value, fontSize) {
+  if (!value) return null;
+  const keyword = { thin: 1, medium: 3, thick: 5 }[value.trim().toLowerCase()];
+  if (keyword !== undefined) return keyword;
+  if (value.trim() === '0') return 0;
+
+  const match = value.trim().match(/^(-?\d*\.?\d+)(px|rem|em)$/i);
+  if (!match) return null;
+
+  const unit = match[2].toLowerCase();
+  return parseFloat(match[1]) * (unit === 'px' ? 1 : unit === 'rem' ? ROOT_FONT_SIZE : fontSize);
+}
+
+/**
+ * Round a px value to two decimals
+ * @param {number} value - Value in px
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  VARIANT_PROPERTIES,
+  isComponentInstance,
+  describeComponent,
+  clusterVariants,
+  mergeComponentVariants
+};
@@ -0,0 +1,273 @@
+const chroma = require('chroma-js');
+
+// WCAG 2.x minimum contrast ratios
+const WCAG_THRESHOLDS = {
+  normal: { AA: 4.5, AAA: 7 },
+  large: { AA: 3, AAA: 4.5 }
+};
+
+// Text counts as large from 24px, or from 18.66px (14pt) when bold
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+const BOLD_WEIGHT = 700;
+
+// APCA 0.0.98G-4g constants (sRGB)
+const APCA = {
+  mainTRC: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.0721750],
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  loOffset: 0.027,
+  loClip: 0.1,
+  deltaYmin: 0.0005
+};
+
+// Minimum APCA lightness contrast (Lc) for each kind of content, highest first
+const APCA_LEVELS = [
+  { rating: 'body', lc: 75 },
+  { rating: 'content', lc: 60 },
+  { rating: 'large', lc: 45 },
+  { rating: 'spot', lc: 30 },
+  { rating: 'non-text', lc: 15 }
+];
+
+// Steps of OKLCH lightness searched for a compliant shade
+const SHADE_SEARCH_STEP = 0.005;
+
+/**
+ * Composite a stack of background colors into the opaque color they paint
+ * @param {Array} layers - Background colors from the element itself down to the root
+ * @returns {string|null} - Opaque hex color, or null if a layer is not a color
+ */
+function resolveBackdrop(layers) {
+  // Browsers paint the canvas white below the last layer
+  let backdrop = chroma('#ffffff');
+
+  for (const layer of [...layers].reverse()) {
+    if (!layer || /^(?:transparent|none)$/i.test(layer)) continue;
+    if (!chroma.valid(layer)) return null;
+    backdrop = composite(chroma(layer), backdrop);
+  }
+
+  return backdrop.hex();
+}
+
+/**
+ * Check if text of a given size counts as large text for WCAG
+ * @param {number} fontSizePx - Font size in px
+ * @param {number|string} fontWeight - Numeric font weight or keyword
+ * @returns {boolean} - Whether the text is large
+ */
+function isLargeText(fontSizePx, fontWeight) {
+  const weight = /^bold(?:er)?$/i.test(String(fontWeight)) ? BOLD_WEIGHT : parseInt(fontWeight, 10) || 400;
+  return fontSizePx >= LARGE_TEXT_PX || (fontSizePx >= LARGE_BOLD_TEXT_PX && weight >= BOLD_WEIGHT);
+}
+
+/**
+ * Merge observed text/background pairs, summing their counts
+ * @param {Array} pairs - Pairs with foreground, background, large and count
+ * @returns {Array} - Merged pairs sorted by count
+ */
+function mergeColorPairs(pairs) {
+  const merged = new Map();
+
+  pairs.forEach(({ foreground, background, large, count }) => {
+    const key = `${foreground}|${background}|${large}`;
+    if (!merged.has(key)) {
+      merged.set(key, { foreground, background, large, count: 0 });
+    }
+    merged.get(key).count += count;
+  });
+
+  return [...merged.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Measure the contrast of a foreground color on a background color
+ * @param {string} foreground - Text color
+ * @param {string} background - Opaque background color
+ * @param {Object} options - Pair options
+ * @param {boolean} options.large - Whether the text is large
+ * @returns {Object|null} - WCAG ratio and levels, APCA score and, for failing
+ *   pairs, the nearest compliant foreground and background shades
+ */
+function evaluateContrast(foreground, background, { large = false } = {}) {
+  if (!chroma.valid(foreground) || !chroma.valid(background)) return null;
+
+  const bg = composite(chroma(background), chroma('#ffffff'));
+  const fg = composite(chroma(foreground), bg);
+
+  const ratio = chroma.contrast(fg, bg);
+  const lc = apcaContrast(fg, bg);
+  const required = WCAG_THRESHOLDS[large ? 'large' : 'normal'].AA;
+  const passes = ratio >= required;
+
+  return {
+    foreground,
+    background,
+    large,
+    ratio: round(ratio),
+    wcag: Object.fromEntries(Object.entries(WCAG_THRESHOLDS).map(([size, levels]) => [
+      size,
+      Object.fromEntries(Object.entries(levels).map(([level, minimum]) => [level, ratio >= minimum]))
+    ])),
+    apca: {
+      lc: round(lc, 1),
+      rating: (APCA_LEVELS.find(level => Math.abs(lc) >= level.lc) || { rating: 'fail' }).rating
+    },
+    passes,
+    suggestions: passes ? null : {
+      foreground: findCompliantShade(fg, bg, required),
+      background: findCompliantShade(bg, fg, required)
+    }
+  };
+}
+
+/**
+ * Audit observed text/background pairs and the color combinations proposed
+ * by a style guide
+ * @param {Object} input - Pairs to audit
+ * @param {Array} input.pairs - Observed pairs with foreground, background, large and count
+ * @param {Array} input.combinations - Proposed pairs with name, foreground and background
+ * @returns {Object} - Summary and the evaluated pairs, failing pairs first
+ */
+function auditContrast({ pairs = [], combinations = [] }) {
+  const pages = pairs
+    .map(pair => {
+      const result = evaluateContrast(pair.foreground, pair.background, { large: pair.large });
+      return result && { ...result, count: pair.count };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.passes - b.passes || b.count - a.count);
+
+  const palette = combinations
+    .map(combination => {
+      const result = evaluateContrast(combination.foreground, combination.background, { large: combination.large });
+      return result && { name: combination.name, ...result };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.passes - b.passes);
+
+  // Page pairs are weighted by the number of text elements using them
+  const totalUses = pages.reduce((sum, pair) => sum + pair.count, 0);
+  const passingUses = pages.filter(pair => pair.passes).reduce((sum, pair) => sum + pair.count, 0);
+
+  return {
+    summary: {
+      pagePairs: pages.length,
+      failingPagePairs: pages.filter(pair => !pair.passes).length,
+      pagePassRate: totalUses > 0 ? round(passingUses / totalUses) : null,
+      paletteCombinations: palette.length,
+      failingPaletteCombinations: palette.filter(pair => !pair.passes).length
+    },
+    pages,
+    palette
+  };
+}
+
+/**
+ * Find the shade of a color closest to it that reaches a contrast ratio
+ * against another color, by changing its OKLCH lightness
+ * @param {Object} color - Chroma color to adjust
+ * @param {Object} against - Opaque chroma color it is measured against
+ * @param {number} target - Contrast ratio to reach
+ * @returns {string|null} - Hex color, or null if no shade reaches the ratio
+ */
+function findCompliantShade(color, against, target) {
+  const [lightness, chromaValue, hue] = color.oklch();
+  const start = Math.min(1, Math.max(0, lightness));
+  const candidates = [];
+
+  // Search lighter and darker shades, keeping the first compliant one in each direction
+  [1, -1].forEach(direction => {
+    for (let l = start; l >= 0 && l <= 1; l += direction * SHADE_SEARCH_STEP) {
+      // Measure the shade as it will be written, after rounding to hex
+      const shade = chroma(chroma.oklch(l, chromaValue, Number.isNaN(hue) ? 0 : hue).hex());
+      if (chroma.contrast(shade, against) >= target) {
+        candidates.push(shade);
+        return;
+      }
+    }
+  });
+
+  const black = chroma('#000000');
+  const white = chroma('#ffffff');
+  if (candidates.length === 0) {
+    candidates.push(...[black, white].filter(extreme => chroma.contrast(extreme, against) >= target));
+  }
+  if (candidates.length === 0) return null;
+
+  return candidates
+    .sort((a, b) => chroma.deltaE(a, color) - chroma.deltaE(b, color))[0]
+    .hex();
+}
+
+/**
+ * APCA lightness contrast of text on a background
+ * @param {Object} text - Opaque chroma text color
+ * @param {Object} background - Opaque chroma background color
+ * @returns {number} - Lc value, positive for dark text on light backgrounds
+ */
+function apcaContrast(text, background) {
+  const luminance = color => {
+    const y = color.rgb().reduce((sum, channel, index) =>
+      sum + APCA.coefficients[index] * Math.pow(channel / 255, APCA.mainTRC), 0);
+    // Soft clamp near black
+    return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+  };
+
+  const textY = luminance(text);
+  const backgroundY = luminance(background);
+  if (Math.abs(backgroundY - textY) < APCA.deltaYmin) return 0;
+
+  if (backgroundY > textY) {
+    const sapc = (Math.pow(backgroundY, APCA.normBG) - Math.pow(textY, APCA.normTXT)) * APCA.scale;
+    return sapc < APCA.loClip ? 0 : (sapc - APCA.loOffset) * 100;
+  }
+
+  const sapc = (Math.pow(backgroundY, APCA.revBG) - Math.pow(textY, APCA.revTXT)) * APCA.scale;
+  return sapc > -APCA.loClip ? 0 : (sapc + APCA.loOffset) * 100;
+}
+
+/**
+ * Paint a possibly translucent color over an opaque one
+ * @param {Object} top - Chroma color
+ * @param {Object} bottom - Opaque chroma color
+ * @returns {Object} - Opaque chroma color
+ */
+function composite(top, bottom) {
+  const alpha = top.alpha();
+  if (alpha >= 1) return top;
+
+  const [r, g, b] = top.rgb(false);
+  const [br, bg, bb] = bottom.rgb(false);
+  return chroma(
+    r * alpha + br * (1 - alpha),
+    g * alpha + bg * (1 - alpha),
+    b * alpha + bb * (1 - alpha)
+  );
+}
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Number
+ * @param {number} decimals - Decimals to keep
+ * @returns {number} - Rounded number
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  resolveBackdrop,
+  isLargeText,
+  mergeColorPairs,
+  evaluateContrast,
+  auditContrast
+};
@@ -0,0 +1,224 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const logger = require('./logger');
+const { analyzeWebsite, aggregateAnalyses } = require('./analyzer');
+
+// Defaults and hard limits for crawl options supplied by API clients
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 10;
+const MAX_DEPTH_LIMIT = 5;
+const MAX_PAGES_LIMIT = 50;
+const MAX_SITEMAPS = 5;
+
+// Links to these file types never lead to an analyzable page
+const NON_PAGE_EXTENSIONS = /\.(?:pdf|zip|gz|rar|7z|dmg|exe|jpe?g|png|gif|svg|webp|avif|ico|mp3|mp4|webm|mov|avi|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+
+/**
+ * Normalize crawl options from an API request
+ * @param {boolean|Object} crawl - `true` for defaults, or { maxDepth, maxPages, sitemap }
+ * @returns {Object|null} - Crawl options, or null if crawling is not requested
+ */
+function parseCrawlOptions(crawl) {
+  if (!crawl) return null;
+
+  const options = crawl === true ? {} : crawl;
+  if (typeof options !== 'object') {
+    throw new Error('crawl must be a boolean or an object');
+  }
+
+  const maxDepth = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+  const maxPages = options.maxPages ?? DEFAULT_MAX_PAGES;
+
+  if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > MAX_DEPTH_LIMIT) {
+    throw new Error(`crawl.maxDepth must be an integer between 0 and ${MAX_DEPTH_LIMIT}`);
+  }
+  if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGES_LIMIT) {
+    throw new Error(`crawl.maxPages must be an integer between 1 and ${MAX_PAGES_LIMIT}`);
+  }
+
+  return {
+    maxDepth,
+    maxPages,
+    sitemap: options.sitemap !== false
+  };
+}
+
+/**
+ * Crawl a site and aggregate the analyses of its pages
+ * @param {string} url - The URL to start from
+ * @param {Object} options - Crawl and analysis options
+ * @param {number} options.maxDepth - How many links away from the start page to follow
+ * @param {number} options.maxPages - Maximum number of pages to analyze
+ * @param {boolean} options.sitemap - Whether to seed the crawl from sitemap.xml
+ * @param {string} options.engine - Analysis engine for every page
+ * @param {Array} options.viewports - Viewport presets for every rendered page
+ * @returns {Promise<Object>} - Site-level analysis
+ */
+async function crawlWebsite(url, options = {}) {
+  const {
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxPages = DEFAULT_MAX_PAGES,
+    sitemap = true
+  } = options;
+  const startUrl = normalizePageUrl(url);
+  let origin = new URL(startUrl).origin;
+
+  logger.info(`Starting crawl of ${origin} (max depth ${maxDepth}, max pages ${maxPages})`);
+
+  const queue = [{ url: startUrl, depth: 0, source: 'start' }];
+  const queued = new Set([startUrl]);
+
+  const enqueue = (link, depth, source) => {
+    const pageUrl = normalizePageUrl(link);
+    if (!pageUrl || queued.has(pageUrl) || !isCrawlable(pageUrl, origin)) return;
+
+    queued.add(pageUrl);
+    queue.push({ url: pageUrl, depth, source });
+  };
+
+  const analyses = [];
+  const pages = [];
+  const errors = [];
+
+  while (queue.length > 0 && analyses.length < maxPages) {
+    const page = queue.shift();
+
+    try {
+      const analysis = await analyzeWebsite(page.url, { engine: options.engine, viewports: options.viewports });
+      analyses.push(analysis);
+      pages.push({ url: page.url, depth: page.depth, source: page.source });
+
+      // The site is the host the start page ended at, e.g. www.example.com when
+      // example.com redirects there, and its sitemap is read from that host
+      if (page.source === 'start') {
+        const finalUrl = normalizePageUrl(analysis.finalUrl || page.url);
+        origin = new URL(finalUrl).origin;
+        queued.add(finalUrl);
+
+        if (sitemap && maxDepth > 0) {
+          const sitemapUrls = await discoverSitemapUrls(origin);
+          sitemapUrls.forEach(link => enqueue(link, 1, 'sitemap'));
+        }
+      }
+
+      if (page.depth < maxDepth) {
+        (analysis.links || []).forEach(link => enqueue(link, page.depth + 1, 'link'));
+      }
+    } catch (error) {
+      // The crawl is only useful if the start page itself can be analyzed
+      if (page.source === 'start') throw error;
+
+      logger.warn(`Skipping ${page.url} during crawl: ${error.message}`);
+      errors.push({ url: page.url, message: error.message });
+    }
+  }
+
+  logger.info(`Crawl of ${origin} analyzed ${analyses.length} pages`);
+
+  const siteAnalysis = aggregateAnalyses(startUrl, analyses);
+  siteAnalysis.crawl = {
+    maxDepth,
+    maxPages,
+    discovered: queued.size,
+    pages,
+    errors
+  };
+
+  return siteAnalysis;
+}
+
+/**
+ * Find page URLs listed in the site's sitemaps
+ * @param {string} origin - Site origin
+ * @returns {Promise<Array>} - Page URLs
+ */
+async function discoverSitemapUrls(origin) {
+  const sitemaps = [`${origin}/sitemap.xml`];
+
+  // robots.txt may point at sitemaps in other locations
+  const robots = await fetchText(`${origin}/robots.txt`);
+  if (robots) {
+    robots.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^\s*sitemap:\s*(\S+)/i);
+      if (match && !sitemaps.includes(match[1])) {
+        sitemaps.push(match[1]);
+      }
+    });
+  }
+
+  const pageUrls = [];
+  const visited = new Set();
+
+  while (sitemaps.length > 0 && visited.size < MAX_SITEMAPS) {
+    const sitemapUrl = sitemaps.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    const xml = await fetchText(sitemapUrl);
+    if (!xml) continue;
+
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    // Sitemap indexes list further sitemaps instead of pages
+    $('sitemap > loc').each((i, el) => {
+      sitemaps.push($(el).text().trim());
+    });
+    $('url > loc').each((i, el) => {
+      pageUrls.push($(el).text().trim());
+    });
+  }
+
+  logger.debug(`Found ${pageUrls.length} pages in sitemaps of ${origin}`);
+  return pageUrls;
+}
+
+/**
+ * Fetch a text resource, returning null when it is unavailable
+ * @param {string} url - Resource URL
+ * @returns {Promise<string|null>} - Response text
+ */
+async function fetchText(url) {
+  try {
+    const response = await axios.get(url, {
+      responseType: 'text',
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      }
+    });
+    return typeof response.data === 'string' ? response.data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a page URL so the same page is not crawled twice
+ * @param {string} url - Page URL
+ * @returns {string|null} - URL without fragment, or null if invalid
+ */
+function normalizePageUrl(url) {
+  try {
+    const pageUrl = new URL(url);
+    pageUrl.hash = '';
+    return pageUrl.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check if a URL is a same-origin page worth analyzing
+ * @param {string} url - Page URL
+ * @param {string} origin - Site origin
+ * @returns {boolean} - Whether the URL should be crawled
+ */
+function isCrawlable(url, origin) {
+  const pageUrl = new URL(url);
+  return pageUrl.origin === origin && !NON_PAGE_EXTENSIONS.test(pageUrl.pathname);
+}
+
+module.exports = {
+  parseCrawlOptions,
+  crawlWebsite
+};
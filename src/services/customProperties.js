@@ -0,0 +1,197 @@
+const chroma = require('chroma-js');
+
+// var() chains longer than this are treated as unresolvable
+const MAX_VAR_DEPTH = 10;
+
+// Selectors whose custom properties define global design tokens
+const ROOT_SELECTOR = /^(?::root|html|body|:host)$/i;
+
+const GENERIC_FONT_FAMILIES = /\b(?:serif|sans-serif|monospace|cursive|fantasy|system-ui|ui-sans-serif|ui-serif|ui-monospace|-apple-system)\b/i;
+const LENGTH = /^-?\d*\.?\d+(?:px|rem|em|%|vh|vw|vmin|vmax|dvh|svh|ch|ex|pt|cqw|cqi)$/i;
+
+/**
+ * Collect custom property definitions and classify them as design tokens
+ * @param {Array} declarations - Weighted style declarations
+ * @returns {Object} - Resolved values by name and the classified tokens
+ */
+function extractCustomProperties(declarations) {
+  const definitions = new Map();
+  const usage = new Map();
+
+  declarations.forEach(declaration => {
+    const { property, value, weight } = declaration;
+
+    if (property.startsWith('--')) {
+      if (!definitions.has(property)) {
+        definitions.set(property, []);
+      }
+      definitions.get(property).push({
+        value,
+        selector: declaration.selector,
+        conditions: declaration.conditions || []
+      });
+    }
+
+    // Count how often every custom property is referenced
+    for (const match of value.matchAll(/var\(\s*(--[\w-]+)/g)) {
+      usage.set(match[1], (usage.get(match[1]) || 0) + weight);
+    }
+  });
+
+  // The unconditional definition on :root wins over scoped overrides
+  const values = new Map();
+  definitions.forEach((list, name) => {
+    const base = list.find(definition => isGlobalDefinition(definition)) || list[0];
+    values.set(name, base.value);
+  });
+
+  const tokens = { colors: [], lengths: [], fonts: [], shadows: [], numbers: [], other: [] };
+
+  definitions.forEach((list, name) => {
+    const raw = values.get(name);
+    const value = resolveVariables(raw, values);
+    if (value === null || value === '') return;
+
+    const token = {
+      name,
+      value,
+      raw: raw !== value ? raw : null,
+      usage: usage.get(name) || 0,
+      overrides: list
+        .filter(definition => !isGlobalDefinition(definition) && definition.value !== raw)
+        .slice(0, 5)
+        .map(definition => ({
+          selector: definition.selector,
+          value: resolveVariables(definition.value, values),
+          conditions: definition.conditions.map(condition => `@${condition.name} ${condition.params}`)
+        }))
+    };
+
+    tokens[classifyToken(name, value)].push(token);
+  });
+
+  Object.values(tokens).forEach(list => {
+    list.sort((a, b) => b.usage - a.usage || a.name.localeCompare(b.name));
+  });
+
+  return { values, tokens };
+}
+
+/**
+ * Check if a custom property definition applies to the whole document
+ * @param {Object} definition - Custom property definition
+ * @returns {boolean} - Whether the definition is global
+ */
+function isGlobalDefinition(definition) {
+  return definition.conditions.length === 0 &&
+    Boolean(definition.selector) &&
+    definition.selector.split(',').some(part => ROOT_SELECTOR.test(part.trim()));
+}
+
+/**
+ * Replace var() references with their values, following chains and fallbacks
+ * @param {string} value - CSS value that may contain var()
+ * @param {Map} values - Custom property values by name
+ * @param {number} depth - Current resolution depth
+ * @returns {string|null} - Resolved value, or null if it cannot be resolved
+ */
+function resolveVariables(value, values, depth = 0) {
+  if (!value || !value.includes('var(')) return value;
+  if (depth > MAX_VAR_DEPTH) return null;
+
+  let result = '';
+  let index = 0;
+
+  while (index < value.length) {
+    const start = value.indexOf('var(', index);
+    if (start === -1) {
+      result += value.slice(index);
+      break;
+    }
+
+    result += value.slice(index, start);
+
+    // Find the matching closing parenthesis, var() fallbacks may contain parentheses
+    let end = start + 4;
+    for (let open = 1; end < value.length && open > 0; end++) {
+      if (value[end] === '(') open++;
+      if (value[end] === ')') open--;
+    }
+    if (value[end - 1] !== ')') return null;
+
+    const inner = value.slice(start + 4, end - 1);
+    const comma = inner.indexOf(',');
+    const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+    const fallback = comma === -1 ? null : inner.slice(comma + 1).trim();
+
+    const replacement = values.has(name) ? values.get(name) : fallback;
+    if (replacement === null) return null;
+
+    const resolved = resolveVariables(replacement, values, depth + 1);
+    if (resolved === null) return null;
+
+    result += resolved;
+    index = end;
+  }
+
+  return result.trim();
+}
+
+/**
+ * Resolve var() references in declaration values
+ * @param {Array} declarations - Weighted style declarations
+ * @param {Object} customProperties - Result of extractCustomProperties
+ * @returns {Array} - Declarations with resolved values; unresolvable ones are dropped
+ */
+function resolveDeclarations(declarations, customProperties) {
+  return declarations
+    .filter(declaration => !declaration.property.startsWith('--'))
+    .map(declaration => {
+      const value = resolveVariables(declaration.value, customProperties.values);
+      return value === declaration.value ? declaration : { ...declaration, value };
+    })
+    .filter(declaration => declaration.value);
+}
+
+/**
+ * Classify a resolved custom property value
+ * @param {string} name - Custom property name
+ * @param {string} value - Resolved value
+ * @returns {string} - Token category (colors, lengths, fonts, shadows, numbers or other)
+ */
+function classifyToken(name, value) {
+  const lengths = value.match(/-?\d*\.?\d+(?:px|rem|em)\b|\b0\b/g) || [];
+
+  if (/shadow/i.test(name) || (lengths.length >= 2 && hasColor(value)) || /^inset\b/i.test(value)) {
+    return 'shadows';
+  }
+  if (chroma.valid(value) && !/^-?\d*\.?\d+$/.test(value)) {
+    return 'colors';
+  }
+  if (GENERIC_FONT_FAMILIES.test(value) || /font-?family|^--font(?:-(?:sans|serif|mono|body|heading|display|base))?$/i.test(name)) {
+    return 'fonts';
+  }
+  if (LENGTH.test(value) || /^(?:calc|clamp|min|max)\(/i.test(value) || (value === '0' && /space|gap|size|radius|width/i.test(name))) {
+    return 'lengths';
+  }
+  if (/^-?\d*\.?\d+$/.test(value)) {
+    return 'numbers';
+  }
+  return 'other';
+}
+
+/**
+ * Check if a value contains a color
+ * @param {string} value - CSS value
+ * @returns {boolean} - Whether a color was found
+ */
+function hasColor(value) {
+  const candidates = value.match(/#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?|oklch|oklab|lab|lch)\([^)]*\)|\b[a-z]+\b/gi) || [];
+  return candidates.some(candidate => chroma.valid(candidate));
+}
+
+module.exports = {
+  extractCustomProperties,
+  resolveVariables,
+  resolveDeclarations
+};
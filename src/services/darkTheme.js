@@ -0,0 +1,201 @@
+const chroma = require('chroma-js');
+const { evaluateContrast } = require('./contrast');
+const { toGamut } = require('./shadeRamps');
+
+// OKLCH lightness of the neutral roles in the dark theme
+const NEUTRAL_LIGHTNESS = {
+  surface: { default: 0.18, subtle: 0.23, input: 0.21, inverse: 0.96 },
+  text: { primary: 0.93, secondary: 0.75 },
+  border: { default: 0.34, subtle: 0.28, strong: 0.5 }
+};
+
+// Neutrals are tinted with the brand hue, at most this much chroma
+const NEUTRAL_CHROMA = 0.02;
+const NEUTRAL_TINT = 0.15;
+
+// Saturated colors glare on dark backgrounds, so their chroma is reduced
+const DARK_CHROMA = 0.85;
+
+// Contrast text needs against its background (WCAG AA) and the contrast of controls,
+// focus rings and icons against the page (WCAG 1.4.11)
+const TEXT_CONTRAST = 4.5;
+const UI_CONTRAST = 3;
+
+// How much lighter actions get on hover in the dark theme
+const HOVER_LIGHTENING = 0.06;
+
+// Roles every dark theme sets, whether or not the light scheme has them
+const REQUIRED_ROLES = ['surface.default', 'text.primary'];
+
+/**
+ * Generate a dark theme from the color roles of a light scheme
+ * @param {Object} roles - Color roles from assignColorRoles
+ * @param {string|null} brand - Brand color the neutrals are tinted with
+ * @returns {Object} - Dark roles in the shape of assignColorRoles, for the roles of the
+ *   light scheme and the page background and body text, and the contrast of every pair
+ *   they form
+ */
+function generateDarkTheme(roles, brand = null) {
+  const light = role => roles[role.split('.')[0]]?.[role.split('.')[1]] || null;
+  const [, brandChroma, brandHue] = brand && chroma.valid(brand) ? chroma(brand).oklch() : [0, 0, 0];
+  const tint = {
+    chroma: Math.min(NEUTRAL_CHROMA, (brandChroma || 0) * NEUTRAL_TINT),
+    hue: Number.isNaN(brandHue) ? 0 : brandHue
+  };
+  const neutral = lightness => toGamut(lightness, tint.chroma, tint.hue);
+
+  const surface = {
+    default: neutral(NEUTRAL_LIGHTNESS.surface.default),
+    subtle: neutral(NEUTRAL_LIGHTNESS.surface.subtle),
+    input: neutral(NEUTRAL_LIGHTNESS.surface.input),
+    inverse: neutral(NEUTRAL_LIGHTNESS.surface.inverse)
+  };
+  const page = surface.default;
+  const textSurfaces = [surface.default, surface.subtle, surface.input];
+
+  const dark = {
+    surface,
+    text: {
+      primary: ensureContrast(neutral(NEUTRAL_LIGHTNESS.text.primary), textSurfaces, TEXT_CONTRAST),
+      secondary: ensureContrast(neutral(NEUTRAL_LIGHTNESS.text.secondary), textSurfaces, TEXT_CONTRAST)
+    },
+    border: {
+      default: neutral(NEUTRAL_LIGHTNESS.border.default),
+      subtle: neutral(NEUTRAL_LIGHTNESS.border.subtle),
+      strong: neutral(NEUTRAL_LIGHTNESS.border.strong)
+    },
+    action: {},
+    icon: {}
+  };
+
+  if (light('text.link')) {
+    dark.text.link = ensureContrast(desaturate(light('text.link').value), textSurfaces, TEXT_CONTRAST);
+    dark.text.linkHover = ensureContrast(lighten(dark.text.link, HOVER_LIGHTENING), textSurfaces, TEXT_CONTRAST);
+  }
+  if (light('border.focus')) {
+    dark.border.focus = ensureContrast(desaturate(light('border.focus').value), [page], UI_CONTRAST);
+  }
+  if (light('icon.default')) {
+    dark.icon.default = ensureContrast(desaturate(light('icon.default').value), [page], UI_CONTRAST);
+  }
+
+  // Action fills stand out from the page and carry light or dark labels, whichever
+  // contrasts more; the fill moves away from the label until the label passes
+  ['primary', 'secondary'].forEach(name => {
+    if (!light(`action.${name}`)) return;
+    dark.action[name] = ensureContrast(desaturate(light(`action.${name}`).value), [page], UI_CONTRAST);
+  });
+  if (dark.action.primary) {
+    const labels = [dark.text.primary, page];
+    const label = labels.sort((a, b) => contrast(b, dark.action.primary) - contrast(a, dark.action.primary))[0];
+    dark.text.onAction = label;
+    Object.keys(dark.action).forEach(name => {
+      dark.action[name] = ensureContrast(dark.action[name], [label], TEXT_CONTRAST);
+    });
+    if (light('action.hover')) {
+      dark.action.hover = ensureContrast(lighten(dark.action.primary, HOVER_LIGHTENING), [label], TEXT_CONTRAST);
+    }
+  }
+
+  // Keep the roles the light scheme has, with the number of uses they were assigned from.
+  // The page background and body text are always set, since the dark page needs both, and
+  // so is the action label the action fills were fitted to.
+  const required = dark.action.primary ? [...REQUIRED_ROLES, 'text.onAction'] : REQUIRED_ROLES;
+  const darkRoles = Object.fromEntries(Object.entries(dark).map(([group, groupRoles]) => [
+    group,
+    Object.fromEntries(Object.entries(groupRoles)
+      .filter(([role]) => roles[group]?.[role] || required.includes(`${group}.${role}`))
+      .map(([role, value]) => [role, { value, count: roles[group]?.[role]?.count || 0 }]))
+  ]));
+
+  return { roles: darkRoles, contrast: checkContrast(darkRoles) };
+}
+
+/**
+ * Measure the contrast of every foreground and background pair of a theme
+ * @param {Object} roles - Color roles
+ * @returns {Array} - Pairs with name, foreground, background, ratio, required ratio and
+ *   whether they pass
+ */
+function checkContrast(roles) {
+  const value = role => roles[role.split('.')[0]]?.[role.split('.')[1]]?.value || null;
+  const pairs = [];
+  const add = (foreground, background, required) => {
+    if (!value(foreground) || !value(background)) return;
+
+    const ratio = evaluateContrast(value(foreground), value(background)).ratio;
+    pairs.push({
+      name: `${foreground} on ${background}`,
+      foreground: value(foreground),
+      background: value(background),
+      ratio,
+      required,
+      passes: ratio >= required
+    });
+  };
+
+  ['text.primary', 'text.secondary', 'text.link', 'text.linkHover'].forEach(text => {
+    ['surface.default', 'surface.subtle', 'surface.input'].forEach(surface => add(text, surface, TEXT_CONTRAST));
+  });
+  ['action.primary', 'action.secondary', 'action.hover'].forEach(action => add('text.onAction', action, TEXT_CONTRAST));
+  add('surface.default', 'surface.inverse', TEXT_CONTRAST);
+  ['action.primary', 'action.secondary', 'border.focus', 'icon.default'].forEach(role => add(role, 'surface.default', UI_CONTRAST));
+
+  return pairs;
+}
+
+/**
+ * Change the lightness of a color until it reaches a contrast against every background,
+ * lightening it on dark backgrounds and darkening it on light ones
+ * @param {string} color - Color
+ * @param {Array} backgrounds - Colors it must contrast with
+ * @param {number} target - Contrast ratio to reach
+ * @returns {string} - Hex color
+ */
+function ensureContrast(color, backgrounds, target) {
+  const [lightness, saturation, hue] = chroma(color).oklch();
+  const backdrop = backgrounds.reduce((sum, background) => sum + chroma(background).oklch()[0], 0) / backgrounds.length;
+  const direction = backdrop < 0.5 ? 1 : -1;
+  const passes = candidate => backgrounds.every(background => contrast(candidate, background) >= target);
+
+  let candidate = chroma(color).hex();
+  for (let l = lightness; !passes(candidate) && l >= 0 && l <= 1; l += direction * 0.01) {
+    candidate = toGamut(l, saturation, Number.isNaN(hue) ? 0 : hue);
+  }
+  return candidate;
+}
+
+/**
+ * Reduce the chroma of a color for use on a dark background
+ * @param {string} color - Color
+ * @returns {string} - Hex color
+ */
+function desaturate(color) {
+  const [lightness, saturation, hue] = chroma(color).alpha(1).oklch();
+  return toGamut(lightness, saturation * DARK_CHROMA, Number.isNaN(hue) ? 0 : hue);
+}
+
+/**
+ * Raise the OKLCH lightness of a color
+ * @param {string} color - Color
+ * @param {number} amount - Lightness to add
+ * @returns {string} - Hex color
+ */
+function lighten(color, amount) {
+  const [lightness, saturation, hue] = chroma(color).oklch();
+  return toGamut(Math.min(1, lightness + amount), saturation, Number.isNaN(hue) ? 0 : hue);
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} a - Color
+ * @param {string} b - Color
+ * @returns {number} - Contrast ratio
+ */
+function contrast(a, b) {
+  return evaluateContrast(a, b).ratio;
+}
+
+module.exports = {
+  generateDarkTheme
+};
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { generateStateRules } = require('./interactionStates');
 
 /**
  * Generate comprehensive documentation based on the style guide
@@ -40,8 +41,13 @@ function generateMarkdownDocs(styleGuide) {
   markdown += `   - [Colors](#colors)\n`;
   markdown += `   - [Typography](#typography)\n`;
   markdown += `   - [Components](#components)\n`;
+  markdown += `   - [Icons](#icons)\n`;
   markdown += `   - [Layout](#layout)\n`;
   markdown += `   - [Spacing](#spacing)\n`;
+  markdown += `   - [Shadows and Borders](#shadows-and-borders)\n`;
+  markdown += `   - [Motion](#motion)\n`;
+  markdown += `   - [Design Tokens](#design-tokens)\n`;
+  markdown += `   - [Accessibility](#accessibility)\n`;
   markdown += `3. [Implementation in Angular.js](#implementation-in-angularjs)\n`;
   markdown += `   - [Project Setup](#project-setup)\n`;
   markdown += `   - [Styling Architecture](#styling-architecture)\n`;
@@ -116,6 +122,121 @@ function generateMarkdownDocs(styleGuide) {
   }
   markdown += `\n`;
   
+  // Color clusters
+  if (styleGuide.colors && styleGuide.colors.clusters && styleGuide.colors.clusters.length > 0) {
+    markdown += `#### Color Clusters\n\n`;
+    markdown += `Colors that look alike are grouped in the OKLab color space and weighted by how often they are used and how much of the rendered pages they cover. Each cluster is represented by its heaviest color:\n\n`;
+    markdown += `| Color | Weight | Uses | Area (px²) | Members |\n`;
+    markdown += `|-------|--------|------|------------|---------|\n`;
+    styleGuide.colors.clusters.slice(0, 12).forEach(cluster => {
+      const members = cluster.members.map(member => `\`${member.value}\``).join(', ');
+      markdown += `| \`${cluster.value}\` | ${(cluster.weight * 100).toFixed(1)}% | ${cluster.count} | ${cluster.area || '-'} | ${members} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  // Status colors
+  if (styleGuide.colors && styleGuide.colors.status) {
+    const sources = { site: 'found on the site', brand: 'generated from the brand color', default: 'default' };
+    const describePair = pair => `\`${pair.foreground}\` on \`${pair.background}\` (${pair.ratio}:1)`;
+    markdown += `#### Status Colors\n\n`;
+    markdown += `Status colors are taken from the alerts, badges and validation styles of the analyzed website(s). Missing ones are generated with the lightness and chroma of the primary color. Every status has text on a solid fill, text on a subtle tint and text on the page background that reach 4.5:1:\n\n`;
+    markdown += `| Status | Color | Source | Solid | Subtle | Text |\n`;
+    markdown += `|--------|-------|--------|-------|--------|------|\n`;
+    Object.entries(styleGuide.colors.status).forEach(([status, { value, source, pairs }]) => {
+      markdown += `| ${status} | \`${value}\` | ${sources[source]} | ${describePair(pairs.solid)} | ${describePair(pairs.subtle)} | ${describePair(pairs.text)} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  // Shade ramps
+  if (styleGuide.colors && styleGuide.colors.ramps && Object.keys(styleGuide.colors.ramps).length > 0) {
+    markdown += `#### Shade Ramps\n\n`;
+    markdown += `Shades are generated in the OKLCH color space with a steady hue, and each base color keeps the step closest to its lightness. The contrast columns give the ratio of white and black text on each shade and whether it reaches WCAG AA for normal text (4.5:1):\n\n`;
+    Object.entries(styleGuide.colors.ramps).forEach(([role, ramp]) => {
+      markdown += `**${role[0].toUpperCase() + role.slice(1)}** (\`${ramp.base}\` at ${ramp.step})\n\n`;
+      markdown += `| Step | Color | White Text | AA | Black Text | AA |\n`;
+      markdown += `|------|-------|------------|----|------------|----|\n`;
+      ramp.shades.forEach(({ step, value, contrast }) => {
+        const mark = ratio => ratio >= 4.5 ? 'Pass' : 'Fail';
+        markdown += `| ${step} | \`${value}\` | ${contrast.white}:1 | ${mark(contrast.white)} | ${contrast.black}:1 | ${mark(contrast.black)} |\n`;
+      });
+      markdown += `\n`;
+    });
+  }
+  
+  // Color roles
+  if (styleGuide.colors && styleGuide.colors.roles) {
+    markdown += `#### Color Roles\n\n`;
+    markdown += `Roles describe how each color functions on the analyzed pages, based on where it is used:\n\n`;
+    markdown += `| Role | Color | Uses |\n`;
+    markdown += `|------|-------|------|\n`;
+    Object.entries(styleGuide.colors.roles).forEach(([group, roles]) => {
+      Object.entries(roles).forEach(([role, { value, count, inferred }]) => {
+        markdown += `| \`${group}.${role}\` | \`${value}\` | ${inferred ? 'browser default' : count} |\n`;
+      });
+    });
+    markdown += `\n`;
+  }
+  
+  // Color schemes
+  const colorSchemes = styleGuide.colors && styleGuide.colors.schemes;
+  if (colorSchemes && Object.keys(colorSchemes.schemes).length > 1) {
+    const defaultScheme = colorSchemes.default;
+    const others = Object.keys(colorSchemes.schemes).filter(name => name !== defaultScheme);
+    const provided = others.filter(name => !colorSchemes.schemes[name].generated);
+    const generated = others.filter(name => colorSchemes.schemes[name].generated);
+    
+    markdown += `#### Color Schemes\n\n`;
+    markdown += provided.length > 0 ?
+      `The analyzed website(s) load in the ${defaultScheme} scheme and also provide a ${provided.join(' and a ')} scheme.\n\n` :
+      `The analyzed website(s) load in the ${defaultScheme} scheme.\n\n`;
+    generated.forEach(name => {
+      markdown += `The ${name} scheme is generated from the ${defaultScheme} roles: surfaces, text and borders become neutrals tinted with the brand hue, and links, actions, focus rings and icons lose some saturation and are adjusted until they contrast with the dark surfaces. Status color pairs are rebuilt for the ${name} page.\n\n`;
+    });
+    others.forEach(name => {
+      const { media, selector } = colorSchemes.switches[name];
+      const ways = [
+        media && `the \`(prefers-color-scheme: ${name})\` media query`,
+        selector && `the \`${selector}\` selector on the root element`
+      ].filter(Boolean);
+      markdown += `- The ${name} scheme is enabled by ${ways.join(' and ')}\n`;
+    });
+    markdown += `\n`;
+    
+    const defaults = colorSchemes.schemes[defaultScheme].variables;
+    const variables = [...new Set([defaultScheme, ...others].flatMap(name => Object.keys(colorSchemes.schemes[name].variables)))];
+    markdown += `| Variable | ${[defaultScheme, ...others].map(name => name[0].toUpperCase() + name.slice(1)).join(' | ')} |\n`;
+    markdown += `|----------|${[defaultScheme, ...others].map(() => '-------').join('|')}|\n`;
+    variables
+      .filter(variable => others.some(name => colorSchemes.schemes[name].variables[variable] !== defaults[variable]))
+      .forEach(variable => {
+        const values = [defaultScheme, ...others].map(name => {
+          const value = colorSchemes.schemes[name].variables[variable];
+          return value ? `\`${value}\`` : '-';
+        });
+        markdown += `| \`${variable}\` | ${values.join(' | ')} |\n`;
+      });
+    markdown += `\n`;
+    
+    // Generated schemes list the contrast of every pair they form
+    generated.forEach(name => {
+      const pairs = colorSchemes.schemes[name].contrast || [];
+      const failing = pairs.filter(pair => !pair.passes);
+      const target = '4.5:1 for text, 3:1 for controls, focus rings and icons';
+      if (failing.length === 0) {
+        markdown += `All ${pairs.length} color pairs of the generated ${name} scheme reach their contrast target (${target}).\n\n`;
+      } else {
+        markdown += `${failing.length} of the ${pairs.length} color pairs of the generated ${name} scheme miss their contrast target (${target}):\n\n`;
+        failing.forEach(pair => {
+          markdown += `- ${pair.name}: \`${pair.foreground}\` on \`${pair.background}\`, ${pair.ratio}:1 of ${pair.required}:1\n`;
+        });
+        markdown += `\n`;
+      }
+    });
+    markdown += `The generated CSS variables include these overrides for each scheme, so components that use the variables switch schemes without changes.\n\n`;
+  }
+  
   // Color usage guidelines
   markdown += `#### Color Usage Guidelines\n\n`;
   markdown += `- Use primary colors for main UI elements and branding\n`;
@@ -190,6 +311,50 @@ function generateMarkdownDocs(styleGuide) {
   }
   markdown += `\n`;
   
+  // Web fonts
+  const webFonts = styleGuide.typography?.webFonts || [];
+  if (webFonts.length > 0) {
+    markdown += `#### Web Fonts\n\n`;
+    markdown += `These fonts are loaded by the analyzed pages. The font stacks above only name fonts that are loaded or available on every system.\n\n`;
+    markdown += `| Family | Source | Weights | Styles | Formats | font-display | Variable axes |\n`;
+    markdown += `|--------|--------|---------|--------|---------|--------------|---------------|\n`;
+    webFonts.forEach(font => {
+      const axes = font.axes.map(axis => `${axis.tag} ${axis.min}–${axis.max}`).join(', ') || (font.variable ? 'yes' : '–');
+      markdown += `| ${font.family} | ${font.source} | ${font.weights.join(', ')} | ${font.styles.join(', ')} | ${font.formats.join(', ') || '–'} | ${font.display || '–'} | ${axes} |\n`;
+    });
+    markdown += `\n`;
+    
+    // Families from the same font service are loaded by one block of its stylesheets
+    const services = new Map();
+    webFonts.filter(font => font.import).forEach(font => {
+      const service = services.get(font.source) || { imports: [], families: [] };
+      if (!service.imports.includes(font.import)) service.imports.push(font.import);
+      service.families.push(font.family);
+      services.set(font.source, service);
+    });
+    
+    webFonts.forEach(font => {
+      if (font.import) {
+        const service = services.get(font.source);
+        if (!service) return;
+        services.delete(font.source);
+        
+        const { imports, families } = service;
+        markdown += `Load ${families.length === 1 ? `${families[0]} from its` : 'these families from their'} font service:\n\n`;
+        markdown += "```css\n" + imports.join('\n') + "\n```\n\n";
+        if (families.length > 1) {
+          families.forEach(family => {
+            markdown += `- ${family}\n`;
+          });
+          markdown += `\n`;
+        }
+      } else if (font.fontFace) {
+        markdown += `Load ${font.family} with these @font-face rules:\n\n`;
+        markdown += "```css\n" + font.fontFace + "\n```\n\n";
+      }
+    });
+  }
+  
   // Font sizes
   markdown += `#### Font Size Scale\n\n`;
   if (styleGuide.typography && styleGuide.typography.fontSizes) {
@@ -201,6 +366,31 @@ function generateMarkdownDocs(styleGuide) {
     markdown += "```\n\n";
   }
   
+  const typeScale = styleGuide.typography?.typeScale;
+  if (typeScale) {
+    markdown += `The analyzed font sizes follow a ${typeScale.ratio.name} scale (ratio ${typeScale.ratio.value}) from a ${typeScale.base.px}px base, with a fit score of ${typeScale.score}. The scale above snaps to this ratio.\n\n`;
+    markdown += `| Ratio | Value | Fit Score |\n`;
+    markdown += `|-------|-------|-----------|\n`;
+    typeScale.fits.forEach(fit => {
+      const best = fit.value === typeScale.ratio.value ? ' (best)' : '';
+      markdown += `| ${fit.name}${best} | ${fit.value} | ${fit.score} |\n`;
+    });
+    markdown += `\n`;
+  
+    if (typeScale.outliers.length > 0) {
+      markdown += `Sizes off the scale: ${typeScale.outliers.map(size => `${size.values.join(' / ')} (${size.count}, ${size.deviation > 0 ? '+' : ''}${Math.round(size.deviation * 100)}% from ${size.step})`).join(', ')}. Consider replacing them with the nearest step.\n\n`;
+    }
+  
+    if (typeScale.fluid) {
+      markdown += `For fluid type, the sizes can grow from a ${typeScale.fluid.mobileRatio} ratio at ${typeScale.fluid.minViewport} to the ${typeScale.ratio.value} ratio at ${typeScale.fluid.maxViewport}:\n\n`;
+      markdown += "```css\n:root {\n";
+      Object.entries(typeScale.fluid.scale).forEach(([name, size]) => {
+        markdown += `  --font-size-${name}: ${size};\n`;
+      });
+      markdown += "}\n```\n\n";
+    }
+  }
+  
   // Headings
   markdown += `#### Headings\n\n`;
   if (styleGuide.typography && styleGuide.typography.headings) {
@@ -209,7 +399,7 @@ function generateMarkdownDocs(styleGuide) {
     Object.entries(styleGuide.typography.headings).forEach(([heading, styles]) => {
       markdown += `${heading} {\n`;
       Object.entries(styles).forEach(([property, value]) => {
-        markdown += `  ${property}: ${value};\n`;
+        markdown += `  ${toCssProperty(property)}: ${value};\n`;
       });
       markdown += `}\n\n`;
     });
@@ -237,9 +427,63 @@ function generateMarkdownDocs(styleGuide) {
           markdown += `**Angular Component:** \`${data.angularComponent.componentName}\`\n\n`;
           markdown += `**Selector:** \`${data.angularComponent.selector}\`\n\n`;
           
+          if (data.variants && data.variants.length > 0) {
+            markdown += `**Variants:**\n\n`;
+            markdown += `| Variant | Uses | Background | Text | Border | Radius | Sizes (font size / padding) |\n`;
+            markdown += `|---------|------|------------|------|--------|--------|-----------------------------|\n`;
+            data.variants.forEach(variant => {
+              const { styles } = variant;
+              const border = styles.borderColor ?
+                `${styles.borderWidth} ${styles.borderStyle} ${styles.borderColor}${styles.borderSides === 'all' ? '' : ` (${styles.borderSides})`}` :
+                'none';
+              const sizes = Object.entries(variant.sizes)
+                .map(([name, size]) => `${name}: ${size.fontSize} / ${size.padding}`)
+                .join('<br>');
+              markdown += `| ${variant.name} | ${variant.count} | ${styles.backgroundColor || 'transparent'} | ${styles.color} | ${border} | ${styles.borderRadius} | ${sizes} |\n`;
+            });
+            markdown += `\n`;
+            
+            // Markup of one instance per variant, as found on the analyzed sites
+            const snippets = data.variants.filter(variant => variant.preview?.html);
+            if (snippets.length > 0) {
+              markdown += `**Variant Markup:**\n\n`;
+              markdown += "```html\n";
+              snippets.forEach(variant => {
+                markdown += `<!-- ${variant.name} -->\n${variant.preview.html}\n`;
+              });
+              markdown += "```\n\n";
+            }
+            
+            // Computed style changes of the variants in each interactive state
+            const stateful = data.variants.filter(variant => variant.states);
+            if (stateful.length > 0) {
+              const describeChanges = changes => {
+                if (!changes) return 'n/a';
+                const entries = Object.entries(changes);
+                return entries.length > 0 ? entries.map(([property, value]) => `${property}: ${value}`).join('<br>') : 'no change';
+              };
+              const describeFocus = indicator => {
+                if (!indicator) return 'n/a';
+                if (indicator.issue === 'missing') return 'missing';
+                const label = `${indicator.style}, ${indicator.contrast}:1`;
+                return indicator.issue ? `${label} (${indicator.issue})` : label;
+              };
+              
+              markdown += `**Interactive States:**\n\n`;
+              markdown += `| Variant | Hover | Focus | Active | Disabled | Focus Indicator |\n`;
+              markdown += `|---------|-------|-------|--------|----------|-----------------|\n`;
+              stateful.forEach(variant => {
+                const { hover, focus, active, disabled } = variant.states;
+                markdown += `| ${variant.name} | ${describeChanges(hover)} | ${describeChanges(focus)} | ${describeChanges(active)} | ${describeChanges(disabled)} | ${describeFocus(variant.focusIndicator)} |\n`;
+              });
+              markdown += `\n`;
+            }
+          }
+          
           markdown += `**Inputs:**\n\n`;
           data.angularComponent.inputs.forEach(input => {
-            markdown += `- \`${input.name}\`: ${input.type} - ${input.description}\n`;
+            const defaultValue = input.default ? ` (default \`'${input.default}'\`)` : '';
+            markdown += `- \`${input.name}\`: ${input.type} - ${input.description}${defaultValue}\n`;
           });
           markdown += `\n`;
           
@@ -252,8 +496,10 @@ function generateMarkdownDocs(styleGuide) {
           markdown += `**Example Usage:**\n\n`;
           markdown += "```html\n";
           markdown += `<${data.angularComponent.selector}\n`;
-          markdown += `  [variant]="'primary'"\n`;
-          markdown += `  [size]="'md'"\n`;
+          const inputDefault = (name, fallback) =>
+            data.angularComponent.inputs.find(input => input.name === name)?.default || fallback;
+          markdown += `  [variant]="'${inputDefault('variant', 'primary')}'"\n`;
+          markdown += `  [size]="'${inputDefault('size', 'md')}'"\n`;
           markdown += `  [disabled]="false"\n`;
           markdown += `  (click)="handleClick($event)"\n`;
           markdown += `></${data.angularComponent.selector}>\n`;
@@ -263,6 +509,46 @@ function generateMarkdownDocs(styleGuide) {
     });
   }
   
+  // Icons subsection
+  markdown += `### Icons\n\n`;
+  const icons = styleGuide.icons || { libraries: [], sprites: [], sheet: [] };
+  if (icons.libraries.length === 0 && icons.sheet.length === 0) {
+    markdown += `No icon library or SVG icons were found on the analyzed pages.\n\n`;
+  }
+  
+  if (icons.libraries.length > 0) {
+    markdown += `#### Icon Libraries\n\n`;
+    markdown += `| Library | Version | Styles | Uses | Most used icons |\n`;
+    markdown += `|---------|---------|--------|------|-----------------|\n`;
+    icons.libraries.forEach(library => {
+      const mostUsed = library.icons.slice(0, 8).map(icon => `\`${icon.name}\``).join(', ') || '–';
+      markdown += `| ${library.name} | ${library.version || 'unknown'} | ${library.styles.join(', ') || '–'} | ${library.count} | ${mostUsed} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  if (icons.sprites.length > 0) {
+    markdown += `#### SVG Sprites\n\n`;
+    icons.sprites.forEach(sprite => {
+      markdown += `- ${sprite.inline ? 'Inline sprite' : `\`${sprite.href}\``}: ${sprite.symbols} ${sprite.symbols === 1 ? 'symbol' : 'symbols'} referenced ${sprite.count} ${sprite.count === 1 ? 'time' : 'times'}\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  if (icons.sheet.length > 0) {
+    markdown += `#### Icon Sheet\n\n`;
+    markdown += `The analyzed pages use ${icons.sheet.length} unique SVG icons. They are collected in an SVG sprite (\`icon-sprite.svg\`), where every icon is a symbol:\n\n`;
+    markdown += "```html\n";
+    markdown += `<svg class="icon" aria-hidden="true"><use href="icon-sprite.svg#icon-${icons.sheet[0].name}"></use></svg>\n`;
+    markdown += "```\n\n";
+    markdown += `| Icon | viewBox | Uses |\n`;
+    markdown += `|------|---------|------|\n`;
+    icons.sheet.slice(0, 50).forEach(icon => {
+      markdown += `| \`icon-${icon.name}\` | ${icon.viewBox} | ${icon.count} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
   // Layout subsection
   markdown += `### Layout\n\n`;
   markdown += `The layout system provides structure and consistency to the application.\n\n`;
@@ -284,6 +570,34 @@ function generateMarkdownDocs(styleGuide) {
     markdown += `\n`;
   }
   
+  // Changes between the viewports the sites were rendered at
+  const viewportSites = (styleGuide.layout?.viewports || []).filter(site => site.changes.length > 0);
+  if (viewportSites.length > 0) {
+    markdown += `#### Viewport Changes\n\n`;
+    viewportSites.forEach(site => {
+      markdown += `${site.url} at ${site.viewports.map(viewport => `${viewport.name} (${viewport.width}px)`).join(', ')}:\n\n`;
+      markdown += `| Aspect | Measure | ${site.viewports.map(viewport => viewport.name).join(' | ')} |\n`;
+      markdown += `|--------|---------|${site.viewports.map(() => '---').join('|')}|\n`;
+      site.changes.forEach(change => {
+        markdown += `| ${change.aspect} | ${change.subject} | ${site.viewports.map(viewport => change.values[viewport.name] ?? '-').join(' | ')} |\n`;
+      });
+      markdown += `\n`;
+    });
+  }
+  
+  // Detected frameworks
+  const detectedFrameworks = [...(styleGuide.layout?.frameworks || []), ...(styleGuide.runtimes || [])];
+  if (detectedFrameworks.length > 0) {
+    markdown += `#### Detected Frameworks\n\n`;
+    markdown += `| Framework | Version | Confidence | Evidence |\n`;
+    markdown += `|-----------|---------|------------|----------|\n`;
+    detectedFrameworks.forEach(framework => {
+      const evidence = framework.evidence.slice(0, 3).map(item => `${item.type}: ${item.detail}`).join('; ').replace(/\|/g, '\\|');
+      markdown += `| ${framework.name} | ${framework.version || 'unknown'} | ${framework.confidence}% | ${evidence} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
   // Recommended framework
   if (styleGuide.layout && styleGuide.layout.recommendedFramework) {
     markdown += `#### Recommended CSS Framework\n\n`;
@@ -302,6 +616,23 @@ function generateMarkdownDocs(styleGuide) {
     });
     markdown += "```\n\n";
     
+    if (styleGuide.spacingSystem) {
+      const { baseUnit, scale, deviation } = styleGuide.spacingSystem;
+      
+      markdown += `#### Spacing Grid\n\n`;
+      markdown += `The analyzed spacing follows a ${baseUnit.px}px (${baseUnit.rem}) grid: ${Math.round(deviation.onGrid * 100)}% of margin, padding, gap and inset usage is a multiple of ${baseUnit.px}px.\n\n`;
+      markdown += `| Step | px | rem | Uses |\n`;
+      markdown += `|------|----|-----|------|\n`;
+      scale.forEach(step => {
+        markdown += `| ${step.name} | ${step.px}px | ${step.rem} | ${step.count} |\n`;
+      });
+      markdown += `\n`;
+      
+      if (deviation.values.length > 0) {
+        markdown += `Values off the grid (on average ${deviation.averageOffsetPx}px from the nearest step): ${deviation.values.map(value => `${value.value} (${value.count})`).join(', ')}. Consider replacing them with the closest step.\n\n`;
+      }
+    }
+    
     markdown += `#### Spacing Usage Guidelines\n\n`;
     markdown += `- Use the spacing scale for margins, paddings, and gaps\n`;
     markdown += `- Maintain consistent spacing between related elements\n`;
@@ -309,6 +640,251 @@ function generateMarkdownDocs(styleGuide) {
     markdown += `- Use smaller spacing for related elements\n\n`;
   }
   
+  // Shadows and borders subsection
+  markdown += `### Shadows and Borders\n\n`;
+  
+  if (styleGuide.shadows) {
+    markdown += `#### Elevation\n\n`;
+    markdown += `Shadow levels, from the lowest to the highest elevation:\n\n`;
+    markdown += "```scss\n";
+    Object.entries(styleGuide.shadows).forEach(([name, value]) => {
+      markdown += `$shadow-${name}: ${value};\n`;
+    });
+    markdown += "```\n\n";
+  }
+  
+  if (styleGuide.borders) {
+    markdown += `#### Border Radius and Width\n\n`;
+    markdown += "```scss\n";
+    Object.entries(styleGuide.borders.radius || {}).forEach(([name, value]) => {
+      markdown += `$border-radius-${name}: ${value};\n`;
+    });
+    Object.entries(styleGuide.borders.width || {}).forEach(([name, value]) => {
+      markdown += `$border-width-${name}: ${value};\n`;
+    });
+    if (styleGuide.borders.style) {
+      markdown += `$border-style: ${styleGuide.borders.style};\n`;
+    }
+    markdown += "```\n\n";
+  }
+  
+  // Motion subsection
+  markdown += `### Motion\n\n`;
+  
+  const animations = styleGuide.animations;
+  if (animations) {
+    markdown += `#### Durations and Easings\n\n`;
+    markdown += "```scss\n";
+    Object.entries(animations.durations || {}).forEach(([name, value]) => {
+      markdown += `$duration-${name}: ${value};\n`;
+    });
+    Object.entries(animations.easings || {}).forEach(([name, value]) => {
+      markdown += `$easing-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${value};\n`;
+    });
+    markdown += "```\n\n";
+    
+    if (animations.keyframes && animations.keyframes.length > 0) {
+      markdown += `#### Keyframes\n\n`;
+      markdown += `| Name | Pattern | Uses |\n`;
+      markdown += `|------|---------|------|\n`;
+      animations.keyframes.forEach(keyframes => {
+        markdown += `| \`${keyframes.name}\` | ${keyframes.pattern} | ${keyframes.count} |\n`;
+      });
+      markdown += `\n`;
+      
+      markdown += "```css\n";
+      animations.keyframes.forEach(keyframes => {
+        markdown += `@keyframes ${keyframes.name} {\n`;
+        keyframes.frames.forEach(frame => {
+          const declarations = Object.entries(frame.declarations)
+            .map(([property, value]) => `${property}: ${value};`)
+            .join(' ');
+          markdown += `  ${frame.offset}% { ${declarations} }\n`;
+        });
+        markdown += `}\n`;
+      });
+      markdown += "```\n\n";
+    }
+    
+    if (animations.components && animations.components.length > 0) {
+      markdown += `#### Component Motion\n\n`;
+      markdown += `| Component | Durations | Easings | Transitioned Properties | Animations |\n`;
+      markdown += `|-----------|-----------|---------|-------------------------|------------|\n`;
+      animations.components.forEach(entry => {
+        const list = values => values.length > 0 ? values.map(value => `\`${value}\``).join(', ') : '-';
+        markdown += `| ${entry.component} | ${list(entry.durations)} | ${list(entry.easings)} | ${list(entry.properties)} | ${list(entry.animations)} |\n`;
+      });
+      markdown += `\n`;
+    }
+    
+    markdown += `#### Reduced Motion\n\n`;
+    const reducedMotion = animations.reducedMotion;
+    if (reducedMotion && reducedMotion.supported) {
+      const strategies = {
+        disable: 'The analyzed sites switch motion off',
+        reduce: 'The analyzed sites shorten their motion',
+        'opt-in': 'The analyzed sites only add motion'
+      };
+      markdown += `${strategies[reducedMotion.strategy]} for users who set \`prefers-reduced-motion\`. The CSS variables follow them and set every duration to \`${reducedMotion.duration}\` under \`@media (prefers-reduced-motion: reduce)\`.\n\n`;
+      if (reducedMotion.overrides.length > 0) {
+        markdown += "```css\n";
+        markdown += `@media (prefers-reduced-motion: reduce) {\n`;
+        reducedMotion.overrides.forEach(override => {
+          markdown += `  ${override.selector || '[style]'} { ${override.property}: ${override.value}${override.important ? ' !important' : ''}; }\n`;
+        });
+        markdown += `}\n`;
+        markdown += "```\n\n";
+      }
+    } else {
+      markdown += `The analyzed sites do not respond to \`prefers-reduced-motion\`. Wrap non-essential transitions and animations in \`@media (prefers-reduced-motion: no-preference)\`, or shorten them under \`@media (prefers-reduced-motion: reduce)\`.\n\n`;
+    }
+  }
+  
+  // Design tokens subsection
+  markdown += `### Design Tokens\n\n`;
+  
+  const tokenCategories = {
+    colors: 'Color Tokens',
+    lengths: 'Size Tokens',
+    fonts: 'Font Tokens',
+    shadows: 'Shadow Tokens',
+    numbers: 'Numeric Tokens',
+    other: 'Other Tokens'
+  };
+  const hasTokens = styleGuide.tokens &&
+    Object.keys(tokenCategories).some(category => (styleGuide.tokens[category] || []).length > 0);
+  
+  if (hasTokens) {
+    markdown += `The analyzed website(s) declare the following CSS custom properties. Reuse these names so the implementation stays in sync with the source design system.\n\n`;
+    
+    Object.entries(tokenCategories).forEach(([category, title]) => {
+      const tokens = styleGuide.tokens[category] || [];
+      if (tokens.length === 0) return;
+      
+      markdown += `#### ${title}\n\n`;
+      markdown += `| Token | Value | Uses |\n`;
+      markdown += `|-------|-------|------|\n`;
+      tokens.forEach(token => {
+        const value = token.raw ? `\`${token.value}\` (from \`${token.raw}\`)` : `\`${token.value}\``;
+        markdown += `| \`${token.name}\` | ${value.replace(/\|/g, '\\|')} | ${token.usage} |\n`;
+      });
+      markdown += `\n`;
+    });
+  } else {
+    markdown += `No CSS custom properties were declared by the analyzed website(s); the values above were inferred from the styles in use.\n\n`;
+  }
+  
+  const utilityCategories = {
+    colors: 'Colors',
+    spacing: 'Spacing',
+    radii: 'Border Radius',
+    fontSizes: 'Font Sizes',
+    fontWeights: 'Font Weights',
+    shadows: 'Shadows'
+  };
+  const utilities = styleGuide.utilities;
+  const hasUtilityTokens = utilities &&
+    Object.keys(utilityCategories).some(category => (utilities.tokens[category] || []).length > 0);
+  
+  if (hasUtilityTokens) {
+    const frameworkNames = utilities.frameworks
+      .map(framework => framework.version ? `${framework.name} ${framework.version}` : framework.name)
+      .join(' and ');
+    markdown += `#### Utility Class Tokens\n\n`;
+    markdown += `The analyzed website(s) are styled with ${frameworkNames} utility classes; ${utilities.classes.decoded} of ${utilities.classes.total} distinct classes were decoded into the tokens below, ranked by the number of elements using them. Values are read from the compiled CSS or the theme's custom properties, or else taken from the framework's default theme.\n\n`;
+    
+    Object.entries(utilityCategories).forEach(([category, title]) => {
+      const tokens = (utilities.tokens[category] || []).slice(0, 12);
+      if (tokens.length === 0) return;
+      
+      markdown += `**${title}**\n\n`;
+      markdown += `| Token | Value | Uses | Source | Classes |\n`;
+      markdown += `|-------|-------|------|--------|---------|\n`;
+      tokens.forEach(token => {
+        const classes = token.classes.map(name => `\`${name}\``).join(', ');
+        markdown += `| \`${token.name}\` | \`${token.value}\` | ${token.count} | ${token.source} | ${classes} |\n`;
+      });
+      markdown += `\n`;
+    });
+  }
+  
+  // Accessibility subsection
+  markdown += `### Accessibility\n\n`;
+  
+  const contrast = styleGuide.accessibility && styleGuide.accessibility.contrast;
+  if (contrast) {
+    const { summary } = contrast;
+    const level = pair => pair.large ? pair.wcag.large : pair.wcag.normal;
+    const mark = passes => passes ? 'Pass' : 'Fail';
+    
+    markdown += `Text must reach a WCAG 2.x contrast ratio of 4.5:1 (AA) or 7:1 (AAA) against its background, and 3:1 (AA) or 4.5:1 (AAA) when it is large (24px, or 18.66px bold). APCA lightness contrast (Lc) is listed as well: aim for Lc 75 for body text, 60 for other content text and 45 for large text.\n\n`;
+    
+    markdown += `#### Contrast on the Analyzed Pages\n\n`;
+    if (contrast.pages.length > 0) {
+      markdown += `${summary.pagePairs} text and background combinations were found, ${summary.failingPagePairs} of which ${summary.failingPagePairs === 1 ? 'fails' : 'fail'} WCAG AA. ${Math.round(summary.pagePassRate * 100)}% of the text elements pass.\n\n`;
+      markdown += `| Text | Background | Size | Ratio | AA | AAA | APCA Lc | Uses |\n`;
+      markdown += `|------|------------|------|-------|----|-----|---------|------|\n`;
+      contrast.pages.slice(0, 20).forEach(pair => {
+        markdown += `| \`${pair.foreground}\` | \`${pair.background}\` | ${pair.large ? 'large' : 'normal'} | ${pair.ratio}:1 | ${mark(level(pair).AA)} | ${mark(level(pair).AAA)} | ${pair.apca.lc} | ${pair.count} |\n`;
+      });
+      markdown += `\n`;
+    } else {
+      markdown += `No text could be measured against a solid background on the analyzed pages.\n\n`;
+    }
+    
+    markdown += `#### Palette Combinations\n\n`;
+    if (contrast.palette.length > 0) {
+      markdown += `Combinations proposed by this style guide, measured as normal-size text:\n\n`;
+      markdown += `| Combination | Text | Background | Ratio | AA | AAA | AA Large | APCA Lc |\n`;
+      markdown += `|-------------|------|------------|-------|----|-----|----------|---------|\n`;
+      contrast.palette.forEach(pair => {
+        markdown += `| ${pair.name} | \`${pair.foreground}\` | \`${pair.background}\` | ${pair.ratio}:1 | ${mark(pair.wcag.normal.AA)} | ${mark(pair.wcag.normal.AAA)} | ${mark(pair.wcag.large.AA)} | ${pair.apca.lc} |\n`;
+      });
+      markdown += `\n`;
+    }
+    
+    const failing = [...contrast.pages, ...contrast.palette].filter(pair => pair.suggestions);
+    if (failing.length > 0) {
+      markdown += `#### Suggested Fixes\n\n`;
+      markdown += `The nearest shades that reach WCAG AA for each failing combination:\n\n`;
+      const seen = new Set();
+      failing.forEach(pair => {
+        const key = `${pair.foreground}|${pair.background}|${pair.large}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        
+        const fixes = [
+          pair.suggestions.foreground && `text \`${pair.suggestions.foreground}\``,
+          pair.suggestions.background && `background \`${pair.suggestions.background}\``
+        ].filter(Boolean);
+        const label = pair.name ? ` (${pair.name})` : '';
+        markdown += `- \`${pair.foreground}\` on \`${pair.background}\`${label}, ${pair.ratio}:1: use ${fixes.length > 0 ? fixes.join(' or ') : 'a different color pair'}\n`;
+      });
+      markdown += `\n`;
+    }
+  } else {
+    markdown += `No contrast audit is available for this style guide.\n\n`;
+  }
+  
+  // Focus indicators are only known for variants whose states were sampled in the browser
+  const focusIndicators = styleGuide.accessibility && styleGuide.accessibility.focusIndicators;
+  if (focusIndicators && focusIndicators.length > 0) {
+    const problems = {
+      missing: 'no visible change on focus',
+      invisible: 'the change on focus cannot be seen',
+      'low-contrast': 'below 3:1 against the colors it replaces'
+    };
+    
+    markdown += `#### Focus Indicators\n\n`;
+    markdown += `Keyboard users need to see which element has focus (WCAG 2.4.7). These component variants have no focus indicator, or one that does not reach 3:1 against the colors it changes:\n\n`;
+    markdown += `| Component | Variant | Indicator | Color | Contrast | Issue |\n`;
+    markdown += `|-----------|---------|-----------|-------|----------|-------|\n`;
+    focusIndicators.forEach(indicator => {
+      markdown += `| ${indicator.component} | ${indicator.variant} | ${indicator.style || 'none'} | ${indicator.color ? `\`${indicator.color}\`` : '-'} | ${indicator.contrast ? `${indicator.contrast}:1` : '-'} | ${problems[indicator.issue]} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
   // Implementation in Angular.js section
   markdown += `## Implementation in Angular.js\n\n`;
   
@@ -420,69 +996,28 @@ function generateMarkdownDocs(styleGuide) {
   markdown += "```scss\n";
   markdown += `@use '@angular/material' as mat;\n\n`;
   
-  // Define primary palette
+  // Define the palettes from the shade ramps
+  const ramps = styleGuide.colors?.ramps || {};
   markdown += `// Define custom palettes\n`;
-  markdown += `$primary-palette: (\n`;
-  markdown += `  50: ${styleGuide.colors?.shades?.primary?.['50'] || '#e3f2fd'},\n`;
-  markdown += `  100: ${styleGuide.colors?.shades?.primary?.['100'] || '#bbdefb'},\n`;
-  markdown += `  200: ${styleGuide.colors?.shades?.primary?.['200'] || '#90caf9'},\n`;
-  markdown += `  300: ${styleGuide.colors?.shades?.primary?.['300'] || '#64b5f6'},\n`;
-  markdown += `  400: ${styleGuide.colors?.shades?.primary?.['400'] || '#42a5f5'},\n`;
-  markdown += `  500: ${styleGuide.colors?.shades?.primary?.['500'] || 
-    (styleGuide.colors?.palette?.primary?.[0] || 
-     styleGuide.colors?.primary?.[0] || 
-     '#2196f3')},\n`;
-  markdown += `  600: ${styleGuide.colors?.shades?.primary?.['600'] || '#1e88e5'},\n`;
-  markdown += `  700: ${styleGuide.colors?.shades?.primary?.['700'] || '#1976d2'},\n`;
-  markdown += `  800: ${styleGuide.colors?.shades?.primary?.['800'] || '#1565c0'},\n`;
-  markdown += `  900: ${styleGuide.colors?.shades?.primary?.['900'] || '#0d47a1'},\n`;
-  markdown += `  contrast: (\n`;
-  markdown += `    50: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    100: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    200: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    300: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    400: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    500: white,\n`;
-  markdown += `    600: white,\n`;
-  markdown += `    700: white,\n`;
-  markdown += `    800: white,\n`;
-  markdown += `    900: white,\n`;
-  markdown += `  )\n`;
-  markdown += `);\n\n`;
-  
-  // Define accent palette
-  markdown += `$accent-palette: (\n`;
-  markdown += `  50: #fce4ec,\n`;
-  markdown += `  100: #f8bbd0,\n`;
-  markdown += `  200: #f48fb1,\n`;
-  markdown += `  300: #f06292,\n`;
-  markdown += `  400: #ec407a,\n`;
-  markdown += `  500: ${styleGuide.colors?.palette?.accent?.[0] || 
-    styleGuide.colors?.accent?.[0] || 
-    '#e91e63'},\n`;
-  markdown += `  600: #d81b60,\n`;
-  markdown += `  700: #c2185b,\n`;
-  markdown += `  800: #ad1457,\n`;
-  markdown += `  900: #880e4f,\n`;
-  markdown += `  contrast: (\n`;
-  markdown += `    50: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    100: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    200: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    300: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    400: rgba(0, 0, 0, 0.87),\n`;
-  markdown += `    500: white,\n`;
-  markdown += `    600: white,\n`;
-  markdown += `    700: white,\n`;
-  markdown += `    800: white,\n`;
-  markdown += `    900: white,\n`;
-  markdown += `  )\n`;
-  markdown += `);\n\n`;
+  markdown += materialPalette('primary', ramps.primary, {
+    50: '#e3f2fd', 100: '#bbdefb', 200: '#90caf9', 300: '#64b5f6', 400: '#42a5f5',
+    500: styleGuide.colors?.palette?.primary?.[0] || styleGuide.colors?.primary?.[0] || '#2196f3',
+    600: '#1e88e5', 700: '#1976d2', 800: '#1565c0', 900: '#0d47a1'
+  });
+  markdown += materialPalette('accent', ramps.accent, {
+    50: '#fce4ec', 100: '#f8bbd0', 200: '#f48fb1', 300: '#f06292', 400: '#ec407a',
+    500: styleGuide.colors?.palette?.accent?.[0] || styleGuide.colors?.accent?.[0] || '#e91e63',
+    600: '#d81b60', 700: '#c2185b', 800: '#ad1457', 900: '#880e4f'
+  });
+  if (ramps.danger) {
+    markdown += materialPalette('warn', ramps.danger);
+  }
   
   // Create the theme
   markdown += `// Define the theme\n`;
   markdown += `$primary: mat.define-palette($primary-palette);\n`;
   markdown += `$accent: mat.define-palette($accent-palette);\n`;
-  markdown += `$warn: mat.define-palette(mat.$red-palette);\n\n`;
+  markdown += `$warn: mat.define-palette(${ramps.danger ? '$warn-palette' : 'mat.$red-palette'});\n\n`;
   
   markdown += `$theme: mat.define-light-theme((\n`;
   markdown += `  color: (\n`;
@@ -521,7 +1056,7 @@ function generateMarkdownDocs(styleGuide) {
     Object.entries(styleGuide.typography.headings).forEach(([heading, styles]) => {
       markdown += `${heading} {\n`;
       Object.entries(styles).forEach(([property, value]) => {
-        markdown += `  ${property}: ${value};\n`;
+        markdown += `  ${toCssProperty(property)}: ${value};\n`;
       });
       markdown += `}\n\n`;
     });
@@ -537,6 +1072,10 @@ function generateMarkdownDocs(styleGuide) {
   markdown += "```\n\n";
   
   // Component Implementation subsection
+  // The button example takes the variants found on the analyzed sites, with their states
+  const buttonVariants = (styleGuide.components && styleGuide.components.buttons && styleGuide.components.buttons.variants) || [];
+  const variantNames = buttonVariants.length > 0 ? buttonVariants.map(variant => variant.name) : ['primary', 'secondary', 'accent'];
+  
   markdown += `### Component Implementation\n\n`;
   markdown += `Follow these steps to implement components based on the design system:\n\n`;
   
@@ -551,9 +1090,9 @@ function generateMarkdownDocs(styleGuide) {
   markdown += `<button\n`;
   markdown += `  class="custom-button"\n`;
   markdown += `  [ngClass]="{\n`;
-  markdown += `    'button-primary': variant === 'primary',\n`;
-  markdown += `    'button-secondary': variant === 'secondary',\n`;
-  markdown += `    'button-accent': variant === 'accent',\n`;
+  variantNames.forEach(name => {
+    markdown += `    'button-${name}': variant === '${name}',\n`;
+  });
   markdown += `    'button-sm': size === 'sm',\n`;
   markdown += `    'button-lg': size === 'lg'\n`;
   markdown += `  }"\n`;
@@ -575,7 +1114,7 @@ function generateMarkdownDocs(styleGuide) {
   markdown += `  styleUrls: ['./button.component.scss']\n`;
   markdown += `})\n`;
   markdown += `export class ButtonComponent {\n`;
-  markdown += `  @Input() variant: 'primary' | 'secondary' | 'accent' = 'primary';\n`;
+  markdown += `  @Input() variant: ${variantNames.map(name => `'${name}'`).join(' | ')} = '${variantNames[0]}';\n`;
   markdown += `  @Input() size: 'sm' | 'md' | 'lg' = 'md';\n`;
   markdown += `  @Input() disabled: boolean = false;\n`;
   markdown += `  @Output() click = new EventEmitter<any>();\n\n`;
@@ -619,38 +1158,54 @@ function generateMarkdownDocs(styleGuide) {
   markdown += `  }\n\n`;
   
   markdown += `  // Variants\n`;
-  markdown += `  &.button-primary {\n`;
-  markdown += `    color: white;\n`;
-  markdown += `    background-color: $primary;\n`;
-  markdown += `    border-color: $primary;\n\n`;
-  
-  markdown += `    &:hover:not(:disabled) {\n`;
-  markdown += `      background-color: darken($primary, 7.5%);\n`;
-  markdown += `      border-color: darken($primary, 10%);\n`;
-  markdown += `    }\n`;
-  markdown += `  }\n\n`;
-  
-  markdown += `  &.button-secondary {\n`;
-  markdown += `    color: white;\n`;
-  markdown += `    background-color: $secondary;\n`;
-  markdown += `    border-color: $secondary;\n\n`;
-  
-  markdown += `    &:hover:not(:disabled) {\n`;
-  markdown += `      background-color: darken($secondary, 7.5%);\n`;
-  markdown += `      border-color: darken($secondary, 10%);\n`;
-  markdown += `    }\n`;
-  markdown += `  }\n\n`;
-  
-  markdown += `  &.button-accent {\n`;
-  markdown += `    color: white;\n`;
-  markdown += `    background-color: $accent;\n`;
-  markdown += `    border-color: $accent;\n\n`;
-  
-  markdown += `    &:hover:not(:disabled) {\n`;
-  markdown += `      background-color: darken($accent, 7.5%);\n`;
-  markdown += `      border-color: darken($accent, 10%);\n`;
-  markdown += `    }\n`;
-  markdown += `  }\n\n`;
+  if (buttonVariants.length > 0) {
+    buttonVariants.forEach(variant => {
+      const { styles } = variant;
+      markdown += `  &.button-${variant.name} {\n`;
+      markdown += `    color: ${styles.color};\n`;
+      markdown += `    background-color: ${styles.backgroundColor || 'transparent'};\n`;
+      markdown += `    border-color: ${styles.borderColor || 'transparent'};\n`;
+      
+      const stateRules = generateStateRules(variant.states, '    ');
+      if (stateRules) {
+        markdown += `\n${stateRules}`;
+      }
+      markdown += `  }\n\n`;
+    });
+  } else {
+    markdown += `  &.button-primary {\n`;
+    markdown += `    color: white;\n`;
+    markdown += `    background-color: $primary;\n`;
+    markdown += `    border-color: $primary;\n\n`;
+    
+    markdown += `    &:hover:not(:disabled) {\n`;
+    markdown += `      background-color: darken($primary, 7.5%);\n`;
+    markdown += `      border-color: darken($primary, 10%);\n`;
+    markdown += `    }\n`;
+    markdown += `  }\n\n`;
+    
+    markdown += `  &.button-secondary {\n`;
+    markdown += `    color: white;\n`;
+    markdown += `    background-color: $secondary;\n`;
+    markdown += `    border-color: $secondary;\n\n`;
+    
+    markdown += `    &:hover:not(:disabled) {\n`;
+    markdown += `      background-color: darken($secondary, 7.5%);\n`;
+    markdown += `      border-color: darken($secondary, 10%);\n`;
+    markdown += `    }\n`;
+    markdown += `  }\n\n`;
+    
+    markdown += `  &.button-accent {\n`;
+    markdown += `    color: white;\n`;
+    markdown += `    background-color: $accent;\n`;
+    markdown += `    border-color: $accent;\n\n`;
+    
+    markdown += `    &:hover:not(:disabled) {\n`;
+    markdown += `      background-color: darken($accent, 7.5%);\n`;
+    markdown += `      border-color: darken($accent, 10%);\n`;
+    markdown += `    }\n`;
+    markdown += `  }\n\n`;
+  }
   
   markdown += `  // Sizes\n`;
   markdown += `  &.button-sm {\n`;
@@ -833,7 +1388,7 @@ function generateMarkdownDocs(styleGuide) {
   markdown += `// Get image URL with transformations\n`;
   markdown += `getImageUrl(asset: any, width: number, height: number): string {\n`;
   markdown += `  if (!asset) return '';\n`;
-  markdown += `  return \`${asset.url}?width=${width}&height=${height}&mode=crop\`;\n`;
+  markdown += `  return \`\${asset.url}?width=\${width}&height=\${height}&mode=crop\`;\n`;
   markdown += `}\n`;
   markdown += "```\n\n";
   
@@ -871,7 +1426,7 @@ function generateMarkdownDocs(styleGuide) {
   
   markdown += `// Fetch page with referenced sections\n`;
   markdown += `getPage(slug: string): Observable<Page> {\n`;
-  markdown += `  return this.http.get<Page>(\`${this.apiUrl}/content/pages?$filter=data/slug eq '${slug}'&$expand=sections\`);\n`;
+  markdown += `  return this.http.get<Page>(\`\${this.apiUrl}/content/pages?$filter=data/slug eq '\${slug}'&$expand=sections\`);\n`;
   markdown += `}\n`;
   markdown += "```\n\n";
   
@@ -1163,6 +1718,44 @@ function generateMarkdownDocs(styleGuide) {
   return markdown;
 }
 
+/**
+ * Generate an Angular Material palette map from a shade ramp
+ * @param {string} name - Palette name
+ * @param {Object} ramp - Shade ramp, or undefined to use the fallback shades
+ * @param {Object} fallback - Hex color by step used without a ramp
+ * @returns {string} - SCSS palette map with the text color for every shade
+ */
+function materialPalette(name, ramp, fallback = {}) {
+  const shades = ramp ?
+    ramp.shades :
+    Object.entries(fallback).map(([step, value]) => ({ step: Number(step), value, contrast: null }));
+  
+  let scss = `$${name}-palette: (\n`;
+  shades.forEach(({ step, value }) => {
+    scss += `  ${step}: ${value},\n`;
+  });
+  
+  // Text on each shade is white or dark, whichever contrasts more
+  scss += `  contrast: (\n`;
+  shades.forEach(({ step, contrast }) => {
+    const light = contrast ? contrast.white >= contrast.black : step >= 500;
+    scss += `    ${step}: ${light ? 'white' : 'rgba(0, 0, 0, 0.87)'},\n`;
+  });
+  scss += `  )\n`;
+  scss += `);\n\n`;
+  
+  return scss;
+}
+
+/**
+ * Convert a style guide key such as fontSize to its CSS property name
+ * @param {string} property - Camel-cased property
+ * @returns {string} - CSS property
+ */
+function toCssProperty(property) {
+  return property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
 /**
  * Save documentation to a file
  * @param {Object} docsContent - Documentation content and metadata
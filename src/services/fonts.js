@@ -0,0 +1,467 @@
+const { resolveUrl } = require('./stylesheets');
+
+// Family names that are always available without loading a font
+const GENERIC_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'math', 'emoji', 'fangsong',
+  'system-ui', 'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded',
+  '-apple-system', 'blinkmacsystemfont'
+]);
+
+// Fonts preinstalled on the common desktop and mobile operating systems
+const SYSTEM_FONTS = new Set([
+  'arial', 'helvetica', 'helvetica neue', 'times', 'times new roman', 'georgia', 'verdana',
+  'tahoma', 'trebuchet ms', 'courier', 'courier new', 'segoe ui', 'menlo', 'monaco', 'consolas',
+  'impact', 'palatino', 'apple color emoji', 'segoe ui emoji', 'segoe ui symbol', 'noto color emoji'
+]);
+
+// Font services recognised by the hosts their stylesheets and files are served from
+const FONT_SERVICES = [
+  { source: 'google', pattern: /^fonts\.(?:googleapis|gstatic)\.com$/i },
+  { source: 'adobe', pattern: /^(?:use|p)\.typekit\.(?:net|com)$/i }
+];
+
+// File extensions of font formats, for src entries without a format() hint
+const FORMAT_EXTENSIONS = {
+  woff2: 'woff2',
+  woff: 'woff',
+  ttf: 'truetype',
+  otf: 'opentype',
+  eot: 'embedded-opentype',
+  svg: 'svg'
+};
+
+/**
+ * Build an inventory of the web fonts a page loads, from its @font-face rules
+ * and the font service stylesheets it links
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @param {string} pageUrl - URL of the page
+ * @returns {Object} - Font families with their faces, and the font services used
+ */
+function extractWebFonts($, stylesheets, pageUrl) {
+  const pageHost = hostOf(pageUrl);
+  const families = new Map();
+
+  (stylesheets?.fontFaces || []).forEach(fontFace => {
+    const face = parseFontFace(fontFace, pageUrl, pageHost);
+    const key = face.family.toLowerCase();
+
+    if (!families.has(key)) {
+      families.set(key, { family: face.family, faces: [] });
+    }
+    families.get(key).faces.push(face);
+  });
+
+  const services = findFontServices($, stylesheets, pageUrl);
+
+  // Families requested from a font service whose stylesheet could not be read have no faces
+  services.forEach(service => {
+    service.families
+      .filter(served => !families.has(served.family.toLowerCase()))
+      .forEach(served => families.set(served.family.toLowerCase(), { family: served.family, faces: [] }));
+  });
+
+  return {
+    families: [...families.values()].map(({ family, faces }) => summarizeFamily(family, faces, services)),
+    services
+  };
+}
+
+/**
+ * Read the descriptors of a @font-face rule
+ * @param {Object} fontFace - Font face from the stylesheet model
+ * @param {string} pageUrl - URL of the page, the base of inline stylesheets
+ * @param {string|null} pageHost - Host name of the page
+ * @returns {Object} - Family, weight, style, stretch, unicode range, display and sources
+ */
+function parseFontFace({ descriptors, href }, pageUrl, pageHost) {
+  const src = splitList(descriptors.src).map(entry => {
+    const local = entry.match(/^local\(\s*(["']?)(.+?)\1\s*\)$/i);
+    if (local) return { local: local[2] };
+
+    const url = entry.match(/url\(\s*(["']?)(.+?)\1\s*\)/i);
+    if (!url) return null;
+
+    // Legacy formats like woff2-variations name the variable version of a format
+    const format = entry.match(/format\(\s*["']?([\w-]+?)(?:-variations)?["']?\s*\)/i);
+    const extension = url[2].split(/[?#]/)[0].match(/\.(\w+)$/);
+    const resolved = url[2].startsWith('data:') ? null : resolveUrl(url[2], href || pageUrl);
+
+    return {
+      url: resolved,
+      // Fonts embedded as data: URIs live in the stylesheet itself
+      embedded: url[2].startsWith('data:'),
+      format: format ? format[1].toLowerCase() : (extension && FORMAT_EXTENSIONS[extension[1].toLowerCase()]) || null,
+      variations: /variations/i.test(entry)
+    };
+  }).filter(Boolean);
+
+  const files = src.filter(entry => entry.url || entry.embedded);
+
+  return {
+    family: unquote(descriptors['font-family']),
+    weight: descriptors['font-weight'] || '400',
+    style: descriptors['font-style'] || 'normal',
+    stretch: descriptors['font-stretch'] || null,
+    unicodeRange: descriptors['unicode-range'] || null,
+    display: descriptors['font-display'] || null,
+    variationSettings: descriptors['font-variation-settings'] || null,
+    src,
+    source: files.length > 0 ? classifySource(files[0], pageHost) : 'local'
+  };
+}
+
+/**
+ * Classify where a font file is hosted
+ * @param {Object} file - Font source with url or embedded flag
+ * @param {string|null} pageHost - Host name of the page
+ * @returns {string} - self-hosted, google, adobe or cdn
+ */
+function classifySource(file, pageHost) {
+  if (file.embedded) return 'self-hosted';
+
+  const host = hostOf(file.url);
+  const service = FONT_SERVICES.find(({ pattern }) => pattern.test(host || ''));
+  if (service) return service.source;
+
+  // Subdomains of the page's own domain (static.example.com) count as self-hosted
+  return host && pageHost && registrableDomain(host) === registrableDomain(pageHost) ? 'self-hosted' : 'cdn';
+}
+
+/**
+ * Summarize the faces of a font family
+ * @param {string} family - Family name
+ * @param {Array} faces - Faces from parseFontFace
+ * @param {Array} services - Font services from findFontServices
+ * @returns {Object} - Weights, styles, unicode ranges, formats, display, source, variable axes and faces
+ */
+function summarizeFamily(family, faces, services) {
+  const unique = values => [...new Set(values.filter(Boolean))];
+  const sources = unique(faces.map(face => face.source));
+  const files = faces.flatMap(face => face.src).filter(entry => entry.url);
+
+  // Ranges in the weight, stretch and oblique angle descriptors are variation axes
+  const axes = new Map();
+  const addAxis = (tag, min, max) => {
+    const axis = axes.get(tag) || { tag, min, max };
+    axes.set(tag, { tag, min: Math.min(axis.min, min), max: Math.max(axis.max, max) });
+  };
+  faces.forEach(face => {
+    const weight = face.weight.match(/^(\d+)\s+(\d+)$/);
+    if (weight) addAxis('wght', Number(weight[1]), Number(weight[2]));
+
+    const stretch = (face.stretch || '').match(/^([\d.]+)%\s+([\d.]+)%$/);
+    if (stretch) addAxis('wdth', Number(stretch[1]), Number(stretch[2]));
+
+    const oblique = face.style.match(/^oblique\s+(-?[\d.]+)deg\s+(-?[\d.]+)deg$/i);
+    if (oblique) addAxis('slnt', -Number(oblique[2]), -Number(oblique[1]));
+
+    for (const match of (face.variationSettings || '').matchAll(/["'](\w{4})["']\s+(-?[\d.]+)/g)) {
+      addAxis(match[1], Number(match[2]), Number(match[2]));
+    }
+  });
+
+  // Font service stylesheets list the axes they serve, including ones @font-face cannot express
+  const requested = services.filter(service => service.families.some(served => served.family.toLowerCase() === family.toLowerCase()));
+  const servedFamilies = requested
+    .flatMap(service => service.families)
+    .filter(served => served.family.toLowerCase() === family.toLowerCase());
+  servedFamilies
+    .flatMap(served => served.axes)
+    .forEach(axis => addAxis(axis.tag, axis.min, axis.max));
+
+  const variableAxes = [...axes.values()].filter(axis => axis.min !== axis.max);
+
+  return {
+    family,
+    source: sources.find(source => source !== 'local') || (requested[0] ? requested[0].source : 'local'),
+    hosts: unique(files.map(file => hostOf(file.url))),
+    weights: unique(faces.length > 0 ? faces.map(face => face.weight) : servedFamilies.flatMap(served => served.weights))
+      .sort((a, b) => parseInt(a, 10) - parseInt(b, 10)),
+    styles: unique(faces.length > 0 ?
+      faces.map(face => face.style.split(/\s+/)[0].toLowerCase()) :
+      servedFamilies.flatMap(served => served.styles)),
+    unicodeRanges: unique(faces.map(face => face.unicodeRange)),
+    formats: unique(faces.flatMap(face => face.src.map(entry => entry.format))),
+    display: unique([...faces.map(face => face.display), ...requested.map(service => service.display)])[0] || null,
+    variable: variableAxes.length > 0 || faces.some(face => face.src.some(entry => entry.variations)),
+    axes: variableAxes,
+    faces
+  };
+}
+
+/**
+ * Find the font service stylesheets a page loads and the families they serve
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @param {string} pageUrl - URL of the page
+ * @returns {Array} - Services with source, href and the families requested from them
+ */
+function findFontServices($, stylesheets, pageUrl) {
+  const hrefs = new Set((stylesheets?.sheets || []).map(sheet => sheet.href).filter(Boolean));
+  $('link[href]').each((i, el) => {
+    const href = resolveUrl($(el).attr('href'), pageUrl);
+    if (href) hrefs.add(href);
+  });
+
+  const services = [];
+  hrefs.forEach(href => {
+    const host = hostOf(href);
+    if (/^fonts\.googleapis\.com$/i.test(host || '')) {
+      services.push({ source: 'google', href, ...parseGoogleFontsUrl(href) });
+    } else if (/^use\.typekit\.(?:net|com)$/i.test(host || '')) {
+      const kit = new URL(href).pathname.match(/^\/([\w-]+)\.(?:css|js)$/);
+      if (kit) {
+        services.push({ source: 'adobe', href, kit: kit[1], display: null, families: [] });
+      }
+    }
+  });
+
+  return services;
+}
+
+/**
+ * Parse the families requested from the Google Fonts CSS API, in both the
+ * css2 format (`family=Inter:ital,wght@0,400;1,700`) and the original css
+ * format (`family=Open+Sans:400,700italic|Roboto`)
+ * @param {string} href - Google Fonts stylesheet URL
+ * @returns {Object} - Requested families with weights, styles and axis ranges, and font-display
+ */
+function parseGoogleFontsUrl(href) {
+  const url = new URL(href);
+  const display = url.searchParams.get('display');
+
+  if (url.pathname.startsWith('/css2')) {
+    return {
+      display,
+      families: url.searchParams.getAll('family').map(parseCss2Family)
+    };
+  }
+
+  return {
+    display,
+    families: url.searchParams.getAll('family')
+      .flatMap(param => param.split('|'))
+      .filter(Boolean)
+      .map(spec => {
+        const [family, variants = ''] = spec.split(':');
+        const parsed = variants.split(',').filter(Boolean).map(variant => ({
+          weight: (variant.match(/\d{3}/) || ['400'])[0],
+          style: /i(?:talic)?$/i.test(variant) ? 'italic' : 'normal'
+        }));
+        return {
+          family: family.trim(),
+          weights: parsed.length > 0 ? [...new Set(parsed.map(variant => variant.weight))] : ['400'],
+          styles: parsed.length > 0 ? [...new Set(parsed.map(variant => variant.style))] : ['normal'],
+          axes: []
+        };
+      })
+  };
+}
+
+/**
+ * Parse one family of a css2 Google Fonts URL
+ * @param {string} spec - Family parameter, e.g. `Inter:opsz,wght@14..32,100..900`
+ * @returns {Object} - Family with weights, styles and axis ranges
+ */
+function parseCss2Family(spec) {
+  const [family, axisSpec] = spec.split(':');
+  if (!axisSpec || !axisSpec.includes('@')) {
+    return { family: family.trim(), weights: ['400'], styles: ['normal'], axes: [] };
+  }
+
+  const [tagList, tupleList] = axisSpec.split('@');
+  const tags = tagList.split(',');
+  const tuples = tupleList.split(';').map(tuple => tuple.split(','));
+  const valuesOf = tag => {
+    const index = tags.indexOf(tag);
+    return index === -1 ? [] : [...new Set(tuples.map(tuple => tuple[index]).filter(Boolean))];
+  };
+
+  const axes = tags
+    .filter(tag => tag !== 'ital')
+    .flatMap(tag => valuesOf(tag)
+      .filter(value => value.includes('..'))
+      .map(value => {
+        const [min, max] = value.split('..').map(Number);
+        return { tag, min, max };
+      }));
+
+  const weights = valuesOf('wght').map(value => value.replace('..', ' '));
+  const italics = valuesOf('ital');
+
+  return {
+    family: family.trim(),
+    weights: weights.length > 0 ? weights : ['400'],
+    styles: italics.length > 0 ? italics.map(value => (value === '1' ? 'italic' : 'normal')) : ['normal'],
+    axes
+  };
+}
+
+/**
+ * Merge the web font inventories of several pages
+ * @param {Array} inventories - Results of extractWebFonts
+ * @returns {Object} - Merged families and services
+ */
+function mergeWebFonts(inventories) {
+  const families = new Map();
+  const services = new Map();
+
+  inventories.filter(Boolean).forEach(inventory => {
+    inventory.families.forEach(family => {
+      const key = family.family.toLowerCase();
+      const existing = families.get(key);
+      families.set(key, existing ? {
+        ...existing,
+        faces: uniqueFaces([...existing.faces, ...family.faces]),
+        usage: (existing.usage || 0) + (family.usage || 0)
+      } : family);
+    });
+    inventory.services.forEach(service => services.set(service.href, service));
+  });
+
+  const serviceList = [...services.values()];
+  return {
+    families: [...families.values()].map(family => ({
+      ...summarizeFamily(family.family, family.faces, serviceList),
+      usage: family.usage || 0
+    })),
+    services: serviceList
+  };
+}
+
+/**
+ * Drop faces that are declared more than once
+ * @param {Array} faces - Faces from parseFontFace
+ * @returns {Array} - Unique faces
+ */
+function uniqueFaces(faces) {
+  return [...new Map(faces.map(face => [JSON.stringify(face), face])).values()];
+}
+
+/**
+ * Reduce a font stack to the families the page can actually use: loaded web
+ * fonts, fonts installed on every common system and generic families
+ * @param {string} stack - Font family stack
+ * @param {Array} families - Web font families
+ * @returns {string|null} - Stack of available families, or null if none is available
+ */
+function toLoadedStack(stack, families) {
+  const loaded = new Set(families.map(family => family.family.toLowerCase()));
+
+  const available = splitList(stack)
+    .map(unquote)
+    .filter(name => {
+      const key = name.toLowerCase();
+      return loaded.has(key) || SYSTEM_FONTS.has(key) || GENERIC_FAMILIES.has(key);
+    });
+
+  if (available.length === 0) return null;
+  return available.map(name => (/\s/.test(name) && !GENERIC_FAMILIES.has(name.toLowerCase()) ? `"${name}"` : name)).join(', ');
+}
+
+/**
+ * Write the @font-face rules that load a font family
+ * @param {Object} family - Family from extractWebFonts
+ * @returns {string} - CSS with one @font-face rule per face
+ */
+function generateFontFaceCss(family) {
+  return family.faces
+    .filter(face => face.src.some(entry => entry.url))
+    .map(face => {
+      const src = face.src
+        .map(entry => {
+          if (entry.local) return `local("${entry.local}")`;
+          if (!entry.url) return null;
+          return `url("${entry.url}")${entry.format ? ` format("${entry.format}")` : ''}`;
+        })
+        .filter(Boolean)
+        .join(',\n       ');
+
+      const lines = [
+        `  font-family: "${face.family}";`,
+        `  font-style: ${face.style};`,
+        `  font-weight: ${face.weight};`,
+        face.stretch && `  font-stretch: ${face.stretch};`,
+        `  font-display: ${face.display || 'swap'};`,
+        `  src: ${src};`,
+        face.unicodeRange && `  unicode-range: ${face.unicodeRange};`
+      ].filter(Boolean);
+
+      return `@font-face {\n${lines.join('\n')}\n}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Split a comma separated CSS list, ignoring commas inside quotes and functions
+ * @param {string} value - CSS list
+ * @returns {Array} - Trimmed items
+ */
+function splitList(value) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of value || '') {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current.trim());
+
+  return items.filter(Boolean);
+}
+
+/**
+ * Remove the quotes around a family name
+ * @param {string} name - Family name
+ * @returns {string} - Unquoted family name
+ */
+function unquote(name) {
+  return name.trim().replace(/^(["'])(.*)\1$/, '$2').trim();
+}
+
+/**
+ * Host name of a URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - Host name, or null for invalid URLs
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Approximate the registrable domain of a host name
+ * @param {string} host - Host name
+ * @returns {string} - Last two labels, or three for hosts like example.co.uk
+ */
+function registrableDomain(host) {
+  const labels = host.split('.');
+  const count = labels.length > 2 && /^(?:co|com|org|net|ac|gov)$/.test(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-count).join('.');
+}
+
+module.exports = {
+  extractWebFonts,
+  parseGoogleFontsUrl,
+  mergeWebFonts,
+  toLoadedStack,
+  generateFontFaceCss
+};
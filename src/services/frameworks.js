@@ -0,0 +1,492 @@
+const { resolveUrl } = require('./stylesheets');
+
+// Confidence from which a framework counts as detected
+const DETECTION_THRESHOLD = 50;
+
+// Tailwind's color palette, used to tell its color utilities from other frameworks'
+const TAILWIND_COLORS = 'slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose';
+
+/**
+ * Fingerprints of CSS frameworks and front-end runtimes. Each kind of
+ * evidence has a weight, the probability that it would not be there
+ * without the framework; independent evidence is combined into one confidence.
+ *   assets - Pattern of stylesheet and script URLs, capturing the version when it has one
+ *   banner - Pattern of the comment the framework's stylesheets start with, capturing the version
+ *   variables - Prefix (or pattern) of the custom properties it defines
+ *   classes - Patterns of class names only the framework uses
+ *   attributes - Attribute names (or patterns) it renders, with their weight
+ *   elements - Pattern of custom element names it renders
+ *   scripts - Pattern of inline script content it renders
+ *   inferVersion - Major version from the signals found, when no asset or banner names it
+ */
+const FINGERPRINTS = [
+  {
+    id: 'bootstrap',
+    name: 'Bootstrap',
+    type: 'css',
+    assets: /bootstrap(?!-icons)(?:[@/-]v?(\d+\.\d+(?:\.\d+)?))?[\w./-]*\.(?:css|js)|bootstrap@(\d+\.\d+(?:\.\d+)?)/i,
+    banner: /Bootstrap\s+v?(\d+\.\d+(?:\.\d+)?)/i,
+    variables: '--bs-',
+    classes: [
+      /^col-(?:xs|sm|md|lg|xl|xxl)-(?:\d+|auto)$/, /^navbar-(?:expand(?:-\w+)?|light|dark|toggler(?:-icon)?|brand|nav|collapse)$/,
+      /^btn-(?:primary|secondary|success|danger|warning|info|light|dark|link|default|outline-\w+)$/,
+      /^d(?:-(?:sm|md|lg|xl|xxl))?-(?:none|flex|block|inline|inline-block|inline-flex|grid)$/,
+      /^justify-content-(?:\w+-)?(?:start|end|center|between|around|evenly)$/, /^align-items-(?:\w+-)?(?:start|end|center|baseline|stretch)$/,
+      /^(?:card-(?:body|title|text)|modal-(?:dialog|body)|dropdown-toggle|list-group-item|input-group-text)$/,
+      /^form-(?:control|select|check(?:-input|-label)?|label|floating)$/, /^container-fluid$/, /^row-cols-/, /^g[xy]?-[0-5]$/,
+      /^float-(?:sm-|md-|lg-|xl-)?(?:start|end)$/, /^visually-hidden(?:-focusable)?$/, /^(?:panel|panel-(?:default|heading|body))$/,
+      // Classes that changed between major versions
+      /^(?:custom-(?:select|control\w*|file|range|switch)|badge-(?:primary|secondary|success|danger|warning|info|light|dark|pill)|form-group|col-xs-\d+|btn-default|hidden-(?:xs|sm|md|lg))$/
+    ],
+    attributes: [
+      { pattern: /^data-bs-(?:toggle|target|dismiss|theme)$/, weight: 0.9 },
+      { pattern: /^data-(?:toggle|target|dismiss)$/, weight: 0.3 }
+    ],
+    inferVersion: ({ classes, variables, attributes }) => {
+      if (variables > 0 || attributes.some(name => name.startsWith('data-bs-')) ||
+          classes.some(name => /^(?:float-(?:\w+-)?(?:start|end)|form-select|visually-hidden)$/.test(name))) {
+        return '5.x';
+      }
+      if (classes.some(name => /^(?:custom-(?:select|control\w*|file|range|switch)|badge-\w+|form-group)$/.test(name))) {
+        return '4.x';
+      }
+      if (classes.some(name => /^(?:col-xs-\d+|panel(?:-\w+)?|btn-default|hidden-(?:xs|sm|md|lg))$/.test(name))) {
+        return '3.x';
+      }
+      return null;
+    }
+  },
+  {
+    id: 'tailwind',
+    name: 'Tailwind CSS',
+    type: 'css',
+    assets: /tailwind(?:css)?(?:@(\d+\.\d+(?:\.\d+)?))?/i,
+    banner: /tailwindcss\s+v?(\d+\.\d+(?:\.\d+)?)/i,
+    variables: '--tw-',
+    classes: [
+      /^(?:sm|md|lg|xl|2xl|hover|focus|active|dark|group-hover|focus-visible|disabled|first|last|odd|even|peer-\w+):/,
+      new RegExp(`^(?:text|bg|border|ring|outline|fill|stroke|from|via|to|divide|placeholder|accent|decoration)-(?:${TAILWIND_COLORS})-(?:50|[1-9]00|950)(?:\\/\\d+)?$`),
+      /^[a-z-]+-\[[^\]]+\]$/, /^(?:space|divide)-[xy]-/, /^inset-(?:[xy]-)?(?:0|px|\d+|auto|full)$/, /^(?:left|right)-(?:0|px|\d+(?:\.5)?|auto|full)$/,
+      /^rounded(?:-[trbl]{1,2})?-(?:none|xs|md|xl|2xl|3xl|full)$/, /^shadow-(?:xs|md|xl|2xl|inner)$/,
+      /^text-(?:xs|base|[2-9]xl)$/, /^font-(?:thin|extralight|medium|semibold|extrabold|black)$/,
+      /^(?:items|justify|content|self|place-\w+)-(?:start|end|center|between|around|evenly|stretch|baseline)$/,
+      /^(?:tracking|leading)-\w+$/, /^(?:w|h|min-w|min-h|max-w|max-h|size)-(?:\d+\.5|[1-9]|1[0-9]|2[0-4]|2[89]|3[26]|4[048]|5[26]|6[04]|7[2]|8[0]|9[6]|px|screen|fit|min|max|\d\/\d+)$/,
+      /^(?:grid-cols|col-span|row-span|grid-rows)-\d+$/, /^gap-(?:[xy]-(?:\d+(?:\.5)?|px)|[6-9]|\d{2}|\d\.5|px)$/
+    ],
+    attributes: [],
+    inferVersion: ({ variables, variableNames, classes }) => {
+      // Version 4 exposes its theme as --color-*, --spacing and --text-* variables next to its --tw-* internals
+      const themeVariable = new RegExp(`^--(?:color-(?:${TAILWIND_COLORS})-\\d+|spacing|text-\\w+--line-height)$`);
+      if (variables > 0 && variableNames.some(name => themeVariable.test(name))) return '4.x';
+      if (variableNames.includes('--tw-content') || classes.some(name => /^[a-z-]+-\[[^\]]+\]$/.test(name))) return '3.x';
+      if (variables > 0) return '2.x';
+      return null;
+    }
+  },
+  {
+    id: 'foundation',
+    name: 'Foundation',
+    type: 'css',
+    assets: /foundation(?:-sites)?(?:[@/-]v?(\d+\.\d+(?:\.\d+)?))?[\w./-]*\.(?:css|js)/i,
+    banner: /Foundation(?: for Sites)?\s+v?(\d+\.\d+(?:\.\d+)?)/i,
+    variables: null,
+    classes: [
+      /^grid-[xy]$/, /^cell$/, /^(?:small|medium|large|xlarge)-(?:\d+|auto|shrink|offset-\d+|cell-block(?:-y)?|up-\d+)$/,
+      /^callout$/, /^top-bar(?:-left|-right)?$/, /^button-group$/, /^(?:hide|show)-for-/, /^off-canvas(?:-content|-wrapper)?$/,
+      /^orbit(?:-container|-slide)?$/, /^(?:dropdown|vertical|accordion|drilldown)-menu$/, /^grid-(?:margin|padding)-[xy]$/
+    ],
+    attributes: [
+      { pattern: /^data-(?:dropdown-menu|responsive-toggle|off-canvas|reveal|abide|accordion-menu|drilldown|orbit|sticky-container|magellan)$/, weight: 0.6 }
+    ],
+    inferVersion: ({ classes }) => (classes.some(name => /^grid-[xy]$/.test(name)) ? '6.x' : null)
+  },
+  {
+    id: 'bulma',
+    name: 'Bulma',
+    type: 'css',
+    assets: /bulma(?:@(\d+\.\d+(?:\.\d+)?))?[\w./-]*\.css/i,
+    banner: /bulma(?:\.io)?\s+v?(\d+\.\d+(?:\.\d+)?)/i,
+    variables: '--bulma-',
+    classes: [
+      /^is-(?:primary|link|info|success|warning|danger|half|one-third|two-thirds|one-quarter|three-quarters|fullwidth|multiline|vcentered|mobile|desktop|size-[1-7]|\d+|offset-\d+)$/,
+      /^has-(?:text|background)-(?:\w+)$/, /^navbar-(?:burger|item|menu|start|end|dropdown|link)$/,
+      /^hero(?:-body|-head|-foot)$/, /^level-(?:left|right|item)$/, /^(?:media|card)-(?:content|left|right|header-title|footer-item)$/,
+      /^(?:tile|is-ancestor|is-parent|is-child)$/
+    ],
+    attributes: [],
+    inferVersion: ({ variables }) => (variables > 0 ? '1.x' : null)
+  },
+  {
+    id: 'materialize',
+    name: 'Materialize',
+    type: 'css',
+    assets: /materialize(?:-css)?(?:[@/-]v?(\d+\.\d+(?:\.\d+)?))?[\w./-]*\.(?:css|js)/i,
+    banner: /Materialize\s+v?(\d+\.\d+(?:\.\d+)?)/i,
+    variables: null,
+    classes: [/^waves-(?:effect|light)$/, /^sidenav(?:-trigger|-overlay)?$/, /^btn-(?:floating|flat|large)$/, /^card-panel$/, /^collapsible(?:-header|-body)?$/],
+    attributes: [],
+    inferVersion: () => null
+  },
+  {
+    id: 'angular-material',
+    name: 'Angular Material',
+    type: 'css',
+    assets: /@angular\/material(?:@(\d+\.\d+(?:\.\d+)?))?/i,
+    banner: null,
+    variables: /^--(?:mdc|mat)-/,
+    classes: [/^mat-mdc-/, /^mdc-[a-z]/, /^mat-(?:button|raised-button|flat-button|stroked-button|icon-button|card|toolbar|form-field|icon|ripple|focus-indicator|elevation-z\d+)$/, /^cdk-(?:overlay|visually-hidden|focused)/],
+    elements: /^mat-[a-z-]+$/,
+    attributes: [],
+    inferVersion: ({ classes, variableNames }) => {
+      // Material 3 system tokens arrived in 18, the MDC based components in 15
+      if (variableNames.some(name => name.startsWith('--mat-sys-'))) return '18+';
+      if (classes.some(name => name.startsWith('mat-mdc-'))) return '15+';
+      if (classes.some(name => /^mat-(?:button|raised-button|form-field)$/.test(name))) return '14 or earlier';
+      return null;
+    }
+  },
+  {
+    id: 'mui',
+    name: 'MUI',
+    type: 'css',
+    assets: /@mui\/material(?:@(\d+\.\d+(?:\.\d+)?))?|material-ui(?:@(\d+\.\d+(?:\.\d+)?))?/i,
+    banner: null,
+    variables: '--mui-',
+    classes: [/^Mui[A-Z]\w*-(?:root|[a-z]\w*)$/, /^css-[a-z0-9]{4,8}-Mui[\w-]+$/, /^makeStyles-\w+-\d+$/],
+    attributes: [],
+    inferVersion: ({ classes, variables }) => {
+      // Emotion class names arrived in 5, JSS class names were used up to 4
+      if (variables > 0) return '6+';
+      if (classes.some(name => /^css-[a-z0-9]+-Mui/.test(name))) return '5+';
+      if (classes.some(name => /^makeStyles-|^jss\d+$/.test(name))) return '4 or earlier';
+      return null;
+    }
+  },
+  {
+    id: 'chakra',
+    name: 'Chakra UI',
+    type: 'css',
+    assets: /@chakra-ui\/react(?:@(\d+\.\d+(?:\.\d+)?))?/i,
+    banner: null,
+    variables: '--chakra-',
+    classes: [/^chakra-[a-z]/],
+    attributes: [],
+    inferVersion: () => null
+  },
+  {
+    id: 'uikit',
+    name: 'UIkit',
+    type: 'css',
+    assets: /uikit(?:[@/-]v?(\d+\.\d+(?:\.\d+)?))?[\w./-]*\.(?:css|js)/i,
+    banner: /UIkit\s+v?(\d+\.\d+(?:\.\d+)?)/i,
+    variables: null,
+    classes: [/^uk-[a-z]/],
+    attributes: [{ pattern: /^uk-(?:grid|navbar|toggle|sticky|slider|slideshow|icon|dropdown|modal|nav|scrollspy|lightbox|accordion|switcher|tab|height-viewport)$/, weight: 0.6 }],
+    inferVersion: ({ classes }) => (classes.some(name => name.startsWith('uk-')) ? '3.x' : null)
+  },
+  {
+    id: 'angular',
+    name: 'Angular',
+    type: 'runtime',
+    assets: /@angular\/core(?:@(\d+\.\d+(?:\.\d+)?))?/i,
+    banner: null,
+    variables: null,
+    classes: [],
+    attributes: [
+      { pattern: 'ng-version', weight: 0.99, version: true },
+      { pattern: /^_ng(?:content|host)-[\w-]+$/, weight: 0.95 },
+      { pattern: /^ng-reflect-/, weight: 0.9 }
+    ],
+    elements: /^app-root$/,
+    inferVersion: () => null
+  },
+  {
+    id: 'angularjs',
+    name: 'AngularJS',
+    type: 'runtime',
+    assets: /angular(?:js|\.js)?[/@-](1\.\d+\.\d+)|\bangular(?:\.min)?\.js/i,
+    banner: null,
+    variables: null,
+    classes: [/^ng-(?:scope|binding|isolate-scope|cloak|pristine|untouched|valid)$/],
+    attributes: [{ pattern: /^(?:data-)?ng-(?:app|controller|repeat|model|click|if|show|hide|bind|view|include|init)$/, weight: 0.9 }],
+    inferVersion: () => '1.x'
+  },
+  {
+    id: 'react',
+    name: 'React',
+    type: 'runtime',
+    assets: /react(?:-dom)?@(\d+\.\d+(?:\.\d+)?)|react(?:-dom)?(?:\.production|\.development)(?:\.min)?\.js|\/_next\/static\/|\/static\/js\/main\.[a-f0-9]+\.js/i,
+    banner: null,
+    variables: null,
+    classes: [],
+    attributes: [
+      { pattern: 'data-reactroot', weight: 0.9 },
+      { pattern: 'data-reactid', weight: 0.95 }
+    ],
+    ids: [
+      { id: '__next', weight: 0.8, detail: 'Next.js root #__next' },
+      { id: '___gatsby', weight: 0.9, detail: 'Gatsby root #___gatsby' }
+    ],
+    scripts: [{ pattern: /self\.__next_f|__NEXT_DATA__/, weight: 0.95, detail: 'Next.js page data' }],
+    inferVersion: ({ attributes }) => (attributes.includes('data-reactid') ? '15 or earlier' : null)
+  },
+  {
+    id: 'vue',
+    name: 'Vue',
+    type: 'runtime',
+    assets: /vue@(\d+\.\d+(?:\.\d+)?)|vue(?:\.global|\.runtime)?(?:\.prod)?(?:\.min)?\.js|\/_nuxt\//i,
+    banner: null,
+    variables: null,
+    classes: [],
+    attributes: [
+      { pattern: /^data-v-[a-f0-9]{8}$/, weight: 0.9 },
+      { pattern: 'data-v-app', weight: 0.95 },
+      { pattern: 'data-server-rendered', weight: 0.8 }
+    ],
+    ids: [{ id: '__nuxt', weight: 0.9, detail: 'Nuxt root #__nuxt' }],
+    scripts: [{ pattern: /window\.__NUXT__|__NUXT_DATA__/, weight: 0.95, detail: 'Nuxt page data' }],
+    inferVersion: ({ attributes }) => {
+      if (attributes.includes('data-v-app')) return '3.x';
+      if (attributes.includes('data-server-rendered')) return '2.x';
+      return null;
+    }
+  },
+  {
+    id: 'svelte',
+    name: 'Svelte',
+    type: 'runtime',
+    assets: /svelte@(\d+\.\d+(?:\.\d+)?)|\/_app\/immutable\//i,
+    banner: null,
+    variables: null,
+    classes: [/^svelte-[a-z0-9]{4,8}$/],
+    attributes: [
+      { pattern: 'data-svelte-h', weight: 0.95 },
+      { pattern: /^data-sveltekit-/, weight: 0.95 }
+    ],
+    scripts: [{ pattern: /__sveltekit_/, weight: 0.95, detail: 'SvelteKit bootstrap script' }],
+    inferVersion: ({ attributes }) => (attributes.includes('data-svelte-h') ? '4.x' : null)
+  }
+];
+
+/**
+ * Fingerprint the CSS frameworks and front-end runtimes of a page from its
+ * class names, stylesheet banners, custom property prefixes, markup and asset URLs
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @param {string} pageUrl - URL of the page
+ * @returns {Object} - CSS frameworks and runtimes by id, with confidence, version and evidence
+ */
+function detectFrameworks($, stylesheets, pageUrl) {
+  const signals = collectSignals($, stylesheets, pageUrl);
+
+  const results = { css: {}, runtimes: {} };
+  FINGERPRINTS.forEach(fingerprint => {
+    const result = matchFingerprint(fingerprint, signals);
+    results[fingerprint.type === 'css' ? 'css' : 'runtimes'][fingerprint.id] = result;
+  });
+
+  return results;
+}
+
+/**
+ * Gather the signals fingerprints are matched against
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @param {string} pageUrl - URL of the page
+ * @returns {Object} - Class usage, stylesheet classes, custom properties, attributes, elements, ids, assets, banners and inline scripts
+ */
+function collectSignals($, stylesheets, pageUrl) {
+  const classes = new Map();
+  const attributes = new Map();
+  const elements = new Set();
+  const ids = new Set();
+
+  $('*').each((i, el) => {
+    elements.add(el.name.toLowerCase());
+    Object.entries(el.attribs || {}).forEach(([name, value]) => {
+      attributes.set(name, attributes.has(name) ? attributes.get(name) : value);
+      if (name === 'class') {
+        value.split(/\s+/).filter(Boolean).forEach(className => classes.set(className, (classes.get(className) || 0) + 1));
+      }
+      if (name === 'id') ids.add(value);
+    });
+  });
+
+  // Classes the stylesheets define, with escapes like `.md\:flex` resolved
+  const stylesheetClasses = new Set();
+  const variableNames = new Set();
+  (stylesheets?.rules || []).forEach(rule => {
+    for (const match of (rule.selector || '').matchAll(/\.((?:\\.|[\w-])+)/g)) {
+      stylesheetClasses.add(match[1].replace(/\\(.)/g, '$1'));
+    }
+    rule.declarations.forEach(({ property }) => {
+      if (property.startsWith('--')) variableNames.add(property);
+    });
+  });
+
+  const assets = new Set((stylesheets?.sheets || []).map(sheet => sheet.href).filter(Boolean));
+  $('script[src], link[href]').each((i, el) => {
+    const href = resolveUrl($(el).attr('src') || $(el).attr('href'), pageUrl);
+    if (href) assets.add(href);
+  });
+
+  return {
+    classes,
+    stylesheetClasses,
+    variableNames: [...variableNames],
+    attributes,
+    elements,
+    ids,
+    assets: [...assets],
+    banners: (stylesheets?.sheets || []).map(sheet => sheet.banner).filter(Boolean),
+    scripts: $('script:not([src])').toArray().map(el => $(el).html() || '')
+  };
+}
+
+/**
+ * Match a fingerprint against the signals of a page
+ * @param {Object} fingerprint - Fingerprint from FINGERPRINTS
+ * @param {Object} signals - Signals from collectSignals
+ * @returns {Object} - Name, detection, confidence (0-100), version and evidence
+ */
+function matchFingerprint(fingerprint, signals) {
+  const evidence = [];
+  let version = null;
+  let versionSource = null;
+  const setVersion = (value, source) => {
+    if (value && !version) {
+      version = value;
+      versionSource = source;
+    }
+  };
+
+  // Stylesheet banners name the framework and its exact version
+  if (fingerprint.banner) {
+    const banner = signals.banners.map(text => text.match(fingerprint.banner)).find(Boolean);
+    if (banner) {
+      evidence.push({ type: 'banner', detail: banner[0], weight: 0.97 });
+      setVersion(banner[1], 'banner');
+    }
+  }
+
+  const assetMatches = signals.assets
+    .map(href => ({ href, match: href.match(fingerprint.assets) }))
+    .filter(asset => asset.match);
+  if (assetMatches.length > 0) {
+    evidence.push({ type: 'asset', detail: assetMatches[0].href, weight: 0.9 });
+    assetMatches.forEach(({ match }) => setVersion(match.slice(1).find(Boolean), 'asset'));
+  }
+
+  const variableNames = fingerprint.variables ?
+    signals.variableNames.filter(name => (fingerprint.variables instanceof RegExp ?
+      fingerprint.variables.test(name) :
+      name.startsWith(fingerprint.variables))) :
+    [];
+  if (variableNames.length > 0) {
+    evidence.push({
+      type: 'variables',
+      detail: `${variableNames.length} custom properties like ${variableNames.slice(0, 3).join(', ')}`,
+      weight: Math.min(0.95, 1 - Math.pow(0.9, variableNames.length))
+    });
+  }
+
+  // Class names are weighed by how many distinct framework-only classes the page uses
+  const usedClasses = [...signals.classes.keys()].filter(name => fingerprint.classes.some(pattern => pattern.test(name)));
+  if (usedClasses.length > 0) {
+    const elements = usedClasses.reduce((sum, name) => sum + signals.classes.get(name), 0);
+    evidence.push({
+      type: 'classes',
+      detail: `${usedClasses.length} distinct classes on ${elements} elements, like ${usedClasses.slice(0, 4).join(', ')}`,
+      weight: Math.min(0.9, 1 - Math.pow(0.75, usedClasses.length))
+    });
+  }
+
+  const definedClasses = [...signals.stylesheetClasses].filter(name => fingerprint.classes.some(pattern => pattern.test(name)));
+  if (definedClasses.length > 0) {
+    evidence.push({
+      type: 'stylesheet',
+      detail: `${definedClasses.length} framework classes defined, like ${definedClasses.slice(0, 4).join(', ')}`,
+      weight: Math.min(0.8, 1 - Math.pow(0.85, definedClasses.length))
+    });
+  }
+
+  const attributeNames = [...signals.attributes.keys()];
+  const matchedAttributes = [];
+  (fingerprint.attributes || []).forEach(({ pattern, weight, version: carriesVersion }) => {
+    const names = attributeNames.filter(name => (pattern instanceof RegExp ? pattern.test(name) : name === pattern));
+    if (names.length === 0) return;
+
+    matchedAttributes.push(...names);
+    evidence.push({ type: 'attribute', detail: names.slice(0, 3).join(', '), weight });
+    if (carriesVersion) setVersion(signals.attributes.get(names[0]), 'attribute');
+  });
+
+  if (fingerprint.elements) {
+    const elements = [...signals.elements].filter(name => fingerprint.elements.test(name));
+    if (elements.length > 0) {
+      evidence.push({ type: 'element', detail: elements.slice(0, 4).join(', '), weight: Math.min(0.9, 0.3 * elements.length) });
+    }
+  }
+
+  (fingerprint.ids || []).forEach(({ id, weight, detail }) => {
+    if (signals.ids.has(id)) evidence.push({ type: 'element', detail, weight });
+  });
+
+  (fingerprint.scripts || []).forEach(({ pattern, weight, detail }) => {
+    if (signals.scripts.some(script => pattern.test(script))) evidence.push({ type: 'script', detail, weight });
+  });
+
+  setVersion(fingerprint.inferVersion({
+    classes: [...usedClasses, ...definedClasses],
+    variables: variableNames.length,
+    variableNames: signals.variableNames,
+    attributes: matchedAttributes
+  }), 'inferred');
+
+  const confidence = Math.round(100 * (1 - evidence.reduce((doubt, { weight }) => doubt * (1 - weight), 1)));
+  const detected = confidence >= DETECTION_THRESHOLD;
+
+  return {
+    name: fingerprint.name,
+    detected,
+    confidence,
+    version: detected ? version : null,
+    versionSource: detected ? versionSource : null,
+    evidence: evidence.map(({ type, detail, weight }) => ({ type, detail, weight }))
+  };
+}
+
+/**
+ * Merge the fingerprints of several pages, keeping the strongest evidence per framework
+ * @param {Array} analyses - Page analyses
+ * @param {Function} getFrameworks - Returns the fingerprints by id of an analysis
+ * @returns {Object} - Fingerprints by id with the pages they were detected on
+ */
+function mergeFrameworks(analyses, getFrameworks) {
+  const merged = {};
+
+  analyses.forEach(analysis => {
+    Object.entries(getFrameworks(analysis) || {}).forEach(([id, framework]) => {
+      const current = merged[id];
+      const strongest = !current || framework.confidence > current.confidence ? framework : current;
+      // Exact versions from banners, assets and attributes win over inferred ones
+      const versioned = [framework, current].find(candidate => candidate?.version && candidate.versionSource !== 'inferred') ||
+        [strongest, framework, current].find(candidate => candidate?.version);
+
+      merged[id] = {
+        ...strongest,
+        detected: Boolean(current?.detected || framework.detected),
+        version: versioned ? versioned.version : null,
+        versionSource: versioned ? versioned.versionSource : null,
+        pages: [...(current?.pages || []), ...(framework.detected && analysis.url ? [analysis.url] : [])]
+      };
+    });
+  });
+
+  return merged;
+}
+
+module.exports = {
+  detectFrameworks,
+  mergeFrameworks
+};
@@ -0,0 +1,583 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { resolveUrl } = require('./stylesheets');
+
+// Elements that matter for an icon
+const ICON_SELECTOR = [
+  'svg', 'i[class]', '[class*="icon"]', '[class^="fa-"]', '[class*=" fa-"]',
+  '[class^="bi-"]', '[class*=" bi-"]', '[class*="material-symbols"]'
+].join(', ');
+
+// Inline SVGs at most this large, in px, count as icons
+const MAX_ICON_SIZE = 64;
+
+// Icons kept in a style guide's icon sheet and sprite
+const MAX_SHEET_ICONS = 200;
+
+// Icon sheets of the most recent style guides, kept in memory by id so that their
+// sprite can be downloaded without writing a file per style guide
+const MAX_STORED_SHEETS = 20;
+const storedSheets = new Map();
+
+// SVG elements and attributes kept when an icon is normalized; everything
+// else, including scripts, event handlers and external references, is dropped
+const SVG_ELEMENTS = new Set([
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect',
+  'defs', 'clippath', 'mask', 'lineargradient', 'radialgradient', 'stop', 'use'
+]);
+const SVG_ATTRIBUTES = new Set([
+  'viewbox', 'd', 'points', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry',
+  'width', 'height', 'transform', 'fill', 'fill-rule', 'fill-opacity', 'clip-rule', 'clip-path',
+  'mask', 'opacity', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin',
+  'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-opacity',
+  'id', 'href', 'offset', 'stop-color', 'stop-opacity', 'gradientunits', 'gradienttransform',
+  'clippathunits', 'maskunits'
+]);
+
+// Attributes of the root element that describe how the icon paints
+const ROOT_ATTRIBUTES = ['viewBox', 'fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'fill-rule', 'clip-rule'];
+
+// Font Awesome classes that size, animate or select a style instead of naming an icon
+const FONT_AWESOME_MODIFIERS = /^fa-(?:solid|regular|light|thin|duotone|brands|sharp|sharp-duotone|kit|fw|lg|sm|xs|2xs|xl|2xl|[1-9]|10x|[1-9]x|spin|spin-pulse|spin-reverse|pulse|beat|beat-fade|bounce|fade|flip|shake|rotate-\d+|rotate-by|flip-horizontal|flip-vertical|flip-both|border|pull-left|pull-right|pull-start|pull-end|inverse|stack|stack-1x|stack-2x|layers|layers-text|layers-counter|ul|li|swap-opacity)$/;
+
+/**
+ * Icon libraries, recognised by the assets they load, their CSS and the markup they use
+ *   assets - URLs of their stylesheets, scripts and sprites
+ *   version - Version in an asset URL
+ *   banner - Version in the comment their stylesheets start with
+ *   fontFamily - Family of their icon font
+ */
+const ICON_LIBRARIES = [
+  {
+    id: 'font-awesome',
+    name: 'Font Awesome',
+    assets: /font-?awesome|fortawesome/i,
+    version: /(?:font-?awesome|fortawesome)[\w-]*?[@/-]v?(\d+\.\d+(?:\.\d+)?)/i,
+    banner: /Font ?Awesome (?:Free |Pro )?v?(\d+\.\d+(?:\.\d+)?)/i,
+    fontFamily: /^(?:Font ?Awesome|FontAwesome)(?: (\d+))?/i
+  },
+  {
+    id: 'material-icons',
+    name: 'Material Icons',
+    assets: /fonts\.googleapis\.com\/(?:icon|css2?)\?[^#]*family=Material\+Icons|material-icons/i,
+    version: /material-icons@(\d+\.\d+(?:\.\d+)?)/i,
+    banner: null,
+    fontFamily: /^Material Icons/i
+  },
+  {
+    id: 'material-symbols',
+    name: 'Material Symbols',
+    assets: /family=Material\+Symbols|material-symbols/i,
+    version: /material-symbols@(\d+\.\d+(?:\.\d+)?)/i,
+    banner: null,
+    fontFamily: /^Material Symbols/i
+  },
+  {
+    id: 'bootstrap-icons',
+    name: 'Bootstrap Icons',
+    assets: /bootstrap-icons/i,
+    version: /bootstrap-icons[@/-]v?(\d+\.\d+(?:\.\d+)?)/i,
+    banner: /Bootstrap Icons v?(\d+\.\d+(?:\.\d+)?)/i,
+    fontFamily: /^bootstrap-icons/i
+  },
+  {
+    id: 'heroicons',
+    name: 'Heroicons',
+    assets: /heroicons/i,
+    version: /heroicons[@/-]v?(\d+\.\d+(?:\.\d+)?)/i,
+    banner: null,
+    fontFamily: null
+  }
+];
+
+/**
+ * Identify the icon systems a page uses and collect its SVG icons
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @param {string} pageUrl - URL of the page
+ * @returns {Object} - Icon libraries with versions and the icons used, SVG sprites and unique inline SVG icons
+ */
+function extractIcons($, stylesheets, pageUrl) {
+  const libraries = new Map();
+  const library = id => {
+    if (!libraries.has(id)) {
+      const definition = ICON_LIBRARIES.find(candidate => candidate.id === id);
+      libraries.set(id, { id, name: definition.name, version: null, versionSource: null, styles: new Set(), icons: new Map(), count: 0, evidence: new Set() });
+    }
+    return libraries.get(id);
+  };
+  const setVersion = (entry, version, source) => {
+    // Exact versions from assets and banners win over versions inferred from markup
+    if (version && (!entry.version || (entry.versionSource === 'markup' && source !== 'markup'))) {
+      entry.version = version;
+      entry.versionSource = source;
+    }
+  };
+  const addIcon = (id, name, style = null) => {
+    const entry = library(id);
+    entry.count++;
+    if (style) entry.styles.add(style);
+    if (name) entry.icons.set(name, (entry.icons.get(name) || 0) + 1);
+  };
+
+  // Stylesheets, scripts and their banners
+  const assets = [
+    ...(stylesheets?.sheets || []).filter(sheet => sheet.href).map(sheet => ({ href: sheet.href, banner: sheet.banner })),
+    ...(stylesheets?.sheets || []).filter(sheet => !sheet.href && sheet.banner).map(sheet => ({ href: null, banner: sheet.banner })),
+    ...$('script[src], link[href]').toArray()
+      .map(el => ({ href: resolveUrl($(el).attr('src') || $(el).attr('href'), pageUrl), banner: null }))
+      .filter(asset => asset.href)
+  ];
+  assets.forEach(({ href, banner }) => {
+    ICON_LIBRARIES.forEach(definition => {
+      if (href && definition.assets.test(href)) {
+        const entry = library(definition.id);
+        entry.evidence.add(`asset ${href}`);
+        setVersion(entry, (href.match(definition.version) || [])[1], 'asset');
+      }
+      const bannerVersion = banner && definition.banner && banner.match(definition.banner);
+      if (bannerVersion) {
+        const entry = library(definition.id);
+        entry.evidence.add(`stylesheet banner "${banner.slice(0, 60)}"`);
+        setVersion(entry, bannerVersion[1], 'banner');
+      }
+    });
+
+    if (href && /kit\.fontawesome\.com/i.test(href)) {
+      library('font-awesome').evidence.add(`kit ${href}`);
+    }
+  });
+
+  // Icon fonts declared with @font-face
+  (stylesheets?.fontFaces || []).forEach(({ descriptors }) => {
+    const family = descriptors['font-family'].replace(/^["']|["']$/g, '');
+    ICON_LIBRARIES.filter(definition => definition.fontFamily).forEach(definition => {
+      const match = family.match(definition.fontFamily);
+      if (!match) return;
+
+      const entry = library(definition.id);
+      entry.evidence.add(`@font-face "${family}"`);
+      // Font Awesome 5 and later put their major version in the family name; 4 is plain FontAwesome
+      if (definition.id === 'font-awesome') {
+        setVersion(entry, match[1] ? `${match[1]}.x` : '4.x', 'markup');
+      }
+    });
+  });
+
+  // Icon font markup
+  $('[class]').each((i, el) => {
+    const element = $(el);
+    const classes = (element.attr('class') || '').split(/\s+/).filter(Boolean);
+
+    const faStyle = classes.find(className => /^(?:fa|fa[srlbdt]|fa-(?:solid|regular|light|thin|duotone|brands|sharp))$/.test(className));
+    const faName = classes.find(className => /^fa-[a-z0-9-]+$/.test(className) && !FONT_AWESOME_MODIFIERS.test(className));
+    if (faStyle && faName) {
+      const style = { fa: 'solid', fas: 'solid', far: 'regular', fal: 'light', fab: 'brands', fad: 'duotone', fat: 'thin' }[faStyle] || faStyle.slice(3);
+      addIcon('font-awesome', faName.slice(3), style);
+      library('font-awesome').evidence.add(`class ${faStyle} ${faName}`);
+      // Prefixes changed between major versions: fa (4), fas/far/fab (5), fa-solid (6)
+      setVersion(library('font-awesome'), faStyle === 'fa' ? '4.x' : faStyle.startsWith('fa-') ? '6.x' : '5.x', 'markup');
+    }
+
+    const materialIcons = classes.map(className => className.match(/^material-icons(?:-(outlined|round|sharp|two-tone))?$/)).find(Boolean);
+    if (materialIcons) {
+      addIcon('material-icons', iconLigature(element), materialIcons[1] || 'filled');
+      library('material-icons').evidence.add(`class ${materialIcons[0]}`);
+    }
+
+    const materialSymbols = classes.map(className => className.match(/^material-symbols-(outlined|rounded|sharp)$/)).find(Boolean);
+    if (materialSymbols) {
+      addIcon('material-symbols', iconLigature(element), materialSymbols[1]);
+      library('material-symbols').evidence.add(`class ${materialSymbols[0]}`);
+    }
+
+    const bootstrapIcon = classes.find(className => /^bi-[a-z0-9-]+$/.test(className));
+    if (classes.includes('bi') && bootstrapIcon) {
+      addIcon('bootstrap-icons', bootstrapIcon.slice(3), /-fill$/.test(bootstrapIcon) ? 'fill' : 'outline');
+      library('bootstrap-icons').evidence.add('class bi bi-*');
+    }
+  });
+
+  // Sprites referenced with <use>, and the icons defined in inline sprites
+  const sprites = new Map();
+  const inline = new Map();
+  const addInlineIcon = (svg, name, source, count = 1) => {
+    const normalized = normalizeSvg(svg);
+    if (!normalized) return;
+
+    if (!inline.has(normalized.svg)) {
+      inline.set(normalized.svg, { ...normalized, names: new Map(), count: 0, source });
+    }
+    const entry = inline.get(normalized.svg);
+    entry.count += count;
+    if (name) entry.names.set(name, (entry.names.get(name) || 0) + count);
+  };
+
+  $('svg use').each((i, el) => {
+    const reference = $(el).attr('href') || $(el).attr('xlink:href') || '';
+    const [file, id] = reference.split('#');
+    if (!id) return;
+
+    const href = file ? resolveUrl(file, pageUrl) : null;
+    const key = href || 'inline';
+    if (!sprites.has(key)) {
+      sprites.set(key, { href, inline: !file, library: null, symbols: new Map(), count: 0 });
+    }
+    const sprite = sprites.get(key);
+    sprite.count++;
+    sprite.symbols.set(id, (sprite.symbols.get(id) || 0) + 1);
+
+    const definition = href && ICON_LIBRARIES.find(candidate => candidate.assets.test(href));
+    if (definition) {
+      sprite.library = definition.id;
+      addIcon(definition.id, id);
+      library(definition.id).evidence.add(`sprite ${href}`);
+      setVersion(library(definition.id), (href.match(definition.version) || [])[1], 'asset');
+    }
+  });
+
+  $('symbol[id]').each((i, el) => {
+    const symbol = $(el);
+    // A symbol counts once per use, and once when it is defined but unused
+    const uses = sprites.get('inline')?.symbols.get(symbol.attr('id')) || 1;
+    addInlineIcon(symbol, slugify(symbol.attr('id')), 'sprite', uses);
+  });
+
+  // Inline SVG icons
+  $('svg').each((i, el) => {
+    const svg = $(el);
+    if (svg.parents('svg').length > 0 || svg.find('symbol').length > 0 || !isIconSvg(svg)) return;
+
+    // An SVG that only references a symbol is counted with its sprite
+    const drawn = svg.find('path, circle, ellipse, line, polyline, polygon, rect');
+    if (drawn.length === 0) return;
+
+    if (isHeroicon(svg)) {
+      addIcon('heroicons', iconName($, svg), svg.attr('fill') === 'none' ? 'outline' : 'solid');
+      library('heroicons').evidence.add(svg.attr('data-slot') === 'icon' ? 'svg data-slot="icon"' : 'svg outline signature');
+    }
+
+    addInlineIcon(svg, iconName($, svg), 'inline');
+  });
+
+  // Heroicons are told apart from other inline SVGs by a signature alone, which needs corroboration
+  const heroicons = libraries.get('heroicons');
+  if (heroicons && heroicons.count < 3 && ![...heroicons.evidence].some(evidence => /^asset|data-slot/.test(evidence))) {
+    libraries.delete('heroicons');
+  }
+
+  return {
+    libraries: [...libraries.values()]
+      .map(entry => ({
+        ...entry,
+        styles: [...entry.styles],
+        icons: sortCounts(entry.icons),
+        evidence: [...entry.evidence].slice(0, 10)
+      }))
+      .sort((a, b) => b.count - a.count),
+    sprites: [...sprites.values()].map(sprite => ({ ...sprite, symbols: sortCounts(sprite.symbols) })),
+    inline: [...inline.values()]
+      .map(entry => ({ ...entry, names: sortCounts(entry.names) }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Check if an SVG element is sized like an icon
+ * @param {Object} svg - Cheerio SVG element
+ * @returns {boolean} - Whether the SVG is an icon rather than an illustration or logo
+ */
+function isIconSvg(svg) {
+  const viewBox = (svg.attr('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  const width = parseFloat(svg.attr('width')) || viewBox[2];
+  const height = parseFloat(svg.attr('height')) || viewBox[3];
+  const hinted = /icon/i.test(svg.attr('class') || '') || svg.attr('aria-hidden') === 'true' || svg.attr('data-slot') === 'icon';
+
+  if (!width || !height) return hinted;
+  const ratio = width / height;
+  return ratio >= 0.5 && ratio <= 2 && (Math.max(width, height) <= MAX_ICON_SIZE || hinted);
+}
+
+/**
+ * Check if an inline SVG is a Heroicon, from the attributes the library renders
+ * @param {Object} svg - Cheerio SVG element
+ * @returns {boolean} - Whether the SVG matches a Heroicons signature
+ */
+function isHeroicon(svg) {
+  if (svg.attr('data-slot') === 'icon') return true;
+
+  const viewBox = (svg.attr('viewBox') || '').trim();
+  const outline = viewBox === '0 0 24 24' && svg.attr('fill') === 'none' &&
+    svg.attr('stroke') === 'currentColor' && svg.attr('stroke-width') === '1.5';
+  const solid = /^0 0 (?:24 24|20 20|16 16)$/.test(viewBox) && svg.attr('fill') === 'currentColor' &&
+    svg.attr('aria-hidden') === 'true' && svg.find('path[fill-rule="evenodd"]').length > 0;
+  return outline || solid;
+}
+
+/**
+ * Normalize an SVG icon so that copies of the same icon compare equal: only
+ * drawing elements and attributes are kept, numbers and whitespace are tidied
+ * and the root keeps its viewBox and paint attributes
+ * @param {Object} element - Cheerio svg or symbol element
+ * @returns {Object|null} - Normalized markup and viewBox, or null if nothing is drawn
+ */
+function normalizeSvg(element) {
+  const viewBox = element.attr('viewBox') ||
+    (parseFloat(element.attr('width')) && parseFloat(element.attr('height')) ?
+      `0 0 ${parseFloat(element.attr('width'))} ${parseFloat(element.attr('height'))}` :
+      null);
+  if (!viewBox) return null;
+
+  const serialize = node => {
+    if (node.type !== 'tag') return '';
+
+    const name = node.name.toLowerCase();
+    if (!SVG_ELEMENTS.has(name) || name === 'svg') return '';
+
+    const attributes = Object.entries(node.attribs)
+      .filter(([attribute, value]) => SVG_ATTRIBUTES.has(attribute.toLowerCase()) &&
+        // References may only point inside the icon
+        (!/^(?:href|xlink:href)$/i.test(attribute) || value.startsWith('#')) &&
+        !/url\((?!\s*["']?#)/i.test(value))
+      .map(([attribute, value]) => [attribute, tidyValue(value)])
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([attribute, value]) => ` ${attribute}="${escapeAttribute(value)}"`)
+      .join('');
+    const children = (node.children || []).map(serialize).join('');
+
+    return `<${node.name}${attributes}${children ? `>${children}</${node.name}>` : '/>'}`;
+  };
+
+  const content = element.toArray()[0].children.map(serialize).join('');
+  if (!/<(?:path|circle|ellipse|line|polyline|polygon|rect|use)\b/.test(content)) return null;
+
+  const rootAttributes = ROOT_ATTRIBUTES
+    .map(attribute => [attribute, attribute === 'viewBox' ? viewBox : element.attr(attribute)])
+    .filter(([, value]) => value)
+    .map(([attribute, value]) => ` ${attribute}="${escapeAttribute(tidyValue(value))}"`)
+    .join('');
+
+  return {
+    viewBox: tidyValue(viewBox),
+    svg: `<svg xmlns="http://www.w3.org/2000/svg"${rootAttributes}>${content}</svg>`
+  };
+}
+
+/**
+ * Tidy an attribute value: collapse whitespace and round long decimals
+ * @param {string} value - Attribute value
+ * @returns {string} - Tidied value
+ */
+function tidyValue(value) {
+  return String(value)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/-?\d*\.\d{4,}/g, number => String(Math.round(parseFloat(number) * 1000) / 1000));
+}
+
+/**
+ * Name an inline SVG icon from its accessible name, title or classes
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} svg - Cheerio SVG element
+ * @returns {string|null} - Icon name, or null if nothing names it
+ */
+function iconName($, svg) {
+  const classes = (svg.attr('class') || '').split(/\s+/);
+  const fromClass = classes
+    .map(className => className.match(/^(?:icon|lucide|feather|tabler-icon|ti|octicon|bx)-([\w-]+)$|^([\w-]+)-icon$/))
+    .find(Boolean);
+
+  const candidates = [
+    svg.attr('data-icon'),
+    svg.attr('data-lucide'),
+    svg.attr('aria-label'),
+    svg.children('title').first().text(),
+    fromClass && (fromClass[1] || fromClass[2]),
+    svg.parent().attr('aria-label'),
+    svg.parent().attr('title')
+  ];
+
+  const name = candidates.find(candidate => candidate && candidate.trim());
+  return name ? slugify(name) : null;
+}
+
+/**
+ * Read the icon name of a ligature icon font element, like Material Icons
+ * @param {Object} element - Cheerio element
+ * @returns {string|null} - Icon name
+ */
+function iconLigature(element) {
+  const text = element.text().trim();
+  return /^[a-z0-9_]+$/.test(text) ? text : element.attr('data-icon') || null;
+}
+
+/**
+ * Merge the icon inventories of several pages
+ * @param {Array} inventories - Results of extractIcons
+ * @returns {Object} - Merged libraries, sprites and inline icons
+ */
+function mergeIcons(inventories) {
+  const libraries = new Map();
+  const sprites = new Map();
+  const inline = new Map();
+  const mergeCounts = (a, b) => sortCounts([...a, ...b].reduce(
+    (counts, { name, count }) => counts.set(name, (counts.get(name) || 0) + count),
+    new Map()
+  ));
+
+  inventories.filter(Boolean).forEach(inventory => {
+    inventory.libraries.forEach(entry => {
+      const existing = libraries.get(entry.id);
+      const exact = version => version && !/\.x$/.test(version);
+      libraries.set(entry.id, existing ? {
+        ...existing,
+        version: exact(existing.version) || !entry.version ? existing.version : entry.version,
+        versionSource: exact(existing.version) || !entry.version ? existing.versionSource : entry.versionSource,
+        styles: [...new Set([...existing.styles, ...entry.styles])],
+        icons: mergeCounts(existing.icons, entry.icons),
+        count: existing.count + entry.count,
+        evidence: [...new Set([...existing.evidence, ...entry.evidence])].slice(0, 10)
+      } : entry);
+    });
+
+    inventory.sprites.forEach(sprite => {
+      const key = sprite.href || 'inline';
+      const existing = sprites.get(key);
+      sprites.set(key, existing ? {
+        ...existing,
+        symbols: mergeCounts(existing.symbols, sprite.symbols),
+        count: existing.count + sprite.count
+      } : sprite);
+    });
+
+    inventory.inline.forEach(icon => {
+      const existing = inline.get(icon.svg);
+      inline.set(icon.svg, existing ? {
+        ...existing,
+        names: mergeCounts(existing.names, icon.names),
+        count: existing.count + icon.count
+      } : icon);
+    });
+  });
+
+  return {
+    libraries: [...libraries.values()].sort((a, b) => b.count - a.count),
+    sprites: [...sprites.values()],
+    inline: [...inline.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Build the icon sheet of a style guide: the most used unique icons, each
+ * with a unique name, and an SVG sprite holding them as symbols
+ * @param {Object} icons - Merged icon inventory
+ * @returns {Object} - Icon libraries, the icon sheet and the sprite markup
+ */
+function buildIconSheet(icons) {
+  const used = new Set();
+  const sheet = icons.inline.slice(0, MAX_SHEET_ICONS).map((icon, index) => {
+    const base = icon.names[0]?.name || `unnamed-${index + 1}`;
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) {
+      name = `${base}-${suffix}`;
+    }
+    used.add(name);
+
+    return { name, count: icon.count, viewBox: icon.viewBox, svg: icon.svg };
+  });
+
+  return {
+    libraries: icons.libraries.map(({ id, name, version, styles, count, icons: libraryIcons }) => ({
+      id, name, version, styles, count, icons: libraryIcons.slice(0, 50)
+    })),
+    sprites: icons.sprites.map(({ href, inline, library, count, symbols }) => ({ href, inline, library, count, symbols: symbols.length })),
+    sheet,
+    sprite: generateSvgSprite(sheet)
+  };
+}
+
+/**
+ * Combine icons into an SVG sprite of symbols, used as <use href="sprite.svg#icon-name">
+ * @param {Array} sheet - Icons with name and normalized svg
+ * @returns {string|null} - Sprite markup, or null if there are no icons
+ */
+function generateSvgSprite(sheet) {
+  if (sheet.length === 0) return null;
+
+  const symbols = sheet.map(icon => {
+    const $ = cheerio.load(icon.svg, { xmlMode: true });
+    const svg = $('svg').first();
+    const attributes = Object.entries(svg.attr())
+      .filter(([attribute]) => attribute !== 'xmlns')
+      .map(([attribute, value]) => ` ${attribute}="${escapeAttribute(value)}"`)
+      .join('');
+    return `  <symbol id="icon-${icon.name}"${attributes}>${svg.html()}</symbol>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" style="display: none">\n${symbols.join('\n')}\n</svg>\n`;
+}
+
+/**
+ * Keep an icon sheet so that its sprite can be downloaded later, dropping the oldest
+ * sheet once MAX_STORED_SHEETS are kept
+ * @param {Array} sheet - Icons with name and normalized svg
+ * @returns {string|null} - Id of the stored sheet, or null if there are no icons
+ */
+function storeIconSheet(sheet) {
+  if (sheet.length === 0) return null;
+
+  const id = crypto.randomUUID();
+  storedSheets.set(id, sheet);
+  if (storedSheets.size > MAX_STORED_SHEETS) {
+    storedSheets.delete(storedSheets.keys().next().value);
+  }
+  return id;
+}
+
+/**
+ * Rebuild the SVG sprite of a stored icon sheet
+ * @param {string} id - Id from storeIconSheet
+ * @returns {string|null} - Sprite markup, or null if no sheet is stored under the id
+ */
+function buildStoredSprite(id) {
+  const sheet = storedSheets.get(id);
+  return sheet ? generateSvgSprite(sheet) : null;
+}
+
+/**
+ * Turn a count map into a list sorted by count
+ * @param {Map} counts - Counts by name
+ * @returns {Array} - Names with counts
+ */
+function sortCounts(counts) {
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Turn a label into an icon name
+ * @param {string} label - Label, title or id
+ * @returns {string} - Lowercase, hyphenated name
+ */
+function slugify(label) {
+  return label.trim().toLowerCase().replace(/^icon[-_]/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'icon';
+}
+
+/**
+ * Escape a value for use in a double-quoted attribute
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+module.exports = {
+  ICON_SELECTOR,
+  extractIcons,
+  mergeIcons,
+  buildIconSheet,
+  storeIconSheet,
+  buildStoredSprite
+};
@@ -0,0 +1,227 @@
+const chroma = require('chroma-js');
+const { evaluateContrast } = require('./contrast');
+
+// Computed properties compared between the resting state and the interactive states
+const STATE_PROPERTIES = [
+  'color', 'background-color', 'background-image',
+  'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+  'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+  'outline-style', 'outline-width', 'outline-color', 'outline-offset',
+  'box-shadow', 'text-decoration-line', 'opacity', 'transform', 'filter', 'cursor'
+];
+
+// States forced through the DevTools protocol, with the pseudo-classes that produce them.
+// A pressed element is also hovered, and keyboard focus matches both focus pseudo-classes.
+const FORCED_STATES = {
+  hover: ['hover'],
+  focus: ['focus', 'focus-visible'],
+  active: ['hover', 'active']
+};
+
+// Selectors of the state rules in generated SCSS
+const STATE_SELECTORS = {
+  hover: '&:hover:not(:disabled)',
+  focus: '&:focus-visible',
+  active: '&:active:not(:disabled)',
+  disabled: '&:disabled'
+};
+
+// Contrast a focus indicator needs against the pixels it changes (WCAG 2.4.13 and 1.4.11),
+// and below which the change cannot be seen at all
+const FOCUS_CONTRAST = 3;
+const MIN_VISIBLE_CONTRAST = 1.1;
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Describe how an element changes in every interactive state and whether it shows focus
+ * @param {Object} sample - State sample from sampleStates, with the resting styles
+ *   (base), the backdrop behind the element and the styles in every state
+ * @returns {Object} - Changed properties per state (hover, focus, active and disabled,
+ *   null where the state does not apply) and the focus indicator
+ */
+function describeStates(sample) {
+  const { base, backdrop } = sample;
+  const states = Object.fromEntries(['hover', 'focus', 'active', 'disabled'].map(state => [
+    state,
+    sample.states[state] ? diffStyles(base, sample.states[state]) : null
+  ]));
+
+  return {
+    states,
+    focusIndicator: evaluateFocusIndicator(base, sample.states.focus || base, backdrop)
+  };
+}
+
+/**
+ * List the properties whose value differs from the resting state
+ * @param {Object} base - Resting styles
+ * @param {Object} styles - Styles in a state
+ * @returns {Object} - Changed values by property, colors as hex
+ */
+function diffStyles(base, styles) {
+  const changes = {};
+
+  STATE_PROPERTIES.forEach(property => {
+    if (styles[property] === undefined || styles[property] === base[property]) return;
+
+    const value = styles[property];
+    changes[property] = /color$/.test(property) && chroma.valid(value) ? chroma(value).hex() : value;
+  });
+
+  return changes;
+}
+
+/**
+ * Find the most visible change an element shows when it receives keyboard focus
+ * @param {Object} base - Resting styles
+ * @param {Object} focus - Styles with focus
+ * @param {string} backdrop - Opaque color behind the element
+ * @returns {Object} - Whether focus is visible, the style that shows it (outline,
+ *   box-shadow, border, background, color or text-decoration), its color and contrast
+ *   against the pixels it changes, and the issue: missing, invisible, low-contrast or null
+ */
+function evaluateFocusIndicator(base, focus, backdrop = '#ffffff') {
+  const surface = flatten(base['background-color'], backdrop);
+  const candidates = [];
+
+  const outlineChanged = ['outline-style', 'outline-width', 'outline-color', 'outline-offset']
+    .some(property => focus[property] !== base[property]);
+  if (outlineChanged && !['none', 'hidden'].includes(focus['outline-style']) && parseFloat(focus['outline-width']) > 0) {
+    candidates.push({ style: 'outline', color: focus['outline-color'], against: backdrop });
+  }
+
+  if (focus['box-shadow'] !== base['box-shadow'] && focus['box-shadow'] && focus['box-shadow'] !== 'none') {
+    const [color] = focus['box-shadow'].match(/(?:rgba?|hsla?)\([^)]*\)|#[0-9a-f]{3,8}\b/i) || [];
+    candidates.push({ style: 'box-shadow', color: color || focus.color, against: backdrop });
+  }
+
+  SIDES.forEach(side => {
+    const color = `border-${side}-color`;
+    const width = `border-${side}-width`;
+    if ((focus[color] !== base[color] || focus[width] !== base[width]) && parseFloat(focus[width]) > 0) {
+      const previous = parseFloat(base[width]) > 0 ? flatten(base[color], surface) : surface;
+      candidates.push({ style: 'border', color: focus[color], against: previous });
+    }
+  });
+
+  if (focus['background-color'] !== base['background-color']) {
+    candidates.push({ style: 'background', color: focus['background-color'], against: surface });
+  }
+  if (focus.color !== base.color) {
+    candidates.push({ style: 'color', color: focus.color, against: base.color });
+  }
+  if (focus['text-decoration-line'] !== base['text-decoration-line'] && /underline/.test(focus['text-decoration-line'] || '')) {
+    candidates.push({ style: 'text-decoration', color: focus.color, against: null });
+  }
+
+  const measured = candidates.map(candidate => {
+    // A line that appears is as visible as the text it is drawn in
+    const contrast = candidate.against === null ?
+      evaluateContrast(candidate.color, surface)?.ratio :
+      evaluateContrast(candidate.color, flatten(candidate.against, backdrop))?.ratio;
+    return { ...candidate, contrast: contrast || 1 };
+  });
+  const best = measured.sort((a, b) => b.contrast - a.contrast)[0];
+
+  if (!best) {
+    return { visible: false, style: null, color: null, contrast: null, issue: 'missing' };
+  }
+
+  const color = chroma.valid(best.color) ? chroma(best.color).hex() : best.color;
+  if (best.contrast < MIN_VISIBLE_CONTRAST) {
+    return { visible: false, style: best.style, color, contrast: best.contrast, issue: 'invisible' };
+  }
+  return {
+    visible: true,
+    style: best.style,
+    color,
+    contrast: best.contrast,
+    issue: best.contrast < FOCUS_CONTRAST ? 'low-contrast' : null
+  };
+}
+
+/**
+ * Build state tokens from the states of component variants,
+ * e.g. --button-primary-hover-background-color
+ * @param {Object} components - Variants by component type (buttons, inputs, links)
+ * @returns {Array} - Tokens with name, value, component, variant, state and property
+ */
+function buildStateTokens(components) {
+  return Object.entries(components).flatMap(([type, variants]) =>
+    (variants || []).flatMap(variant =>
+      Object.entries(variant.states || {}).flatMap(([state, changes]) =>
+        Object.entries(changes || {}).map(([property, value]) => ({
+          name: `--${type.slice(0, -1)}-${variant.name}-${state}-${property}`,
+          value,
+          component: type,
+          variant: variant.name,
+          state,
+          property
+        }))
+      )
+    )
+  );
+}
+
+/**
+ * List the component variants without a visible, sufficiently contrasting focus indicator
+ * @param {Object} components - Variants by component type
+ * @returns {Array} - Focus indicators with component and variant, for every variant with an issue
+ */
+function listFocusIssues(components) {
+  return Object.entries(components).flatMap(([type, variants]) =>
+    (variants || [])
+      .filter(variant => variant.focusIndicator?.issue)
+      .map(variant => ({ component: type, variant: variant.name, ...variant.focusIndicator }))
+  );
+}
+
+/**
+ * Generate the SCSS state rules of a component variant
+ * @param {Object} states - Changed properties per state from describeStates
+ * @param {string} indent - Indentation of the rules
+ * @returns {string} - SCSS rules, empty without state changes
+ */
+function generateStateRules(states, indent = '  ') {
+  let scss = '';
+
+  Object.entries(STATE_SELECTORS).forEach(([state, selector]) => {
+    const changes = Object.entries(states?.[state] || {});
+    if (changes.length === 0) return;
+
+    scss += `${indent}${selector} {\n`;
+    changes.forEach(([property, value]) => {
+      scss += `${indent}  ${property}: ${value};\n`;
+    });
+    scss += `${indent}}\n`;
+  });
+
+  return scss;
+}
+
+/**
+ * Flatten a possibly translucent color onto an opaque backdrop
+ * @param {string} color - CSS color
+ * @param {string} backdrop - Opaque color behind it
+ * @returns {string} - Opaque hex color
+ */
+function flatten(color, backdrop) {
+  if (!color || !chroma.valid(color)) return chroma.valid(backdrop) ? chroma(backdrop).hex() : '#ffffff';
+
+  const parsed = chroma(color);
+  const alpha = parsed.alpha();
+  if (alpha >= 1) return parsed.hex();
+
+  const under = chroma.valid(backdrop) ? chroma(backdrop) : chroma('#ffffff');
+  return chroma.mix(under, parsed.alpha(1), alpha, 'rgb').hex();
+}
+
+module.exports = {
+  STATE_PROPERTIES,
+  FORCED_STATES,
+  describeStates,
+  buildStateTokens,
+  listFocusIssues,
+  generateStateRules
+};
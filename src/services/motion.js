@@ -0,0 +1,573 @@
+// Properties that declare motion
+const MOTION_PROPERTY = /^(?:-[a-z]+-)?(?:transition|animation)(?:-(?:duration|timing-function|name|property))?$/;
+
+// Timing function keywords and the cubic Bézier curves they stand for
+const EASING_KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+const STEP_KEYWORDS = new Set(['step-start', 'step-end']);
+
+// Animation shorthand keywords that are not an animation name
+const ANIMATION_KEYWORDS = new Set([
+  'none', 'infinite', 'normal', 'reverse', 'alternate', 'alternate-reverse',
+  'forwards', 'backwards', 'both', 'running', 'paused', 'initial', 'inherit', 'unset', 'revert'
+]);
+
+// Media conditions that switch motion off, or only turn it on, for users who ask for less motion
+const REDUCED_MOTION = /prefers-reduced-motion\s*:\s*reduce/i;
+const MOTION_OPT_IN = /prefers-reduced-motion\s*:\s*no-preference/i;
+
+// Durations this short only switch motion off, like the usual reduced-motion overrides
+const MIN_DURATION_MS = 10;
+
+// Durations closer than this (in ms, or relative to the duration) are treated as the same step
+const DURATION_TOLERANCE_MS = 25;
+const DURATION_TOLERANCE_RATIO = 0.15;
+
+// Easing curves whose control points are all closer than this are treated as the same curve
+const EASING_TOLERANCE = 0.05;
+
+// Control points closer than this to the diagonal keep the speed of a linear curve
+const LINEAR_TOLERANCE = 0.05;
+
+// Duration scale names from the shortest to the longest step, by the number of steps
+const DURATION_NAMES = {
+  1: ['normal'],
+  2: ['fast', 'slow'],
+  3: ['fast', 'normal', 'slow'],
+  4: ['fast', 'normal', 'slow', 'slower'],
+  5: ['instant', 'fast', 'normal', 'slow', 'slower']
+};
+
+// Components recognized in the selectors that declare motion, checked in order
+const MOTION_COMPONENTS = [
+  { type: 'buttons', tags: ['button'], classes: /(?:^|[-_])(?:btn|button)(?:$|[-_])/i },
+  { type: 'inputs', tags: ['input', 'textarea', 'select'], classes: /form-control|form-select|(?:^|[-_])(?:input|field)(?:$|[-_])/i },
+  { type: 'navigation', tags: ['nav'], classes: /nav|menu/i },
+  { type: 'modals', tags: ['dialog'], classes: /modal|dialog|drawer|offcanvas/i },
+  { type: 'dropdowns', tags: [], classes: /dropdown|popover|tooltip/i },
+  { type: 'alerts', tags: [], classes: /alert|toast|notification|snackbar/i },
+  { type: 'loaders', tags: [], classes: /spinner|loader|loading|skeleton|progress/i },
+  { type: 'accordions', tags: [], classes: /accordion|collaps/i },
+  { type: 'cards', tags: [], classes: /(?:^|[-_])card(?:$|[-_])/i },
+  { type: 'links', tags: ['a'], classes: /(?:^|[-_])link(?:$|[-_])/i }
+];
+
+const MAX_COMPONENT_VALUES = 3;
+const MAX_REDUCED_MOTION_OVERRIDES = 10;
+
+/**
+ * Collect the transitions and animations of a page, and the keyframes it animates with
+ * @param {Array} declarations - Weighted stylesheet and inline declarations
+ * @param {Array} keyframes - @keyframes rules from the stylesheet model
+ * @returns {Object} - Clustered durations and easings, used keyframes with their pattern,
+ *   the motion of each component and how the page handles prefers-reduced-motion
+ */
+function extractMotion(declarations, keyframes = []) {
+  const durations = new Map();
+  const easings = new Map();
+  const animations = new Map();
+  const components = new Map();
+  const reduced = [];
+  let optIn = 0;
+
+  const add = (map, key, weight) => map.set(key, (map.get(key) || 0) + weight);
+
+  declarations.forEach(declaration => {
+    const { property, value, weight, selector } = declaration;
+    if (!MOTION_PROPERTY.test(property)) return;
+
+    const media = (declaration.conditions || [])
+      .filter(condition => condition.name === 'media')
+      .map(condition => condition.params)
+      .join(' and ');
+    if (REDUCED_MOTION.test(media)) {
+      reduced.push(declaration);
+      return;
+    }
+    if (MOTION_OPT_IN.test(media)) {
+      optIn += weight;
+    }
+
+    const motion = parseMotion(property.replace(/^-[a-z]+-/, ''), value);
+    const moving = motion.durations.filter(ms => ms > MIN_DURATION_MS);
+    moving.forEach(ms => add(durations, `${ms}ms`, weight));
+    motion.easings.forEach(easing => add(easings, easing, weight));
+    motion.animations.forEach(name => add(animations, name, weight));
+
+    const type = selector ? componentOf(selector) : null;
+    if (!type) return;
+
+    if (!components.has(type)) {
+      components.set(type, { count: 0, durations: new Map(), easings: new Map(), properties: new Set(), animations: new Set() });
+    }
+    const component = components.get(type);
+    component.count += weight;
+    moving.forEach(ms => add(component.durations, `${ms}ms`, weight));
+    motion.easings.forEach(easing => add(component.easings, easing, weight));
+    motion.properties.forEach(name => component.properties.add(name));
+    motion.animations.forEach(name => component.animations.add(name));
+  });
+
+  // Keyframes only count where an animation uses them; prefixed copies are the same animation
+  const used = new Map();
+  keyframes.forEach(rule => {
+    const media = (rule.conditions || []).map(condition => condition.params).join(' and ');
+    if (used.has(rule.name) || !animations.has(rule.name) || REDUCED_MOTION.test(media)) return;
+
+    used.set(rule.name, {
+      name: rule.name,
+      pattern: describeKeyframes(rule.frames),
+      count: animations.get(rule.name),
+      frames: rule.frames.map(({ offset, declarations: frame }) => ({ offset, declarations: frame }))
+    });
+  });
+
+  const topValues = map => [...map.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_COMPONENT_VALUES)
+    .map(([value]) => value);
+
+  return buildMotion({
+    durations: [...durations.entries()].map(([value, count]) => ({ value, count })),
+    easings: [...easings.entries()].map(([value, count]) => ({ value, count })),
+    keyframes: [...used.values()],
+    components: [...components.entries()].map(([type, component]) => ({
+      component: type,
+      count: component.count,
+      durations: topValues(component.durations),
+      easings: topValues(component.easings),
+      properties: [...component.properties],
+      animations: [...component.animations]
+    })),
+    reducedMotion: describeReducedMotion(reduced, optIn)
+  });
+}
+
+/**
+ * Combine the motion analyses of several pages or sites
+ * @param {Array} motionList - Results of extractMotion
+ * @returns {Object} - Re-clustered motion
+ */
+function combineMotion(motionList) {
+  const found = motionList.filter(Boolean);
+
+  const keyframes = new Map();
+  found.flatMap(motion => motion.keyframes).forEach(entry => {
+    const existing = keyframes.get(entry.name);
+    keyframes.set(entry.name, existing ? { ...existing, count: existing.count + entry.count } : { ...entry });
+  });
+
+  const components = new Map();
+  found.flatMap(motion => motion.components).forEach(entry => {
+    const existing = components.get(entry.component);
+    if (!existing) {
+      components.set(entry.component, { ...entry });
+      return;
+    }
+
+    const union = (a, b) => [...new Set([...a, ...b])];
+    existing.count += entry.count;
+    existing.durations = union(existing.durations, entry.durations).slice(0, MAX_COMPONENT_VALUES);
+    existing.easings = union(existing.easings, entry.easings).slice(0, MAX_COMPONENT_VALUES);
+    existing.properties = union(existing.properties, entry.properties);
+    existing.animations = union(existing.animations, entry.animations);
+  });
+
+  // The site that switches motion off most thoroughly sets the example for the style guide
+  const strategies = ['disable', 'reduce', 'opt-in'];
+  const reducedMotion = found
+    .map(motion => motion.reducedMotion)
+    .filter(entry => entry?.strategy)
+    .sort((a, b) => strategies.indexOf(a.strategy) - strategies.indexOf(b.strategy))[0];
+
+  return buildMotion({
+    durations: found.flatMap(motion => motion.durations.flatMap(entry => entry.members)),
+    easings: found.flatMap(motion => motion.easings.flatMap(entry => entry.members)),
+    keyframes: [...keyframes.values()],
+    components: [...components.values()],
+    reducedMotion: reducedMotion || describeReducedMotion([], 0)
+  });
+}
+
+/**
+ * Cluster raw motion values and rank them by frequency
+ * @param {Object} raw - Duration and easing values with counts, keyframes, components
+ *   and reduced motion
+ * @returns {Object} - Clustered and ranked motion
+ */
+function buildMotion(raw) {
+  return {
+    durations: clusterDurations(raw.durations),
+    easings: clusterEasings(raw.easings),
+    keyframes: raw.keyframes.sort((a, b) => b.count - a.count),
+    components: raw.components.sort((a, b) => b.count - a.count),
+    reducedMotion: raw.reducedMotion
+  };
+}
+
+/**
+ * Build the style guide's duration and easing scales from analyzed motion
+ * @param {Object} motion - Result of extractMotion or combineMotion
+ * @returns {Object} - Duration scale from instant to slower, easings with the most used
+ *   as default and one per kind (in, out, inOut, linear, overshoot, steps), null where
+ *   nothing was found, and the keyframes, components and reduced motion of the analysis
+ */
+function buildMotionScales(motion) {
+  // The most used durations make up the scale, ordered by length
+  const steps = motion.durations.slice(0, 5).sort((a, b) => a.ms - b.ms);
+  const durations = Object.fromEntries(steps.map((step, index) => [DURATION_NAMES[steps.length][index], step.value]));
+
+  const easings = {};
+  if (motion.easings.length > 0) {
+    easings.default = motion.easings[0].value;
+  }
+  motion.easings.forEach(easing => {
+    if (!easings[easing.kind]) easings[easing.kind] = easing.value;
+  });
+
+  return {
+    durations: steps.length > 0 ? durations : null,
+    easings: motion.easings.length > 0 ? easings : null,
+    keyframes: motion.keyframes,
+    components: motion.components,
+    reducedMotion: motion.reducedMotion
+  };
+}
+
+/**
+ * Read the durations, timing functions, animation names and transitioned
+ * properties of a motion declaration
+ * @param {string} property - Unprefixed transition or animation property
+ * @param {string} value - Declared value
+ * @returns {Object} - Durations in ms, normalized easings, animation names and properties
+ */
+function parseMotion(property, value) {
+  const motion = { durations: [], easings: [], animations: [], properties: [] };
+  splitTopLevel(value.trim()).forEach(item => {
+    const tokens = item.split(/\s+(?![^(]*\))/);
+    const lower = tokens.map(token => token.toLowerCase());
+
+    switch (property) {
+      case 'transition':
+      case 'animation': {
+        if (lower[0] === 'none') return;
+
+        const time = lower.map(toMs).find(ms => ms !== null);
+        if (time !== undefined) motion.durations.push(time);
+
+        const easing = lower.find(isEasing);
+        if (easing) motion.easings.push(normalizeEasing(easing));
+
+        // The name is the first token that is none of the other parts, as written
+        const other = tokens.filter((token, index) =>
+          toMs(lower[index]) === null && !isEasing(lower[index]) && !ANIMATION_KEYWORDS.has(lower[index]) && !/^\d*\.?\d+$/.test(token)
+        );
+        if (property === 'animation' && other[0]) motion.animations.push(other[0].replace(/^["']|["']$/g, ''));
+        if (property === 'transition') motion.properties.push(other[0] ? other[0].toLowerCase() : 'all');
+        return;
+      }
+      case 'transition-duration':
+      case 'animation-duration': {
+        const time = toMs(lower[0]);
+        if (time !== null) motion.durations.push(time);
+        return;
+      }
+      case 'transition-timing-function':
+      case 'animation-timing-function':
+        if (isEasing(lower[0])) motion.easings.push(normalizeEasing(lower[0]));
+        return;
+      case 'animation-name':
+        if (!ANIMATION_KEYWORDS.has(lower[0])) motion.animations.push(tokens[0].replace(/^["']|["']$/g, ''));
+        return;
+      case 'transition-property':
+        if (lower[0] !== 'none') motion.properties.push(lower[0]);
+        return;
+    }
+  });
+
+  return motion;
+}
+
+/**
+ * Name the pattern of a keyframes rule by what its frames change
+ * @param {Array} frames - Frames with offset and declarations
+ * @returns {string} - fade, slide, spin, rotate, zoom, pulse, bounce or a combination
+ *   like fade-slide, or custom for other changes
+ */
+function describeKeyframes(frames) {
+  const values = property => frames
+    .map(frame => frame.declarations[property] ?? frame.declarations[`-webkit-${property}`])
+    .filter(value => value !== undefined);
+  const first = frames[0];
+  const last = frames[frames.length - 1];
+  const returns = property => first.offset === 0 && last.offset === 100 &&
+    (first.declarations[property] ?? '') === (last.declarations[property] ?? '');
+
+  const patterns = [];
+
+  const opacity = values('opacity');
+  if (new Set(opacity).size > 1) {
+    patterns.push(returns('opacity') ? 'pulse' : 'fade');
+  }
+
+  const transforms = values('transform').join(' ');
+  if (/rotate[z3d]*\(\s*-?(?:360deg|1turn|400grad|6\.28\d*rad)/i.test(transforms)) {
+    patterns.push('spin');
+  } else if (/rotate/i.test(transforms)) {
+    patterns.push('rotate');
+  }
+  if (/translate/i.test(transforms)) {
+    patterns.push(returns('transform') ? 'bounce' : 'slide');
+  }
+  if (/scale/i.test(transforms)) {
+    patterns.push(returns('transform') ? 'pulse' : 'zoom');
+  }
+
+  return [...new Set(patterns)].join('-') || 'custom';
+}
+
+/**
+ * Describe how a page treats users who ask for reduced motion
+ * @param {Array} reduced - Motion declarations inside prefers-reduced-motion: reduce
+ * @param {number} optIn - Weight of the motion declared inside prefers-reduced-motion: no-preference
+ * @returns {Object} - Whether the page respects the preference, its strategy (disable,
+ *   reduce or opt-in), the duration it falls back to and the overriding declarations
+ */
+function describeReducedMotion(reduced, optIn) {
+  if (reduced.length === 0) {
+    return {
+      supported: optIn > 0,
+      strategy: optIn > 0 ? 'opt-in' : null,
+      duration: optIn > 0 ? '0ms' : null,
+      overrides: []
+    };
+  }
+
+  const durations = reduced.flatMap(({ property, value }) => parseMotion(property.replace(/^-[a-z]+-/, ''), value).durations);
+  const switchedOff = reduced.some(({ property, value }) =>
+    /^(?:-[a-z]+-)?(?:transition|animation)(?:-name)?$/.test(property) && /^none\b/i.test(value.trim())
+  );
+  const disables = switchedOff || (durations.length > 0 && durations.every(ms => ms <= MIN_DURATION_MS));
+
+  // The fallback duration is the one the overrides use most
+  const counts = new Map();
+  durations.forEach(ms => counts.set(ms, (counts.get(ms) || 0) + 1));
+  const [duration] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [0];
+
+  const overrides = [];
+  reduced.forEach(({ selector, property, value, important }) => {
+    if (overrides.length < MAX_REDUCED_MOTION_OVERRIDES &&
+        !overrides.some(entry => entry.selector === selector && entry.property === property)) {
+      overrides.push({ selector, property, value, important: Boolean(important) });
+    }
+  });
+
+  return {
+    supported: true,
+    strategy: disables ? 'disable' : 'reduce',
+    duration: `${duration}ms`,
+    overrides
+  };
+}
+
+/**
+ * Find the component a selector styles, from its rightmost compound selector that names one
+ * @param {string} selector - Selector list
+ * @returns {string|null} - Component type
+ */
+function componentOf(selector) {
+  const compounds = selector
+    .split(',')
+    .flatMap(part => part.replace(/\([^)]*\)/g, '()').split(/\s*[>+~]\s*|\s+/))
+    .filter(Boolean)
+    .reverse();
+
+  for (const compound of compounds) {
+    const tag = (compound.match(/^[a-z][\w-]*/i) || [''])[0].toLowerCase();
+    const classes = (compound.match(/\.[\w-]+/g) || []).map(className => className.slice(1));
+
+    const match = MOTION_COMPONENTS.find(component =>
+      component.tags.includes(tag) || classes.some(className => component.classes.test(className))
+    );
+    if (match) return match.type;
+  }
+
+  return null;
+}
+
+/**
+ * Cluster nearby durations
+ * @param {Array} durations - Durations in ms with counts
+ * @returns {Array} - Clusters sorted by frequency, each with value, ms, count and members
+ */
+function clusterDurations(durations) {
+  const clusters = [];
+
+  mergeCounts(durations)
+    .map(entry => ({ ...entry, ms: parseFloat(entry.value) }))
+    .sort((a, b) => a.ms - b.ms)
+    .forEach(entry => {
+      const current = clusters[clusters.length - 1];
+      const tolerance = Math.max(DURATION_TOLERANCE_MS, entry.ms * DURATION_TOLERANCE_RATIO);
+      if (current && entry.ms - current.maxMs <= tolerance) {
+        current.maxMs = entry.ms;
+        current.count += entry.count;
+        current.members.push({ value: entry.value, count: entry.count });
+        // The most used duration represents the cluster
+        if (entry.count > current.bestCount) {
+          current.ms = entry.ms;
+          current.bestCount = entry.count;
+        }
+      } else {
+        clusters.push({
+          ms: entry.ms,
+          maxMs: entry.ms,
+          count: entry.count,
+          bestCount: entry.count,
+          members: [{ value: entry.value, count: entry.count }]
+        });
+      }
+    });
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map(({ ms, count, members }) => ({ value: `${ms}ms`, ms, count, members }));
+}
+
+/**
+ * Cluster easing curves with nearly the same control points
+ * @param {Array} easings - Normalized timing functions with counts
+ * @returns {Array} - Clusters sorted by frequency, each with value, kind, count and members
+ */
+function clusterEasings(easings) {
+  const clusters = [];
+
+  mergeCounts(easings).forEach(entry => {
+    const points = toBezier(entry.value);
+    const cluster = clusters.find(candidate =>
+      candidate.value === entry.value ||
+      (points && candidate.points && points.every((point, index) => Math.abs(point - candidate.points[index]) <= EASING_TOLERANCE))
+    );
+
+    if (cluster) {
+      cluster.count += entry.count;
+      cluster.members.push(entry);
+    } else {
+      clusters.push({ value: entry.value, points, count: entry.count, members: [entry] });
+    }
+  });
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map(({ value, points, count, members }) => ({ value, kind: classifyEasing(value, points), count, members }));
+}
+
+/**
+ * Classify an easing curve by where it is slow
+ * @param {string} value - Normalized timing function
+ * @param {Array|null} points - Cubic Bézier control points (x1, y1, x2, y2)
+ * @returns {string} - in, out, inOut, outIn, linear, overshoot or steps
+ */
+function classifyEasing(value, points) {
+  if (!points) return /^linear\(/.test(value) ? 'linear' : 'steps';
+
+  const [x1, y1, x2, y2] = points;
+  if (y1 < 0 || y1 > 1 || y2 < 0 || y2 > 1) return 'overshoot';
+
+  // Which side of the diagonal each control point lies on: the first one below it starts
+  // slowly, the second one above it ends slowly
+  const offset = (x, y) => (Math.abs(y - x) <= LINEAR_TOLERANCE ? 0 : Math.sign(y - x));
+  const start = offset(x1, y1);
+  const end = offset(x2, y2);
+
+  if (start === 0 && end === 0) return 'linear';
+  if (start < 0 && end > 0) return 'inOut';
+  if (start > 0 && end < 0) return 'outIn';
+  // Starting slowly or ending fast accelerates, starting fast or ending slowly decelerates
+  return start + end < 0 ? 'in' : 'out';
+}
+
+/**
+ * Read the control points of a timing function
+ * @param {string} value - Normalized timing function
+ * @returns {Array|null} - Control points, or null for step and linear() functions
+ */
+function toBezier(value) {
+  if (EASING_KEYWORDS[value]) return EASING_KEYWORDS[value];
+
+  const match = value.match(/^cubic-bezier\(([^)]*)\)$/);
+  if (!match) return null;
+
+  const points = match[1].split(',').map(parseFloat);
+  return points.length === 4 && points.every(point => !Number.isNaN(point)) ? points : null;
+}
+
+/**
+ * Check if a token is a timing function
+ * @param {string} token - Lowercase token
+ * @returns {boolean} - Whether the token is a timing function
+ */
+function isEasing(token) {
+  return Boolean(EASING_KEYWORDS[token]) || STEP_KEYWORDS.has(token) || /^(?:cubic-bezier|steps|linear)\(/.test(token);
+}
+
+/**
+ * Normalize a timing function so equal functions written differently are counted together
+ * @param {string} token - Lowercase timing function
+ * @returns {string} - Normalized timing function
+ */
+function normalizeEasing(token) {
+  const match = token.match(/^([\w-]+)\(([^)]*)\)$/);
+  if (!match) return token;
+
+  const args = match[2].split(',').map(arg => arg.trim()).map(arg => (/^-?\d*\.?\d+$/.test(arg) ? String(parseFloat(arg)) : arg));
+  return `${match[1]}(${args.join(', ')})`;
+}
+
+/**
+ * Convert a time to ms
+ * @param {string} token - Lowercase token
+ * @returns {number|null} - Time in ms, or null if the token is not a time
+ */
+function toMs(token) {
+  const match = String(token).match(/^(-?\d*\.?\d+)(ms|s)$/);
+  if (!match) return null;
+
+  return Math.round(parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1) * 100) / 100;
+}
+
+/**
+ * Split a comma separated list, ignoring commas inside functions
+ * @param {string} value - CSS value
+ * @returns {Array} - List items
+ */
+function splitTopLevel(value) {
+  return value.split(/,(?![^(]*\))/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Sum the counts of equal values
+ * @param {Array} entries - Values with counts
+ * @returns {Array} - Unique values sorted by count
+ */
+function mergeCounts(entries) {
+  const totals = new Map();
+  entries.forEach(({ value, count }) => {
+    totals.set(value, (totals.get(value) || 0) + count);
+  });
+
+  return [...totals.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  extractMotion,
+  combineMotion,
+  buildMotionScales
+};
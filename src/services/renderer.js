@@ -0,0 +1,577 @@
+const puppeteer = require('puppeteer');
+const logger = require('./logger');
+const { STATE_PROPERTIES, FORCED_STATES } = require('./interactionStates');
+
+// Computed style properties sampled from every rendered element
+const COMPUTED_PROPERTIES = [
+  'color', 'background-color', 'background-image',
+  'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+  'outline-color', 'fill', 'stroke', 'box-shadow', 'text-shadow',
+  'font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing',
+  'text-transform', 'text-decoration-line',
+  'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius',
+  'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+  'border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style',
+  'display', 'position', 'max-width',
+  'column-gap', 'row-gap', 'z-index', 'grid-template-columns'
+];
+
+// Stops transitions so that styles are read in their final state after a theme switch
+const DISABLE_TRANSITIONS = '*, *::before, *::after { transition: none !important; animation: none !important; }';
+
+// Limits that keep rendering of very large pages bounded
+const MAX_SAMPLED_ELEMENTS = 2000;
+const NAVIGATION_TIMEOUT = 60000;
+
+// Element screenshots are cut off below this height, in px
+const MAX_CAPTURE_HEIGHT = 1200;
+
+// Viewport sizes a page can be rendered at
+const VIEWPORT_PRESETS = {
+  mobile: { width: 375, height: 812 },
+  tablet: { width: 768, height: 1024 },
+  desktop: { width: 1440, height: 900 },
+  wide: { width: 1920, height: 1080 }
+};
+
+// Time given to resize handlers, which are often debounced, before a resized page is sampled
+const RESIZE_SETTLE_TIME = 300;
+
+// Controls that open a collapsed navigation menu
+const MENU_TOGGLE_SELECTOR = [
+  '.navbar-toggler', '.navbar-burger', '[class*="hamburger"]', '[class*="menu-toggle"]',
+  '[class*="nav-toggle"]', '[class*="menu-button"]', 'button[aria-controls]', 'button[aria-expanded]',
+  '[aria-label*="menu" i]'
+].join(', ');
+
+/**
+ * Load a page in a headless browser and capture its rendered state
+ * @param {string} url - The URL of the page to render
+ * @param {Object} options - Rendering options
+ * @param {Object} options.viewport - Viewport size ({ width, height })
+ * @param {Array} options.viewports - Further viewports ({ name, width, height }) the
+ *   page is resized to and sampled at after everything else is sampled
+ * @param {Function} options.colorSchemes - Receives the page's stylesheets and
+ *   returns the color scheme variants to sample, see detectColorSchemes
+ * @param {Function} options.components - Receives the computed style samples and
+ *   returns the indices of the elements to capture and sample states of, see
+ *   captureElements and sampleStates
+ * @returns {Promise<Object>} - Rendered HTML, stylesheets, computed styles, layout,
+ *   screenshot, captured elements, interactive states of the captured elements,
+ *   computed styles per color scheme variant and the computed styles, layout and
+ *   screenshot at every further viewport
+ */
+async function renderPage(url, options = {}) {
+  logger.info(`Rendering page in headless browser: ${url}`);
+
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setViewport(options.viewport || { width: 1440, height: 900 });
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: 'light' }]);
+
+    // Keep the text of every stylesheet response, since cross-origin
+    // stylesheets cannot be read back through the CSSOM
+    const stylesheetResponses = new Map();
+    page.on('response', async response => {
+      if (response.request().resourceType() !== 'stylesheet') return;
+
+      try {
+        stylesheetResponses.set(response.url(), await response.text());
+      } catch (e) {
+        // Redirects and aborted requests have no body
+      }
+    });
+
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT });
+
+    const stylesheets = await readStylesheets(page, stylesheetResponses);
+    const computed = await sampleComputedStyles(page);
+    const layout = await sampleLayout(page);
+    const html = await page.content();
+    const title = await page.title();
+
+    const screenshotBuffer = await page.screenshot();
+    const screenshot = `data:image/png;base64,${Buffer.from(screenshotBuffer).toString('base64')}`;
+
+    // Elements are captured in the light scheme, before any variant is toggled
+    const targets = options.components ? options.components(computed) : [];
+    const components = await captureElements(page, targets);
+    const states = await sampleStates(page, targets);
+
+    const variants = options.colorSchemes ? options.colorSchemes(stylesheets) : [];
+    const colorSchemes = [];
+    if (variants.length > 0) {
+      await page.addStyleTag({ content: DISABLE_TRANSITIONS });
+    }
+    for (const variant of variants) {
+      colorSchemes.push({ name: variant.name, computed: await sampleColorScheme(page, variant) });
+    }
+
+    const viewports = [];
+    for (const viewport of options.viewports || []) {
+      viewports.push(await sampleViewport(page, viewport));
+    }
+
+    return {
+      url: page.url(),
+      html,
+      title,
+      stylesheets,
+      computed,
+      layout,
+      screenshot,
+      components,
+      states,
+      colorSchemes,
+      viewports
+    };
+  } finally {
+    await browser.close();
+    logger.debug(`Closed headless browser for ${url}`);
+  }
+}
+
+/**
+ * Read every stylesheet attached to the rendered document, including
+ * stylesheets injected at runtime by CSS-in-JS libraries
+ * @param {Object} page - Puppeteer page
+ * @param {Map} stylesheetResponses - Captured stylesheet responses by URL
+ * @returns {Promise<Array>} - Stylesheets with href, origin, media and css
+ */
+async function readStylesheets(page, stylesheetResponses) {
+  const sheets = await page.evaluate(() => {
+    const result = [];
+
+    const serialize = (sheet, origin) => {
+      let rules;
+      try {
+        rules = [...sheet.cssRules];
+      } catch (e) {
+        // Cross-origin stylesheet, resolved from the captured response instead
+        result.push({ href: sheet.href, origin, media: sheet.media.mediaText, css: null });
+        return;
+      }
+
+      rules.forEach(rule => {
+        if (rule.styleSheet && rule.type === CSSRule.IMPORT_RULE) {
+          serialize(rule.styleSheet, 'import');
+        }
+      });
+
+      result.push({
+        href: sheet.href,
+        origin,
+        media: sheet.media.mediaText,
+        css: rules.filter(rule => rule.type !== CSSRule.IMPORT_RULE).map(rule => rule.cssText).join('\n')
+      });
+    };
+
+    [...document.styleSheets].forEach(sheet => {
+      if (sheet.disabled) return;
+      serialize(sheet, sheet.ownerNode && sheet.ownerNode.tagName === 'STYLE' ? 'style' : 'link');
+    });
+
+    return result;
+  });
+
+  return sheets
+    .map(sheet => ({
+      ...sheet,
+      css: sheet.css !== null ? sheet.css : stylesheetResponses.get(sheet.href) || null
+    }))
+    .filter(sheet => sheet.css !== null && !/^print$/i.test(sheet.media || ''));
+}
+
+/**
+ * Sample the computed styles of visible elements
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Array>} - Element samples with index, tag, classes, area in px² and
+ *   styles, and the text color and background stack of elements that contain text. The
+ *   index is the element's position among the elements of the body, the body included.
+ */
+async function sampleComputedStyles(page) {
+  return page.evaluate((properties, maxElements) => {
+    // Values that only restate a browser default
+    const defaults = new Set(['normal', 'none', 'auto', '0px', 'rgba(0, 0, 0, 0)', 'static', 'inline']);
+    const samples = [];
+    const elements = document.querySelectorAll('body, body *');
+
+    for (let index = 0; index < elements.length; index++) {
+      if (samples.length >= maxElements) break;
+
+      const el = elements[index];
+
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') continue;
+
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) continue;
+
+      const styles = {};
+      properties.forEach(property => {
+        const value = style.getPropertyValue(property);
+        if (value && !defaults.has(value)) {
+          styles[property] = value;
+        }
+      });
+
+      // Border and outline colors fall back to the text color and only matter when drawn
+      ['top', 'right', 'bottom', 'left'].forEach(side => {
+        if (style.getPropertyValue(`border-${side}-width`) === '0px') {
+          delete styles[`border-${side}-color`];
+        }
+      });
+      if (style.outlineStyle === 'none') {
+        delete styles['outline-color'];
+      }
+
+      const sample = {
+        index,
+        tag: el.tagName.toLowerCase(),
+        classes: [...el.classList],
+        attributes: {
+          type: el.getAttribute('type'),
+          role: el.getAttribute('role')
+        },
+        area: Math.round(rect.width * rect.height),
+        styles
+      };
+
+      // Elements with their own text record the background stack behind it,
+      // up to the first opaque color. Text over images has no measurable backdrop.
+      const hasText = [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (hasText) {
+        let backgrounds = [];
+        for (let node = el; node; node = node.parentElement) {
+          const nodeStyle = window.getComputedStyle(node);
+          if (nodeStyle.backgroundImage !== 'none') {
+            backgrounds = null;
+            break;
+          }
+          backgrounds.push(nodeStyle.backgroundColor);
+          const alpha = nodeStyle.backgroundColor.match(/^rgba\([^,]+,[^,]+,[^,]+,\s*([\d.]+)\)$/);
+          if (!alpha || parseFloat(alpha[1]) >= 1) break;
+        }
+
+        sample.text = {
+          color: style.color,
+          fontSize: parseFloat(style.fontSize),
+          fontWeight: style.fontWeight,
+          backgrounds
+        };
+      }
+
+      samples.push(sample);
+    }
+
+    return samples;
+  }, COMPUTED_PROPERTIES, MAX_SAMPLED_ELEMENTS);
+}
+
+/**
+ * Measure the navigation and the columns of the page's layout at the current viewport
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Object>} - Navigation with its state (expanded, collapsed, hidden or
+ *   null without a navigation), visible links and whether a menu toggle is visible, and
+ *   the most common and the largest number of columns
+ */
+async function sampleLayout(page) {
+  return page.evaluate((toggleSelector, maxElements) => {
+    const visible = el => {
+      const rect = el.getBoundingClientRect();
+      const style = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden';
+    };
+
+    // The main navigation is the first one with links, visible or not
+    const nav = [...document.querySelectorAll('nav, [role="navigation"]')].find(el => el.querySelector('a[href]'));
+    const links = nav ? [...nav.querySelectorAll('a[href]')].filter(visible).length : 0;
+
+    // Menu toggles sit in the header or the navigation, or at the top of the page
+    const toggle = [...document.querySelectorAll(toggleSelector)].some(el =>
+      visible(el) &&
+      (el.closest('header, nav, [role="banner"], [role="navigation"]') || el.getBoundingClientRect().top + window.scrollY < 200)
+    );
+
+    let state = null;
+    if (nav) {
+      state = links > 1 ? 'expanded' : toggle ? 'collapsed' : 'hidden';
+    }
+
+    // Columns are blocks side by side in a row of a container spanning most of the page
+    const rows = [];
+    const elements = document.querySelectorAll('body *');
+    for (let index = 0; index < elements.length && index < maxElements; index++) {
+      const el = elements[index];
+      if (el.children.length < 2 || el.closest('nav, [role="navigation"]')) continue;
+
+      const width = el.getBoundingClientRect().width;
+      if (width < window.innerWidth * 0.5) continue;
+
+      const blocks = [...el.children].filter(child => visible(child) && child.getBoundingClientRect().width >= width * 0.15);
+      if (blocks.length < 2) continue;
+
+      const top = blocks[0].getBoundingClientRect().top;
+      const row = blocks.filter(child => Math.abs(child.getBoundingClientRect().top - top) < 2);
+      if (row.length >= 2) {
+        rows.push(row.length);
+      }
+    }
+
+    const counts = new Map();
+    rows.forEach(columns => counts.set(columns, (counts.get(columns) || 0) + 1));
+    const common = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+
+    return {
+      navigation: { state, links, toggle },
+      columns: common ? common[0] : 1,
+      maxColumns: rows.length > 0 ? Math.max(...rows) : 1
+    };
+  }, MENU_TOGGLE_SELECTOR, MAX_SAMPLED_ELEMENTS);
+}
+
+/**
+ * Resize the page to a viewport and sample it there
+ * @param {Object} page - Puppeteer page
+ * @param {Object} viewport - Viewport with name, width and height
+ * @returns {Promise<Object>} - Viewport with its computed styles, layout and screenshot
+ */
+async function sampleViewport(page, viewport) {
+  logger.debug(`Sampling ${viewport.name} viewport (${viewport.width}x${viewport.height})`);
+
+  await page.setViewport({ width: viewport.width, height: viewport.height });
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await new Promise(resolve => setTimeout(resolve, RESIZE_SETTLE_TIME));
+
+  const screenshotBuffer = await page.screenshot();
+
+  return {
+    ...viewport,
+    computed: await sampleComputedStyles(page),
+    layout: await sampleLayout(page),
+    screenshot: `data:image/png;base64,${Buffer.from(screenshotBuffer).toString('base64')}`
+  };
+}
+
+/**
+ * Capture a screenshot, the bounding box and the outerHTML of sampled elements
+ * @param {Object} page - Puppeteer page
+ * @param {Array} indices - Element indices from sampleComputedStyles
+ * @returns {Promise<Array>} - Captures with index, bounding box in page
+ *   coordinates, PNG screenshot as a data URL and outerHTML
+ */
+async function captureElements(page, indices) {
+  const captures = [];
+
+  for (const index of indices) {
+    const handle = await page.evaluateHandle(i => document.querySelectorAll('body, body *')[i] || null, index);
+    const element = handle.asElement();
+    if (!element) {
+      await handle.dispose();
+      continue;
+    }
+
+    try {
+      const { boundingBox, html } = await element.evaluate(el => {
+        const rect = el.getBoundingClientRect();
+        return {
+          boundingBox: {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          },
+          html: el.outerHTML
+        };
+      });
+      const screenshotBuffer = await element.screenshot({
+        clip: { x: 0, y: 0, width: boundingBox.width, height: Math.min(boundingBox.height, MAX_CAPTURE_HEIGHT) }
+      });
+
+      captures.push({
+        index,
+        boundingBox,
+        screenshot: `data:image/png;base64,${Buffer.from(screenshotBuffer).toString('base64')}`,
+        html
+      });
+    } catch (e) {
+      // Elements that were hidden or detached since they were sampled have nothing to capture
+      logger.debug(`Could not capture element ${index}: ${e.message}`);
+    } finally {
+      await element.dispose();
+    }
+  }
+
+  return captures;
+}
+
+/**
+ * Sample the styles of elements in their hover, focus, active and disabled states.
+ * Pseudo-classes are forced through the DevTools protocol; the disabled state is
+ * sampled by toggling the disabled property of form controls. Transitions and
+ * animations are turned off for the rest of the page's life
+ * @param {Object} page - Puppeteer page
+ * @param {Array} indices - Element indices from sampleComputedStyles
+ * @returns {Promise<Array>} - Samples with index, resting styles (base), the opaque
+ *   color behind the element (backdrop) and the styles per state, disabled being
+ *   null for elements that cannot be disabled
+ */
+async function sampleStates(page, indices) {
+  if (indices.length === 0) return [];
+
+  // States are read right after they are forced, before any transition could end
+  await page.addStyleTag({ content: DISABLE_TRANSITIONS });
+
+  const session = await page.createCDPSession();
+  const samples = [];
+
+  try {
+    await session.send('DOM.enable');
+    await session.send('CSS.enable');
+    const { root } = await session.send('DOM.getDocument', { depth: 0 });
+    // Node ids come back in document order, like the indices of sampleComputedStyles
+    const { nodeIds } = await session.send('DOM.querySelectorAll', { nodeId: root.nodeId, selector: 'body, body *' });
+
+    const readStyles = index => page.evaluate((i, props) => {
+      const style = getComputedStyle(document.querySelectorAll('body, body *')[i]);
+      return Object.fromEntries(props.map(property => [property, style.getPropertyValue(property)]));
+    }, index, STATE_PROPERTIES);
+
+    for (const index of indices) {
+      const nodeId = nodeIds[index];
+      if (!nodeId) continue;
+
+      try {
+        const { base, backdrop } = await page.evaluate((i, props) => {
+          const el = document.querySelectorAll('body, body *')[i];
+          const style = getComputedStyle(el);
+
+          // The first ancestor with an opaque background is what surrounds the element
+          let backdrop = 'rgb(255, 255, 255)';
+          for (let node = el.parentElement; node; node = node.parentElement) {
+            const background = getComputedStyle(node).backgroundColor;
+            const alpha = background.match(/rgba\([^)]*,\s*([\d.]+)\)/);
+            if (background !== 'transparent' && (!alpha || parseFloat(alpha[1]) === 1)) {
+              backdrop = background;
+              break;
+            }
+          }
+
+          return {
+            base: Object.fromEntries(props.map(property => [property, style.getPropertyValue(property)])),
+            backdrop
+          };
+        }, index, STATE_PROPERTIES);
+
+        const states = {};
+        for (const [state, pseudoClasses] of Object.entries(FORCED_STATES)) {
+          await session.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: pseudoClasses });
+          states[state] = await readStyles(index);
+          await session.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] });
+        }
+
+        states.disabled = await page.evaluate((i, props) => {
+          const el = document.querySelectorAll('body, body *')[i];
+          if (!('disabled' in el) || el.disabled) return null;
+
+          el.disabled = true;
+          const style = getComputedStyle(el);
+          const styles = Object.fromEntries(props.map(property => [property, style.getPropertyValue(property)]));
+          el.disabled = false;
+          return styles;
+        }, index, STATE_PROPERTIES);
+
+        samples.push({ index, base, backdrop, states });
+      } catch (e) {
+        // Elements removed since they were sampled have no states
+        logger.debug(`Could not sample states of element ${index}: ${e.message}`);
+      }
+    }
+  } finally {
+    await session.detach();
+  }
+
+  return samples;
+}
+
+/**
+ * Sample computed styles with a color scheme variant enabled, through the
+ * prefers-color-scheme media feature and its theme class or attribute
+ * @param {Object} page - Puppeteer page
+ * @param {Object} variant - Variant from detectColorSchemes
+ * @returns {Promise<Array>} - Element samples of the variant
+ */
+async function sampleColorScheme(page, variant) {
+  logger.debug(`Sampling ${variant.name} color scheme`);
+
+  if (variant.media) {
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: variant.name }]);
+  }
+  const previous = variant.toggle ? await page.evaluate(toggle => {
+    const target = toggle.target === 'body' ? document.body : document.documentElement;
+    if (toggle.type === 'class') {
+      const had = target.classList.contains(toggle.name);
+      target.classList.add(toggle.name);
+      return had;
+    }
+    const value = target.getAttribute(toggle.name);
+    target.setAttribute(toggle.name, toggle.value);
+    return value;
+  }, variant.toggle) : null;
+
+  try {
+    return await sampleComputedStyles(page);
+  } finally {
+    // Restore the default scheme for the next variant
+    if (variant.toggle) {
+      await page.evaluate((toggle, value) => {
+        const target = toggle.target === 'body' ? document.body : document.documentElement;
+        if (toggle.type === 'class') {
+          if (!value) target.classList.remove(toggle.name);
+        } else if (value === null) {
+          target.removeAttribute(toggle.name);
+        } else {
+          target.setAttribute(toggle.name, value);
+        }
+      }, variant.toggle, previous);
+    }
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: 'light' }]);
+  }
+}
+
+/**
+ * Convert computed style samples into weighted declarations
+ * @param {Array} samples - Element samples from sampleComputedStyles
+ * @returns {Array} - Declarations, one per element and property
+ */
+function computedDeclarations(samples) {
+  return (samples || []).flatMap(sample => {
+    // Declarations of the same element share one element object
+    const element = { index: sample.index, tag: sample.tag, classes: sample.classes, attributes: sample.attributes || {} };
+
+    return Object.entries(sample.styles).map(([property, value]) => ({
+      property,
+      value,
+      important: false,
+      weight: 1,
+      selector: null,
+      conditions: [],
+      origin: 'computed',
+      element
+    }));
+  });
+}
+
+module.exports = {
+  VIEWPORT_PRESETS,
+  renderPage,
+  sampleStates,
+  computedDeclarations
+};
@@ -0,0 +1,133 @@
+const chroma = require('chroma-js');
+const { evaluateContrast } = require('./contrast');
+
+// Shade steps and the OKLCH lightness each one has when the base color does not move it
+const SHADE_LIGHTNESS = {
+  50: 0.97,
+  100: 0.93,
+  200: 0.87,
+  300: 0.79,
+  400: 0.7,
+  500: 0.61,
+  600: 0.52,
+  700: 0.44,
+  800: 0.36,
+  900: 0.28
+};
+
+// Share of the base chroma lost at the lightest and at the darkest step. Light tints
+// fade toward white while dark shades keep most of their color.
+const LIGHT_CHROMA_LOSS = 0.9;
+const DARK_CHROMA_LOSS = 0.4;
+
+// Chroma below which a color has no meaningful hue
+const ACHROMATIC = 0.005;
+
+/**
+ * Generate a shade ramp in OKLCH with the base color at the step nearest its lightness
+ * @param {string} color - Base color
+ * @returns {Object|null} - Base color, the step it sits at and the shades from the
+ *   lightest, each with its contrast against white and black; null for invalid colors
+ */
+function generateShadeRamp(color) {
+  if (!chroma.valid(color)) return null;
+
+  // Translucent colors are ramped from their opaque color
+  const base = chroma(color).alpha(1);
+  const [lightness, baseChroma, baseHue] = base.oklch();
+  const hue = baseChroma < ACHROMATIC || Number.isNaN(baseHue) ? 0 : baseHue;
+
+  const steps = Object.keys(SHADE_LIGHTNESS).map(Number);
+  const baseStep = steps.reduce((nearest, step) =>
+    Math.abs(SHADE_LIGHTNESS[step] - lightness) < Math.abs(SHADE_LIGHTNESS[nearest] - lightness) ? step : nearest
+  );
+
+  const lightest = SHADE_LIGHTNESS[steps[0]];
+  const darkest = SHADE_LIGHTNESS[steps[steps.length - 1]];
+  const anchor = SHADE_LIGHTNESS[baseStep];
+
+  const shades = steps.map(step => {
+    let value;
+    if (step === baseStep) {
+      value = base.hex();
+    } else {
+      // Stretch the default lightness of the steps on each side of the base so the
+      // ramp still reaches the lightest and darkest step
+      const lighter = step < baseStep;
+      const end = lighter ? lightest : darkest;
+      const t = (SHADE_LIGHTNESS[step] - anchor) / (end - anchor);
+      const target = lightness + t * (end - lightness);
+      const targetChroma = baseChroma * (1 - t * (lighter ? LIGHT_CHROMA_LOSS : DARK_CHROMA_LOSS));
+      value = toGamut(target, targetChroma, hue);
+    }
+
+    return {
+      step,
+      value,
+      contrast: {
+        white: evaluateContrast('#ffffff', value).ratio,
+        black: evaluateContrast('#000000', value).ratio
+      }
+    };
+  });
+
+  return { base: base.hex(), step: baseStep, shades };
+}
+
+/**
+ * Generate the shade ramps of palette roles
+ * @param {Object} colors - Base color by role, e.g. primary or success
+ * @returns {Object} - Shade ramps by role, for the roles with a valid color
+ */
+function buildShadeRamps(colors) {
+  return Object.fromEntries(
+    Object.entries(colors)
+      .map(([role, color]) => [role, color && generateShadeRamp(color)])
+      .filter(([, ramp]) => ramp)
+  );
+}
+
+/**
+ * List the shade colors of shade ramps
+ * @param {Object} ramps - Shade ramps by role
+ * @returns {Object} - Hex color by step, by role
+ */
+function listShades(ramps) {
+  return Object.fromEntries(Object.entries(ramps).map(([role, ramp]) => [
+    role,
+    Object.fromEntries(ramp.shades.map(shade => [shade.step, shade.value]))
+  ]));
+}
+
+/**
+ * Find the sRGB color with an OKLCH lightness and hue and the most chroma up to the target
+ * @param {number} lightness - OKLCH lightness
+ * @param {number} target - Largest OKLCH chroma
+ * @param {number} hue - OKLCH hue
+ * @returns {string} - Hex color
+ */
+function toGamut(lightness, target, hue) {
+  const inGamut = c => !chroma.oklch(lightness, c, hue).clipped();
+  if (inGamut(target)) return chroma.oklch(lightness, target, hue).hex();
+
+  let low = 0;
+  let high = target;
+  for (let i = 0; i < 16; i++) {
+    const middle = (low + high) / 2;
+    if (inGamut(middle)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return chroma.oklch(lightness, low, hue).hex();
+}
+
+module.exports = {
+  SHADE_LIGHTNESS,
+  generateShadeRamp,
+  buildShadeRamps,
+  listShades,
+  toGamut
+};
@@ -0,0 +1,419 @@
+const chroma = require('chroma-js');
+
+const ROOT_FONT_SIZE = 16;
+
+// Radii at least this large round the short side of any element completely
+const PILL_RADIUS_PX = 999;
+
+// Values closer than this (in px, or relative to the value) are treated as the same step
+const CLUSTER_TOLERANCE_PX = 1;
+const CLUSTER_TOLERANCE_RATIO = 0.1;
+
+// Border widths are small enough that every px is a distinct step
+const WIDTH_TOLERANCE_PX = 0.5;
+
+// Scale names from the smallest to the largest step
+const SIZE_NAMES = ['sm', 'md', 'lg', 'xl', 'xxl'];
+const WIDTH_NAMES = ['thin', 'medium', 'thick'];
+
+const BORDER_STYLES = new Set(['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'inset', 'outset']);
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Collect box shadows, border radii, border widths and border styles
+ * @param {Array} declarations - Weighted style declarations
+ * @returns {Object} - Clustered shadows, elevation levels, radii, border widths and styles
+ */
+function extractShapes(declarations) {
+  const shadows = new Map();
+  const radii = new Map();
+  const widths = new Map();
+  const styles = new Map();
+
+  const add = (map, key, weight) => map.set(key, (map.get(key) || 0) + weight);
+
+  declarations.forEach(({ property, value, weight }) => {
+    const normalized = value.trim().toLowerCase();
+    if (!normalized || /^(?:inherit|initial|unset|revert|revert-layer)$/.test(normalized)) return;
+
+    if (property === 'box-shadow') {
+      if (normalized !== 'none') add(shadows, normalizeShadow(value), weight);
+      return;
+    }
+
+    // Shorthands are expanded per corner and side, like the longhands computed styles report
+    if (property === 'border-radius') {
+      const horizontal = normalized.split('/')[0].trim().split(/\s+/);
+      expandBox(horizontal).forEach(radius => add(radii, radius, weight));
+      return;
+    }
+    if (CORNERS.some(corner => property === `border-${corner}-radius`)) {
+      add(radii, normalized.split(/\s+/)[0], weight);
+      return;
+    }
+
+    if (property === 'border-width') {
+      expandBox(normalized.split(/\s+/)).forEach(width => add(widths, width, weight));
+      return;
+    }
+    if (property === 'border-style') {
+      expandBox(normalized.split(/\s+/)).forEach(style => add(styles, style, weight));
+      return;
+    }
+    if (SIDES.some(side => property === `border-${side}-width`)) {
+      add(widths, normalized, weight);
+      return;
+    }
+    if (SIDES.some(side => property === `border-${side}-style`)) {
+      add(styles, normalized, weight);
+      return;
+    }
+
+    if (property === 'border' || SIDES.some(side => property === `border-${side}`)) {
+      const sides = property === 'border' ? SIDES.length : 1;
+      const tokens = normalized.split(/\s+(?![^(]*\))/);
+      const style = tokens.find(token => BORDER_STYLES.has(token) || token === 'none' || token === 'hidden');
+      if (style === 'none' || style === 'hidden' || normalized === '0') return;
+
+      const width = tokens.find(token => toPx(token) !== null || /^(?:thin|medium|thick)$/.test(token));
+      // A border without a width is drawn at the initial medium width
+      add(widths, width || 'medium', weight * sides);
+      if (style) add(styles, style, weight * sides);
+    }
+  });
+
+  return buildShapes({
+    shadows: [...shadows.entries()].map(([value, count]) => ({ value, count })),
+    radii: [...radii.entries()].map(([value, count]) => ({ value, count })),
+    borderWidths: [...widths.entries()].map(([value, count]) => ({ value, count })),
+    borderStyles: [...styles.entries()].map(([value, count]) => ({ value, count }))
+  });
+}
+
+/**
+ * Combine the shape analyses of several pages or sites
+ * @param {Array} shapesList - Results of extractShapes
+ * @returns {Object} - Re-clustered shapes
+ */
+function combineShapes(shapesList) {
+  const lists = ['shadows', 'radii', 'borderWidths', 'borderStyles'];
+  const raw = Object.fromEntries(lists.map(list => [
+    list,
+    shapesList.flatMap(shapes => (shapes?.[list] || []).flatMap(entry => entry.members || [entry]))
+  ]));
+
+  // Pill and circle radii are kept apart from the radius clusters
+  shapesList.forEach(shapes => {
+    if (shapes?.pillRadius) raw.radii.push(shapes.pillRadius);
+    if (shapes?.circleRadius) raw.radii.push(shapes.circleRadius);
+  });
+
+  return buildShapes(raw);
+}
+
+/**
+ * Cluster raw shape values and rank them by frequency
+ * @param {Object} raw - Shadow, radius, border width and border style values with counts
+ * @returns {Object} - Clustered and ranked shapes
+ */
+function buildShapes(raw) {
+  const shadows = clusterShadows(raw.shadows);
+
+  const radii = clusterLengths(
+    raw.radii.filter(({ value }) => !/%$/.test(value) && toPx(value) !== null && toPx(value) > 0 && toPx(value) < PILL_RADIUS_PX)
+  );
+  const pill = sumCounts(raw.radii.filter(({ value }) => toPx(value) !== null && toPx(value) >= PILL_RADIUS_PX));
+  const circle = sumCounts(raw.radii.filter(({ value }) => value === '50%'));
+
+  const borderWidths = clusterLengths(
+    raw.borderWidths
+      .map(({ value, count }) => ({ value: { thin: '1px', medium: '3px', thick: '5px' }[value] || value, count }))
+      .filter(({ value }) => toPx(value) !== null && toPx(value) > 0),
+    WIDTH_TOLERANCE_PX
+  );
+
+  return {
+    shadows,
+    elevation: buildElevation(shadows),
+    radii,
+    pillRadius: pill > 0 ? { value: '9999px', count: pill } : null,
+    circleRadius: circle > 0 ? { value: '50%', count: circle } : null,
+    borderWidths,
+    borderStyles: mergeCounts(raw.borderStyles).filter(({ value }) => BORDER_STYLES.has(value))
+  };
+}
+
+/**
+ * Assign elevation levels to the most used outer shadows, from low to high
+ * @param {Array} shadows - Clustered shadows
+ * @returns {Array} - Elevation levels with name, value and count
+ */
+function buildElevation(shadows) {
+  const outer = shadows
+    .filter(shadow => !shadow.inset)
+    .slice(0, SIZE_NAMES.length)
+    .sort((a, b) => a.elevation - b.elevation);
+
+  const names = outer.length === 1 ? ['md'] : outer.length === 2 ? ['sm', 'lg'] : SIZE_NAMES;
+
+  return outer.map((shadow, index) => ({
+    level: index + 1,
+    name: names[index],
+    value: shadow.value,
+    count: shadow.count
+  }));
+}
+
+/**
+ * Build the style guide's shadow, radius and border scales from analyzed shapes
+ * @param {Object} shapes - Result of extractShapes or combineShapes
+ * @returns {Object} - Shadow, radius, border width and style scales; null where nothing was found
+ */
+function buildShapeScales(shapes) {
+  const shadows = Object.fromEntries(shapes.elevation.map(level => [level.name, level.value]));
+  const inner = shapes.shadows.find(shadow => shadow.inset);
+  if (inner) shadows.inner = inner.value;
+
+  // The most used radii make up the scale, ordered by size
+  const radius = {};
+  const radii = shapes.radii.slice(0, SIZE_NAMES.length).sort((a, b) => a.px - b.px);
+  radii.forEach((entry, index) => {
+    radius[radii.length === 1 ? 'md' : SIZE_NAMES[index]] = entry.value;
+  });
+  if (shapes.pillRadius) radius.pill = shapes.pillRadius.value;
+  if (shapes.circleRadius) radius.circle = shapes.circleRadius.value;
+
+  const widths = shapes.borderWidths.slice(0, WIDTH_NAMES.length).sort((a, b) => a.px - b.px);
+  const width = Object.fromEntries(widths.map((entry, index) => [WIDTH_NAMES[index], entry.value]));
+
+  return {
+    shadows: Object.keys(shadows).length > 0 ? shadows : null,
+    radius: Object.keys(radius).length > 0 ? radius : null,
+    width: Object.keys(width).length > 0 ? width : null,
+    style: shapes.borderStyles.length > 0 ? shapes.borderStyles[0].value : null
+  };
+}
+
+/**
+ * Cluster shadows with the same structure and similar geometry and color
+ * @param {Array} shadows - Normalized shadow values with counts
+ * @returns {Array} - Clusters sorted by frequency, each represented by its most used value
+ */
+function clusterShadows(shadows) {
+  const parsed = mergeCounts(shadows)
+    .map(shadow => ({ ...shadow, layers: parseShadow(shadow.value) }))
+    .filter(shadow => shadow.layers.length > 0)
+    .sort((a, b) => b.count - a.count);
+
+  const clusters = [];
+  parsed.forEach(shadow => {
+    const cluster = clusters.find(candidate => similarShadows(candidate.layers, shadow.layers));
+    if (cluster) {
+      cluster.count += shadow.count;
+      cluster.members.push({ value: shadow.value, count: shadow.count });
+    } else {
+      clusters.push({
+        value: shadow.value,
+        layers: shadow.layers,
+        count: shadow.count,
+        members: [{ value: shadow.value, count: shadow.count }]
+      });
+    }
+  });
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map(({ value, layers, count, members }) => ({
+      value,
+      count,
+      inset: layers.every(layer => layer.inset),
+      // How far the shadow lifts the element: the largest vertical offset plus blur
+      elevation: Math.max(...layers.map(layer => Math.abs(layer.y) + layer.blur)),
+      members
+    }));
+}
+
+/**
+ * Parse the layers of a box-shadow value
+ * @param {string} value - Normalized box-shadow value
+ * @returns {Array} - Layers with inset, x, y, blur, spread and alpha
+ */
+function parseShadow(value) {
+  return splitTopLevel(value).map(layer => {
+    const tokens = layer.split(/\s+(?![^(]*\))/);
+    const lengths = tokens.map(toPx).filter(px => px !== null);
+    const colorToken = tokens.find(token => toPx(token) === null && token !== 'inset');
+
+    let alpha = 1;
+    try {
+      alpha = colorToken ? chroma(colorToken).alpha() : 1;
+    } catch (e) {
+      // Unknown color, e.g. currentcolor
+    }
+
+    return {
+      inset: tokens.includes('inset'),
+      x: lengths[0] || 0,
+      y: lengths[1] || 0,
+      blur: lengths[2] || 0,
+      spread: lengths[3] || 0,
+      alpha
+    };
+  }).filter(layer => layer.x || layer.y || layer.blur || layer.spread);
+}
+
+/**
+ * Check if two shadows look alike
+ * @param {Array} a - Layers of the first shadow
+ * @param {Array} b - Layers of the second shadow
+ * @returns {boolean} - Whether they belong in the same cluster
+ */
+function similarShadows(a, b) {
+  if (a.length !== b.length) return false;
+
+  return a.every((layer, index) => {
+    const other = b[index];
+    return layer.inset === other.inset &&
+      ['x', 'y', 'blur', 'spread'].every(key => closeTo(layer[key], other[key])) &&
+      Math.abs(layer.alpha - other.alpha) <= 0.05;
+  });
+}
+
+/**
+ * Cluster nearby lengths
+ * @param {Array} lengths - Length values with counts
+ * @param {number} tolerance - Fixed tolerance in px, instead of the default relative one
+ * @returns {Array} - Clusters sorted by frequency, each with value, px, count and members
+ */
+function clusterLengths(lengths, tolerance = null) {
+  const byPx = new Map();
+  lengths.forEach(({ value, count }) => {
+    const px = toPx(value);
+    const entry = byPx.get(px) || { px, count: 0, members: [] };
+    entry.count += count;
+    entry.members.push({ value, count });
+    byPx.set(px, entry);
+  });
+
+  const clusters = [];
+  [...byPx.values()]
+    .sort((a, b) => a.px - b.px)
+    .forEach(entry => {
+      const current = clusters[clusters.length - 1];
+      const close = tolerance === null ?
+        closeTo(current?.maxPx, entry.px) :
+        Math.abs(current?.maxPx - entry.px) <= tolerance;
+      if (current && close) {
+        current.maxPx = entry.px;
+        current.count += entry.count;
+        current.members.push(...entry.members);
+        // The most used length represents the cluster
+        if (entry.count > current.bestCount) {
+          current.px = entry.px;
+          current.bestCount = entry.count;
+        }
+      } else {
+        clusters.push({ ...entry, maxPx: entry.px, bestCount: entry.count });
+      }
+    });
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map(({ px, count, members }) => ({ value: `${px}px`, px, count, members: mergeCounts(members) }));
+}
+
+/**
+ * Normalize a box-shadow value so equal shadows written differently are counted together
+ * @param {string} value - box-shadow value
+ * @returns {string} - Normalized value
+ */
+function normalizeShadow(value) {
+  return splitTopLevel(value.trim().toLowerCase())
+    .map(layer => layer
+      .split(/\s+(?![^(]*\))/)
+      .map(token => {
+        if (token === '0px') return '0';
+        try {
+          return toPx(token) === null && token !== 'inset' && chroma.valid(token) ? chroma(token).css() : token;
+        } catch (e) {
+          return token;
+        }
+      })
+      .join(' '))
+    .join(', ');
+}
+
+/**
+ * Split a comma separated list, ignoring commas inside functions
+ * @param {string} value - CSS value
+ * @returns {Array} - List items
+ */
+function splitTopLevel(value) {
+  return value.split(/,(?![^(]*\))/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Expand a 1-4 value box shorthand to its four sides or corners
+ * @param {Array} values - Shorthand values
+ * @returns {Array} - Four values
+ */
+function expandBox(values) {
+  const [first, second = first, third = first, fourth = second] = values;
+  return [first, second, third, fourth];
+}
+
+/**
+ * Convert a length to px
+ * @param {string} value - Length
+ * @returns {number|null} - px value, or null if the value is not an absolute length
+ */
+function toPx(value) {
+  if (value === '0') return 0;
+
+  const match = String(value).match(/^(-?\d*\.?\d+)(px|rem|em)$/i);
+  if (!match) return null;
+
+  return parseFloat(match[1]) * (match[2].toLowerCase() === 'px' ? 1 : ROOT_FONT_SIZE);
+}
+
+/**
+ * Check if two lengths are close enough to be the same step
+ * @param {number} a - Length in px
+ * @param {number} b - Length in px
+ * @returns {boolean} - Whether they are close
+ */
+function closeTo(a, b) {
+  return Math.abs(a - b) <= Math.max(CLUSTER_TOLERANCE_PX, Math.max(Math.abs(a), Math.abs(b)) * CLUSTER_TOLERANCE_RATIO);
+}
+
+/**
+ * Sum the counts of equal values
+ * @param {Array} entries - Values with counts
+ * @returns {Array} - Unique values sorted by count
+ */
+function mergeCounts(entries) {
+  const totals = new Map();
+  entries.forEach(({ value, count }) => {
+    totals.set(value, (totals.get(value) || 0) + count);
+  });
+
+  return [...totals.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Sum the counts of a list of values
+ * @param {Array} entries - Values with counts
+ * @returns {number} - Total count
+ */
+function sumCounts(entries) {
+  return entries.reduce((sum, { count }) => sum + count, 0);
+}
+
+module.exports = {
+  extractShapes,
+  combineShapes,
+  buildShapeScales
+};
@@ -0,0 +1,181 @@
+// Properties whose lengths describe the spacing between and inside elements
+const SPACING_PROPERTIES = new Set([
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'margin-block', 'margin-block-start', 'margin-block-end',
+  'margin-inline', 'margin-inline-start', 'margin-inline-end',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'padding-block', 'padding-block-start', 'padding-block-end',
+  'padding-inline', 'padding-inline-start', 'padding-inline-end',
+  'gap', 'row-gap', 'column-gap', 'grid-gap', 'grid-row-gap', 'grid-column-gap',
+  'inset', 'inset-block', 'inset-inline', 'top', 'right', 'bottom', 'left'
+]);
+
+// Grid units a spacing system is commonly built on, smallest first
+const BASE_UNIT_CANDIDATES = [4, 5, 6, 8, 10, 12];
+
+// Share of spacing usage that has to sit on a grid for it to count as the base unit
+const MIN_GRID_COVERAGE = 0.75;
+
+// Larger values are usually centering margins or offsets rather than spacing
+const MAX_SPACING_PX = 256;
+const ROOT_FONT_SIZE = 16;
+
+// Distance from a grid multiple that still counts as on the grid (rounding in computed styles)
+const GRID_TOLERANCE_PX = 0.5;
+
+/**
+ * Collect the spacing values used by margin, padding, gap and inset declarations
+ * @param {Array} declarations - Weighted style declarations
+ * @returns {Object} - Spacing values, detected base unit, scale and grid deviation
+ */
+function extractSpacing(declarations) {
+  const usage = new Map();
+
+  declarations.forEach(({ property, value, weight }) => {
+    if (!SPACING_PROPERTIES.has(property)) return;
+
+    // Shorthands list up to four lengths; functions such as calc() are skipped whole
+    value
+      .replace(/[a-z-]+\([^)]*\)/gi, ' ')
+      .split(/\s+/)
+      .map(toPx)
+      .filter(px => px !== null && px <= MAX_SPACING_PX)
+      .forEach(px => {
+        usage.set(px, (usage.get(px) || 0) + weight);
+      });
+  });
+
+  return inferSpacingScale([...usage.entries()].map(([px, count]) => ({ px, count })));
+}
+
+/**
+ * Detect the base unit of a set of spacing values and build a scale from it
+ * @param {Array} values - Spacing values with px and count
+ * @returns {Object} - Spacing values, base unit, scale and grid deviation
+ */
+function inferSpacingScale(values) {
+  const totals = new Map();
+  values.forEach(({ px, count }) => {
+    totals.set(px, (totals.get(px) || 0) + count);
+  });
+
+  const sorted = [...totals.entries()]
+    .map(([px, count]) => ({ px, count }))
+    .sort((a, b) => a.px - b.px);
+  const nonZero = sorted.filter(({ px }) => px > 0);
+  const total = nonZero.reduce((sum, { count }) => sum + count, 0);
+
+  if (total === 0) {
+    return { values: sorted.map(formatValue), baseUnit: null, scale: [], deviation: null };
+  }
+
+  const coverage = unit => nonZero
+    .filter(({ px }) => isOnGrid(px, unit))
+    .reduce((sum, { count }) => sum + count, 0) / total;
+
+  // Prefer the coarsest grid that still explains most of the spacing
+  const scored = BASE_UNIT_CANDIDATES.map(unit => ({ unit, coverage: coverage(unit) }));
+  const qualifying = scored.filter(candidate => candidate.coverage >= MIN_GRID_COVERAGE);
+  const best = qualifying.length > 0 ?
+    qualifying[qualifying.length - 1] :
+    scored.reduce((a, b) => (b.coverage > a.coverage ? b : a));
+
+  const onGrid = sorted.filter(({ px }) => isOnGrid(px, best.unit));
+  const offGrid = nonZero.filter(({ px }) => !isOnGrid(px, best.unit));
+
+  return {
+    values: sorted.map(formatValue),
+    baseUnit: {
+      px: best.unit,
+      rem: toRem(best.unit),
+      coverage: round(best.coverage)
+    },
+    scale: onGrid.map(entry => ({
+      name: String(Math.round(entry.px / best.unit)),
+      ...formatValue(entry)
+    })),
+    deviation: {
+      onGrid: round(best.coverage),
+      offGrid: round(1 - best.coverage),
+      // Average distance of off-grid values to the nearest grid step, weighted by usage
+      averageOffsetPx: round(
+        offGrid.reduce((sum, { px, count }) => sum + gridOffset(px, best.unit) * count, 0) /
+        Math.max(1, offGrid.reduce((sum, { count }) => sum + count, 0))
+      ),
+      values: offGrid
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10)
+        .map(formatValue)
+    }
+  };
+}
+
+/**
+ * Convert a spacing length to px
+ * @param {string} value - Single length
+ * @returns {number|null} - Absolute px value, or null for keywords, percentages and unknown units
+ */
+function toPx(value) {
+  if (value === '0') return 0;
+
+  const match = value.match(/^-?(\d*\.?\d+)(px|rem|em)$/i);
+  if (!match) return null;
+
+  const px = parseFloat(match[1]) * (match[2].toLowerCase() === 'px' ? 1 : ROOT_FONT_SIZE);
+  return Math.round(px * 100) / 100;
+}
+
+/**
+ * Check if a value is a multiple of the grid unit
+ * @param {number} px - Value in px
+ * @param {number} unit - Grid unit in px
+ * @returns {boolean} - Whether the value sits on the grid
+ */
+function isOnGrid(px, unit) {
+  return gridOffset(px, unit) <= GRID_TOLERANCE_PX;
+}
+
+/**
+ * Distance from a value to the nearest multiple of the grid unit
+ * @param {number} px - Value in px
+ * @param {number} unit - Grid unit in px
+ * @returns {number} - Distance in px
+ */
+function gridOffset(px, unit) {
+  const remainder = px % unit;
+  return Math.min(remainder, unit - remainder);
+}
+
+/**
+ * Format a spacing value in px and rem
+ * @param {Object} entry - Value with px and count
+ * @returns {Object} - Value with px, rem and count
+ */
+function formatValue({ px, count }) {
+  return { value: `${px}px`, px, rem: toRem(px), count };
+}
+
+/**
+ * Express a px value in rem
+ * @param {number} px - Value in px
+ * @returns {string} - Value in rem
+ */
+function toRem(px) {
+  return px === 0 ? '0' : `${round(px / ROOT_FONT_SIZE, 4)}rem`;
+}
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Number
+ * @param {number} decimals - Decimals to keep
+ * @returns {number} - Rounded number
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  extractSpacing,
+  inferSpacingScale
+};
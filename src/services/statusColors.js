@@ -0,0 +1,186 @@
+const chroma = require('chroma-js');
+const { evaluateContrast } = require('./contrast');
+const { generateShadeRamp, toGamut } = require('./shadeRamps');
+
+// Words in class names, selectors and custom property names that mark a status, and the
+// OKLCH hue a status color generated from the brand starts from
+const STATUSES = {
+  success: { words: ['success', 'valid', 'positive', 'ok'], hue: 145 },
+  info: { words: ['info', 'notice', 'informational'], hue: 235 },
+  warning: { words: ['warning', 'warn', 'caution', 'attention'], hue: 75 },
+  danger: { words: ['danger', 'error', 'errors', 'invalid', 'critical', 'negative', 'destructive', 'failure', 'failed'], hue: 25 }
+};
+
+// Colors used when a site has neither status colors nor a brand color
+const DEFAULT_STATUS_COLORS = {
+  success: '#28a745',
+  info: '#17a2b8',
+  warning: '#ffc107',
+  danger: '#dc3545'
+};
+
+// OKLCH lightness and chroma a status color must have to read as a signal rather than
+// as the tinted background or dark text of an alert
+const SIGNAL_LIGHTNESS = [0.45, 0.85];
+const SIGNAL_CHROMA = 0.06;
+
+// OKLCH chroma from which a color has a hue a signal color can be made from
+const HUE_CHROMA = 0.02;
+
+// Limits of the brand lightness and chroma generated colors take over. Yellow is only
+// recognizable when light, so warnings are lighter than the other statuses.
+const GENERATED_LIGHTNESS = [0.5, 0.7];
+const WARNING_LIGHTNESS = [0.75, 0.85];
+const GENERATED_CHROMA = [0.1, 0.2];
+
+// How far a generated hue leans toward the brand hue, and at most in degrees
+const HUE_PULL = 0.1;
+const MAX_HUE_PULL = 10;
+
+// Contrast every status pair reaches (WCAG AA for normal text)
+const PAIR_CONTRAST = 4.5;
+
+// OKLCH lightness from which a solid status fill takes black text
+const LIGHT_FILL = 0.75;
+
+/**
+ * Find the status a selector, class list or custom property name refers to
+ * @param {string} text - Selector, class names or custom property name
+ * @returns {string|null} - success, info, warning, danger or null
+ */
+function matchStatus(text) {
+  const words = new Set((text || '').toLowerCase().split(/[^a-z0-9]+/));
+  const match = Object.entries(STATUSES).find(([, status]) => status.words.some(word => words.has(word)));
+  return match ? match[0] : null;
+}
+
+/**
+ * Pick the color that signals a status from the colors its styles use. Without one
+ * in the signal range, the most saturated color is moved into it, keeping its hue.
+ * @param {Array} colors - Colors with counts, from the most used
+ * @returns {string|null} - Most used color light and saturated enough to be a signal, or the
+ *   adjusted color; null when the styles only use grays
+ */
+function selectStatusColor(colors = []) {
+  const opaque = colors
+    .filter(({ value }) => chroma.valid(value) && chroma(value).alpha() === 1)
+    .map(({ value }) => ({ value, oklch: chroma(value).oklch() }));
+
+  const signal = opaque.find(({ oklch: [lightness, saturation] }) =>
+    lightness >= SIGNAL_LIGHTNESS[0] && lightness <= SIGNAL_LIGHTNESS[1] && saturation >= SIGNAL_CHROMA
+  );
+  if (signal) return signal.value;
+
+  // Alerts often only use a dark text color and a pale tint of the status hue
+  const [saturated] = opaque
+    .filter(({ oklch: [, saturation] }) => saturation >= HUE_CHROMA)
+    .sort((a, b) => b.oklch[1] - a.oklch[1]);
+  if (!saturated) return null;
+
+  const [lightness, saturation, hue] = saturated.oklch;
+  return toGamut(clamp(lightness, ...SIGNAL_LIGHTNESS), Math.max(saturation, SIGNAL_CHROMA), hue);
+}
+
+/**
+ * Generate a status color with the lightness and chroma of the brand color
+ * @param {string} status - success, info, warning or danger
+ * @param {string} brand - Brand color
+ * @returns {string} - Hex color
+ */
+function harmonizeStatusColor(status, brand) {
+  const [lightness, saturation, brandHue] = chroma(brand).oklch();
+  const { hue } = STATUSES[status];
+
+  // The status hue leans slightly toward a chromatic brand hue
+  let pull = 0;
+  if (!Number.isNaN(brandHue) && saturation >= SIGNAL_CHROMA) {
+    const difference = ((brandHue - hue + 540) % 360) - 180;
+    pull = Math.max(-MAX_HUE_PULL, Math.min(MAX_HUE_PULL, difference * HUE_PULL));
+  }
+
+  const [minLightness, maxLightness] = status === 'warning' ? WARNING_LIGHTNESS : GENERATED_LIGHTNESS;
+  return toGamut(
+    clamp(lightness, minLightness, maxLightness),
+    clamp(saturation, ...GENERATED_CHROMA),
+    (hue + pull + 360) % 360
+  );
+}
+
+/**
+ * Build the status colors of a style guide: the colors found on the sites, otherwise
+ * colors generated from the brand, with foreground and background pairs that pass contrast
+ * @param {Object} found - Status colors found on the sites, colors with counts by status
+ * @param {string|null} brand - Brand color generated colors are tuned to
+ * @param {string} surface - Page background the status text is shown on
+ * @returns {Object} - Status colors by status, with value, source (site, brand or
+ *   default) and solid, subtle and text pairs
+ */
+function buildStatusColors(found = {}, brand = null, surface = '#ffffff') {
+  const validBrand = brand && chroma.valid(brand) ? brand : null;
+
+  return Object.fromEntries(Object.keys(STATUSES).map(status => {
+    const siteColor = selectStatusColor(found[status]);
+    const value = siteColor || (validBrand ? harmonizeStatusColor(status, validBrand) : DEFAULT_STATUS_COLORS[status]);
+    const source = siteColor ? 'site' : validBrand ? 'brand' : 'default';
+
+    return [status, { value, source, pairs: buildStatusPairs(value, surface) }];
+  }));
+}
+
+/**
+ * Build contrasting foreground and background pairs from the shade ramp of a status color
+ * @param {string} color - Status color
+ * @param {string} surface - Page background
+ * @returns {Object} - solid (text on the status color), subtle (status text on a tint) and
+ *   text (status text on the page background) pairs with foreground, background and ratio
+ */
+function buildStatusPairs(color, surface) {
+  const ramp = generateShadeRamp(color);
+  const shades = ramp.shades;
+  const base = shades.findIndex(shade => shade.step === ramp.step);
+  const pair = (foreground, background) => ({
+    foreground,
+    background,
+    ratio: evaluateContrast(foreground, background).ratio
+  });
+
+  // White text on the status color, darkened until white passes. Light colors such
+  // as amber keep their fill and take black text.
+  const light = chroma(color).oklch()[0] >= LIGHT_FILL;
+  const solid = light && shades[base].contrast.black >= PAIR_CONTRAST ?
+    pair('#000000', shades[base].value) :
+    shades.slice(base).map(shade => pair('#ffffff', shade.value))
+      .find(candidate => candidate.ratio >= PAIR_CONTRAST) || pair('#ffffff', shades[shades.length - 1].value);
+
+  // The first shade from the status color toward the other end that passes on the tint
+  // or the page
+  const darkSurface = chroma.valid(surface) && chroma(surface).luminance() < 0.5;
+  const readable = background => {
+    const candidates = darkSurface ? shades.slice(0, base + 1).reverse() : shades.slice(base);
+    return candidates.map(shade => pair(shade.value, background)).find(candidate => candidate.ratio >= PAIR_CONTRAST) ||
+      pair(darkSurface ? '#ffffff' : '#000000', background);
+  };
+  const tint = darkSurface ? shades[shades.length - 1].value : shades[0].value;
+
+  return {
+    solid,
+    subtle: readable(tint),
+    text: readable(chroma.valid(surface) ? chroma(surface).hex() : '#ffffff')
+  };
+}
+
+/**
+ * Clamp a number to a range
+ * @param {number} value - Number
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Clamped number
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+module.exports = {
+  matchStatus,
+  buildStatusColors
+};
@@ -0,0 +1,512 @@
+const axios = require('axios');
+const postcss = require('postcss');
+const logger = require('./logger');
+
+// Limits that keep a single analysis from fetching an unbounded amount of CSS
+const MAX_IMPORT_DEPTH = 5;
+const MAX_STYLESHEET_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT = 15000;
+
+// Pseudo-classes that depend on user interaction and never match a static document
+const DYNAMIC_PSEUDO_CLASSES = [
+  'hover', 'focus', 'focus-visible', 'focus-within', 'active',
+  'visited', 'target', 'placeholder-shown', 'autofill'
+];
+
+/**
+ * Collect and parse every stylesheet used by a page
+ * @param {Object} $ - Cheerio instance
+ * @param {string} pageUrl - URL of the page, used to resolve relative hrefs
+ * @returns {Promise<Object>} - Parsed stylesheets and their flattened rules
+ */
+async function loadStylesheets($, pageUrl) {
+  logger.debug(`Collecting stylesheets for ${pageUrl}`);
+
+  const seen = new Set();
+  const entries = [];
+
+  // Keep document order so that later rules still come after earlier ones
+  $('link[rel~="stylesheet"][href], style').each((i, el) => {
+    const element = $(el);
+    const media = (element.attr('media') || '').trim();
+
+    // Print-only and alternate stylesheets do not describe the on-screen design
+    if (/^print$/i.test(media)) return;
+    if (/\balternate\b/i.test(element.attr('rel') || '')) return;
+
+    if (el.tagName === 'style') {
+      entries.push({ href: null, origin: 'style', media, css: element.html() || '' });
+    } else {
+      const href = resolveUrl(element.attr('href'), pageUrl);
+      if (href) {
+        entries.push({ href, origin: 'link', media });
+      }
+    }
+  });
+
+  const loaded = await Promise.all(
+    entries.map(entry => loadStylesheet(entry, pageUrl, seen, 0))
+  );
+
+  return buildStylesheetModel(loaded.flat());
+}
+
+/**
+ * Parse stylesheets whose CSS text is already known, e.g. read from a
+ * rendered page
+ * @param {Array} sources - Stylesheets with href, origin, media and css
+ * @returns {Object} - Stylesheet summaries and flattened rules
+ */
+function parseStylesheets(sources) {
+  const sheets = sources
+    .map(source => ({ ...source, root: parseCss(source.css, source.href || 'inline style') }))
+    .filter(sheet => sheet.root);
+
+  return buildStylesheetModel(sheets);
+}
+
+/**
+ * Build the stylesheet model from parsed stylesheets
+ * @param {Array} sheets - Stylesheets with href, origin, media and root
+ * @returns {Object} - Stylesheet summaries, flattened rules, @font-face and @keyframes rules
+ */
+function buildStylesheetModel(sheets) {
+  const rules = sheets.flatMap(sheet => extractRules(sheet));
+  const fontFaces = sheets.flatMap(sheet => extractFontFaces(sheet));
+  const keyframes = sheets.flatMap(sheet => extractKeyframes(sheet));
+
+  return {
+    sheets: sheets.map(sheet => ({
+      href: sheet.href,
+      origin: sheet.origin,
+      media: sheet.media || null,
+      rules: rules.filter(rule => rule.sheet === sheet).length,
+      banner: getBanner(sheet)
+    })),
+    rules,
+    fontFaces,
+    keyframes
+  };
+}
+
+/**
+ * Load a stylesheet and, recursively, the stylesheets it imports
+ * @param {Object} entry - Stylesheet entry (href or inline css)
+ * @param {string} pageUrl - URL of the page
+ * @param {Set} seen - Already requested stylesheet URLs
+ * @param {number} depth - Current @import nesting depth
+ * @returns {Promise<Array>} - Parsed stylesheets, imports first
+ */
+async function loadStylesheet(entry, pageUrl, seen, depth) {
+  let css = entry.css;
+
+  if (entry.href) {
+    if (seen.has(entry.href)) return [];
+    seen.add(entry.href);
+
+    css = await fetchStylesheet(entry.href);
+    if (css === null) return [];
+  }
+
+  const root = parseCss(css, entry.href || pageUrl);
+  if (!root) return [];
+
+  // Collect @import rules before loading them so they can be fetched in parallel
+  const imports = [];
+  if (depth < MAX_IMPORT_DEPTH) {
+    root.walkAtRules('import', atRule => {
+      const parsed = parseImport(atRule.params, entry.href || pageUrl);
+      if (parsed) {
+        imports.push({
+          href: parsed.href,
+          origin: 'import',
+          media: [entry.media, parsed.media].filter(Boolean).join(' and ')
+        });
+      }
+    });
+  }
+
+  const nested = await Promise.all(
+    imports.map(imported => loadStylesheet(imported, pageUrl, seen, depth + 1))
+  );
+
+  return [
+    ...nested.flat(),
+    { href: entry.href, origin: entry.origin, media: entry.media, root }
+  ];
+}
+
+/**
+ * Download a stylesheet
+ * @param {string} href - Absolute stylesheet URL
+ * @returns {Promise<string|null>} - CSS text, or null if it could not be fetched
+ */
+async function fetchStylesheet(href) {
+  try {
+    const response = await axios.get(href, {
+      responseType: 'text',
+      timeout: FETCH_TIMEOUT,
+      maxContentLength: MAX_STYLESHEET_BYTES,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Accept': 'text/css,*/*;q=0.1'
+      }
+    });
+
+    return typeof response.data === 'string' ? response.data : String(response.data);
+  } catch (error) {
+    logger.warn(`Could not fetch stylesheet ${href}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parse CSS text without throwing on malformed stylesheets
+ * @param {string} css - CSS text
+ * @param {string} source - Where the CSS came from, for logging
+ * @returns {Object|null} - PostCSS root node
+ */
+function parseCss(css, source) {
+  try {
+    return postcss.parse(css || '', { from: undefined });
+  } catch (error) {
+    logger.warn(`Could not parse stylesheet ${source}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parse the parameters of an @import rule
+ * @param {string} params - @import parameters
+ * @param {string} baseUrl - URL of the importing stylesheet
+ * @returns {Object|null} - Resolved href and media condition
+ */
+function parseImport(params, baseUrl) {
+  const match = params.match(/^(?:url\(\s*)?(["']?)([^"')]+)\1\s*\)?\s*(.*)$/i);
+  if (!match) return null;
+
+  const href = resolveUrl(match[2].trim(), baseUrl);
+  if (!href) return null;
+
+  // Drop layer() and supports() so only the media condition remains
+  const media = match[3]
+    .replace(/\b(?:layer|supports)\([^)]*\)/gi, '')
+    .replace(/\blayer\b/gi, '')
+    .trim();
+
+  return { href, media };
+}
+
+/**
+ * Resolve a possibly relative URL
+ * @param {string} href - URL as written in the document
+ * @param {string} baseUrl - Base URL
+ * @returns {string|null} - Absolute http(s) URL
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Flatten the style rules of a stylesheet
+ * @param {Object} sheet - Parsed stylesheet
+ * @returns {Array} - Rules with their selector, declarations and conditions
+ */
+function extractRules(sheet) {
+  const rules = [];
+
+  sheet.root.walkRules(rule => {
+    const conditions = getConditions(rule, sheet.media);
+
+    // Keyframe selectors (from, to, 50%) are not element selectors
+    if (conditions.some(condition => /keyframes$/i.test(condition.name))) return;
+
+    const declarations = [];
+    rule.each(node => {
+      if (node.type === 'decl') {
+        declarations.push({
+          property: node.prop.startsWith('--') ? node.prop : node.prop.toLowerCase(),
+          value: node.value.trim(),
+          important: Boolean(node.important)
+        });
+      }
+    });
+
+    if (declarations.length > 0) {
+      rules.push({
+        selector: rule.selector,
+        declarations,
+        conditions,
+        sheet
+      });
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Read the comment a stylesheet starts with, where libraries put their name,
+ * version and license
+ * @param {Object} sheet - Parsed stylesheet
+ * @returns {string|null} - Comment text, or null if the stylesheet has none
+ */
+function getBanner(sheet) {
+  const first = sheet.root.first;
+  if (!first || first.type !== 'comment') return null;
+
+  return first.text.replace(/^!\s*/, '').replace(/\s+/g, ' ').trim().slice(0, 200) || null;
+}
+
+/**
+ * Collect the @font-face rules of a stylesheet
+ * @param {Object} sheet - Parsed stylesheet
+ * @returns {Array} - Font faces with their descriptors, the stylesheet URL and conditions
+ */
+function extractFontFaces(sheet) {
+  const fontFaces = [];
+
+  sheet.root.walkAtRules(/^font-face$/i, atRule => {
+    const descriptors = {};
+    atRule.each(node => {
+      if (node.type === 'decl') {
+        descriptors[node.prop.toLowerCase()] = node.value.trim();
+      }
+    });
+
+    if (descriptors['font-family'] && descriptors.src) {
+      fontFaces.push({
+        descriptors,
+        href: sheet.href || null,
+        conditions: getConditions(atRule, sheet.media)
+      });
+    }
+  });
+
+  return fontFaces;
+}
+
+/**
+ * Collect the @keyframes rules of a stylesheet, including vendor-prefixed ones
+ * @param {Object} sheet - Parsed stylesheet
+ * @returns {Array} - Keyframes with their name, frames (offsets from 0 to 100 and
+ *   declarations), the stylesheet URL and conditions
+ */
+function extractKeyframes(sheet) {
+  const keyframes = [];
+
+  sheet.root.walkAtRules(/^(?:-[a-z]+-)?keyframes$/i, atRule => {
+    const frames = [];
+    atRule.each(rule => {
+      if (rule.type !== 'rule') return;
+
+      const declarations = {};
+      rule.each(node => {
+        if (node.type === 'decl') {
+          declarations[node.prop.toLowerCase()] = node.value.trim();
+        }
+      });
+
+      rule.selector.split(',').forEach(selector => {
+        const offset = { from: 0, to: 100 }[selector.trim().toLowerCase()] ?? parseFloat(selector);
+        if (!Number.isNaN(offset)) {
+          frames.push({ offset, declarations });
+        }
+      });
+    });
+
+    if (frames.length > 0) {
+      keyframes.push({
+        name: atRule.params.trim().replace(/^["']|["']$/g, ''),
+        frames: frames.sort((a, b) => a.offset - b.offset),
+        href: sheet.href || null,
+        conditions: getConditions(atRule, sheet.media)
+      });
+    }
+  });
+
+  return keyframes;
+}
+
+/**
+ * Collect the at-rule conditions (media, supports, container, ...) around a rule
+ * @param {Object} node - PostCSS node
+ * @param {string} sheetMedia - Media condition of the stylesheet itself
+ * @returns {Array} - Conditions from outermost to innermost
+ */
+function getConditions(node, sheetMedia) {
+  const conditions = [];
+
+  for (let parent = node.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+    if (parent.type === 'atrule') {
+      conditions.unshift({ name: parent.name.toLowerCase(), params: parent.params });
+    }
+  }
+
+  if (sheetMedia) {
+    conditions.unshift({ name: 'media', params: sheetMedia });
+  }
+
+  return conditions;
+}
+
+/**
+ * Collect style declarations from stylesheets and inline styles, weighted
+ * by the number of elements they apply to
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @returns {Array} - Weighted declarations
+ */
+function collectDeclarations($, stylesheets) {
+  const declarations = [];
+  const matchCache = new Map();
+
+  (stylesheets?.rules || []).forEach(rule => {
+    const weight = countMatches($, rule.selector, matchCache);
+    if (weight === 0) return;
+
+    rule.declarations.forEach(declaration => {
+      declarations.push({
+        ...declaration,
+        weight,
+        selector: rule.selector,
+        conditions: rule.conditions,
+        origin: 'stylesheet'
+      });
+    });
+  });
+
+  // Inline styles apply to exactly one element each, kept as their node for the cascade
+  $('[style]').each((i, el) => {
+    parseInlineStyle($(el).attr('style')).forEach(declaration => {
+      declarations.push({
+        ...declaration,
+        weight: 1,
+        selector: null,
+        conditions: [],
+        origin: 'inline',
+        node: el
+      });
+    });
+  });
+
+  return declarations;
+}
+
+/**
+ * Parse the contents of a style attribute
+ * @param {string} style - Style attribute value
+ * @returns {Array} - Declarations
+ */
+function parseInlineStyle(style) {
+  const root = parseCss(style, 'style attribute');
+  if (!root) return [];
+
+  const declarations = [];
+  root.each(node => {
+    if (node.type === 'decl') {
+      declarations.push({
+        property: node.prop.startsWith('--') ? node.prop : node.prop.toLowerCase(),
+        value: node.value.trim(),
+        important: Boolean(node.important)
+      });
+    }
+  });
+
+  return declarations;
+}
+
+/**
+ * Count the elements matched by a selector list
+ * @param {Object} $ - Cheerio instance
+ * @param {string} selector - Selector list
+ * @param {Map} cache - Cache of already counted selectors
+ * @returns {number} - Number of matched elements
+ */
+function countMatches($, selector, cache) {
+  if (cache.has(selector)) return cache.get(selector);
+
+  let count = 0;
+  splitSelectorList(selector).forEach(part => {
+    const staticSelector = toStaticSelector(part);
+    if (!staticSelector) return;
+
+    try {
+      count += $(staticSelector).length;
+    } catch (e) {
+      // Selector not supported by cheerio
+    }
+  });
+
+  cache.set(selector, count);
+  return count;
+}
+
+/**
+ * Split a selector list on top-level commas
+ * @param {string} selector - Selector list
+ * @returns {Array} - Individual selectors
+ */
+function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of selector) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  return parts.filter(Boolean);
+}
+
+/**
+ * Rewrite a selector so it can be matched against a static document
+ * @param {string} selector - Single selector
+ * @returns {string|null} - Selector without pseudo-elements and dynamic pseudo-classes
+ */
+function toStaticSelector(selector) {
+  // Nesting selectors need their parent rule to be resolved
+  if (selector.includes('&')) return null;
+
+  const dynamic = DYNAMIC_PSEUDO_CLASSES.join('|');
+  let result = selector
+    .replace(/::?-(?:webkit|moz|ms|o)-[\w-]+(?:\([^)]*\))?/gi, '')
+    .replace(/::[\w-]+(?:\([^)]*\))?/g, '')
+    .replace(/:(?:before|after|first-line|first-letter)\b/gi, '')
+    .replace(new RegExp(`:(?:${dynamic})(?![\\w-])`, 'gi'), '')
+    .trim();
+
+  // A selector that was only pseudo-classes, or now ends in a combinator, applies to any element
+  if (!result || /[>+~]$/.test(result)) {
+    result = `${result} *`.trim();
+  }
+
+  return result;
+}
+
+module.exports = {
+  loadStylesheets,
+  parseStylesheets,
+  collectDeclarations,
+  parseInlineStyle,
+  splitSelectorList,
+  toStaticSelector,
+  parseCss,
+  resolveUrl
+};
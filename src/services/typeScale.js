@@ -0,0 +1,227 @@
+const { resolveFontSize } = require('./cascade');
+
+// Modular ratios type scales are commonly built on, smallest first
+const MODULAR_RATIOS = [
+  { name: 'major second', value: 1.125 },
+  { name: 'minor third', value: 1.2 },
+  { name: 'major third', value: 1.25 },
+  { name: 'perfect fourth', value: 1.333 },
+  { name: 'perfect fifth', value: 1.5 },
+  { name: 'golden ratio', value: 1.618 }
+];
+
+// Named steps of the scale, as powers of the ratio from the base size
+const SCALE_STEPS = {
+  xs: -2,
+  sm: -1,
+  base: 0,
+  lg: 1,
+  xl: 2,
+  '2xl': 3,
+  '3xl': 4,
+  '4xl': 5,
+  '5xl': 6
+};
+
+// Body text sizes the base of the scale is picked from, and the base without one
+const BASE_RANGE = [14, 20];
+const DEFAULT_BASE = 16;
+const ROOT_FONT_SIZE = 16;
+
+// Smaller sizes are hidden text or icon hacks, larger ones display numbers or hero art
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 160;
+
+// Fewer distinct sizes can be fitted by any ratio
+const MIN_DISTINCT_SIZES = 4;
+
+// Fit scores this close count as a tie, won by the larger ratio. Smaller ratios have
+// steps close together, so a few extra sizes can make them fit slightly better.
+const SCORE_TIE = 0.02;
+
+// Share a size may differ from its step before it is an outlier
+const OUTLIER_TOLERANCE = 0.05;
+
+// Lengths and keywords a font size resolves to px from; relative lengths are taken
+// against the root font size
+const RESOLVABLE_SIZE = /^(?:\d*\.?\d+(?:px|em|rem|%|pt)|xx-small|x-small|small|medium|large|x-large|xx-large|xxx-large)$/i;
+
+/**
+ * Fit the font sizes of the analyzed sites against the common modular ratios
+ * @param {Array} fontSizes - Font sizes with value and count
+ * @param {Object} viewports - Mobile and desktop viewport widths in px the fluid scale spans
+ * @returns {Object|null} - Base size, best ratio, the fit score of every ratio, the named
+ *   scale, outliers and a fluid clamp() scale; null when there are too few sizes
+ */
+function inferTypeScale(fontSizes = [], viewports = {}) {
+  const sizes = normalizeFontSizes(fontSizes);
+  if (sizes.length < MIN_DISTINCT_SIZES) return null;
+
+  const base = selectBaseSize(sizes);
+  const fits = MODULAR_RATIOS.map(ratio => ({ ...ratio, score: scoreRatio(sizes, base, ratio.value) }));
+
+  // Fits are compared from the largest ratio, so ties go to it
+  const best = [...fits].reverse().reduce((winner, fit) => (fit.score > winner.score + SCORE_TIE ? fit : winner));
+
+  const scale = Object.fromEntries(Object.entries(SCALE_STEPS).map(([name, step]) => [
+    name,
+    toRem(base * best.value ** step)
+  ]));
+
+  // Sizes far from their step, with the named step they are closest to
+  const outliers = sizes
+    .map(size => {
+      const step = nearestStep(size.px, base, best.value);
+      const expected = base * best.value ** step;
+      return { ...size, step: nameStep(step), expected: round(expected), deviation: round((size.px - expected) / expected) };
+    })
+    .filter(size => Math.abs(size.deviation) > OUTLIER_TOLERANCE)
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    base: { px: round(base), rem: toRem(base) },
+    ratio: { name: best.name, value: best.value },
+    score: best.score,
+    fits: fits.map(({ name, value, score }) => ({ name, value, score })),
+    scale,
+    outliers,
+    fluid: buildFluidScale(base, best, viewports)
+  };
+}
+
+/**
+ * Resolve font sizes to px, merging the values that resolve to the same size
+ * @param {Array} fontSizes - Font sizes with value and count
+ * @returns {Array} - Sizes with px, the values they were declared as and count, from the
+ *   smallest; values such as var() or clamp() that cannot be resolved are left out
+ */
+function normalizeFontSizes(fontSizes) {
+  const sizes = new Map();
+
+  fontSizes.forEach(({ value, count }) => {
+    if (typeof value !== 'string' || !RESOLVABLE_SIZE.test(value.trim())) return;
+
+    const px = round(resolveFontSize(value));
+    if (px < MIN_FONT_SIZE || px > MAX_FONT_SIZE) return;
+
+    const size = sizes.get(px) || { px, values: [], count: 0 };
+    if (!size.values.includes(value.trim())) size.values.push(value.trim());
+    size.count += count || 1;
+    sizes.set(px, size);
+  });
+
+  return [...sizes.values()].sort((a, b) => a.px - b.px);
+}
+
+/**
+ * Pick the base size of the scale
+ * @param {Array} sizes - Sizes with px and count
+ * @returns {number} - Most used body text size in px, or 16
+ */
+function selectBaseSize(sizes) {
+  const body = sizes
+    .filter(({ px }) => px >= BASE_RANGE[0] && px <= BASE_RANGE[1])
+    .sort((a, b) => b.count - a.count || Math.abs(a.px - DEFAULT_BASE) - Math.abs(b.px - DEFAULT_BASE));
+  return body.length > 0 ? body[0].px : DEFAULT_BASE;
+}
+
+/**
+ * Score how well a ratio explains the sizes
+ * @param {Array} sizes - Sizes with px and count
+ * @param {number} base - Base size in px
+ * @param {number} ratio - Modular ratio
+ * @returns {number} - 1 when every size sits on a step, 0 when every size sits halfway
+ *   between two; the distance to the nearest step is weighted by usage
+ */
+function scoreRatio(sizes, base, ratio) {
+  const total = sizes.reduce((sum, { count }) => sum + count, 0);
+  const error = sizes.reduce((sum, { px, count }) => {
+    const exact = Math.log(px / base) / Math.log(ratio);
+    return sum + Math.abs(exact - Math.round(exact)) * count;
+  }, 0) / total;
+
+  return round(1 - 2 * error);
+}
+
+/**
+ * Build a fluid version of the scale that grows from the mobile to the desktop viewport.
+ * The range is pinned to the viewports the pages were analyzed at rather than the
+ * breakpoints, where a single very narrow or wide one would stretch every size.
+ * Phones use the next smaller ratio, so headings shrink more than body text.
+ * @param {number} base - Base size in px
+ * @param {Object} ratio - Ratio of the scale, with value
+ * @param {Object} viewports - Mobile and desktop viewport widths in px
+ * @returns {Object|null} - Viewport widths and a clamp() value by step name; null without
+ *   a range to span
+ */
+function buildFluidScale(base, ratio, { mobile, desktop } = {}) {
+  if (!(mobile > 0) || !(desktop > mobile)) return null;
+
+  const index = MODULAR_RATIOS.findIndex(candidate => candidate.value === ratio.value);
+  const mobileRatio = MODULAR_RATIOS[Math.max(0, index - 1)].value;
+
+  const scale = Object.fromEntries(Object.entries(SCALE_STEPS).map(([name, step]) => {
+    const small = base * mobileRatio ** step;
+    const large = base * ratio.value ** step;
+    if (Math.abs(large - small) < 0.01) return [name, toRem(large)];
+
+    // The size is a line through both sizes at both widths, expressed as rem + vw
+    const slope = (large - small) / (desktop - mobile);
+    const intercept = small - slope * mobile;
+    const preferred = `${toRem(intercept)} ${slope < 0 ? '-' : '+'} ${round(Math.abs(slope) * 100, 4)}vw`;
+    return [name, `clamp(${toRem(Math.min(small, large))}, ${preferred}, ${toRem(Math.max(small, large))})`];
+  }));
+
+  return {
+    minViewport: `${mobile}px`,
+    maxViewport: `${desktop}px`,
+    mobileRatio,
+    scale
+  };
+}
+
+/**
+ * Find the step of the scale nearest a size
+ * @param {number} px - Size in px
+ * @param {number} base - Base size in px
+ * @param {number} ratio - Modular ratio
+ * @returns {number} - Power of the ratio
+ */
+function nearestStep(px, base, ratio) {
+  return Math.round(Math.log(px / base) / Math.log(ratio));
+}
+
+/**
+ * Name a step of the scale
+ * @param {number} step - Power of the ratio
+ * @returns {string} - Name of the step, or of the end of the scale beyond it
+ */
+function nameStep(step) {
+  const steps = Object.entries(SCALE_STEPS);
+  const clamped = Math.max(steps[0][1], Math.min(steps[steps.length - 1][1], step));
+  return steps.find(([, value]) => value === clamped)[0];
+}
+
+/**
+ * Express a px value in rem
+ * @param {number} px - Value in px
+ * @returns {string} - Value in rem
+ */
+function toRem(px) {
+  return `${round(px / ROOT_FONT_SIZE, 4)}rem`;
+}
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Number
+ * @param {number} decimals - Decimals to keep
+ * @returns {number} - Rounded number
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  inferTypeScale
+};
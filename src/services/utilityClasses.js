@@ -0,0 +1,653 @@
+const chroma = require('chroma-js');
+const { resolveVariables } = require('./customProperties');
+const { expandShorthand } = require('./cascade');
+
+// Token categories decoded from utility classes, in the order they are reported
+const CATEGORIES = ['colors', 'spacing', 'radii', 'fontSizes', 'fontWeights', 'shadows'];
+
+const MAX_EXAMPLE_CLASSES = 5;
+
+// A selector made of a single class, optionally in a state, e.g. .hover\:bg-blue-500:hover
+const CLASS_RULE_SELECTOR = /^\.((?:\\[0-9a-f]{1,6}\s?|\\.|[\w-])+)(?::(?:hover|focus|focus-visible|focus-within|active|visited|checked|disabled))?$/i;
+
+// Tailwind CSS 3 default palette, shades 50 to 950 per color
+const TAILWIND_SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+const TAILWIND_PALETTE = {
+  slate: 'f8fafc f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a 020617',
+  gray: 'f9fafb f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827 030712',
+  zinc: 'fafafa f4f4f5 e4e4e7 d4d4d8 a1a1aa 71717a 52525b 3f3f46 27272a 18181b 09090b',
+  neutral: 'fafafa f5f5f5 e5e5e5 d4d4d4 a3a3a3 737373 525252 404040 262626 171717 0a0a0a',
+  stone: 'fafaf9 f5f5f4 e7e5e4 d6d3d1 a8a29e 78716c 57534e 44403c 292524 1c1917 0c0a09',
+  red: 'fef2f2 fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d 450a0a',
+  orange: 'fff7ed ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12 431407',
+  amber: 'fffbeb fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f 451a03',
+  yellow: 'fefce8 fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12 422006',
+  lime: 'f7fee7 ecfccb d9f99d bef264 a3e635 84cc16 65a30d 4d7c0f 3f6212 365314 1a2e05',
+  green: 'f0fdf4 dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d 052e16',
+  emerald: 'ecfdf5 d1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b 022c22',
+  teal: 'f0fdfa ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a 042f2e',
+  cyan: 'ecfeff cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63 083344',
+  sky: 'f0f9ff e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e 082f49',
+  blue: 'eff6ff dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a 172554',
+  indigo: 'eef2ff e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81 1e1b4b',
+  violet: 'f5f3ff ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95 2e1065',
+  purple: 'faf5ff f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87 3b0764',
+  fuchsia: 'fdf4ff fae8ff f5d0fe f0abfc e879f9 d946ef c026d3 a21caf 86198f 701a75 4a044e',
+  pink: 'fdf2f8 fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843 500724',
+  rose: 'fff1f2 ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337 4c0519'
+};
+
+const TAILWIND_FONT_SIZES = {
+  xs: '0.75rem', sm: '0.875rem', base: '1rem', lg: '1.125rem', xl: '1.25rem', '2xl': '1.5rem',
+  '3xl': '1.875rem', '4xl': '2.25rem', '5xl': '3rem', '6xl': '3.75rem', '7xl': '4.5rem', '8xl': '6rem', '9xl': '8rem'
+};
+
+const FONT_WEIGHTS = {
+  thin: '100', extralight: '200', light: '300', normal: '400', medium: '500',
+  semibold: '600', bold: '700', extrabold: '800', black: '900', lighter: 'lighter', bolder: 'bolder'
+};
+
+// Tailwind CSS 4 shifted the radius and shadow scales down one step
+const TAILWIND_RADII = {
+  3: {
+    none: '0', sm: '0.125rem', default: '0.25rem', md: '0.375rem', lg: '0.5rem',
+    xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px'
+  },
+  4: {
+    none: '0', xs: '0.125rem', sm: '0.25rem', default: '0.25rem', md: '0.375rem', lg: '0.5rem',
+    xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', '4xl': '2rem', full: 'calc(infinity * 1px)'
+  }
+};
+
+const TAILWIND_SHADOWS = {
+  3: {
+    sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+    default: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+    lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+    xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+    '2xl': '0 25px 50px -12px rgb(0 0 0 / 0.25)',
+    inner: 'inset 0 2px 4px 0 rgb(0 0 0 / 0.05)',
+    none: 'none'
+  },
+  4: {
+    '2xs': '0 1px rgb(0 0 0 / 0.05)',
+    xs: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+    sm: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    default: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+    lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+    xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+    '2xl': '0 25px 50px -12px rgb(0 0 0 / 0.25)',
+    none: 'none'
+  }
+};
+
+// Bootstrap's theme colors changed with every major version
+const BOOTSTRAP_COLORS = {
+  3: {
+    primary: '#337ab7', success: '#5cb85c', info: '#5bc0de', warning: '#f0ad4e', danger: '#d9534f', muted: '#777777'
+  },
+  4: {
+    primary: '#007bff', secondary: '#6c757d', success: '#28a745', info: '#17a2b8', warning: '#ffc107',
+    danger: '#dc3545', light: '#f8f9fa', dark: '#343a40', white: '#ffffff', black: '#000000', body: '#212529', muted: '#6c757d'
+  },
+  5: {
+    primary: '#0d6efd', secondary: '#6c757d', success: '#198754', info: '#0dcaf0', warning: '#ffc107',
+    danger: '#dc3545', light: '#f8f9fa', dark: '#212529', white: '#ffffff', black: '#000000', body: '#212529', muted: '#6c757d'
+  }
+};
+
+const BOOTSTRAP_SPACERS = { 0: '0', 1: '0.25rem', 2: '0.5rem', 3: '1rem', 4: '1.5rem', 5: '3rem' };
+
+const BOOTSTRAP_RADII = {
+  4: { default: '0.25rem', 0: '0', sm: '0.2rem', lg: '0.3rem', pill: '50rem', circle: '50%' },
+  5: {
+    default: '0.375rem', 0: '0', 1: '0.25rem', 2: '0.375rem', 3: '0.5rem', 4: '1rem', 5: '2rem',
+    sm: '0.25rem', lg: '0.5rem', pill: '50rem', circle: '50%'
+  }
+};
+
+const BOOTSTRAP_FONT_SIZES = {
+  'fs-1': '2.5rem', 'fs-2': '2rem', 'fs-3': '1.75rem', 'fs-4': '1.5rem', 'fs-5': '1.25rem', 'fs-6': '1rem',
+  'display-1': '5rem', 'display-2': '4.5rem', 'display-3': '4rem', 'display-4': '3.5rem',
+  'display-5': '3rem', 'display-6': '2.5rem', lead: '1.25rem'
+};
+
+const BOOTSTRAP_SHADOWS = {
+  sm: '0 0.125rem 0.25rem rgba(0, 0, 0, 0.075)',
+  default: '0 0.5rem 1rem rgba(0, 0, 0, 0.15)',
+  lg: '0 1rem 3rem rgba(0, 0, 0, 0.175)',
+  none: 'none'
+};
+
+// Longhand properties of the margin and padding utility suffixes
+const BOX_SIDES = {
+  '': '', t: '-top', r: '-right', b: '-bottom', l: '-left',
+  x: '-inline', y: '-block', s: '-inline-start', e: '-inline-end'
+};
+
+const TAILWIND_COLOR_PROPERTIES = { bg: 'background-color', text: 'color', border: 'border-color', fill: 'fill', stroke: 'stroke' };
+
+/**
+ * Utility class decoders per framework. Each decoder matches a class name and names its token:
+ *   category - Token category
+ *   pattern - Class name pattern; the last group is the value key
+ *   property - CSS property the class sets, or null when it has no single property
+ *   properties - Pattern of the declarations holding the value in the compiled rule (or a function
+ *     of the match returning it), or null to skip the rule
+ *   theme - Value of the key from the page's theme custom properties
+ *   defaults - Value of the key in the framework's default theme
+ *   known - Whether the key belongs to the framework's theme; classes with other keys are left
+ *     to the other detected frameworks first (optional, every key belongs to it by default)
+ */
+const DECODERS = {
+  tailwind: [
+    {
+      category: 'fontSizes',
+      pattern: /^text-(xs|sm|base|lg|[2-9]?xl)(?:\/[\w.]+)?$/,
+      property: () => 'font-size',
+      properties: /^font-size$/,
+      theme: (key, values) => themeValue(values, `--text-${key}`),
+      defaults: key => TAILWIND_FONT_SIZES[key]
+    },
+    {
+      category: 'colors',
+      pattern: /^(bg|text|border(?:-[xytrblse])?|ring(?:-offset)?|outline|fill|stroke|from|via|to|divide|placeholder|accent|caret|decoration|shadow)-([a-z]+(?:-[a-z]+)*(?:-\d{2,3})?|\[[^\]]+\])(?:\/[\w.[\]]+)?$/,
+      property: match => TAILWIND_COLOR_PROPERTIES[match[1]] || null,
+      properties: /^(?:background-color|color|border(?:-\w+)?-color|outline-color|fill|stroke|caret-color|accent-color|text-decoration-color|--tw-(?:ring|ring-offset|shadow)-color)$/,
+      theme: (key, values) => themeValue(values, `--color-${key}`),
+      defaults: key => tailwindColor(key),
+      known: (key, values) => key.startsWith('[') || Boolean(tailwindColor(key)) || values.has(`--color-${key}`)
+    },
+    {
+      category: 'spacing',
+      pattern: /^(p[xytrblse]?|m[xytrblse]?|gap(?:-[xy])?|space-[xy])-(px|\d+(?:\.5)?|\[[^\]]+\])$/,
+      property: match => tailwindSpacingProperty(match[1]),
+      properties: /^(?:margin|padding|gap|row-gap|column-gap)/,
+      theme: (key, values) => {
+        const unit = themeValue(values, '--spacing');
+        const match = unit && unit.match(/^(\d*\.?\d+)(px|rem|em)$/);
+        return match && /^\d/.test(key) ? formatLength(parseFloat(match[1]) * parseFloat(key), match[2]) : null;
+      },
+      defaults: key => key === 'px' ? '1px' : formatLength(parseFloat(key) * 0.25, 'rem')
+    },
+    {
+      category: 'radii',
+      pattern: /^rounded(-(?:[trblse]|tl|tr|br|bl|ss|se|es|ee))?(?:-(none|xs|sm|md|lg|[2-4]?xl|full|\[[^\]]+\]))?$/,
+      property: match => match[1] ? null : 'border-radius',
+      properties: /radius$/,
+      theme: (key, values) => key === 'default' ? null : themeValue(values, `--radius-${key}`),
+      defaults: (key, major) => TAILWIND_RADII[major >= 4 ? 4 : 3][key]
+    },
+    {
+      category: 'fontWeights',
+      pattern: /^font-(thin|extralight|light|normal|medium|semibold|bold|extrabold|black|\[\d+\])$/,
+      property: () => 'font-weight',
+      properties: /^font-weight$/,
+      theme: (key, values) => themeValue(values, `--font-weight-${key}`),
+      defaults: key => FONT_WEIGHTS[key]
+    },
+    {
+      category: 'shadows',
+      pattern: /^shadow(?:-(2xs|xs|sm|md|lg|xl|2xl|inner|none|\[[^\]]+\]))?$/,
+      property: () => 'box-shadow',
+      properties: /^(?:--tw-shadow|box-shadow)$/,
+      theme: (key, values) => key === 'default' ? null : themeValue(values, `--shadow-${key}`),
+      defaults: (key, major) => TAILWIND_SHADOWS[major >= 4 ? 4 : 3][key]
+    }
+  ],
+  bootstrap: [
+    {
+      category: 'colors',
+      pattern: /^(bg|text|border|btn|btn-outline|link|text-bg|alert|badge|table|list-group-item)-(primary|secondary|success|danger|warning|info|light|dark|white|black|muted|body)$/,
+      property: match => ({ bg: 'background-color', 'text-bg': 'background-color', text: 'color', link: 'color', border: 'border-color' })[match[1]] || null,
+      properties: match => ({
+        bg: /^background-color$/, 'text-bg': /^background-color$/, text: /^color$/, link: /^color$/,
+        border: /^border-color$/, btn: /^(?:--bs-btn-bg|background-color|background)$/
+      })[match[1]] || null,
+      theme: (key, values) => themeValue(values, `--bs-${key === 'body' ? 'body-color' : key}`) || themeValue(values, `--${key}`),
+      defaults: (key, major) => BOOTSTRAP_COLORS[Math.min(5, Math.max(3, major || 5))][key]
+    },
+    {
+      category: 'spacing',
+      pattern: /^([mp])([tbselrxy]?)-(?:(?:sm|md|lg|xl|xxl)-)?([0-5])$/,
+      property: match => match[0].split('-').length === 2 ? `${match[1] === 'm' ? 'margin' : 'padding'}${BOX_SIDES[match[2]]}` : null,
+      properties: /^(?:margin|padding)/,
+      defaults: key => BOOTSTRAP_SPACERS[key]
+    },
+    {
+      category: 'spacing',
+      pattern: /^(gap|row-gap|column-gap|g|gx|gy)-(?:(?:sm|md|lg|xl|xxl)-)?([0-5])$/,
+      property: match => match[0].split('-').length === 2 && !/^g/.test(match[1]) ? match[1] : null,
+      properties: /^(?:gap|row-gap|column-gap|--bs-gutter-[xy])$/,
+      defaults: key => BOOTSTRAP_SPACERS[key]
+    },
+    {
+      category: 'radii',
+      pattern: /^rounded(-(?:top|end|bottom|start|left|right))?(?:-([0-5]|sm|lg|pill|circle))?$/,
+      property: match => match[1] ? null : 'border-radius',
+      properties: /radius$/,
+      theme: (key, values) => themeValue(values, key === 'default' ? '--bs-border-radius' : `--bs-border-radius-${key}`),
+      defaults: (key, major) => BOOTSTRAP_RADII[major === 4 ? 4 : 5][key]
+    },
+    {
+      category: 'fontSizes',
+      pattern: /^(fs-[1-6]|display-[1-6]|lead)$/,
+      property: () => 'font-size',
+      properties: /^font-size$/,
+      defaults: key => BOOTSTRAP_FONT_SIZES[key]
+    },
+    {
+      category: 'fontWeights',
+      pattern: /^(?:fw|font-weight)-(light|lighter|normal|medium|semibold|bold|bolder)$/,
+      property: () => 'font-weight',
+      properties: /^font-weight$/,
+      defaults: key => FONT_WEIGHTS[key]
+    },
+    {
+      category: 'shadows',
+      pattern: /^shadow(?:-(sm|lg|none))?$/,
+      property: () => 'box-shadow',
+      properties: /^box-shadow$/,
+      theme: (key, values) => themeValue(values, key === 'default' ? '--bs-box-shadow' : `--bs-box-shadow-${key}`),
+      defaults: key => BOOTSTRAP_SHADOWS[key]
+    }
+  ]
+};
+
+/**
+ * Decode the utility classes of the detected utility frameworks (Tailwind CSS
+ * and Bootstrap) into design tokens, weighted by the number of elements using them.
+ * Values come from the class's rule in the compiled CSS, then from the page's
+ * theme custom properties, then from the framework's default theme.
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @param {Object} frameworks - CSS frameworks by id from detectFrameworks
+ * @param {Map} values - Custom property values by name
+ * @returns {Object} - Decoded tokens per category, class counts, and declarations for
+ *   utility classes the loaded stylesheets have no rule for
+ */
+function decodeUtilityClasses($, stylesheets, frameworks = {}, values = new Map()) {
+  // Classes both frameworks could name are decoded by the more confidently detected one
+  const detected = Object.keys(DECODERS)
+    .filter(id => frameworks[id]?.detected)
+    .sort((a, b) => (frameworks[b].confidence || 0) - (frameworks[a].confidence || 0));
+  const utilities = {
+    frameworks: detected.map(id => ({ id, name: frameworks[id].name, version: frameworks[id].version })),
+    classes: { total: 0, decoded: 0 },
+    tokens: Object.fromEntries(CATEGORIES.map(category => [category, []])),
+    declarations: []
+  };
+  if (detected.length === 0) return utilities;
+
+  const usage = new Map();
+  $('[class]').each((i, el) => {
+    ($(el).attr('class') || '').split(/\s+/).filter(Boolean).forEach(className => {
+      usage.set(className, (usage.get(className) || 0) + 1);
+    });
+  });
+
+  const rules = indexClassRules(stylesheets);
+  const tokens = new Map();
+  utilities.classes.total = usage.size;
+
+  usage.forEach((count, className) => {
+    const candidates = detected
+      .map(id => decodeClass(className, id, parseInt(frameworks[id].version, 10) || null, rules, values))
+      .filter(Boolean);
+    const decoded = candidates.find(candidate => candidate.known) || candidates[0];
+    if (!decoded) return;
+
+    utilities.classes.decoded++;
+
+    const key = `${decoded.category}|${decoded.framework}|${decoded.name}`;
+    if (!tokens.has(key)) {
+      tokens.set(key, {
+        category: decoded.category,
+        name: decoded.name,
+        value: decoded.value,
+        framework: decoded.framework,
+        source: decoded.source,
+        count: 0,
+        classes: []
+      });
+    }
+    const token = tokens.get(key);
+    // A value found on the site replaces the framework's default for the same token
+    if (token.source === 'default' && decoded.source !== 'default') {
+      token.value = decoded.value;
+      token.source = decoded.source;
+    }
+    token.count += count;
+    token.classes.push({ className, count });
+
+    // Classes generated at runtime, or from stylesheets that could not be loaded,
+    // still style the page: describe them as declarations so their values are weighted
+    if (!decoded.compiled && decoded.base && decoded.property) {
+      utilities.declarations.push({
+        property: decoded.property,
+        value: decoded.value,
+        important: false,
+        weight: count,
+        selector: `.${escapeClassName(className)}`,
+        conditions: [],
+        origin: 'utility'
+      });
+    }
+  });
+
+  tokens.forEach(({ category, classes, ...token }) => {
+    utilities.tokens[category].push({
+      ...token,
+      classes: classes.sort((a, b) => b.count - a.count).slice(0, MAX_EXAMPLE_CLASSES).map(entry => entry.className)
+    });
+  });
+  Object.values(utilities.tokens).forEach(list => list.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)));
+
+  return utilities;
+}
+
+/**
+ * Decode one class name with the decoders of a framework
+ * @param {string} className - Class name as written in the markup
+ * @param {string} framework - Framework id
+ * @param {number|null} major - Major version of the framework
+ * @param {Map} rules - Compiled rules by class name
+ * @param {Map} values - Custom property values by name
+ * @returns {Object|null} - Token category, name, value, source and whether the key belongs to the
+ *   framework's theme, or null if the class is not a known utility
+ */
+function decodeClass(className, framework, major, rules, values) {
+  const { utility, variants, negative } = framework === 'tailwind' ?
+    splitVariants(className) :
+    { utility: className, variants: [], negative: false };
+  if (negative) return null;
+
+  for (const decoder of DECODERS[framework]) {
+    const match = utility.match(decoder.pattern);
+    if (!match) continue;
+
+    const key = match[match.length - 1] || 'default';
+    const rule = rules.get(className);
+    const properties = typeof decoder.properties === 'function' ? decoder.properties(match) : decoder.properties;
+
+    // The rule of a class with an opacity or line height modifier (bg-black/50, text-sm/6) holds the modified value
+    const ruleValue = /\/[\w.[\]]+$/.test(utility) ? null : rule;
+
+    const candidates = key.startsWith('[') ?
+      [['arbitrary', () => key.slice(1, -1).replace(/_/g, ' ')]] :
+      [
+        ['stylesheet', () => properties && ruleValue ? compiledValue(ruleValue, properties, decoder.category, values) : null],
+        ['theme', () => decoder.theme ? decoder.theme(key, values) : null],
+        ['default', () => decoder.defaults(key, major)]
+      ];
+
+    let value = null;
+    let source = null;
+    for (const [candidateSource, read] of candidates) {
+      value = normalizeValue(decoder.category, read());
+      if (value) {
+        source = candidateSource;
+        break;
+      }
+    }
+    if (!value) continue;
+
+    return {
+      category: decoder.category,
+      framework,
+      name: key,
+      value,
+      source,
+      property: decoder.property(match),
+      compiled: Boolean(rule),
+      base: variants.length === 0,
+      known: decoder.known ? decoder.known(key, values) : true
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Split a Tailwind class into its variants (hover:, md:, dark:) and the utility
+ * @param {string} className - Class name
+ * @returns {Object} - Utility, variants and whether the utility is negated
+ */
+function splitVariants(className) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of className) {
+    if (char === '[') depth++;
+    if (char === ']') depth--;
+    if (char === ':' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  // Important modifiers are written before (v3) or after (v4) the utility
+  const utility = current.replace(/^!|!$/g, '');
+  return {
+    utility: utility.replace(/^-/, ''),
+    variants: parts,
+    negative: utility.startsWith('-')
+  };
+}
+
+/**
+ * Index the compiled rules of single class selectors by their unescaped class name.
+ * Compound and descendant selectors such as .alert-danger .alert-link style other elements.
+ * @param {Object} stylesheets - Stylesheet model from loadStylesheets
+ * @returns {Map} - Declarations by class name, unconditional rules first
+ */
+function indexClassRules(stylesheets) {
+  const rules = new Map();
+
+  [...(stylesheets?.rules || [])]
+    .sort((a, b) => a.conditions.length - b.conditions.length)
+    .forEach(rule => {
+      rule.selector.split(',').forEach(selector => {
+        const match = selector.trim().match(CLASS_RULE_SELECTOR);
+        if (!match) return;
+
+        const className = unescapeClassName(match[1]);
+        if (!rules.has(className)) {
+          rules.set(className, rule.declarations);
+        }
+      });
+    });
+
+  return rules;
+}
+
+/**
+ * Read a utility's value from its compiled rule, resolving the custom properties
+ * the rule sets itself (such as --tw-bg-opacity) before the global ones
+ * @param {Array} declarations - Declarations of the rule
+ * @param {RegExp} properties - Pattern of the properties holding the value
+ * @param {string} category - Token category
+ * @param {Map} values - Custom property values by name
+ * @returns {string|null} - Resolved value, or null if the rule has none
+ */
+function compiledValue(declarations, properties, category, values) {
+  const scoped = new Map(values);
+  declarations
+    .filter(declaration => declaration.property.startsWith('--'))
+    .forEach(declaration => scoped.set(declaration.property, declaration.value));
+
+  for (const declaration of declarations) {
+    if (!properties.test(declaration.property)) continue;
+
+    let value = resolveVariables(declaration.value, scoped);
+    // The background shorthand holds the color among its other components
+    if (declaration.property === 'background' && value) {
+      value = expandShorthand('background', value).find(longhand => longhand.property === 'background-color').value;
+    }
+
+    value = normalizeValue(category, value);
+    if (value) return value;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a theme custom property
+ * @param {Map} values - Custom property values by name
+ * @param {string} name - Custom property name
+ * @returns {string|null} - Resolved value, or null if the page does not define it
+ */
+function themeValue(values, name) {
+  return values.has(name) ? resolveVariables(values.get(name), values) : null;
+}
+
+/**
+ * Validate a decoded value for its category and bring it into a comparable form
+ * @param {string} category - Token category
+ * @param {string} value - Decoded value
+ * @returns {string|null} - Normalized value, or null if it does not fit the category
+ */
+function normalizeValue(category, value) {
+  if (!value) return null;
+  value = value.trim();
+
+  if (category === 'colors') {
+    if (/^(?:transparent|currentcolor|inherit|current)$/i.test(value)) return null;
+    return chroma.valid(value) ? chroma(value).hex() : null;
+  }
+  if (category === 'spacing' || category === 'radii' || category === 'fontSizes') {
+    const evaluated = evaluateCalc(value);
+    return /^(?:0|-?\d*\.?\d+(?:px|rem|em|%|vw|vh))$/.test(evaluated) || /^calc\(infinity/.test(value) ? evaluated : null;
+  }
+  if (category === 'fontWeights') {
+    return /^(?:\d{3}|lighter|bolder|normal|bold)$/.test(value) ? value : null;
+  }
+  return value;
+}
+
+/**
+ * Evaluate the calc() products utilities are compiled to, e.g. calc(0.25rem * 4)
+ * @param {string} value - CSS value
+ * @returns {string} - Computed length, or the value unchanged
+ */
+function evaluateCalc(value) {
+  const match = value.match(/^calc\(\s*(-?\d*\.?\d+)(px|rem|em)?\s*\*\s*(-?\d*\.?\d+)(px|rem|em)?\s*\)$/);
+  if (!match || (match[2] && match[4]) || (!match[2] && !match[4])) return value;
+
+  return formatLength(parseFloat(match[1]) * parseFloat(match[3]), match[2] || match[4]);
+}
+
+/**
+ * Format a length without floating point noise
+ * @param {number} number - Amount
+ * @param {string} unit - CSS unit
+ * @returns {string} - Length
+ */
+function formatLength(number, unit) {
+  const rounded = Math.round(number * 10000) / 10000;
+  return rounded === 0 ? '0' : `${rounded}${unit}`;
+}
+
+/**
+ * Look up a color of Tailwind's default palette, e.g. indigo-600
+ * @param {string} key - Color name with shade
+ * @returns {string|null} - Hex color, or null for colors outside the palette
+ */
+function tailwindColor(key) {
+  if (key === 'white') return '#ffffff';
+  if (key === 'black') return '#000000';
+
+  const [, name, shade] = key.match(/^([a-z]+)-(\d{2,3})$/) || [];
+  const index = TAILWIND_SHADES.indexOf(shade);
+  return name && TAILWIND_PALETTE[name] && index !== -1 ? `#${TAILWIND_PALETTE[name].split(' ')[index]}` : null;
+}
+
+/**
+ * Name the property a Tailwind spacing utility sets
+ * @param {string} prefix - Utility prefix, e.g. px, mt or gap-x
+ * @returns {string|null} - CSS property, or null for utilities that style child elements
+ */
+function tailwindSpacingProperty(prefix) {
+  if (prefix.startsWith('space-')) return null;
+  if (prefix.startsWith('gap')) return { gap: 'gap', 'gap-x': 'column-gap', 'gap-y': 'row-gap' }[prefix];
+  return `${prefix[0] === 'm' ? 'margin' : 'padding'}${BOX_SIDES[prefix.slice(1)]}`;
+}
+
+/**
+ * Remove the escapes from a class name in a selector
+ * @param {string} escaped - Escaped class name
+ * @returns {string} - Class name as written in the markup
+ */
+function unescapeClassName(escaped) {
+  return escaped
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Escape a class name for use in a selector
+ * @param {string} className - Class name
+ * @returns {string} - Escaped class name
+ */
+function escapeClassName(className) {
+  return className
+    .replace(/[^\w-]/g, char => `\\${char}`)
+    .replace(/^(\d)/, digit => `\\3${digit} `);
+}
+
+/**
+ * Merge the decoded utility tokens of several analyses, summing their usage
+ * @param {Array} list - Decoded utilities of every analysis
+ * @returns {Object} - Merged frameworks, class counts and tokens per category
+ */
+function mergeUtilityTokens(list) {
+  const merged = {
+    frameworks: [],
+    classes: { total: 0, decoded: 0 },
+    tokens: Object.fromEntries(CATEGORIES.map(category => [category, []]))
+  };
+  const frameworks = new Map();
+  const tokens = new Map();
+
+  list.filter(Boolean).forEach(utilities => {
+    (utilities.frameworks || []).forEach(framework => {
+      if (!frameworks.has(framework.id) || (!frameworks.get(framework.id).version && framework.version)) {
+        frameworks.set(framework.id, framework);
+      }
+    });
+    merged.classes.total += utilities.classes?.total || 0;
+    merged.classes.decoded += utilities.classes?.decoded || 0;
+
+    CATEGORIES.forEach(category => {
+      (utilities.tokens?.[category] || []).forEach(token => {
+        const key = `${category}|${token.framework}|${token.name}`;
+        if (!tokens.has(key)) {
+          tokens.set(key, { category, token: { ...token, count: 0, classes: [] } });
+        }
+        const entry = tokens.get(key).token;
+        if (entry.source === 'default' && token.source !== 'default') {
+          entry.value = token.value;
+          entry.source = token.source;
+        }
+        entry.count += token.count;
+        entry.classes = [...new Set([...entry.classes, ...token.classes])].slice(0, MAX_EXAMPLE_CLASSES);
+      });
+    });
+  });
+
+  merged.frameworks = [...frameworks.values()];
+  tokens.forEach(({ category, token }) => merged.tokens[category].push(token));
+  Object.values(merged.tokens).forEach(list => list.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)));
+
+  return merged;
+}
+
+module.exports = {
+  decodeUtilityClasses,
+  mergeUtilityTokens
+};